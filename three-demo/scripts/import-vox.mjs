@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+// Converts MagicaVoxel .vox files into voxel-object JSON under
+// src/world/voxel-objects/<category>/.
+//
+//   npm run import-vox -- model.vox --category large-plants --scale 0.12
+import { mkdir, readFile, writeFile, access } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { parseArgs } from 'node:util'
+import { parseVox } from '../src/world/vox/vox-parser.js'
+import { convertVoxToVoxelObjects } from '../src/world/vox/vox-to-voxel-object.js'
+
+const OBJECTS_ROOT = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../src/world/voxel-objects',
+)
+
+const USAGE = `Usage: npm run import-vox -- <file.vox> [options]
+
+  --id <id>            object id (default: file name)
+  --label <label>      display label (default: id)
+  --category <name>    voxel-objects/ folder (default: imported)
+  --scale <n>          voxelScale in blocks per voxel (default: 0.1)
+  --block <type>       block type for every voxel (default: stone)
+  --split <mode>       scene | models | frames (default: scene)
+  --frame <n>          animation frame for --split scene (default: 0)
+  --no-merge           keep one voxel per cell instead of merging colour runs
+  --include-hidden     keep hidden nodes and layers
+  --force              overwrite existing files
+  --dry-run            print the JSON instead of writing it`
+
+async function exists(file) {
+  try {
+    await access(file)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+function readNumber(value, label) {
+  if (value === undefined) {
+    return undefined
+  }
+  const numeric = Number(value)
+  if (!Number.isFinite(numeric)) {
+    throw new Error(`${label} must be a number.`)
+  }
+  return numeric
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      id: { type: 'string' },
+      label: { type: 'string' },
+      category: { type: 'string' },
+      scale: { type: 'string' },
+      block: { type: 'string' },
+      split: { type: 'string' },
+      frame: { type: 'string' },
+      'no-merge': { type: 'boolean', default: false },
+      'include-hidden': { type: 'boolean', default: false },
+      force: { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  })
+
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE)
+    process.exitCode = values.help ? 0 : 1
+    return
+  }
+  if (values.id && positionals.length > 1) {
+    throw new Error('--id can only be used with a single input file.')
+  }
+
+  for (const input of positionals) {
+    const vox = parseVox(await readFile(input))
+    const definitions = convertVoxToVoxelObjects(vox, {
+      id: values.id,
+      label: values.label,
+      category: values.category,
+      voxelScale: readNumber(values.scale, '--scale'),
+      blockType: values.block,
+      split: values.split,
+      frame: readNumber(values.frame, '--frame'),
+      mergeRuns: !values['no-merge'],
+      includeHidden: values['include-hidden'],
+      sourceName: path.basename(input),
+    })
+    const cellCount = vox.models.reduce((sum, model) => sum + model.voxels.length / 4, 0)
+    if (!values['dry-run']) {
+      console.log(`${input}: ${cellCount} cell(s) in ${vox.models.length} model(s)`)
+    }
+
+    for (const definition of definitions) {
+      const json = `${JSON.stringify(definition, null, 2)}\n`
+      if (values['dry-run']) {
+        console.log(json)
+        continue
+      }
+      const directory = path.join(OBJECTS_ROOT, definition.category)
+      const target = path.join(directory, `${definition.id}.json`)
+      if (!values.force && (await exists(target))) {
+        const relative = path.relative(process.cwd(), target)
+        throw new Error(`${relative} already exists; pass --force to overwrite.`)
+      }
+      await mkdir(directory, { recursive: true })
+      await writeFile(target, json)
+      console.log(
+        `  wrote ${path.relative(process.cwd(), target)} (${definition.voxels.length} voxel(s))`,
+      )
+    }
+  }
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : error)
+  process.exitCode = 1
+})
@@ -1,3 +1,7 @@
+const LOW_PASS_OPEN_FREQUENCY = 20000
+const LOW_PASS_CLOSED_FREQUENCY = 520
+const LOW_PASS_SMOOTHING_SECONDS = 0.08
+
 function clamp(value, min, max) {
   return Math.min(Math.max(value, min), max)
 }
@@ -18,6 +22,11 @@ export function createMusicPlayer({ tracks, defaultVolume = 0.6 } = {}) {
   let currentIndex = 0
   let hasLoadedInitialTrack = false
   let isPlaying = false
+  // The WebAudio graph (element -> low-pass -> speakers) is only built the
+  // first time a filter is asked for: once an element feeds a
+  // MediaElementSource it can no longer play on its own.
+  let audioGraph = null
+  let lowPassAmount = 0
 
   const stateDetail = () => ({
     isPlaying,
@@ -57,8 +66,66 @@ export function createMusicPlayer({ tracks, defaultVolume = 0.6 } = {}) {
     }
   }
 
+  function ensureAudioGraph() {
+    if (audioGraph) {
+      return audioGraph
+    }
+    const AudioContextClass = window.AudioContext ?? window.webkitAudioContext
+    if (!AudioContextClass) {
+      return null
+    }
+    try {
+      const context = new AudioContextClass()
+      const source = context.createMediaElementSource(audio)
+      const filter = context.createBiquadFilter()
+      filter.type = 'lowpass'
+      filter.frequency.value = LOW_PASS_OPEN_FREQUENCY
+      filter.Q.value = 0.7
+      source.connect(filter)
+      filter.connect(context.destination)
+      audioGraph = { context, source, filter }
+    } catch (error) {
+      console.warn('Music low-pass filter unavailable.', error)
+      audioGraph = null
+    }
+    return audioGraph
+  }
+
+  // 0 leaves the music untouched, 1 muffles it as if heard underwater. The
+  // cutoff moves on a log scale so the fade sounds even.
+  function setLowPass(amount) {
+    const normalized = clamp(Number(amount) || 0, 0, 1)
+    if (normalized === lowPassAmount) {
+      return lowPassAmount
+    }
+    lowPassAmount = normalized
+    const graph = normalized > 0 || audioGraph ? ensureAudioGraph() : null
+    if (!graph) {
+      return lowPassAmount
+    }
+    if (graph.context.state === 'suspended' && isPlaying) {
+      graph.context.resume().catch(() => {})
+    }
+    const frequency =
+      LOW_PASS_OPEN_FREQUENCY *
+      Math.pow(LOW_PASS_CLOSED_FREQUENCY / LOW_PASS_OPEN_FREQUENCY, normalized)
+    graph.filter.frequency.setTargetAtTime(
+      frequency,
+      graph.context.currentTime,
+      LOW_PASS_SMOOTHING_SECONDS,
+    )
+    return lowPassAmount
+  }
+
+  function getLowPass() {
+    return lowPassAmount
+  }
+
   function play() {
     ensureTrackLoaded(currentIndex)
+    if (audioGraph?.context.state === 'suspended') {
+      audioGraph.context.resume().catch(() => {})
+    }
     const playPromise = audio.play()
     if (playPromise && typeof playPromise.catch === 'function') {
       playPromise.catch((error) => {
@@ -116,6 +183,12 @@ export function createMusicPlayer({ tracks, defaultVolume = 0.6 } = {}) {
     audio.removeEventListener('pause', handlePause)
     audio.removeEventListener('volumechange', handleVolumeChange)
     audio.src = ''
+    if (audioGraph) {
+      audioGraph.source.disconnect()
+      audioGraph.filter.disconnect()
+      audioGraph.context.close().catch(() => {})
+      audioGraph = null
+    }
   }
 
   function handleEnded() {
@@ -155,6 +228,8 @@ export function createMusicPlayer({ tracks, defaultVolume = 0.6 } = {}) {
     previous,
     setVolume,
     getVolume,
+    setLowPass,
+    getLowPass,
     getCurrentTrack,
     dispose,
   }
@@ -94,28 +94,14 @@ function resolveSlice(verticalSlice, playerY) {
   };
 }
 
-function buildColumnLookup(chunkSnapshot) {
-  const columns = new Map();
-  const chunks = Array.isArray(chunkSnapshot?.chunks) ? chunkSnapshot.chunks : [];
-  chunks.forEach((chunk) => {
-    const blocks = Array.isArray(chunk?.blocks) ? chunk.blocks : [];
-    blocks.forEach((block) => {
-      const position = block?.position;
-      if (!position) {
-        return;
-      }
-      const worldX = Math.round(position.x ?? position[0] ?? 0);
-      const worldY = Math.round(position.y ?? position[1] ?? 0);
-      const worldZ = Math.round(position.z ?? position[2] ?? 0);
-      const key = `${worldX}|${worldZ}`;
-      if (!columns.has(key)) {
-        columns.set(key, []);
-      }
-      columns.get(key).push({ block, y: worldY });
-    });
-  });
-  columns.forEach((entries) => entries.sort((a, b) => b.y - a.y));
-  return columns;
+function findTopVoxelInSlice(getVoxel, x, z, slice) {
+  for (let y = slice.yMax; y >= slice.yMin; y -= 1) {
+    const voxel = getVoxel(x, y, z);
+    if (voxel) {
+      return voxel;
+    }
+  }
+  return null;
 }
 
 function selectGlyphForBlock(block) {
@@ -151,15 +137,15 @@ function buildLegend(usedGlyphs) {
 }
 
 export function renderAsciiViewport({
-  chunkSnapshot,
+  getVoxel,
   playerPosition,
   radius = DEFAULT_RADIUS,
   verticalSlice,
 }) {
-  if (!chunkSnapshot) {
+  if (typeof getVoxel !== 'function') {
     return {
-      map: 'No chunk snapshot available.',
-      legend: 'Legend: (none — chunk snapshot unavailable)',
+      map: 'No voxel lookup available.',
+      legend: 'Legend: (none — voxel lookup unavailable)',
     };
   }
 
@@ -171,7 +157,6 @@ export function renderAsciiViewport({
   const maxX = centerX + clampedRadius;
   const minZ = centerZ - clampedRadius;
   const maxZ = centerZ + clampedRadius;
-  const columns = buildColumnLookup(chunkSnapshot);
   const usedGlyphs = new Set();
   const lines = [];
 
@@ -179,17 +164,11 @@ export function renderAsciiViewport({
     let row = '';
     for (let x = minX; x <= maxX; x += 1) {
       let glyph = EMPTY_SPACE.glyph;
-      const key = `${x}|${z}`;
-      const column = columns.get(key);
-      if (column) {
-        const blockEntry = column.find(
-          (entry) => entry.y >= slice.yMin && entry.y <= slice.yMax,
-        );
-        if (blockEntry) {
-          const match = selectGlyphForBlock(blockEntry.block);
-          glyph = match.glyph;
-          usedGlyphs.add(match.glyph);
-        }
+      const voxel = findTopVoxelInSlice(getVoxel, x, z, slice);
+      if (voxel) {
+        const match = selectGlyphForBlock(voxel);
+        glyph = match.glyph;
+        usedGlyphs.add(match.glyph);
       }
       if (x === centerX && z === centerZ) {
         glyph = PLAYER_MARKER.glyph;
@@ -24,19 +24,27 @@ export function createHeadlessScanner({ THREE, scene, chunkManager }) {
   if (!scene) {
     throw new Error('createHeadlessScanner requires a scene reference.');
   }
-  if (!chunkManager || typeof chunkManager.getBlockFromIntersection !== 'function') {
-    throw new Error('createHeadlessScanner requires a chunk manager with getBlockFromIntersection.');
+  if (!chunkManager || typeof chunkManager.raycast !== 'function') {
+    throw new Error('createHeadlessScanner requires a chunk manager with raycast.');
   }
 
-  const raycaster = new THREE.Raycaster();
   const rayOrigin = new THREE.Vector3();
   const rayDirection = new THREE.Vector3();
 
-  const buildDiagnostics = (intersection, blockInfo) => {
-    const mesh = intersection?.object ?? null;
-    const chunk = blockInfo?.chunk ?? null;
-    const meshCount = typeof mesh?.count === 'number' ? mesh.count : null;
-    const instanceId = typeof intersection.instanceId === 'number' ? intersection.instanceId : null;
+  const buildDiagnostics = (hit) => {
+    const mesh = hit?.object ?? null;
+    const chunk = hit?.chunk ?? null;
+    // Terrain blocks live in face meshes, where instanceId indexes the
+    // chunk's block list rather than mesh instances.
+    const meshCount = mesh?.isInstancedMesh ? mesh.count : null;
+    const instanceId = typeof hit?.instanceId === 'number' ? hit.instanceId : null;
+    const position = hit?.entry?.position ?? null;
+    // What voxel storage holds at the hit cell; "empty" next to a visible
+    // instance means the mesh and the collision data have drifted apart.
+    const voxel =
+      position && typeof chunkManager.getVoxel === 'function'
+        ? chunkManager.getVoxel(Math.round(position.x), Math.round(position.y), Math.round(position.z))
+        : null;
 
     return {
       meshVisible: mesh?.visible !== false,
@@ -47,6 +55,8 @@ export function createHeadlessScanner({ THREE, scene, chunkManager }) {
       instanceId,
       chunkVisible: chunk?.group?.visible !== false,
       chunkKey: chunk?.key ?? null,
+      voxelType: voxel?.type ?? null,
+      voxelCollision: voxel?.collisionMode ?? null,
     };
   };
 
@@ -90,34 +100,45 @@ export function createHeadlessScanner({ THREE, scene, chunkManager }) {
 
     rayDirection.normalize();
     const distance = normalizeDistance(maxDistance ?? DEFAULT_MAX_DISTANCE);
-    raycaster.set(rayOrigin, rayDirection);
-    raycaster.far = distance;
-
-    const intersections = raycaster.intersectObjects(scene.children, true);
     const hits = [];
 
-    for (const intersection of intersections) {
-      if (!intersection || typeof intersection.instanceId !== 'number') {
-        continue;
-      }
-      const blockInfo = chunkManager.getBlockFromIntersection(intersection);
-      if (!blockInfo) {
-        continue;
-      }
-      const sanitizedBlock = sanitizeBlockInfo(blockInfo);
+    const toScanHit = (hit) => {
+      const sanitizedBlock = sanitizeBlockInfo(hit);
       if (!sanitizedBlock) {
-        continue;
+        return null;
       }
-      hits.push({
+      return {
         block: sanitizedBlock,
-        point: toPlainVector(intersection.point),
-        distance: intersection.distance,
-        diagnostics: buildDiagnostics(intersection, blockInfo),
-      });
-      if (!collectAll) {
-        break;
-      }
+        point: toPlainVector(hit.point),
+        normal: toPlainVector(hit.normal),
+        adjacent: { ...hit.adjacent },
+        distance: hit.distance,
+        isDecoration: Boolean(hit.isDecoration),
+        diagnostics: buildDiagnostics(hit),
+      };
+    };
+
+    // Same traversal the player uses for mining and placement; with
+    // collectAll the filter records every candidate and keeps walking.
+    const firstHit = chunkManager.raycast({
+      origin: rayOrigin,
+      direction: rayDirection,
+      maxDistance: distance,
+      filter: (hit) => {
+        if (!collectAll) {
+          return Boolean(sanitizeBlockInfo(hit));
+        }
+        const scanHit = toScanHit(hit);
+        if (scanHit) {
+          hits.push(scanHit);
+        }
+        return false;
+      },
+    });
+    if (!collectAll && firstHit) {
+      hits.push(toScanHit(firstHit));
     }
+    hits.sort((a, b) => a.distance - b.distance);
 
     return {
       origin: toPlainVector(rayOrigin),
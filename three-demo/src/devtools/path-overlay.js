@@ -0,0 +1,106 @@
+const STATUS_COLORS = {
+  found: 0x4fd67a,
+  partial: 0xf2a33a,
+  invalidated: 0xe0565b,
+};
+const NODE_COLOR = 0x6fc3ff;
+const LINE_LIFT = 0.15;
+const WAYPOINT_SIZE = 0.25;
+const NODE_SIZE = 0.1;
+
+// Debug geometry for one pathfinder result: the smoothed route as a line with
+// a cube on each waypoint, and small dots on every raw A* node underneath.
+// Drawn without depth testing so the route stays visible through terrain.
+export function createPathOverlay({ THREE, scene }) {
+  if (!THREE || !scene) {
+    throw new Error('createPathOverlay requires THREE and a scene');
+  }
+
+  const group = new THREE.Group();
+  group.name = 'path_overlay';
+  group.renderOrder = 999;
+  const waypointGeometry = new THREE.BoxGeometry(WAYPOINT_SIZE, WAYPOINT_SIZE, WAYPOINT_SIZE);
+  const nodeGeometry = new THREE.BoxGeometry(NODE_SIZE, NODE_SIZE, NODE_SIZE);
+  const lineMaterials = new Map(
+    Object.entries(STATUS_COLORS).map(([status, color]) => [
+      status,
+      new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true, opacity: 0.95 }),
+    ]),
+  );
+  const waypointMaterials = new Map(
+    Object.entries(STATUS_COLORS).map(([status, color]) => [
+      status,
+      new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true, opacity: 0.9 }),
+    ]),
+  );
+  const nodeMaterial = new THREE.MeshBasicMaterial({
+    color: NODE_COLOR,
+    depthTest: false,
+    transparent: true,
+    opacity: 0.6,
+  });
+  let lineGeometry = null;
+  let attached = false;
+
+  function clear() {
+    group.clear();
+    if (lineGeometry) {
+      lineGeometry.dispose();
+      lineGeometry = null;
+    }
+  }
+
+  function show({ waypoints, nodes = [], status = 'found' }) {
+    clear();
+    const lineMaterial = lineMaterials.get(status) ?? lineMaterials.get('found');
+    const waypointMaterial = waypointMaterials.get(status) ?? waypointMaterials.get('found');
+    if (waypoints.length > 1) {
+      lineGeometry = new THREE.BufferGeometry().setFromPoints(
+        waypoints.map(({ x, y, z }) => new THREE.Vector3(x, y + LINE_LIFT, z)),
+      );
+      const line = new THREE.Line(lineGeometry, lineMaterial);
+      line.renderOrder = 999;
+      group.add(line);
+    }
+    waypoints.forEach(({ x, y, z }) => {
+      const marker = new THREE.Mesh(waypointGeometry, waypointMaterial);
+      marker.position.set(x, y + LINE_LIFT, z);
+      marker.renderOrder = 999;
+      group.add(marker);
+    });
+    nodes.forEach(({ x, y, z }) => {
+      const marker = new THREE.Mesh(nodeGeometry, nodeMaterial);
+      marker.position.set(x, y + NODE_SIZE / 2, z);
+      marker.renderOrder = 998;
+      group.add(marker);
+    });
+    if (!attached) {
+      scene.add(group);
+      attached = true;
+    }
+  }
+
+  function hide() {
+    clear();
+    if (attached) {
+      scene.remove(group);
+      attached = false;
+    }
+  }
+
+  function dispose() {
+    hide();
+    waypointGeometry.dispose();
+    nodeGeometry.dispose();
+    lineMaterials.forEach((material) => material.dispose());
+    waypointMaterials.forEach((material) => material.dispose());
+    nodeMaterial.dispose();
+  }
+
+  return {
+    show,
+    hide,
+    dispose,
+    isVisible: () => attached,
+  };
+}
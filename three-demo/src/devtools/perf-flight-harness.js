@@ -18,6 +18,7 @@ function extractChunkStats(chunkManager) {
       solidBlocks: null,
       softBlocks: null,
       waterColumns: null,
+      voxelMegabytes: null,
     }
   }
 
@@ -39,17 +40,23 @@ function extractChunkStats(chunkManager) {
     }
   }
 
-  const solidBlocks = chunkManager.solidBlocks
-    ? chunkManager.solidBlocks.size
-    : null
-  const softBlocks = chunkManager.softBlocks
-    ? chunkManager.softBlocks.size
-    : null
-  const waterColumns = chunkManager.waterColumns
-    ? chunkManager.waterColumns.size
-    : null
-
-  return { chunkCount, totalBlocks, solidBlocks, softBlocks, waterColumns }
+  const voxelStats =
+    typeof chunkManager.getVoxelStats === 'function'
+      ? chunkManager.getVoxelStats({ benchmarkSamples: 0 })
+      : null
+  const solidBlocks = voxelStats ? voxelStats.solid : null
+  const softBlocks = voxelStats ? voxelStats.soft : null
+  const waterColumns = voxelStats ? voxelStats.waterColumns : null
+  const voxelMegabytes = voxelStats ? voxelStats.megabytes : null
+
+  return {
+    chunkCount,
+    totalBlocks,
+    solidBlocks,
+    softBlocks,
+    waterColumns,
+    voxelMegabytes,
+  }
 }
 
 function computeAggregate(frames, key) {
@@ -138,6 +145,7 @@ function buildSummary(samples, metadata) {
     solidBlocks: computeAggregate(samples, 'solidBlocks'),
     softBlocks: computeAggregate(samples, 'softBlocks'),
     waterColumns: computeAggregate(samples, 'waterColumns'),
+    voxelMegabytes: computeAggregate(samples, 'voxelMegabytes'),
   }
 
   return {
@@ -313,6 +321,7 @@ export function runPerfFlight({
           solidBlocks: normalizeNumber(chunkStats.solidBlocks),
           softBlocks: normalizeNumber(chunkStats.softBlocks),
           waterColumns: normalizeNumber(chunkStats.waterColumns),
+          voxelMegabytes: normalizeNumber(chunkStats.voxelMegabytes),
         }
         frames.push(frameRecord)
 
@@ -0,0 +1,109 @@
+const STATUS_COLORS = {
+  placed: 0x4fd67a,
+  skipped: 0xf2a33a,
+  pending: 0x9aa3ad,
+};
+const BORDER_COLOR = 0x6fc3ff;
+const BORDER_STEP = 2;
+const MARKER_HEIGHT = 5;
+
+// Debug geometry for one sector: a terrain-hugging outline of its bounds and
+// a post on every placement anchor, coloured by how that placement resolved.
+// Drawn without depth testing so anchors stay visible behind hills.
+export function createSectorOverlay({ THREE, scene, sampleHeight }) {
+  if (!THREE || !scene) {
+    throw new Error('createSectorOverlay requires THREE and a scene');
+  }
+  if (typeof sampleHeight !== 'function') {
+    throw new Error('createSectorOverlay requires a sampleHeight function');
+  }
+
+  const group = new THREE.Group();
+  group.name = 'sector_overlay';
+  group.renderOrder = 999;
+  const markerGeometry = new THREE.BoxGeometry(0.3, MARKER_HEIGHT, 0.3);
+  const markerMaterials = new Map(
+    Object.entries(STATUS_COLORS).map(([status, color]) => [
+      status,
+      new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true, opacity: 0.85 }),
+    ]),
+  );
+  const borderMaterial = new THREE.LineBasicMaterial({
+    color: BORDER_COLOR,
+    depthTest: false,
+    transparent: true,
+    opacity: 0.9,
+  });
+  let borderGeometry = null;
+  let attached = false;
+
+  function clear() {
+    group.clear();
+    if (borderGeometry) {
+      borderGeometry.dispose();
+      borderGeometry = null;
+    }
+  }
+
+  function buildBorder(minX, minZ, size) {
+    const points = [];
+    const corners = [
+      [minX, minZ],
+      [minX + size, minZ],
+      [minX + size, minZ + size],
+      [minX, minZ + size],
+    ];
+    corners.forEach(([startX, startZ], index) => {
+      const [endX, endZ] = corners[(index + 1) % corners.length];
+      for (let t = 0; t < size; t += BORDER_STEP) {
+        const x = startX + ((endX - startX) * t) / size;
+        const z = startZ + ((endZ - startZ) * t) / size;
+        points.push(new THREE.Vector3(x - 0.5, sampleHeight(Math.round(x), Math.round(z)) + 1.2, z - 0.5));
+      }
+    });
+    borderGeometry = new THREE.BufferGeometry().setFromPoints(points);
+    const border = new THREE.LineLoop(borderGeometry, borderMaterial);
+    border.renderOrder = 999;
+    group.add(border);
+  }
+
+  function show({ sector, size, outcomes }) {
+    clear();
+    buildBorder(sector.x * size, sector.z * size, size);
+    sector.placements.forEach((placement) => {
+      const status = outcomes.get(placement.id)?.status ?? 'pending';
+      const marker = new THREE.Mesh(markerGeometry, markerMaterials.get(status));
+      const { x, z } = placement.anchor;
+      marker.position.set(x, sampleHeight(Math.round(x), Math.round(z)) + 0.5 + MARKER_HEIGHT / 2, z);
+      marker.renderOrder = 999;
+      marker.userData.placementId = placement.id;
+      group.add(marker);
+    });
+    if (!attached) {
+      scene.add(group);
+      attached = true;
+    }
+  }
+
+  function hide() {
+    clear();
+    if (attached) {
+      scene.remove(group);
+      attached = false;
+    }
+  }
+
+  function dispose() {
+    hide();
+    markerGeometry.dispose();
+    markerMaterials.forEach((material) => material.dispose());
+    borderMaterial.dispose();
+  }
+
+  return {
+    show,
+    hide,
+    dispose,
+    isVisible: () => attached,
+  };
+}
@@ -0,0 +1,61 @@
+import { parseVox } from '../world/vox/vox-parser.js';
+import { convertVoxToVoxelObjects } from '../world/vox/vox-to-voxel-object.js';
+
+// Turns MagicaVoxel files dropped anywhere on `target` into voxel-object
+// definitions using the current conversion options. Other dropped files are
+// rejected through onError rather than letting the browser navigate to them.
+export function createVoxDropLoader({ target, onLoad, onError = null, options = {} }) {
+  if (!target || typeof onLoad !== 'function') {
+    throw new Error('createVoxDropLoader requires a drop target and an onLoad callback');
+  }
+
+  const settings = { ...options };
+
+  const carriesFiles = (event) => Array.from(event.dataTransfer?.types ?? []).includes('Files');
+
+  function handleDragOver(event) {
+    if (!carriesFiles(event)) {
+      return;
+    }
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  }
+
+  async function handleDrop(event) {
+    if (!carriesFiles(event)) {
+      return;
+    }
+    event.preventDefault();
+    const files = Array.from(event.dataTransfer.files ?? []);
+    const file = files.find((candidate) => /\.vox$/i.test(candidate.name));
+    if (!file) {
+      onError?.(new Error('Only MagicaVoxel .vox files can be dropped here.'), files[0] ?? null);
+      return;
+    }
+    try {
+      const vox = parseVox(await file.arrayBuffer());
+      const definitions = convertVoxToVoxelObjects(vox, { ...settings, sourceName: file.name });
+      if (definitions.length === 0) {
+        throw new Error(`${file.name} has no visible voxels.`);
+      }
+      onLoad({ file, vox, definitions });
+    } catch (error) {
+      onError?.(error, file);
+    }
+  }
+
+  target.addEventListener('dragover', handleDragOver);
+  target.addEventListener('drop', handleDrop);
+
+  return {
+    getOptions: () => ({ ...settings }),
+    setOptions(next) {
+      Object.assign(settings, next);
+      return { ...settings };
+    },
+    dispose() {
+      target.removeEventListener('dragover', handleDragOver);
+      target.removeEventListener('drop', handleDrop);
+    },
+  };
+}
@@ -0,0 +1,854 @@
+import { createBlockInstancedMesh } from '../world/generation.js';
+import { getNanovoxelDefinition } from '../world/procedural/nanovoxel-palette.js';
+import {
+  getVoxelObjectById,
+  normalizeVoxelObjectDefinition,
+} from '../world/voxel-object-library.js';
+import { resolveVoxelObjectVoxels } from '../world/voxel-object-processor.js';
+import { computeVoxelObjectPlacements } from '../world/voxel-object-prototypes.js';
+import { getBlockTypeEmission } from '../world/voxel-light.js';
+
+const TOOLS = ['add', 'remove', 'paint'];
+const EDITOR_REACH = 24;
+const HISTORY_LIMIT = 100;
+// Auto magnification aims for voxels about this many blocks across.
+const TARGET_VOXEL_SIZE = 0.4;
+const MAX_MAGNIFICATION = 8;
+const PLATE_MARGIN = 1.5;
+const PLATE_THICKNESS = 0.1;
+const MAX_GRID_DIVISIONS = 96;
+const TOOL_COLORS = {
+  add: 0x6fe08a,
+  remove: 0xe0565b,
+  paint: 0x6fc3ff,
+};
+const NODE_COLOR = 0xf2a33a;
+const HEX_TINT = /^#[0-9a-f]{6}$/i;
+// Top-level keys setField accepts; nested paths are limited to these sections.
+const EDITABLE_ROOT_FIELDS = new Set([
+  'id',
+  'label',
+  'description',
+  'author',
+  'category',
+  'voxelScale',
+  'collision',
+  'destructionMode',
+  'ignoreBiomeTint',
+  'emissive',
+]);
+const EDITABLE_SECTIONS = new Set(['placement', 'attachment', 'procedural']);
+
+function cloneDocument(source) {
+  return JSON.parse(JSON.stringify(source));
+}
+
+function roundCoordinate(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function readSize(size) {
+  if (typeof size === 'number') {
+    return { x: size, y: size, z: size };
+  }
+  if (Array.isArray(size)) {
+    return { x: size[0], y: size[1], z: size[2] };
+  }
+  return { x: size?.x ?? 1, y: size?.y ?? 1, z: size?.z ?? 1 };
+}
+
+// Smallest JSON form of a size: omitted for unit voxels, a number when uniform.
+function writeSize({ x, y, z }) {
+  if (x === 1 && y === 1 && z === 1) {
+    return undefined;
+  }
+  return x === y && y === z ? x : [x, y, z];
+}
+
+// Slab test against an axis-aligned box; returns the entry distance and the
+// normal of the face the ray enters through.
+function intersectBox(origin, direction, min, max) {
+  let near = -Infinity;
+  let far = Infinity;
+  let axis = null;
+  for (const key of ['x', 'y', 'z']) {
+    if (Math.abs(direction[key]) < 1e-9) {
+      if (origin[key] < min[key] || origin[key] > max[key]) {
+        return null;
+      }
+      continue;
+    }
+    const t1 = (min[key] - origin[key]) / direction[key];
+    const t2 = (max[key] - origin[key]) / direction[key];
+    const entry = Math.min(t1, t2);
+    far = Math.min(far, Math.max(t1, t2));
+    if (entry > near) {
+      near = entry;
+      axis = key;
+    }
+  }
+  if (near > far || far < 0 || near < 0 || !axis) {
+    return null;
+  }
+  const normal = { x: 0, y: 0, z: 0 };
+  normal[axis] = direction[axis] > 0 ? -1 : 1;
+  return { distance: near, normal };
+}
+
+// Build-plate editor for voxel object definitions. The working copy is the
+// raw JSON document; every edit is applied to a clone, validated with the
+// library normalizer and only then committed, so the document can always be
+// exported as-is. The preview runs the same placement pipeline as world
+// generation, including node-growth voxels and nanovoxel decorations.
+export function createVoxelObjectEditor({ THREE, scene, camera, blockMaterials }) {
+  if (!THREE || !scene || !camera || !blockMaterials) {
+    throw new Error('createVoxelObjectEditor requires THREE, a scene, a camera and blockMaterials');
+  }
+
+  const root = new THREE.Group();
+  root.name = 'voxel_object_editor';
+  const objectGroup = new THREE.Group();
+  const previewGroup = new THREE.Group();
+  const markerGroup = new THREE.Group();
+  markerGroup.renderOrder = 999;
+  objectGroup.add(previewGroup, markerGroup);
+  root.add(objectGroup);
+
+  const plateMaterial = new THREE.MeshStandardMaterial({
+    color: 0x39404c,
+    roughness: 0.9,
+    transparent: true,
+    opacity: 0.55,
+  });
+  const plate = new THREE.Mesh(new THREE.BoxGeometry(1, PLATE_THICKNESS, 1), plateMaterial);
+  plate.receiveShadow = true;
+  root.add(plate);
+  let grid = null;
+
+  const ghostMaterial = new THREE.LineBasicMaterial({
+    color: TOOL_COLORS.add,
+    depthTest: false,
+    transparent: true,
+  });
+  const ghost = new THREE.LineSegments(
+    new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1)),
+    ghostMaterial,
+  );
+  ghost.renderOrder = 999;
+  ghost.visible = false;
+  objectGroup.add(ghost);
+
+  const nodeGeometry = new THREE.BoxGeometry(1, 1, 1);
+  const nodeMaterial = new THREE.MeshBasicMaterial({
+    color: NODE_COLOR,
+    depthTest: false,
+    transparent: true,
+    opacity: 0.85,
+  });
+  const segmentMaterial = new THREE.LineBasicMaterial({
+    color: NODE_COLOR,
+    depthTest: false,
+    transparent: true,
+    opacity: 0.7,
+  });
+
+  const matrix = new THREE.Matrix4();
+  const quaternion = new THREE.Quaternion();
+  const composePosition = new THREE.Vector3();
+  const composeScale = new THREE.Vector3();
+  const inverseMatrix = new THREE.Matrix4();
+  const localOrigin = new THREE.Vector3();
+  const localDirection = new THREE.Vector3();
+  const aimOrigin = new THREE.Vector3();
+  const aimDirection = new THREE.Vector3();
+
+  let draftDocument = null;
+  let normalized = null;
+  let openedJson = null;
+  let undoStack = [];
+  let redoStack = [];
+  let tool = 'add';
+  const brush = { type: 'stone', tint: null, size: { x: 1, y: 1, z: 1 } };
+  let showDecorations = true;
+  let magnificationOverride = null;
+  let magnification = 1;
+  let plateHalfExtent = 2;
+  let previewStats = { generatedVoxels: 0, decorations: 0, skippedTypes: [] };
+  let hover = null;
+
+  function requireOpen() {
+    if (!draftDocument) {
+      throw new Error('No voxel object is open in the editor.');
+    }
+  }
+
+  function exportPath(definition) {
+    const category =
+      typeof definition.category === 'string' && definition.category.trim().length > 0
+        ? definition.category
+        : 'uncategorized';
+    return `voxel-objects/${category}/${definition.id}.json`;
+  }
+
+  function normalizeDraft(draft) {
+    return normalizeVoxelObjectDefinition(cloneDocument(draft), `${exportPath(draft)} (editor)`);
+  }
+
+  function isBlockType(type) {
+    return Boolean(blockMaterials[type]?.isMaterial);
+  }
+
+  function voxelEmission(voxel, type) {
+    const level = voxel ? voxel.emissive ?? normalized.emissive ?? 0 : 0;
+    return Math.max(getBlockTypeEmission(type), level);
+  }
+
+  function clearPreview() {
+    previewGroup.children.slice().forEach((mesh) => {
+      previewGroup.remove(mesh);
+      mesh.geometry.dispose();
+    });
+    markerGroup.children.slice().forEach((child) => {
+      markerGroup.remove(child);
+      if (child.isLine) {
+        child.geometry.dispose();
+      }
+    });
+  }
+
+  function rebuildPreview() {
+    clearPreview();
+    const placements = computeVoxelObjectPlacements(normalized);
+    const resolved = resolveVoxelObjectVoxels(normalized);
+    const entriesByType = new Map();
+    const skippedTypes = new Set();
+    let decorationCount = 0;
+
+    const addEntry = (type, position, { scale, visualScale, visualOffset, tint }, emission) => {
+      if (!isBlockType(type)) {
+        skippedTypes.add(type);
+        return;
+      }
+      const size = visualScale ?? scale;
+      composePosition.set(
+        position.x + (visualOffset?.x ?? 0),
+        position.y + (visualOffset?.y ?? 0),
+        position.z + (visualOffset?.z ?? 0),
+      );
+      composeScale.set(size?.x ?? 1, size?.y ?? 1, size?.z ?? 1);
+      if (!entriesByType.has(type)) {
+        entriesByType.set(type, []);
+      }
+      entriesByType.get(type).push({
+        matrix: matrix.compose(composePosition, quaternion, composeScale).clone(),
+        tintColor: typeof tint === 'string' ? new THREE.Color(tint) : null,
+        emission,
+      });
+    };
+
+    placements?.blocks.forEach((block) => {
+      addEntry(block.type, block.position, block, voxelEmission(resolved[block.voxelIndex], block.type));
+    });
+    if (showDecorations) {
+      placements?.decorations.forEach((decoration) => {
+        decorationCount += 1;
+        addEntry(decoration.type, decoration.position, decoration.options, getBlockTypeEmission(decoration.type));
+      });
+    }
+    entriesByType.forEach((entries, type) => {
+      const { mesh } = createBlockInstancedMesh(blockMaterials, entries, type);
+      mesh.name = `editor_preview:${type}`;
+      previewGroup.add(mesh);
+    });
+
+    rebuildNodeMarkers();
+    previewStats = {
+      generatedVoxels: resolved.length - normalized.voxels.length,
+      decorations: decorationCount,
+      skippedTypes: Array.from(skippedTypes),
+    };
+    rebuildPlate(resolved);
+  }
+
+  function rebuildNodeMarkers() {
+    const nodeGrowth = draftDocument.procedural?.nodeGrowth;
+    if (!nodeGrowth) {
+      return;
+    }
+    const scale = normalized.voxelScale;
+    const positions = new Map();
+    (nodeGrowth.nodes ?? []).forEach((node) => {
+      if (typeof node?.id !== 'string' || !Array.isArray(node.position)) {
+        return;
+      }
+      const position = new THREE.Vector3(...node.position).multiplyScalar(scale);
+      positions.set(node.id, position);
+      const marker = new THREE.Mesh(nodeGeometry, nodeMaterial);
+      marker.position.copy(position);
+      marker.scale.setScalar(scale * 0.6);
+      marker.renderOrder = 999;
+      markerGroup.add(marker);
+    });
+    (nodeGrowth.segments ?? []).forEach((segment) => {
+      const from = positions.get(segment?.from);
+      const to = positions.get(segment?.to);
+      if (!from || !to) {
+        return;
+      }
+      const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints([from, to]), segmentMaterial);
+      line.renderOrder = 999;
+      markerGroup.add(line);
+    });
+  }
+
+  // The plate stands for the top face of the ground block. Objects are
+  // anchored at that block's centre, so voxel y 0 sits half a block below it
+  // exactly as it does in the world.
+  function rebuildPlate(resolved) {
+    magnification =
+      magnificationOverride ??
+      Math.min(MAX_MAGNIFICATION, Math.max(1, Math.round(TARGET_VOXEL_SIZE / normalized.voxelScale)));
+    objectGroup.scale.setScalar(magnification);
+    objectGroup.position.set(0, -0.5 * magnification, 0);
+
+    const box = resolved.length > 0 ? normalized.boundingBox : null;
+    const reach = box
+      ? Math.max(-box.min.x, box.max.x, -box.min.z, box.max.z) * magnification
+      : 0;
+    const cell = normalized.voxelScale * magnification;
+    const stride = Math.max(1, Math.ceil((2 * (reach + PLATE_MARGIN)) / cell / MAX_GRID_DIVISIONS));
+    const spacing = cell * stride;
+    const divisions = 2 * Math.ceil((reach + PLATE_MARGIN) / spacing);
+    const size = divisions * spacing;
+    plateHalfExtent = size / 2;
+
+    // Voxel centres sit on multiples of the cell, so grid lines are offset
+    // half a cell to fall on voxel edges.
+    plate.scale.set(size, 1, size);
+    plate.position.set(cell / 2, -PLATE_THICKNESS / 2, cell / 2);
+    if (grid) {
+      root.remove(grid);
+      grid.geometry.dispose();
+      grid.material.dispose();
+    }
+    grid = new THREE.GridHelper(size, divisions, 0x8a93a6, 0x5a6272);
+    grid.position.set(cell / 2, 0.002, cell / 2);
+    root.add(grid);
+  }
+
+  function applyDocument(nextDocument, nextNormalized) {
+    draftDocument = nextDocument;
+    normalized = nextNormalized;
+    rebuildPreview();
+  }
+
+  // Every edit goes through here: mutate a clone, validate it, keep the
+  // previous document for undo.
+  function commit(label, mutate) {
+    requireOpen();
+    const draft = cloneDocument(draftDocument);
+    mutate(draft);
+    const nextNormalized = normalizeDraft(draft);
+    undoStack.push({ label, document: draftDocument });
+    if (undoStack.length > HISTORY_LIMIT) {
+      undoStack.shift();
+    }
+    redoStack = [];
+    applyDocument(draft, nextNormalized);
+    return label;
+  }
+
+  function open(source, { origin } = {}) {
+    const raw =
+      typeof source === 'string' ? getVoxelObjectById(source)?.raw ?? null : source ?? null;
+    if (!raw) {
+      throw new Error(`Unknown voxel object "${source}".`);
+    }
+    const nextDocument = cloneDocument(raw);
+    const nextNormalized = normalizeDraft(nextDocument);
+    if (origin) {
+      root.position.set(origin.x, origin.y, origin.z);
+    }
+    undoStack = [];
+    redoStack = [];
+    magnificationOverride = null;
+    openedJson = JSON.stringify(nextDocument);
+    const firstVoxel = nextDocument.voxels?.[0];
+    if (firstVoxel && isBlockType(firstVoxel.type)) {
+      brush.type = firstVoxel.type;
+      brush.tint = typeof firstVoxel.tint === 'string' ? firstVoxel.tint : null;
+    }
+    applyDocument(nextDocument, nextNormalized);
+    if (!root.parent) {
+      scene.add(root);
+    }
+    return nextNormalized;
+  }
+
+  function create(id, { category = 'uncategorized', voxelScale = 0.25, origin } = {}) {
+    return open(
+      {
+        id,
+        label: id,
+        category,
+        author: 'unknown',
+        description: '',
+        voxelScale,
+        voxels: [{ type: brush.type, position: [0, 0, 0], ...(brush.tint ? { tint: brush.tint } : {}) }],
+      },
+      { origin },
+    );
+  }
+
+  function close() {
+    clearPreview();
+    ghost.visible = false;
+    hover = null;
+    draftDocument = null;
+    normalized = null;
+    openedJson = null;
+    undoStack = [];
+    redoStack = [];
+    if (root.parent) {
+      scene.remove(root);
+    }
+  }
+
+  // Picks the nearest authored voxel (generated node-growth voxels are not
+  // editable directly) or, failing that, a spot on the plate.
+  function pick(origin, direction, maxDistance = EDITOR_REACH) {
+    if (!draftDocument) {
+      return null;
+    }
+    root.updateMatrixWorld(true);
+    inverseMatrix.copy(objectGroup.matrixWorld).invert();
+    localOrigin.copy(origin).applyMatrix4(inverseMatrix);
+    localDirection.copy(direction).transformDirection(inverseMatrix);
+    const scale = normalized.voxelScale;
+    const reach = maxDistance / magnification;
+    let best = null;
+
+    normalized.voxels.forEach((voxel, index) => {
+      const { position, size } = voxel;
+      const hit = intersectBox(
+        localOrigin,
+        localDirection,
+        {
+          x: (position.x - size.x / 2) * scale,
+          y: position.y * scale,
+          z: (position.z - size.z / 2) * scale,
+        },
+        {
+          x: (position.x + size.x / 2) * scale,
+          y: (position.y + size.y) * scale,
+          z: (position.z + size.z / 2) * scale,
+        },
+      );
+      if (hit && hit.distance <= reach && (!best || hit.distance < best.distance)) {
+        best = { kind: 'voxel', index, ...hit };
+      }
+    });
+    if (best) {
+      return best;
+    }
+
+    // Plate surface in object space: half a block above the anchor.
+    const plateY = 0.5;
+    if (localDirection.y >= 0) {
+      return null;
+    }
+    const distance = (plateY - localOrigin.y) / localDirection.y;
+    if (distance < 0 || distance > reach) {
+      return null;
+    }
+    const x = localOrigin.x + localDirection.x * distance;
+    const z = localOrigin.z + localDirection.z * distance;
+    const halfExtent = plateHalfExtent / magnification;
+    if (Math.abs(x) > halfExtent || Math.abs(z) > halfExtent) {
+      return null;
+    }
+    return { kind: 'plate', distance, point: { x, z } };
+  }
+
+  // Where an added voxel goes: against the picked face, or on the grid cell
+  // under a plate hit with its bottom at the object's origin.
+  function resolveAddPosition(target) {
+    if (target.kind === 'plate') {
+      const scale = normalized.voxelScale;
+      return [Math.round(target.point.x / scale), 0, Math.round(target.point.z / scale)];
+    }
+    const { position, size } = normalized.voxels[target.index];
+    const { normal } = target;
+    const next = { ...position };
+    if (normal.y > 0) {
+      next.y = position.y + size.y;
+    } else if (normal.y < 0) {
+      next.y = position.y - brush.size.y;
+    } else if (normal.x !== 0) {
+      next.x = position.x + (normal.x * (size.x + brush.size.x)) / 2;
+    } else {
+      next.z = position.z + (normal.z * (size.z + brush.size.z)) / 2;
+    }
+    return [roundCoordinate(next.x), roundCoordinate(next.y), roundCoordinate(next.z)];
+  }
+
+  function addVoxelAt(target) {
+    const position = resolveAddPosition(target);
+    const source = target.kind === 'voxel' ? draftDocument.voxels[target.index] : null;
+    const size = writeSize(brush.size);
+    return commit(`add ${brush.type} at ${position.join(' ')}`, (draft) => {
+      if (!Array.isArray(draft.voxels)) {
+        draft.voxels = [];
+      }
+      draft.voxels.push({
+        type: brush.type,
+        position,
+        ...(size !== undefined ? { size } : {}),
+        ...(brush.tint ? { tint: brush.tint } : {}),
+        ...(typeof source?.part === 'string' ? { part: source.part } : {}),
+      });
+    });
+  }
+
+  function removeVoxelAt(index) {
+    return commit(`remove voxel ${index}`, (draft) => {
+      draft.voxels.splice(index, 1);
+    });
+  }
+
+  function paintVoxelAt(index) {
+    return commit(`paint voxel ${index}`, (draft) => {
+      const voxel = draft.voxels[index];
+      voxel.type = brush.type;
+      if (brush.tint) {
+        voxel.tint = brush.tint;
+      } else {
+        delete voxel.tint;
+      }
+    });
+  }
+
+  function pickBrushFrom(index) {
+    const voxel = draftDocument.voxels[index];
+    if (isBlockType(voxel.type)) {
+      brush.type = voxel.type;
+    }
+    brush.tint = typeof voxel.tint === 'string' ? voxel.tint : null;
+    brush.size = readSize(voxel.size);
+  }
+
+  // Pointer hook for the player controls: left applies the current tool,
+  // right removes, middle picks the brush from a voxel. Returns true when
+  // the click landed on the object or plate so the world ignores it.
+  function handlePointer({ button, origin, direction }) {
+    const target = pick(origin, direction);
+    if (!target) {
+      return false;
+    }
+    try {
+      if (button === 1) {
+        if (target.kind === 'voxel') {
+          pickBrushFrom(target.index);
+        }
+      } else if (button === 2 || (button === 0 && tool === 'remove')) {
+        if (target.kind === 'voxel') {
+          removeVoxelAt(target.index);
+        }
+      } else if (button === 0 && tool === 'paint') {
+        if (target.kind === 'voxel') {
+          paintVoxelAt(target.index);
+        }
+      } else if (button === 0) {
+        addVoxelAt(target);
+      }
+    } catch (error) {
+      console.warn('Voxel object editor rejected the edit:', error);
+    }
+    return true;
+  }
+
+  function update() {
+    if (!draftDocument) {
+      return;
+    }
+    camera.getWorldPosition(aimOrigin);
+    camera.getWorldDirection(aimDirection);
+    hover = pick(aimOrigin, aimDirection);
+    const showsPlacement = tool === 'add';
+    if (!hover || (!showsPlacement && hover.kind !== 'voxel')) {
+      ghost.visible = false;
+      return;
+    }
+    const scale = normalized.voxelScale;
+    let position;
+    let size;
+    if (showsPlacement) {
+      const [x, y, z] = resolveAddPosition(hover);
+      position = { x, y, z };
+      size = brush.size;
+    } else {
+      ({ position, size } = normalized.voxels[hover.index]);
+    }
+    ghost.position.set(position.x * scale, (position.y + size.y / 2) * scale, position.z * scale);
+    ghost.scale.set(size.x * scale * 1.02, size.y * scale * 1.02, size.z * scale * 1.02);
+    ghost.visible = true;
+  }
+
+  function setTool(nextTool) {
+    if (!TOOLS.includes(nextTool)) {
+      throw new Error(`Unknown editor tool "${nextTool}". Expected ${TOOLS.join(', ')}.`);
+    }
+    tool = nextTool;
+    ghostMaterial.color.setHex(TOOL_COLORS[tool]);
+  }
+
+  function setBrush({ type, tint, size } = {}) {
+    if (type !== undefined) {
+      if (!isBlockType(type)) {
+        throw new Error(`Unknown block type "${type}".`);
+      }
+      brush.type = type;
+    }
+    if (tint !== undefined) {
+      if (tint !== null && !HEX_TINT.test(tint)) {
+        throw new Error(`Tint must be a #rrggbb colour, got "${tint}".`);
+      }
+      brush.tint = tint;
+    }
+    if (size !== undefined) {
+      const next = readSize(size);
+      if (![next.x, next.y, next.z].every((value) => Number.isFinite(value) && value > 0)) {
+        throw new Error('Brush size must be positive.');
+      }
+      brush.size = next;
+    }
+    return { ...brush, size: { ...brush.size } };
+  }
+
+  // Sets a top-level field or a dotted path inside placement, attachment or
+  // procedural. null/undefined removes the key so the library default applies.
+  function setField(path, value) {
+    const keys = String(path).split('.');
+    const editable =
+      keys.length === 1 ? EDITABLE_ROOT_FIELDS.has(keys[0]) : EDITABLE_SECTIONS.has(keys[0]);
+    if (!editable || keys.some((key) => key.length === 0)) {
+      throw new Error(`Field "${path}" is not editable.`);
+    }
+    return commit(`set ${path}`, (draft) => {
+      let target = draft;
+      keys.slice(0, -1).forEach((key) => {
+        if (!target[key] || typeof target[key] !== 'object' || Array.isArray(target[key])) {
+          target[key] = {};
+        }
+        target = target[key];
+      });
+      const last = keys[keys.length - 1];
+      if (value === null || value === undefined) {
+        delete target[last];
+      } else {
+        target[last] = value;
+      }
+    });
+  }
+
+  function ensureNodeGrowth(draft) {
+    draft.procedural = draft.procedural ?? {};
+    if (!draft.procedural.nodeGrowth) {
+      draft.procedural.nodeGrowth = {
+        defaultVoxel: {
+          type: brush.type,
+          isSolid: true,
+          ...(brush.tint ? { tint: brush.tint } : {}),
+        },
+        nodes: [],
+        segments: [],
+      };
+    }
+    const nodeGrowth = draft.procedural.nodeGrowth;
+    nodeGrowth.nodes = nodeGrowth.nodes ?? [];
+    nodeGrowth.segments = nodeGrowth.segments ?? [];
+    return nodeGrowth;
+  }
+
+  // Adds or moves a growth node; `parent` also links a segment from it.
+  function setNode(id, position, { parent = null } = {}) {
+    return commit(`node ${id}`, (draft) => {
+      const nodeGrowth = ensureNodeGrowth(draft);
+      if (parent && !nodeGrowth.nodes.some((node) => node.id === parent)) {
+        throw new Error(`Unknown parent node "${parent}".`);
+      }
+      const existing = nodeGrowth.nodes.find((node) => node.id === id);
+      if (existing) {
+        existing.position = position;
+      } else {
+        nodeGrowth.nodes.push({ id, position });
+      }
+      const linked = nodeGrowth.segments.some(
+        (segment) =>
+          (segment.from === parent && segment.to === id) ||
+          (segment.from === id && segment.to === parent),
+      );
+      if (parent && !linked) {
+        nodeGrowth.segments.push({ from: parent, to: id });
+      }
+    });
+  }
+
+  function removeNode(id) {
+    return commit(`remove node ${id}`, (draft) => {
+      const nodeGrowth = draft.procedural?.nodeGrowth;
+      if (!nodeGrowth?.nodes?.some((node) => node.id === id)) {
+        throw new Error(`Unknown node "${id}".`);
+      }
+      nodeGrowth.nodes = nodeGrowth.nodes.filter((node) => node.id !== id);
+      nodeGrowth.segments = (nodeGrowth.segments ?? []).filter(
+        (segment) => segment.from !== id && segment.to !== id,
+      );
+    });
+  }
+
+  function setSegment(from, to, linked = true) {
+    return commit(`${linked ? 'link' : 'unlink'} ${from}-${to}`, (draft) => {
+      const nodeGrowth = ensureNodeGrowth(draft);
+      [from, to].forEach((id) => {
+        if (!nodeGrowth.nodes.some((node) => node.id === id)) {
+          throw new Error(`Unknown node "${id}".`);
+        }
+      });
+      const matches = (segment) =>
+        (segment.from === from && segment.to === to) || (segment.from === to && segment.to === from);
+      nodeGrowth.segments = nodeGrowth.segments.filter((segment) => !matches(segment));
+      if (linked) {
+        nodeGrowth.segments.push({ from, to });
+      }
+    });
+  }
+
+  // Replaces a node's nanovoxel list with a single palette entry, or clears it.
+  function setNodeNanovoxels(id, nanovoxelId, options = {}) {
+    if (nanovoxelId && !getNanovoxelDefinition(nanovoxelId)) {
+      throw new Error(`Unknown nanovoxel "${nanovoxelId}".`);
+    }
+    return commit(`nanovoxels ${id}`, (draft) => {
+      const node = draft.procedural?.nodeGrowth?.nodes?.find((candidate) => candidate.id === id);
+      if (!node) {
+        throw new Error(`Unknown node "${id}".`);
+      }
+      if (nanovoxelId) {
+        node.nanovoxels = [{ id: nanovoxelId, ...options }];
+      } else {
+        delete node.nanovoxels;
+      }
+    });
+  }
+
+  function undo() {
+    requireOpen();
+    const entry = undoStack.pop();
+    if (!entry) {
+      return null;
+    }
+    redoStack.push({ label: entry.label, document: draftDocument });
+    applyDocument(entry.document, normalizeDraft(entry.document));
+    return entry.label;
+  }
+
+  function redo() {
+    requireOpen();
+    const entry = redoStack.pop();
+    if (!entry) {
+      return null;
+    }
+    undoStack.push({ label: entry.label, document: draftDocument });
+    applyDocument(entry.document, normalizeDraft(entry.document));
+    return entry.label;
+  }
+
+  // Serialises the working document and proves the text loads through the
+  // library normalizer before handing it out.
+  function exportJson() {
+    requireOpen();
+    const json = `${JSON.stringify(draftDocument, null, 2)}\n`;
+    normalizeVoxelObjectDefinition(JSON.parse(json), exportPath(draftDocument));
+    return { id: draftDocument.id, path: exportPath(draftDocument), json };
+  }
+
+  function setDecorationsVisible(visible) {
+    showDecorations = Boolean(visible);
+    if (draftDocument) {
+      rebuildPreview();
+    }
+  }
+
+  function setMagnification(value) {
+    magnificationOverride =
+      value === null ? null : Math.min(MAX_MAGNIFICATION, Math.max(1, Math.round(value)));
+    if (draftDocument) {
+      rebuildPreview();
+    }
+    return magnification;
+  }
+
+  function getState() {
+    if (!draftDocument) {
+      return { open: false, tool, brush: { ...brush, size: { ...brush.size } } };
+    }
+    const nodeGrowth = draftDocument.procedural?.nodeGrowth;
+    return {
+      open: true,
+      id: draftDocument.id,
+      path: exportPath(draftDocument),
+      voxelScale: normalized.voxelScale,
+      voxels: normalized.voxels.length,
+      nodes: nodeGrowth?.nodes?.length ?? 0,
+      segments: nodeGrowth?.segments?.length ?? 0,
+      ...previewStats,
+      tool,
+      brush: { ...brush, size: { ...brush.size } },
+      showDecorations,
+      magnification,
+      undo: undoStack.length,
+      redo: redoStack.length,
+      dirty: JSON.stringify(draftDocument) !== openedJson,
+      hover: hover?.kind === 'voxel' ? hover.index : null,
+    };
+  }
+
+  function dispose() {
+    close();
+    if (grid) {
+      grid.geometry.dispose();
+      grid.material.dispose();
+    }
+    plate.geometry.dispose();
+    plateMaterial.dispose();
+    ghost.geometry.dispose();
+    ghostMaterial.dispose();
+    nodeGeometry.dispose();
+    nodeMaterial.dispose();
+    segmentMaterial.dispose();
+  }
+
+  return {
+    open,
+    create,
+    close,
+    isOpen: () => draftDocument !== null,
+    handlePointer,
+    update,
+    setTool,
+    setBrush,
+    setField,
+    setNode,
+    removeNode,
+    setSegment,
+    setNodeNanovoxels,
+    undo,
+    redo,
+    exportJson,
+    setDecorationsVisible,
+    setMagnification,
+    getState,
+    dispose,
+  };
+}
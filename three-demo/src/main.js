@@ -2,17 +2,31 @@ import * as THREE from 'three'
 import { PointerLockControls } from 'three/examples/jsm/controls/PointerLockControls.js'
 
 import { createBlockMaterials } from './rendering/textures.js'
+import { createAtmosphereController } from './rendering/atmosphere.js'
+import { createDayNightCycle } from './rendering/day-night-cycle.js'
+import { createShadowRig } from './rendering/shadow-rig.js'
+import { createUnderwaterEffect } from './rendering/underwater-effect.js'
 import {
   initializeWorldGeneration,
   worldConfig,
   terrainHeight,
+  sampleBiomeAt,
 } from './world/generation.js'
+import { resolveWorldSeed } from './world/world-seed.js'
 import { createChunkManager } from './world/chunk-manager.js'
+import { createChunkWorkerPool } from './world/chunk-worker-pool.js'
+import { createLodTerrain } from './world/lod-terrain.js'
+import { createWorldEditStore } from './world/world-edit-store.js'
+import { createCreatureManager } from './world/creatures/creature-manager.js'
+import { createVoxelPathfinder } from './world/navigation/voxel-pathfinder.js'
 import { createPlayerControls } from './player/controls.js'
+import { formatItemName } from './player/inventory.js'
 import { createCommandConsole } from './ui/command-console.js'
 import { registerDeveloperCommands } from './player/dev-commands.js'
+import { createVoxelObjectEditor } from './devtools/voxel-object-editor.js'
 import { initializeMusicSystem } from './audio/music-system.js'
 import {
+  getFluidDefinition,
   initializeFluidRegistry,
   updateFluids,
 } from './world/fluids/fluid-registry.js'
@@ -38,12 +52,33 @@ function setOverlayStatus(message, { isError = false, revealOverlay = true } = {
   }
 }
 
-initializeWorldGeneration({ THREE })
+const worldSeed = resolveWorldSeed(window.location.search)
+
+initializeWorldGeneration({ THREE, seed: worldSeed })
 initializeFluidRegistry({ THREE })
 
 const scene = new THREE.Scene()
 scene.background = new THREE.Color(0xa9d6ff)
-scene.fog = new THREE.Fog(0xa9d6ff, 20, 140)
+scene.fog = new THREE.Fog(0xa9d6ff, 60, 320)
+
+const ambientLight = new THREE.AmbientLight(0xffffff, 0.5)
+scene.add(ambientLight)
+
+const hemiLight = new THREE.HemisphereLight(0xbcdfff, 0x5a4833, 0.45)
+scene.add(hemiLight)
+
+const sun = new THREE.DirectionalLight(0xffffff, 1.1)
+sun.position.set(20, 50, 20)
+sun.castShadow = true
+scene.add(sun)
+
+const dayNightCycle = createDayNightCycle({
+  THREE,
+  scene,
+  sun,
+  ambientLight,
+  hemisphereLight: hemiLight,
+})
 
 const camera = new THREE.PerspectiveCamera(
   75,
@@ -97,6 +132,38 @@ hud.innerHTML = `
 `
 document.body.appendChild(hud)
 
+const HOTBAR_SLOTS = 9
+
+const hotbar = document.createElement('div')
+hotbar.id = 'hotbar'
+hotbar.setAttribute('aria-label', 'Hotbar')
+hotbar.innerHTML = Array.from(
+  { length: HOTBAR_SLOTS },
+  (_, index) => `
+    <div class="hotbar-slot" data-slot="${index}">
+      <span class="hotbar-key">${index + 1}</span>
+      <span class="hotbar-item"></span>
+      <span class="hotbar-count"></span>
+    </div>`,
+).join('')
+document.body.appendChild(hotbar)
+const hotbarSlots = Array.from(hotbar.querySelectorAll('.hotbar-slot'))
+let lastHotbarSignature = null
+
+const deathScreen = document.createElement('div')
+deathScreen.id = 'death-screen'
+deathScreen.className = 'hidden'
+deathScreen.setAttribute('aria-hidden', 'true')
+deathScreen.innerHTML = `
+  <div class="death-panel" role="alertdialog" aria-labelledby="death-title">
+    <h2 id="death-title">You died</h2>
+    <p id="death-cause"></p>
+    <p id="death-detail"></p>
+    <button type="button" id="death-respawn">Respawn</button>
+  </div>
+`
+document.body.appendChild(deathScreen)
+
 const musicSystem = initializeMusicSystem({ overlay, root: document.body })
 
 const healthFill = hud.querySelector('#hud-health-fill')
@@ -104,6 +171,9 @@ const healthValue = hud.querySelector('#hud-health-value')
 const oxygenFill = hud.querySelector('#hud-oxygen-fill')
 const oxygenValue = hud.querySelector('#hud-oxygen-value')
 const statusElement = hud.querySelector('#hud-status')
+const deathCause = deathScreen.querySelector('#death-cause')
+const deathDetail = deathScreen.querySelector('#death-detail')
+const respawnButton = deathScreen.querySelector('#death-respawn')
 let lastHudState = null
 let hudStatusOverride = null
 let hudStatusOverrideIsError = false
@@ -144,15 +214,98 @@ function updateHud(state) {
   const statusIsError = hudStatusOverride !== null ? hudStatusOverrideIsError : false
   renderHudStatus(statusMessage, statusIsError)
   hud.classList.toggle('in-water', state.isInWater)
+  hud.classList.toggle('invulnerable', Boolean(state.invulnerable))
+  hud.dataset.fluid = state.fluidType ?? ''
+  updateHotbar(state.inventory)
+  updateDeathScreen(state)
 }
 
+function updateHotbar(inventory) {
+  if (!inventory) {
+    return
+  }
+  const hotbarItems = inventory.slots.slice(0, HOTBAR_SLOTS)
+  const signature = JSON.stringify([inventory.selectedSlot, hotbarItems])
+  if (signature === lastHotbarSignature) {
+    return
+  }
+  lastHotbarSignature = signature
+  hotbarSlots.forEach((element, index) => {
+    const slot = hotbarItems[index] ?? null
+    const name = slot ? formatItemName(slot.type) : ''
+    element.classList.toggle('selected', index === inventory.selectedSlot)
+    element.classList.toggle('empty', !slot)
+    element.title = slot ? `${name} ×${slot.count}` : ''
+    element.querySelector('.hotbar-item').textContent = name
+    element.querySelector('.hotbar-count').textContent = slot && slot.count > 1 ? `${slot.count}` : ''
+  })
+}
+
+function updateDeathScreen(state) {
+  const wasDead = !deathScreen.classList.contains('hidden')
+  if (!state.isDead) {
+    if (wasDead) {
+      deathScreen.classList.add('hidden')
+      deathScreen.setAttribute('aria-hidden', 'true')
+    }
+    return
+  }
+  if (wasDead) {
+    return
+  }
+  deathCause.textContent = state.deathMessage ?? 'You died.'
+  const respawnTarget = playerControls?.getSpawnPoint() ? 'your spawn point' : 'the world spawn'
+  const itemNote = state.itemsLost > 0 ? ' Your items were lost.' : ''
+  deathDetail.textContent = `You will respawn at ${respawnTarget}.${itemNote}`
+  deathScreen.classList.remove('hidden')
+  deathScreen.removeAttribute('aria-hidden')
+  respawnButton.focus()
+}
+
+function handleRespawnClick() {
+  if (!playerControls?.isDead()) {
+    return
+  }
+  playerControls.respawn()
+  try {
+    playerControls.controls.lock()
+  } catch (error) {
+    console.warn('Failed to request pointer lock after respawning.', error)
+  }
+}
+
+respawnButton.addEventListener('click', handleRespawnClick)
+
 let blockMaterials
 let chunkManager
 let playerControls
+let worldEditStore
+let chunkWorkerPool = null
+let lodTerrain = null
+let atmosphere = null
+let shadowRig = null
+let underwater = null
+let creatures = null
+let pathfinder = null
+let voxelEditor = null
 let initializationError = null
 
 try {
-  blockMaterials = createBlockMaterials({ THREE })
+  blockMaterials = createBlockMaterials({ THREE, seed: worldSeed })
+
+  worldEditStore = createWorldEditStore({
+    worldName: new URLSearchParams(window.location.search).get('world') ?? undefined,
+    seed: worldSeed,
+  })
+
+  const useGenerationWorkers = !new URLSearchParams(window.location.search).has('noWorkers')
+  if (useGenerationWorkers) {
+    try {
+      chunkWorkerPool = createChunkWorkerPool({ seed: worldSeed })
+    } catch (error) {
+      console.warn('Chunk generation workers unavailable; generating on the main thread.', error)
+    }
+  }
 
   chunkManager = createChunkManager({
     scene,
@@ -160,8 +313,28 @@ try {
     viewDistance: 2,
     retainDistance: 3,
     maxPreloadPerUpdate: 3,
+    editStore: worldEditStore,
+    generationWorkers: chunkWorkerPool,
   })
 
+  const useLodTerrain = !new URLSearchParams(window.location.search).has('noLod')
+  if (useLodTerrain) {
+    lodTerrain = createLodTerrain({ scene, chunkManager, lodDistance: 6 })
+  }
+
+  pathfinder = createVoxelPathfinder({ chunkManager })
+
+  creatures = createCreatureManager({
+    THREE,
+    scene,
+    chunkManager,
+    sampleBiomeAt,
+    worldConfig,
+    isNight: () => dayNightCycle.isNight(),
+  })
+
+  voxelEditor = createVoxelObjectEditor({ THREE, scene, camera, blockMaterials })
+
   playerControls = createPlayerControls({
     THREE,
     PointerLockControls,
@@ -171,17 +344,48 @@ try {
     overlay,
     worldConfig,
     terrainHeight,
-    solidBlocks: chunkManager.solidBlocks,
-    softBlocks: chunkManager.softBlocks,
-    waterColumns: chunkManager.waterColumns,
     chunkManager,
     damageMaterials: blockMaterials.damageStages,
+    entities: creatures,
+    pointerTool: voxelEditor,
     onStateChange: updateHud,
   })
 
   chunkManager.update(playerControls.getPosition(), { camera })
   updateHud(playerControls.getState())
 
+  atmosphere = createAtmosphereController({
+    THREE,
+    scene,
+    hemisphereLight: hemiLight,
+    sampleBiomeAt,
+    getSkyTint: () => dayNightCycle.getSkyTint(),
+  })
+  atmosphere.update(playerControls.getPosition(), 0)
+
+  shadowRig = createShadowRig({
+    THREE,
+    scene,
+    camera,
+    renderer,
+    sun,
+    getLightDirection: () => dayNightCycle.getSunDirection(),
+    getCoverageRadius: () =>
+      (chunkManager.getViewDistance() + 0.5) * worldConfig.chunkSize,
+    preset: new URLSearchParams(window.location.search).get('shadows') ?? undefined,
+  })
+
+  underwater = createUnderwaterEffect({
+    THREE,
+    scene,
+    renderer,
+    getHeadSubmersion: () => playerControls.getHeadSubmersion(),
+    sampleBiomeAt,
+    getFluidColor: (type) => getFluidDefinition(type)?.color ?? null,
+    causticSurfaceY: worldConfig.waterLevel + 0.5,
+    onAmountChange: (amount) => musicSystem?.player.setLowPass(amount),
+  })
+
   if (import.meta.env.DEV) {
     const debugNamespace = (window.__VOXEL_DEBUG__ = window.__VOXEL_DEBUG__ || {})
     debugNamespace.chunkSnapshot = () => chunkManager.debugSnapshot?.()
@@ -192,6 +396,7 @@ try {
       getYawPitch: () => playerControls.getYawPitch(),
     }
     debugNamespace.registerDiagnosticOverlay = registerDiagnosticOverlay
+    debugNamespace.timeOfDay = () => dayNightCycle.getState()
 
     let perfFlightModulePromise = null
     const resolvePerfFlightModule = () => {
@@ -251,6 +456,15 @@ try {
     scene,
     THREE,
     registerDiagnosticOverlay,
+    worldEditStore,
+    lodTerrain,
+    atmosphere,
+    dayNightCycle,
+    shadowRig,
+    underwater,
+    creatures,
+    pathfinder,
+    voxelEditor,
   })
 
   commandConsole.log(
@@ -266,29 +480,23 @@ try {
   setHudStatusOverride(message, { isError: true })
 }
 
-const ambientLight = new THREE.AmbientLight(0xffffff, 0.5)
-scene.add(ambientLight)
-
-const hemiLight = new THREE.HemisphereLight(0xbcdfff, 0x5a4833, 0.45)
-scene.add(hemiLight)
-
-const sun = new THREE.DirectionalLight(0xffffff, 1.1)
-sun.position.set(20, 50, 20)
-sun.castShadow = true
-sun.shadow.mapSize.set(2048, 2048)
-sun.shadow.camera.near = 0.5
-sun.shadow.camera.far = 200
-scene.add(sun)
-
 if (!initializationError) {
   function animate() {
     requestAnimationFrame(animate)
     const delta = Math.min(clock.getDelta(), 0.05)
     const elapsedTime = clock.elapsedTime
 
-    chunkManager.update(playerControls.getPosition(), { camera })
+    chunkManager.update(playerControls.getPosition(), { camera, delta })
+    lodTerrain?.update(playerControls.getPosition())
     playerControls.update(delta)
+    creatures.update(playerControls.getPosition(), delta)
+    pathfinder.update()
+    voxelEditor.update()
     updateFluids(delta)
+    dayNightCycle.update(delta, camera)
+    atmosphere.update(playerControls.getPosition(), delta)
+    underwater.update(playerControls.getPosition(), delta)
+    shadowRig.update(playerControls.getPosition(), delta)
 
     if (diagnosticOverlayCallbacks.size > 0) {
       const callbacks = Array.from(diagnosticOverlayCallbacks)
@@ -307,14 +515,38 @@ if (!initializationError) {
       })
     }
 
-    renderer.render(scene, camera)
+    underwater.render(scene, camera)
   }
 
   animate()
 
+  // beforeunload cannot wait for IndexedDB, so pending edits are also written
+  // whenever the page is hidden, which browsers reliably report before unload.
+  const flushWorldEdits = () => {
+    worldEditStore?.flush().catch((error) => {
+      console.warn('Failed to persist world edits while hiding the page.', error)
+    })
+  }
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      flushWorldEdits()
+    }
+  })
+  window.addEventListener('pagehide', flushWorldEdits)
+
   window.addEventListener('beforeunload', () => {
     playerControls.dispose()
     chunkManager.dispose()
+    lodTerrain?.dispose()
+    creatures?.dispose()
+    pathfinder?.dispose()
+    voxelEditor?.dispose()
+    atmosphere?.dispose()
+    shadowRig?.dispose()
+    underwater?.dispose()
+    dayNightCycle.dispose()
+    worldEditStore?.dispose()
+    chunkWorkerPool?.dispose()
     musicSystem?.dispose()
   })
 }
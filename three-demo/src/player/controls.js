@@ -1,6 +1,4 @@
-function blockKey(x, y, z) {
-  return `${x}|${y}|${z}`;
-}
+import { createInventory, formatItemName } from './inventory.js';
 
 const POINTER_LOCK_ERROR_EVENTS = [
   'pointerlockerror',
@@ -32,11 +30,13 @@ export function createPlayerControls({
   overlay,
   worldConfig,
   terrainHeight,
-  solidBlocks,
-  softBlocks,
-  waterColumns,
   chunkManager,
   damageMaterials = [],
+  entities = null,
+  pointerTool = null,
+  respawnInvulnerabilitySeconds = 3,
+  onDeath = null,
+  onRespawn = null,
   onStateChange = () => {},
 }) {
   if (!THREE) {
@@ -93,6 +93,9 @@ export function createPlayerControls({
   let jumpRequested = false;
   let verticalVelocity = 0;
   let isGrounded = false;
+  // Depth of the camera below the surface of the fluid column it is in
+  // (negative above it), or null outside any fluid column.
+  const headSubmersion = { fluidType: null, depth: null };
   const playerEyeHeight = 1.7;
   const playerHeight = 1.8;
   const playerRadius = 0.35;
@@ -106,88 +109,58 @@ export function createPlayerControls({
   const spawnSearchRadius = 30;
   const spawnSearchStep = 6;
   const fallbackSpawnPosition = new THREE.Vector3(0, minSpawnHeight, 0);
+  // Player-set respawn point (eye position); null respawns at the world spawn.
+  let spawnPoint = null;
+  let invulnerabilityTimer = 0;
+
+  // Water's behaviour, used when the chunk manager cannot say which fluid a
+  // column holds.
+  const fallbackFluidPhysics = {
+    viscosity: 0.58,
+    buoyancy: 0,
+    damagePerSecond: 0,
+    damageMessage: null,
+    breathable: false,
+  };
 
-  function normalizeWaterColumnMetadata(metadata) {
-    if (!metadata || typeof metadata !== 'object') {
-      return null;
-    }
-    const resolveValue = (value) => {
-      const numeric = Number(value);
-      return Number.isFinite(numeric) ? numeric : null;
-    };
-    const bottomCandidates = [
-      metadata.bottomY,
-      metadata.minY,
-      metadata.yMin,
-      metadata.min,
-    ];
-    const surfaceCandidates = [
-      metadata.surfaceY,
-      metadata.maxY,
-      metadata.yMax,
-      metadata.max,
-    ];
-    let bottom = null;
-    for (let i = 0; i < bottomCandidates.length && bottom === null; i += 1) {
-      bottom = resolveValue(bottomCandidates[i]);
-    }
-    let surface = null;
-    for (let i = 0; i < surfaceCandidates.length && surface === null; i += 1) {
-      surface = resolveValue(surfaceCandidates[i]);
-    }
-    if (bottom === null && surface === null) {
-      return null;
-    }
-    if (bottom === null) {
-      bottom = surface;
-    }
-    if (surface === null) {
-      surface = bottom;
-    }
-    const min = Math.min(bottom, surface);
-    const max = Math.max(bottom, surface);
-    return { bottomY: min, surfaceY: max };
-  }
-
-  function getWaterColumnInfo(columnKey) {
-    if (!columnKey) {
-
-      return { exists: false, bounds: null, metadata: null };
-    }
-    if (!waterColumns) {
-      return { exists: false, bounds: null, metadata: null };
-
-    }
-    if (typeof waterColumns.has === 'function') {
-      const exists = waterColumns.has(columnKey);
-      if (!exists) {
-
-        return { exists: false, bounds: null, metadata: null };
-
-      }
-      if (typeof waterColumns.get === 'function') {
-        const metadata = waterColumns.get(columnKey);
-        const bounds = metadata === null ? null : normalizeWaterColumnMetadata(metadata);
-
-        return { exists: true, bounds, metadata };
-      }
-      return { exists: true, bounds: null, metadata: null };
+  function getFluidColumnInfo(x, z) {
+    const column =
+      typeof chunkManager.getFluidColumn === 'function'
+        ? chunkManager.getFluidColumn(x, z)
+        : chunkManager.getWaterColumn(x, z);
+    if (!column) {
+      return {
+        exists: false,
+        bounds: null,
+        metadata: null,
+        type: null,
+        physics: fallbackFluidPhysics,
+      };
     }
-    if (Array.isArray(waterColumns)) {
-      const exists = waterColumns.includes(columnKey);
-      return { exists, bounds: null, metadata: null };
+    const type = column.type ?? 'water';
+    const physics = column.physics ?? fallbackFluidPhysics;
+    if (column.bottomY === null && column.surfaceY === null) {
+      return { exists: true, bounds: null, metadata: column, type, physics };
     }
-    return { exists: false, bounds: null, metadata: null };
-
+    const bottom = column.bottomY ?? column.surfaceY;
+    const surface = column.surfaceY ?? column.bottomY;
+    return {
+      exists: true,
+      bounds: { bottomY: Math.min(bottom, surface), surfaceY: Math.max(bottom, surface) },
+      metadata: column,
+      type,
+      physics,
+    };
   }
   const pointerLockElement = renderer.domElement;
   const pointerLockDocument = pointerLockElement.ownerDocument;
   const pointerLockSupported = isPointerLockSupported(pointerLockDocument);
   const overlayStatus = overlay?.querySelector('#overlay-status');
   let lockAttemptTimer = null;
-  const attackRay = new THREE.Raycaster();
-  attackRay.far = 6.2;
-  const aimVector = new THREE.Vector2(0, 0);
+  const reachDistance = 6.2;
+  const entityAttackDamage = 4;
+  const aimOrigin = new THREE.Vector3();
+  const aimDirection = new THREE.Vector3();
   const blockDurability = new Map([
     ['grass', 0.8],
     ['dirt', 1.2],
@@ -195,6 +168,11 @@ export function createPlayerControls({
     ['stone', 2.4],
     ['log', 1.8],
     ['leaf', 0.5],
+    ['coal_ore', 2.8],
+    ['copper_ore', 3.2],
+    ['iron_ore', 3.6],
+    ['gold_ore', 4.2],
+    ['crystal_ore', 4.8],
   ]);
   const overlayMaterials = Array.isArray(damageMaterials) && damageMaterials.length > 0
     ? damageMaterials
@@ -219,6 +197,14 @@ export function createPlayerControls({
     target: null,
     progress: 0,
   };
+  const inventory = createInventory({ onChange: () => markStateDirty() });
+  // The only death rule is whether this inventory survives, so it lives here.
+  const deathRules = {
+    keepInventory: true,
+  };
+  // Object voxels are often smaller than a block; their volume accumulates
+  // per type until it adds up to whole items.
+  const partialYield = new Map();
 
   function hideOverlay() {
     if (!overlay) {
@@ -247,6 +233,11 @@ export function createPlayerControls({
     oxygen: 12,
     maxOxygen: 12,
     isInWater: false,
+    fluidType: null,
+    isDead: false,
+    deathMessage: null,
+    itemsLost: 0,
+    invulnerable: false,
     statusMessage: 'Click or tap the game view to look around. Use WASD to move.',
   };
   let statusTimer = Number.POSITIVE_INFINITY;
@@ -264,7 +255,7 @@ export function createPlayerControls({
     if (!stateDirty) {
       return;
     }
-    onStateChange({ ...playerState });
+    onStateChange(getState());
     stateDirty = false;
   }
 
@@ -287,7 +278,7 @@ export function createPlayerControls({
   }
 
   function applyDamage(amount, message) {
-    if (cheatState.godMode) {
+    if (cheatState.godMode || playerState.isDead || invulnerabilityTimer > 0) {
       return;
     }
     if (amount <= 0) {
@@ -298,11 +289,52 @@ export function createPlayerControls({
     if (playerState.health !== previousHealth) {
       markStateDirty();
     }
+    if (playerState.health <= 0) {
+      die(message);
+      return;
+    }
     if (message) {
       setStatus(message, 2.4);
     }
   }
 
+  function die(cause) {
+    if (playerState.isDead) {
+      return;
+    }
+    playerState.isDead = true;
+    playerState.health = 0;
+    playerState.deathMessage = cause || 'You died.';
+    clearHeldInput();
+    resetAttackProgress();
+    verticalVelocity = 0;
+    maxDownwardSpeed = 0;
+    statusTimer = 0;
+    clearStatus();
+    playerState.itemsLost = 0;
+    if (!deathRules.keepInventory) {
+      playerState.itemsLost = inventory.clear();
+      partialYield.clear();
+    }
+    markStateDirty();
+    if (controls.isLocked) {
+      try {
+        controls.unlock();
+      } catch (error) {
+        console.warn('Failed to release pointer lock after death.', error);
+      }
+    }
+    if (typeof onDeath === 'function') {
+      onDeath({
+        cause: playerState.deathMessage,
+        position: controlObject.position.clone(),
+        keepInventory: deathRules.keepInventory,
+        itemsLost: playerState.itemsLost,
+      });
+    }
+    pushState();
+  }
+
   function setOverlayStatus(message, { isError = false, showOverlay: shouldShow = false } = {}) {
     if (!overlayStatus) {
       return;
@@ -353,12 +385,9 @@ export function createPlayerControls({
   }
 
   function highestSolidAt(x, z) {
-    if (!solidBlocks || typeof solidBlocks.has !== 'function') {
-      return null;
-    }
     const ceiling = Math.max(Math.ceil(minSpawnHeight) + 8, worldConfig.maxHeight + 32);
     for (let y = ceiling; y >= -32; y--) {
-      if (solidBlocks.has(blockKey(x, y, z))) {
+      if (chunkManager.isSolid(x, y, z)) {
         return y;
       }
     }
@@ -385,11 +414,12 @@ export function createPlayerControls({
       return null;
     }
 
-    const columnKey = `${x}|${z}`;
-    const { exists: hasWaterColumn, bounds } = getWaterColumnInfo(columnKey);
+    const { exists: columnHasWater, bounds } = getFluidColumnInfo(x, z);
     const waterSurface = Number.isFinite(bounds?.surfaceY)
       ? bounds.surfaceY
       : worldConfig.waterLevel + 0.5;
+    // Flooded caves sit below solid ground; only open water counts here.
+    const hasWaterColumn = columnHasWater && waterSurface > surfaceY;
     const isSubmerged = hasWaterColumn && surfaceY <= waterSurface;
     const spawnY = Math.max(surfaceY + playerEyeHeight + spawnDropHeight, minSpawnHeight);
 
@@ -447,7 +477,7 @@ export function createPlayerControls({
     };
   }
 
-  function initializeSpawn() {
+  function moveToWorldSpawn() {
     controlObject.position.copy(fallbackSpawnPosition);
     preloadChunksAround(controlObject.position);
 
@@ -458,6 +488,11 @@ export function createPlayerControls({
     if (!attemptCollisionRescue('spawn')) {
       console.error('Unable to resolve spawn collisions. Player may remain stuck.');
     }
+    return selection;
+  }
+
+  function initializeSpawn() {
+    const selection = moveToWorldSpawn();
 
     if (selection.usedFallback) {
       console.warn('Using fallback spawn height because no suitable terrain column was found nearby.');
@@ -545,6 +580,17 @@ export function createPlayerControls({
           flyState.descend = true;
         }
         break;
+      case 'Digit1':
+      case 'Digit2':
+      case 'Digit3':
+      case 'Digit4':
+      case 'Digit5':
+      case 'Digit6':
+      case 'Digit7':
+      case 'Digit8':
+      case 'Digit9':
+        inventory.selectSlot(Number(event.code.slice(5)) - 1);
+        break;
       default:
         break;
     }
@@ -662,8 +708,29 @@ export function createPlayerControls({
       return;
     }
     if (controls.isLocked) {
+      // An active tool (the voxel object editor) gets first claim on clicks.
+      if (pointerTool && !playerState.isDead) {
+        camera.getWorldPosition(aimOrigin);
+        camera.getWorldDirection(aimDirection);
+        const handled = pointerTool.handlePointer({
+          button: event.button,
+          origin: aimOrigin,
+          direction: aimDirection,
+        });
+        if (handled) {
+          if (event.button === 1) {
+            event.preventDefault();
+          }
+          return;
+        }
+      }
       if (event.button === 0) {
-        attackState.swinging = true;
+        attackState.swinging = !strikeAimedEntity();
+      } else if (event.button === 2) {
+        placeAimedBlock();
+      } else if (event.button === 1) {
+        event.preventDefault();
+        pickAimedBlockType();
       }
       return;
     }
@@ -679,6 +746,17 @@ export function createPlayerControls({
     }
   }
 
+  function handleContextMenu(event) {
+    event.preventDefault();
+  }
+
+  function handleWheel(event) {
+    if (!inputEnabled || !controls.isLocked || playerState.isDead || event.deltaY === 0) {
+      return;
+    }
+    inventory.cycleSelection(event.deltaY);
+  }
+
   hideOverlay();
   overlay?.addEventListener('click', handleOverlayClick);
   controls.addEventListener('lock', handleLock);
@@ -687,7 +765,9 @@ export function createPlayerControls({
   document.addEventListener('keyup', onKeyUp);
   pointerLockElement.addEventListener('pointerdown', handlePointerDown);
   pointerLockElement.addEventListener('pointerup', handlePointerUp);
+  pointerLockElement.addEventListener('contextmenu', handleContextMenu);
   document.addEventListener('pointerup', handlePointerUp);
+  document.addEventListener('wheel', handleWheel, { passive: true });
   POINTER_LOCK_ERROR_EVENTS.forEach((eventName) =>
     pointerLockDocument.addEventListener(eventName, handlePointerLockError)
   );
@@ -777,7 +857,7 @@ export function createPlayerControls({
     for (let x = minBlockX; x <= maxBlockX; x++) {
       for (let z = minBlockZ; z <= maxBlockZ; z++) {
         for (let y = minY - 1; y <= maxY + 1; y++) {
-          if (!solidBlocks.has(blockKey(x, y, z))) {
+          if (!chunkManager.isSolid(x, y, z)) {
             continue;
           }
 
@@ -879,10 +959,6 @@ export function createPlayerControls({
   }
 
   function isInSoftMedium(position) {
-    if (!softBlocks || softBlocks.size === 0) {
-      return false;
-    }
-
     const playerFeet = position.y - playerEyeHeight;
     const playerHead = position.y;
     const minBlockX = Math.floor(position.x - playerRadius - 0.5);
@@ -896,7 +972,7 @@ export function createPlayerControls({
     for (let x = minBlockX; x <= maxBlockX; x++) {
       for (let z = minBlockZ; z <= maxBlockZ; z++) {
         for (let y = minBlockY; y <= maxBlockY; y++) {
-          if (!softBlocks.has(blockKey(x, y, z))) {
+          if (chunkManager.getCollisionMode(x, y, z) !== 'soft') {
             continue;
           }
 
@@ -948,7 +1024,7 @@ export function createPlayerControls({
     for (let x = minBlockX; x <= maxBlockX; x++) {
       for (let z = minBlockZ; z <= maxBlockZ; z++) {
         for (let y = searchTop; y >= searchBottom; y--) {
-          if (!solidBlocks.has(blockKey(x, y, z))) {
+          if (!chunkManager.isSolid(x, y, z)) {
             continue;
           }
 
@@ -986,19 +1062,23 @@ export function createPlayerControls({
     const { forward, backward, left, right, sprint } = moveState;
     const position = controlObject.position;
 
+    if (playerState.isDead) {
+      pushState();
+      return;
+    }
+
     const resolved = attemptCollisionRescue('update');
     if (!resolved && collidesAt(position)) {
       pushState();
       return;
     }
 
-    const columnKey = `${Math.round(position.x)}|${Math.round(position.z)}`;
     const feetY = position.y - playerEyeHeight;
     const headY = position.y;
-    const columnInfo = getWaterColumnInfo(columnKey);
+    const columnInfo = getFluidColumnInfo(Math.round(position.x), Math.round(position.z));
     const columnBounds = columnInfo.bounds;
-
     const columnMetadata = columnInfo.metadata;
+    const fluidPhysics = columnInfo.physics;
 
     const fallbackWaterSurface = worldConfig.waterLevel + 0.5;
     const effectiveWaterSurface = Number.isFinite(columnBounds?.surfaceY)
@@ -1019,20 +1099,31 @@ export function createPlayerControls({
           headY <= maxWater + waterColumnEpsilon;
         feetInWater = feetWithin;
         headUnderwater = headWithin && headY < maxWater - waterColumnEpsilon;
+        headSubmersion.depth = headY >= minWater - waterColumnEpsilon ? maxWater - headY : null;
       } else {
         feetInWater = feetY < effectiveWaterSurface;
         headUnderwater = headY < effectiveWaterSurface;
+        headSubmersion.depth = effectiveWaterSurface - headY;
       }
+    } else {
+      headSubmersion.depth = null;
     }
+    headSubmersion.fluidType = headSubmersion.depth === null ? null : columnInfo.type;
     const inSoftMedium = !feetInWater && isInSoftMedium(position);
 
-    if (playerState.isInWater !== feetInWater) {
+    const fluidType = feetInWater ? columnInfo.type : null;
+    if (playerState.isInWater !== feetInWater || playerState.fluidType !== fluidType) {
       playerState.isInWater = feetInWater;
+      playerState.fluidType = fluidType;
       markStateDirty();
     }
 
+    if (feetInWater && fluidPhysics.damagePerSecond > 0) {
+      applyDamage(fluidPhysics.damagePerSecond * delta, fluidPhysics.damageMessage);
+    }
+
     const previousOxygen = playerState.oxygen;
-    if (headUnderwater) {
+    if (headUnderwater && !fluidPhysics.breathable) {
       playerState.oxygen = Math.max(0, playerState.oxygen - delta);
       if (playerState.oxygen === 0) {
         applyDamage(15 * delta, 'You are drowning!');
@@ -1087,7 +1178,7 @@ export function createPlayerControls({
       const mediumPenalty = flightActive
         ? 1
         : feetInWater
-        ? 0.42
+        ? 1 - fluidPhysics.viscosity
         : inSoftMedium
         ? 0.7
         : 1;
@@ -1170,13 +1261,14 @@ export function createPlayerControls({
           ? columnMetadata.buoyancy
           : Number.isFinite(columnBounds?.buoyancy)
           ? columnBounds.buoyancy
-          : 0;
+          : fluidPhysics.buoyancy;
         if (columnBuoyancy > 0) {
           const buoyancy = submersion * columnBuoyancy;
           verticalVelocity += buoyancy * delta;
         }
 
-        verticalVelocity *= 0.82;
+        // Water (viscosity 0.58) keeps 82% of its vertical speed per frame.
+        verticalVelocity *= 1 - fluidPhysics.viscosity * 0.31;
         if (sprint && !isGrounded) {
           verticalVelocity -= 4.2 * delta;
         }
@@ -1223,6 +1315,14 @@ export function createPlayerControls({
       }
     }
 
+    if (invulnerabilityTimer > 0) {
+      invulnerabilityTimer = Math.max(0, invulnerabilityTimer - delta);
+      if (invulnerabilityTimer === 0) {
+        playerState.invulnerable = false;
+        markStateDirty();
+      }
+    }
+
     updateAttack(delta);
     pushState();
   }
@@ -1233,20 +1333,7 @@ export function createPlayerControls({
       return;
     }
 
-    attackRay.setFromCamera(aimVector, camera);
-    const intersections = attackRay.intersectObjects(scene.children, true);
-    let blockInfo = null;
-    for (const intersection of intersections) {
-      if (!intersection.object?.isInstancedMesh) {
-        continue;
-      }
-      const info = chunkManager.getBlockFromIntersection(intersection);
-      if (!info?.entry || info.entry.destructible === false) {
-        continue;
-      }
-      blockInfo = info;
-      break;
-    }
+    const blockInfo = castAimRay((hit) => hit.entry.destructible !== false);
 
     if (!blockInfo) {
       decayAttack(delta);
@@ -1256,6 +1343,8 @@ export function createPlayerControls({
     if (!attackState.target || attackState.target.entry.key !== blockInfo.entry.key) {
       attackState.target = { ...blockInfo };
       attackState.progress = 0;
+    } else {
+      attackState.target.instanceId = blockInfo.instanceId;
     }
 
     if (attackState.swinging) {
@@ -1263,6 +1352,10 @@ export function createPlayerControls({
       const durability = blockDurability.get(type) ?? 1.2;
       attackState.progress += delta / Math.max(durability, 0.1);
       if (attackState.progress >= 1) {
+        const removalYield = chunkManager.getRemovalYield?.({
+          chunk: attackState.target.chunk,
+          entry: attackState.target.entry,
+        });
         if (attackState.target.isDecoration) {
           chunkManager.removeDecorationInstance({
             chunk: attackState.target.chunk,
@@ -1277,6 +1370,7 @@ export function createPlayerControls({
             instanceId: attackState.target.instanceId,
           });
         }
+        collectYield(removalYield ?? []);
         resetAttackProgress();
         return;
       }
@@ -1291,6 +1385,136 @@ export function createPlayerControls({
     }
   }
 
+  function castAimRay(filter = null) {
+    camera.getWorldPosition(aimOrigin);
+    camera.getWorldDirection(aimDirection);
+    return chunkManager.raycast({
+      origin: aimOrigin,
+      direction: aimDirection,
+      maxDistance: reachDistance,
+      filter: (hit) => Boolean(hit.entry) && (!filter || filter(hit)),
+    });
+  }
+
+  // Creatures in reach take the hit ahead of any block behind them.
+  function strikeAimedEntity() {
+    if (!entities || playerState.isDead) {
+      return false;
+    }
+    camera.getWorldPosition(aimOrigin);
+    camera.getWorldDirection(aimDirection);
+    const entityHit = entities.raycast(aimOrigin, aimDirection, reachDistance);
+    if (!entityHit) {
+      return false;
+    }
+    const blockHit = castAimRay();
+    if (blockHit && blockHit.distance < entityHit.distance) {
+      return false;
+    }
+    entities.damage(entityHit.creature, entityAttackDamage, { from: controlObject.position });
+    return true;
+  }
+
+  function blockOverlapsPlayer(x, y, z) {
+    const position = controlObject.position;
+    const feet = position.y - playerEyeHeight;
+    const epsilon = 1e-4;
+    return (
+      position.x + playerRadius > x - 0.5 + epsilon &&
+      position.x - playerRadius < x + 0.5 - epsilon &&
+      feet + playerHeight > y - 0.5 + epsilon &&
+      feet < y + 0.5 - epsilon &&
+      position.z + playerRadius > z - 0.5 + epsilon &&
+      position.z - playerRadius < z + 0.5 - epsilon
+    );
+  }
+
+  const removePlacementGuard = chunkManager.addPlacementGuard?.(
+    ({ x, y, z, collisionMode }) => collisionMode === 'solid' && blockOverlapsPlayer(x, y, z)
+  );
+
+  function collectYield(removalYield) {
+    const collected = [];
+    let overflow = false;
+    removalYield.forEach(({ type, volume }) => {
+      const total = (partialYield.get(type) ?? 0) + volume;
+      // Tolerance keeps eight 0.5-scale voxels from summing to 0.9999.
+      const count = Math.floor(total + 1e-6);
+      partialYield.set(type, Math.max(0, total - count));
+      if (count <= 0) {
+        return;
+      }
+      const added = inventory.addItem(type, count);
+      if (added > 0) {
+        collected.push(`${added} ${formatItemName(type)}`);
+      }
+      if (added < count) {
+        overflow = true;
+      }
+    });
+    if (overflow) {
+      setStatus('Your inventory is full.');
+    } else if (collected.length > 0) {
+      setStatus(`Collected ${collected.join(', ')}.`, 1.6);
+    }
+  }
+
+  function placeAimedBlock() {
+    if (!chunkManager.placeBlock || playerState.isDead) {
+      return null;
+    }
+    const aimed = castAimRay();
+    if (!aimed) {
+      return null;
+    }
+    const item = inventory.getSelectedItem();
+    if (!item) {
+      setStatus('Select a block in the hotbar to build.');
+      return null;
+    }
+    if (chunkManager.canPlaceBlockType && !chunkManager.canPlaceBlockType(item.type)) {
+      setStatus(`${formatItemName(item.type)} cannot be placed.`);
+      return null;
+    }
+    const { x, y, z } = aimed.adjacent;
+    if (blockOverlapsPlayer(x, y, z)) {
+      setStatus('You cannot place a block inside yourself.');
+      return null;
+    }
+    const entry = chunkManager.placeBlock({ type: item.type, x, y, z });
+    if (!entry) {
+      setStatus('That space is already occupied.');
+      return null;
+    }
+    inventory.removeFromSlot(inventory.getSelectedSlot(), 1);
+    return entry;
+  }
+
+  function pickAimedBlockType() {
+    const type = castAimRay()?.entry.type;
+    if (!type) {
+      return null;
+    }
+    if (!setBuildBlockType(type)) {
+      setStatus(`You have no ${formatItemName(type)} in your hotbar.`);
+      return null;
+    }
+    return type;
+  }
+
+  // Selects the hotbar slot holding `type`, if there is one.
+  function setBuildBlockType(type) {
+    if (!inventory.selectItem(type)) {
+      return false;
+    }
+    setStatus(`Building with ${formatItemName(type)}.`);
+    return true;
+  }
+
+  function getBuildBlockType() {
+    return inventory.getSelectedItem()?.type ?? null;
+  }
+
   function decayAttack(delta) {
     attackState.target = null;
     attackState.progress = Math.max(0, attackState.progress - delta * 2.5);
@@ -1332,6 +1556,18 @@ export function createPlayerControls({
     }
   }
 
+  function clearHeldInput() {
+    moveState.forward = false;
+    moveState.backward = false;
+    moveState.left = false;
+    moveState.right = false;
+    moveState.sprint = false;
+    flyState.ascend = false;
+    flyState.descend = false;
+    jumpRequested = false;
+    stopAttack();
+  }
+
   function setInputEnabled(enabled) {
     const next = Boolean(enabled);
     if (inputEnabled === next) {
@@ -1339,15 +1575,7 @@ export function createPlayerControls({
     }
     inputEnabled = next;
     if (!inputEnabled) {
-      moveState.forward = false;
-      moveState.backward = false;
-      moveState.left = false;
-      moveState.right = false;
-      moveState.sprint = false;
-      flyState.ascend = false;
-      flyState.descend = false;
-      jumpRequested = false;
-      stopAttack();
+      clearHeldInput();
     }
   }
 
@@ -1391,7 +1619,14 @@ export function createPlayerControls({
     if (!Number.isFinite(numeric)) {
       throw new Error('Health value must be a finite number.');
     }
+    if (playerState.isDead) {
+      throw new Error('The player is dead. Respawn before changing health.');
+    }
     const clamped = THREE.MathUtils.clamp(numeric, 0, 100);
+    if (clamped === 0) {
+      die(null);
+      return playerState.health;
+    }
     if (playerState.health !== clamped) {
       playerState.health = clamped;
       markStateDirty();
@@ -1400,6 +1635,74 @@ export function createPlayerControls({
     return playerState.health;
   }
 
+  // Brings the player back at the spawn point (or the world spawn picked by
+  // selectSpawnPosition) with full health and oxygen, then keeps damage off
+  // for respawnInvulnerabilitySeconds so the landing cannot kill again.
+  function respawn() {
+    const usedSpawnPoint = Boolean(spawnPoint);
+    if (spawnPoint) {
+      controlObject.position.copy(spawnPoint);
+      preloadChunksAround(controlObject.position);
+      if (!attemptCollisionRescue('spawn')) {
+        console.error('Unable to resolve spawn point collisions. Player may remain stuck.');
+      }
+    } else {
+      moveToWorldSpawn();
+    }
+
+    clearHeldInput();
+    resetAttackProgress();
+    verticalVelocity = 0;
+    maxDownwardSpeed = 0;
+    isGrounded = false;
+    playerState.isDead = false;
+    playerState.deathMessage = null;
+    playerState.itemsLost = 0;
+    playerState.health = 100;
+    playerState.oxygen = playerState.maxOxygen;
+    invulnerabilityTimer = Math.max(0, respawnInvulnerabilitySeconds);
+    playerState.invulnerable = invulnerabilityTimer > 0;
+    markStateDirty();
+    setStatus(usedSpawnPoint ? 'You respawned at your spawn point.' : 'You respawned at the world spawn.', 3);
+    pushState();
+
+    if (typeof onRespawn === 'function') {
+      onRespawn({ position: controlObject.position.clone(), usedSpawnPoint });
+    }
+    return controlObject.position;
+  }
+
+  function isDead() {
+    return playerState.isDead;
+  }
+
+  function setSpawnPoint(position) {
+    if (position === null) {
+      spawnPoint = null;
+      return null;
+    }
+    const next = new THREE.Vector3();
+    copyVectorLike(position, next);
+    if (!Number.isFinite(next.x) || !Number.isFinite(next.y) || !Number.isFinite(next.z)) {
+      throw new Error('Spawn point components must be finite numbers.');
+    }
+    spawnPoint = next;
+    return spawnPoint.clone();
+  }
+
+  function getSpawnPoint() {
+    return spawnPoint ? spawnPoint.clone() : null;
+  }
+
+  function setKeepInventory(enabled) {
+    deathRules.keepInventory = Boolean(enabled);
+    return deathRules.keepInventory;
+  }
+
+  function isKeepInventoryEnabled() {
+    return deathRules.keepInventory;
+  }
+
   function setOxygen(value) {
     const numeric = Number(value);
     if (!Number.isFinite(numeric)) {
@@ -1435,11 +1738,14 @@ export function createPlayerControls({
     document.removeEventListener('keyup', onKeyUp);
     pointerLockElement.removeEventListener('pointerdown', handlePointerDown);
     pointerLockElement.removeEventListener('pointerup', handlePointerUp);
+    pointerLockElement.removeEventListener('contextmenu', handleContextMenu);
     document.removeEventListener('pointerup', handlePointerUp);
+    document.removeEventListener('wheel', handleWheel);
     POINTER_LOCK_ERROR_EVENTS.forEach((eventName) =>
       pointerLockDocument.removeEventListener(eventName, handlePointerLockError)
     );
     clearLockAttemptTimer();
+    removePlacementGuard?.();
     scene.remove(damageOverlayMesh);
     damageOverlayMesh.geometry.dispose();
   }
@@ -1448,8 +1754,16 @@ export function createPlayerControls({
     return controlObject.position;
   }
 
+  function getFeetPosition() {
+    return controlObject.position.clone().setY(controlObject.position.y - playerEyeHeight);
+  }
+
   function getState() {
-    return { ...playerState };
+    return { ...playerState, inventory: inventory.getState() };
+  }
+
+  function getHeadSubmersion() {
+    return { ...headSubmersion };
   }
 
   return {
@@ -1459,8 +1773,10 @@ export function createPlayerControls({
     update,
     dispose,
     getPosition,
+    getFeetPosition,
     setPosition,
     getState,
+    getHeadSubmersion,
     getYawPitch,
     setYawPitch,
     setInputEnabled,
@@ -1470,9 +1786,19 @@ export function createPlayerControls({
     isFlightEnabled,
     unstuck,
     setHealth,
+    respawn,
+    isDead,
+    setSpawnPoint,
+    getSpawnPoint,
+    setKeepInventory,
+    isKeepInventoryEnabled,
     setOxygen,
     getMaxOxygen,
     setStatusMessage,
     clearStatusMessage,
+    placeAimedBlock,
+    setBuildBlockType,
+    getBuildBlockType,
+    inventory,
   };
 }
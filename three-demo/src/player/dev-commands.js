@@ -1,6 +1,22 @@
 import { renderAsciiViewport } from '../devtools/ascii-viewport.js';
 import { createHeadlessScanner } from '../devtools/headless-scanner.js';
-import { sampleBiomeAt, worldConfig } from '../world/generation.js';
+import { createPathOverlay } from '../devtools/path-overlay.js';
+import { createSectorOverlay } from '../devtools/sector-overlay.js';
+import { createVoxDropLoader } from '../devtools/vox-drop-loader.js';
+import { formatTimeOfDay, parseTimeOfDay, TIME_PRESETS } from '../rendering/day-night-cycle.js';
+import { SHADOW_PRESETS } from '../rendering/shadow-rig.js';
+import { chunkIndexFromWorld } from '../world/chunk-manager.js';
+import {
+  getWorldSeed,
+  sampleBiomeAt,
+  sampleSurfaceColumn,
+  worldConfig,
+} from '../world/generation.js';
+import { getSectorAt, sectorSize } from '../world/sector-object-planner.js';
+import { convertVoxToVoxelObjects } from '../world/vox/vox-to-voxel-object.js';
+import { getAllVoxelObjects } from '../world/voxel-object-library.js';
+import { normalizeWorldSeed } from '../world/world-seed.js';
+import { formatItemName } from './inventory.js';
 
 export function registerDeveloperCommands({
   commandConsole,
@@ -9,6 +25,15 @@ export function registerDeveloperCommands({
   scene,
   THREE,
   registerDiagnosticOverlay,
+  worldEditStore = null,
+  lodTerrain = null,
+  atmosphere = null,
+  dayNightCycle = null,
+  shadowRig = null,
+  underwater = null,
+  creatures = null,
+  pathfinder = null,
+  voxelEditor = null,
 }) {
   if (!commandConsole) {
     throw new Error('registerDeveloperCommands requires a commandConsole instance.');
@@ -56,8 +81,6 @@ export function registerDeveloperCommands({
     lastKey: null,
   };
 
-  const getDebugSnapshot = () => window.__VOXEL_DEBUG__?.chunkSnapshot;
-
   const cloneAsciiOptions = (source = asciiState.options) => ({
     radius: Math.max(1, Math.round(source.radius ?? 16)),
     lowerOffset: Math.round(source.lowerOffset ?? -1),
@@ -196,14 +219,6 @@ export function registerDeveloperCommands({
   };
 
   const buildAsciiView = ({ optionsOverride } = {}) => {
-    const snapshotGetter = getDebugSnapshot();
-    if (typeof snapshotGetter !== 'function') {
-      return { error: 'Chunk snapshot debug hook is not available yet.' };
-    }
-    const snapshot = snapshotGetter();
-    if (!snapshot || !Array.isArray(snapshot.chunks)) {
-      return { error: 'No chunk data has been captured yet.' };
-    }
     const playerPosition = playerControls.getPosition();
     const options = optionsOverride ? { ...optionsOverride } : cloneAsciiOptions();
     normalizeOffsets(options);
@@ -211,7 +226,7 @@ export function registerDeveloperCommands({
     const yMin = baseY + options.lowerOffset;
     const yMax = baseY + options.upperOffset;
     const view = renderAsciiViewport({
-      chunkSnapshot: snapshot,
+      getVoxel: chunkManager.getVoxel,
       playerPosition,
       radius: options.radius,
       verticalSlice: { yMin: Math.min(yMin, yMax), yMax: Math.max(yMin, yMax) },
@@ -406,11 +421,13 @@ export function registerDeveloperCommands({
       2,
     )}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)}) distance=${distance.toFixed(2)} point=(${pointData.x.toFixed(
       2,
-    )}, ${pointData.y.toFixed(2)}, ${pointData.z.toFixed(2)})`;
+    )}, ${pointData.y.toFixed(2)}, ${pointData.z.toFixed(2)})${
+      hit.normal ? ` face=(${hit.normal.x}, ${hit.normal.y}, ${hit.normal.z})` : ''
+    }${hit.isDecoration ? ' decoration' : ''}`;
     const detail = `flags: meshVisible=${diagnostics.meshVisible}, materialVisible=${diagnostics.materialVisible}, instanceInRange=${diagnostics.instanceInRange}, chunkVisible=${diagnostics.chunkVisible}, chunkKey=${diagnostics.chunkKey ??
       'n/a'}, instance=${diagnostics.instanceId ?? 'n/a'}/${
       diagnostics.meshCount ?? 'n/a'
-    }`;
+    }, voxel=${diagnostics.voxelType ?? 'empty'}:${diagnostics.voxelCollision ?? 'n/a'}`;
     const summaryKey = JSON.stringify({
       block: blockKey,
       position: {
@@ -698,6 +715,108 @@ export function registerDeveloperCommands({
     },
   });
 
+  registerCommand({
+    name: 'spawnpoint',
+    description: 'Show, set or reset the point the player respawns at after dying.',
+    usage: '/spawnpoint [here|<x> <y> <z>|reset]',
+    handler: ({ args, info, success }) => {
+      if (args.length === 0) {
+        const spawnPoint = playerControls.getSpawnPoint();
+        info(
+          spawnPoint
+            ? `Spawn point: X=${spawnPoint.x.toFixed(2)} Y=${spawnPoint.y.toFixed(2)} Z=${spawnPoint.z.toFixed(2)}.`
+            : 'No spawn point set — respawning at the world spawn.',
+        );
+        return;
+      }
+      const mode = args[0].toLowerCase();
+      if (mode === 'reset' || mode === 'clear') {
+        playerControls.setSpawnPoint(null);
+        success('Spawn point cleared. You will respawn at the world spawn.');
+        return;
+      }
+      let target;
+      if (mode === 'here') {
+        target = playerControls.getPosition();
+      } else {
+        if (args.length < 3) {
+          throw new Error('Usage: /spawnpoint [here|<x> <y> <z>|reset].');
+        }
+        target = {
+          x: parseCoordinate(args[0], 'X coordinate'),
+          y: parseCoordinate(args[1], 'Y coordinate'),
+          z: parseCoordinate(args[2], 'Z coordinate'),
+        };
+      }
+      const spawnPoint = playerControls.setSpawnPoint(target);
+      success(
+        `Spawn point set to X=${spawnPoint.x.toFixed(2)} Y=${spawnPoint.y.toFixed(2)} Z=${spawnPoint.z.toFixed(2)}.`,
+      );
+    },
+  });
+
+  registerCommand({
+    name: 'keepinventory',
+    description: 'Toggle whether items are kept when the player dies.',
+    usage: '/keepinventory [on|off|1|0|toggle]',
+    handler: ({ args, toggle, success }) => {
+      const next = toggle(args[0], playerControls.isKeepInventoryEnabled());
+      playerControls.setKeepInventory(next);
+      if (next) {
+        success('Items are kept on death.');
+        return;
+      }
+      const held = playerControls.inventory
+        .getState()
+        .slots.reduce((total, slot) => total + (slot?.count ?? 0), 0);
+      success(
+        held > 0
+          ? `Items are lost on death; ${held} held right now.`
+          : 'Items are lost on death; the inventory is empty right now.',
+      );
+    },
+  });
+
+  registerCommand({
+    name: 'give',
+    description: 'Add items to the player inventory.',
+    usage: '/give <type> [count]',
+    handler: ({ args, success, warn }) => {
+      if (args.length < 1) {
+        throw new Error('Usage: /give <type> [count].');
+      }
+      const type = args[0].toLowerCase();
+      if (!chunkManager.canPlaceBlockType(type)) {
+        throw new Error(`Unknown block type "${args[0]}".`);
+      }
+      const count = args.length > 1 ? Number.parseInt(args[1], 10) : 1;
+      if (!Number.isFinite(count) || count < 1) {
+        throw new Error('Count must be a positive integer.');
+      }
+      const added = playerControls.inventory.addItem(type, count);
+      if (added < count) {
+        warn(`Inventory full — added ${added} of ${count} ${formatItemName(type)}.`);
+        return;
+      }
+      success(`Added ${added} ${formatItemName(type)}.`);
+    },
+  });
+
+  registerCommand({
+    name: 'clear',
+    description: 'Remove every item (or every item of one type) from the inventory.',
+    usage: '/clear [type]',
+    handler: ({ args, success }) => {
+      const type = args.length > 0 ? args[0].toLowerCase() : null;
+      const removed = playerControls.inventory.clear(type);
+      success(
+        type
+          ? `Removed ${removed} ${formatItemName(type)}.`
+          : `Cleared the inventory (${removed} item(s)).`,
+      );
+    },
+  });
+
   registerCommand({
     name: 'whereami',
     description: 'Print the current player coordinates.',
@@ -854,4 +973,1033 @@ export function registerDeveloperCommands({
       }
     },
   });
+  registerCommand({
+    name: 'world',
+    description: 'List, switch, reset or delete saved worlds and their block edits.',
+    usage: '/world [list|info|use <name>|reset|delete <name>]',
+    handler: ({ args, success, info, warn, error }) => {
+      if (!worldEditStore) {
+        throw new Error('World persistence is not available in this session.');
+      }
+      const action = (args[0] ?? 'info').toLowerCase();
+      const report = (promise, onResult) => {
+        promise.then(onResult).catch((failure) => {
+          error(failure instanceof Error ? failure.message : String(failure));
+        });
+      };
+
+      if (action === 'info') {
+        const stats = worldEditStore.getStats();
+        info(
+          `World "${stats.world}" (seed ${stats.seed ?? getWorldSeed()}) — ${stats.editedChunks} edited chunk(s), ${stats.removed} removal(s), ${stats.added} placement(s)${stats.persistent ? '' : ' (not persisted)'}.`,
+        );
+        const generation = chunkManager.getGenerationStats();
+        commandConsole.log(
+          generation.workersEnabled
+            ? `  Chunk generation: ${generation.pool?.workers ?? 0} worker(s), ${generation.pending} pending, ${generation.failures} failure(s) generated on the main thread.`
+            : `  Chunk generation: main thread only (${generation.disabledReason}).`,
+        );
+        return;
+      }
+
+      if (action === 'list') {
+        report(worldEditStore.listWorlds(), (worlds) => {
+          worlds.forEach((world) => {
+            const updated = world.updatedAt
+              ? new Date(world.updatedAt).toLocaleString()
+              : 'never saved';
+            info(
+              `${world.active ? '*' : ' '} ${world.name} (seed ${world.seed ?? 'n/a'}) — ${world.editedChunks} edited chunk(s), ${updated}`,
+            );
+          });
+        });
+        return;
+      }
+
+      if (action === 'use') {
+        if (!args[1]) {
+          throw new Error('Usage: /world use <name>.');
+        }
+        const url = new URL(window.location.href);
+        url.searchParams.set('world', args[1]);
+        success(`Switching to world "${args[1]}"…`);
+        worldEditStore.flush().finally(() => {
+          window.location.assign(url.toString());
+        });
+        return;
+      }
+
+      if (action === 'reset') {
+        report(worldEditStore.clearWorld(), (count) => {
+          success(`Cleared edits in ${count} chunk(s). Reload to regenerate the affected terrain.`);
+        });
+        return;
+      }
+
+      if (action === 'delete') {
+        if (!args[1]) {
+          throw new Error('Usage: /world delete <name>.');
+        }
+        report(worldEditStore.deleteWorld(args[1]), (deleted) => {
+          if (deleted) {
+            success(`Deleted world "${args[1]}".`);
+          } else {
+            warn('World storage is unavailable; nothing was deleted.');
+          }
+        });
+        return;
+      }
+
+      throw new Error('Usage: /world [list|info|use <name>|reset|delete <name>].');
+    },
+  });
+
+  registerCommand({
+    name: 'seed',
+    description: 'Show the world seed or reload the world with a new one.',
+    usage: '/seed [value|random]',
+    handler: ({ args, info, success }) => {
+      if (args.length === 0) {
+        info(`World seed: ${getWorldSeed()}. Share ?seed=${getWorldSeed()} to reproduce this world.`);
+        return;
+      }
+      const requested =
+        args[0].toLowerCase() === 'random'
+          ? Math.floor(Math.random() * 2147483647)
+          : normalizeWorldSeed(args.join(' '));
+      if (requested === null) {
+        throw new Error('Usage: /seed [value|random].');
+      }
+      const url = new URL(window.location.href);
+      url.searchParams.set('seed', String(requested));
+      success(`Regenerating the world with seed ${requested}…`);
+      const pendingFlush = worldEditStore ? worldEditStore.flush() : Promise.resolve();
+      pendingFlush.finally(() => {
+        window.location.assign(url.toString());
+      });
+    },
+  });
+
+  registerCommand({
+    name: 'lod',
+    description: 'Show or change how many chunk rings of distance LOD terrain are drawn.',
+    usage: '/lod [rings|off]',
+    handler: ({ args, info, success }) => {
+      if (!lodTerrain) {
+        throw new Error('Distance LOD is disabled for this session (remove ?noLod to enable it).');
+      }
+      if (args.length === 0) {
+        const stats = lodTerrain.getStats();
+        info(
+          `LOD rings: ${stats.lodDistance} (full detail: ${chunkManager.getViewDistance()}). ` +
+            `Chunks: ${stats.chunks}, queued: ${stats.queued}, vertices: ${stats.vertices}.`,
+        );
+        return;
+      }
+      const requested = args[0].toLowerCase() === 'off' ? 0 : Number.parseInt(args[0], 10);
+      if (!Number.isFinite(requested) || requested < 0) {
+        throw new Error('Usage: /lod [rings|off].');
+      }
+      const applied = lodTerrain.setLodDistance(requested);
+      success(applied > 0 ? `LOD terrain now reaches ${applied} chunk rings.` : 'LOD terrain disabled.');
+    },
+  });
+
+  const sectorOverlayState = {
+    overlay: null,
+    disposer: null,
+    signature: null,
+  };
+
+  const describeSectorPlacements = (sector) => {
+    const outcomes = chunkManager.getSectorPlacementOutcomes(sector.key);
+    const counts = { placed: 0, skipped: 0, pending: 0 };
+    sector.placements.forEach((placement) => {
+      counts[outcomes.get(placement.id)?.status ?? 'pending'] += 1;
+    });
+    return { outcomes, counts };
+  };
+
+  const logSectorReport = (sector, info) => {
+    const { outcomes, counts } = describeSectorPlacements(sector);
+    const metrics = ['canopy', 'wetness', 'stone', 'meadow', 'river']
+      .map((name) => `${name} ${sector.metrics[name].toFixed(2)}`)
+      .join(', ');
+    info(
+      `Sector (${sector.x}, ${sector.z}): theme ${sector.theme}, schema ${sector.schemaId}, rotation ${
+        sector.rotation * 90
+      }°.`,
+    );
+    commandConsole.log(`  Blend tags: ${sector.blendTags.length > 0 ? sector.blendTags.join(', ') : 'none'}`);
+    commandConsole.log(`  Metrics: ${metrics}`);
+    commandConsole.log(
+      `  Placements: ${sector.placements.length} (placed ${counts.placed}, skipped ${counts.skipped}, pending ${counts.pending})`,
+    );
+    sector.placements.forEach((placement) => {
+      const outcome = outcomes.get(placement.id);
+      let result = 'pending (chunk not loaded)';
+      if (outcome?.status === 'placed') {
+        result = `placed ${outcome.objectId}`;
+      } else if (outcome?.status === 'skipped') {
+        result = `skipped (${outcome.reason}${outcome.objectId ? `, ${outcome.objectId}` : ''})`;
+      }
+      commandConsole.log(
+        `  - ${placement.id} ${placement.category} at (${placement.column.x}, ${placement.column.z}): ${result}`,
+      );
+    });
+  };
+
+  const stopSectorOverlay = () => {
+    if (sectorOverlayState.disposer) {
+      sectorOverlayState.disposer();
+      sectorOverlayState.disposer = null;
+    }
+    sectorOverlayState.overlay?.hide();
+    sectorOverlayState.signature = null;
+  };
+
+  // Follows the player from sector to sector and redraws whenever chunks
+  // load and resolve more of the current sector's placements.
+  const startSectorOverlay = () => {
+    if (typeof registerDiagnosticOverlay !== 'function') {
+      throw new Error('Diagnostic overlay loop is unavailable; cannot draw the sector overlay.');
+    }
+    if (!sectorOverlayState.overlay) {
+      sectorOverlayState.overlay = createSectorOverlay({
+        THREE,
+        scene,
+        sampleHeight: (x, z) => sampleSurfaceColumn(x, z).height,
+      });
+    }
+    stopSectorOverlay();
+    sectorOverlayState.disposer = registerDiagnosticOverlay(() => {
+      const position = playerControls.getPosition();
+      const sector = getSectorAt(Math.round(position.x), Math.round(position.z));
+      const { outcomes, counts } = describeSectorPlacements(sector);
+      const signature = `${sector.key}:${counts.placed}:${counts.skipped}`;
+      if (signature === sectorOverlayState.signature) {
+        return;
+      }
+      sectorOverlayState.signature = signature;
+      sectorOverlayState.overlay.show({ sector, size: sectorSize(), outcomes });
+    });
+  };
+
+  registerCommand({
+    name: 'sector',
+    description: 'Inspect the object-placement sector under the player or at a column.',
+    usage: '/sector [at <x> <z>] | /sector overlay [on|off]',
+    handler: ({ args, info, success }) => {
+      const mode = args[0]?.toLowerCase();
+      if (mode === 'overlay') {
+        const toggle = args[1]?.toLowerCase();
+        const enable = toggle === undefined ? !sectorOverlayState.disposer : toggle === 'on';
+        if (toggle !== undefined && toggle !== 'on' && toggle !== 'off') {
+          throw new Error('Usage: /sector overlay [on|off].');
+        }
+        if (enable) {
+          startSectorOverlay();
+          success('Sector overlay enabled: green placed, orange skipped, grey pending.');
+        } else {
+          stopSectorOverlay();
+          success('Sector overlay disabled.');
+        }
+        return;
+      }
+      let column;
+      if (mode === 'at') {
+        if (args.length !== 3) {
+          throw new Error('Usage: /sector at <x> <z>.');
+        }
+        column = {
+          x: Math.round(parseCoordinate(args[1], 'Column X coordinate')),
+          z: Math.round(parseCoordinate(args[2], 'Column Z coordinate')),
+        };
+      } else if (args.length === 0) {
+        const position = playerControls.getPosition();
+        column = { x: Math.round(position.x), z: Math.round(position.z) };
+      } else {
+        throw new Error('Usage: /sector [at <x> <z>] | /sector overlay [on|off].');
+      }
+      logSectorReport(getSectorAt(column.x, column.z), info);
+    },
+  });
+
+  registerCommand({
+    name: 'veins',
+    description: 'List the ore veins generated in a chunk and how much ore is left in it.',
+    usage: '/veins [chunkX chunkZ]',
+    handler: ({ args, info }) => {
+      if (args.length !== 0 && args.length !== 2) {
+        throw new Error('Usage: /veins [chunkX chunkZ].');
+      }
+      let target;
+      if (args.length === 2) {
+        target = {
+          x: Math.trunc(parseCoordinate(args[0], 'Chunk X')),
+          z: Math.trunc(parseCoordinate(args[1], 'Chunk Z')),
+        };
+      } else {
+        const position = playerControls.getPosition();
+        target = chunkIndexFromWorld(position.x, position.z);
+      }
+      const stats = chunkManager.getOreVeinStats(target.x, target.z);
+      if (!stats) {
+        throw new Error(`Chunk (${target.x}, ${target.z}) is not loaded.`);
+      }
+      info(`Chunk (${stats.chunkX}, ${stats.chunkZ}): ${stats.veins.length} ore vein(s).`);
+      Object.entries(stats.remaining).forEach(([type, remaining]) => {
+        const generated = stats.generated[type];
+        if (!generated && remaining === 0) {
+          return;
+        }
+        commandConsole.log(
+          `  ${type}: ${generated?.veins ?? 0} vein(s), ${generated?.blocks ?? 0} block(s) generated, ${remaining} in the ground`,
+        );
+      });
+      stats.veins.forEach((vein) => {
+        commandConsole.log(
+          `  - ${vein.type} ${vein.shape} at (${vein.x}, ${vein.y}, ${vein.z}): ${vein.blockCount} block(s)`,
+        );
+      });
+    },
+  });
+
+  registerCommand({
+    name: 'atmosphere',
+    description: 'Show the blended fog, sky and light values, or freeze them in place.',
+    usage: '/atmosphere [freeze|resume]',
+    handler: ({ args, info, success }) => {
+      if (!atmosphere) {
+        throw new Error('The atmosphere controller is not available.');
+      }
+      if (args.length > 0) {
+        const mode = args[0].toLowerCase();
+        if (mode !== 'freeze' && mode !== 'resume') {
+          throw new Error('Usage: /atmosphere [freeze|resume].');
+        }
+        atmosphere.setFrozen(mode === 'freeze');
+        success(mode === 'freeze' ? 'Atmosphere frozen.' : 'Atmosphere blending resumed.');
+        return;
+      }
+      const state = atmosphere.getState();
+      const blend = state.weights
+        .map((entry) => `${entry.label} ${(entry.share * 100).toFixed(0)}%`)
+        .join(', ');
+      info(`Atmosphere${state.frozen ? ' (frozen)' : ''}: ${blend || 'no samples yet'}.`);
+      ['current', 'target'].forEach((key) => {
+        const values = state[key];
+        commandConsole.log(
+          `  ${key}: fog ${values.fogColor} ${values.fogNear.toFixed(0)}-${values.fogFar.toFixed(0)}, ` +
+            `sky ${values.skyColor}, hemisphere ${values.hemisphereSky}/${values.hemisphereGround}`,
+        );
+      });
+    },
+  });
+
+  registerCommand({
+    name: 'time',
+    description: 'Show or change the time of day and how fast it passes.',
+    usage: '/time [set <HH:MM|preset>] | /time add <hours> | /time speed <multiplier>',
+    handler: ({ args, info, success }) => {
+      if (!dayNightCycle) {
+        throw new Error('The day–night cycle is not available.');
+      }
+      const usage = 'Usage: /time [set <HH:MM|preset>] | /time add <hours> | /time speed <multiplier>.';
+      if (args.length === 0) {
+        const state = dayNightCycle.getState();
+        const minutesPerDay = state.dayLengthSeconds / 60 / (state.speed || 1);
+        info(
+          `Time ${state.clock} (${state.phase}), daylight ${(state.daylight * 100).toFixed(0)}%. ` +
+            (state.speed === 0
+              ? 'Time is paused.'
+              : `Speed x${state.speed}: a full day takes ${minutesPerDay.toFixed(1)} minutes.`),
+        );
+        return;
+      }
+      const [mode, value] = args;
+      const action = mode.toLowerCase();
+      if (args.length !== 2) {
+        throw new Error(usage);
+      }
+
+      if (action === 'set') {
+        const time = parseTimeOfDay(value);
+        if (time === null) {
+          throw new Error(
+            `Unknown time "${value}". Use HH:MM or one of: ${Object.keys(TIME_PRESETS).join(', ')}.`,
+          );
+        }
+        success(`Time set to ${formatTimeOfDay(dayNightCycle.setTimeOfDay(time))}.`);
+        return;
+      }
+
+      if (action === 'add') {
+        const hours = Number.parseFloat(value);
+        if (!Number.isFinite(hours)) {
+          throw new Error(usage);
+        }
+        success(`Time is now ${formatTimeOfDay(dayNightCycle.addTime(hours / 24))}.`);
+        return;
+      }
+
+      if (action === 'speed') {
+        const multiplier = Number.parseFloat(value);
+        if (!Number.isFinite(multiplier) || multiplier < 0) {
+          throw new Error('Time speed must be a number of 0 or more (0 pauses the clock).');
+        }
+        const applied = dayNightCycle.setSpeed(multiplier);
+        success(applied === 0 ? 'Time paused.' : `Time speed set to x${applied}.`);
+        return;
+      }
+
+      throw new Error(usage);
+    },
+  });
+
+  registerCommand({
+    name: 'shadows',
+    description: 'Show or switch the shadow quality preset.',
+    usage: `/shadows [${Object.keys(SHADOW_PRESETS).join('|')}]`,
+    handler: ({ args, info, success }) => {
+      if (!shadowRig) {
+        throw new Error('Shadow controls are not available.');
+      }
+      if (args.length === 0) {
+        const state = shadowRig.getState();
+        const coverage =
+          state.cascades > 0
+            ? `${state.cascades} cascades of ${state.mapSize}px out to ${state.coverage.toFixed(0)} blocks ` +
+              `(splits at ${state.breaks.map((value) => value.toFixed(0)).join(', ')})`
+            : state.mapSize > 0
+              ? `${state.mapSize}px map covering ${state.extent * 2}×${state.extent * 2} blocks around the player`
+              : 'shadows disabled';
+        info(`Shadows: ${state.label} — ${coverage}.`);
+        commandConsole.log(`  Presets: ${Object.keys(SHADOW_PRESETS).join(', ')}`);
+        return;
+      }
+      const preset = args[0].toLowerCase();
+      if (!SHADOW_PRESETS[preset]) {
+        throw new Error(`Usage: /shadows [${Object.keys(SHADOW_PRESETS).join('|')}].`);
+      }
+      shadowRig.setPreset(preset);
+      success(`Shadow quality set to ${SHADOW_PRESETS[preset].label}.`);
+    },
+  });
+
+  registerCommand({
+    name: 'light',
+    description: 'Show the sky and block light levels at a cell (defaults to the player).',
+    usage: '/light [x y z]',
+    handler: ({ args, info }) => {
+      if (args.length !== 0 && args.length !== 3) {
+        throw new Error('Usage: /light [x y z].');
+      }
+      const target =
+        args.length === 3
+          ? {
+              x: parseCoordinate(args[0], 'X coordinate'),
+              y: parseCoordinate(args[1], 'Y coordinate'),
+              z: parseCoordinate(args[2], 'Z coordinate'),
+            }
+          : playerControls.getPosition();
+      const x = Math.round(target.x);
+      const y = Math.round(target.y);
+      const z = Math.round(target.z);
+      const level = chunkManager.getLightAt(x, y, z);
+      const emission = level.emission > 0 ? `, emitting ${level.emission}` : '';
+      info(`Light at (${x}, ${y}, ${z}): sky ${level.sky}/15, block ${level.block}/15${emission}.`);
+      const stats = chunkManager.getLightStats();
+      commandConsole.log(
+        `  ${stats.chunksLit} chunk pass(es), last ${stats.lastChunkMs.toFixed(1)} ms; ` +
+          `${stats.flushes} edit update(s), last ${stats.lastFlushCells} cell(s) in ${stats.lastFlushMs.toFixed(1)} ms`,
+      );
+    },
+  });
+
+  registerCommand({
+    name: 'fluid',
+    description: 'Inspect a fluid cell or pause, resume and step the fluid simulation.',
+    usage: '/fluid [x y z | pause | resume | step [ticks]]',
+    handler: ({ args, info, success }) => {
+      const [action] = args;
+      if (action === 'pause' || action === 'resume') {
+        chunkManager.setFluidSimulationPaused(action === 'pause');
+        success(action === 'pause' ? 'Fluid simulation paused.' : 'Fluid simulation resumed.');
+        return;
+      }
+      if (action === 'step') {
+        const ticks = args.length > 1 ? Number.parseInt(args[1], 10) : 1;
+        if (!Number.isInteger(ticks) || ticks < 1 || ticks > 200) {
+          throw new Error('Usage: /fluid step [ticks] with 1-200 ticks.');
+        }
+        chunkManager.stepFluidSimulation(ticks);
+        success(`Stepped the fluid simulation ${ticks} tick(s).`);
+        return;
+      }
+      if (args.length !== 0 && args.length !== 3) {
+        throw new Error('Usage: /fluid [x y z | pause | resume | step [ticks]].');
+      }
+      const target =
+        args.length === 3
+          ? {
+              x: parseCoordinate(args[0], 'X coordinate'),
+              y: parseCoordinate(args[1], 'Y coordinate'),
+              z: parseCoordinate(args[2], 'Z coordinate'),
+            }
+          : playerControls.getPosition();
+      const x = Math.round(target.x);
+      const y = Math.round(target.y);
+      const z = Math.round(target.z);
+      const cell = chunkManager.getFluidAt(x, y, z);
+      if (!cell) {
+        info(`No fluid at (${x}, ${y}, ${z}).`);
+      } else {
+        const kind = cell.source ? 'source' : cell.falling ? 'falling' : 'flowing';
+        info(
+          `Fluid at (${x}, ${y}, ${z}): ${cell.type ?? 'water'} ${kind}, level ${cell.level}/8, surface at ${cell.surfaceY.toFixed(3)}.`,
+        );
+      }
+      const stats = chunkManager.getFluidStats();
+      commandConsole.log(
+        `  ${stats.paused ? 'paused' : 'running'}; ${stats.scheduled} cell(s) scheduled, ` +
+          `${stats.ticks} tick(s), ${stats.changed} cell change(s), last tick ${stats.lastTickCells} cell(s)`,
+      );
+    },
+  });
+
+  registerCommand({
+    name: 'underwater',
+    description: 'Show or toggle the underwater fog, distortion and caustics.',
+    usage: '/underwater [on|off]',
+    handler: ({ args, info, success }) => {
+      if (!underwater) {
+        throw new Error('Underwater effects are not available.');
+      }
+      if (args.length === 0) {
+        const state = underwater.getState();
+        info(
+          `Underwater effects ${state.enabled ? 'on' : 'off'} — ` +
+            (state.amount > 0
+              ? `${Math.round(state.amount * 100)}% submerged in ${state.fluidType ?? 'fluid'} (${state.waterColor}).`
+              : 'camera above the surface.'),
+        );
+        return;
+      }
+      const mode = args[0].toLowerCase();
+      if (mode !== 'on' && mode !== 'off') {
+        throw new Error('Usage: /underwater [on|off]');
+      }
+      underwater.setEnabled(mode === 'on');
+      success(`Underwater effects ${mode === 'on' ? 'enabled' : 'disabled'}.`);
+    },
+  });
+
+  registerCommand({
+    name: 'creatures',
+    description: 'List, spawn or clear ambient creatures, or toggle their spawning.',
+    usage: '/creatures [list|spawn <id> [count]|clear|spawning on|off]',
+    handler: ({ args, info, success, warn }) => {
+      if (!creatures) {
+        throw new Error('Creatures are not available.');
+      }
+      const mode = (args[0] ?? 'list').toLowerCase();
+      if (mode === 'list') {
+        const stats = creatures.getStats();
+        const counts = Object.entries(stats.byType)
+          .map(([type, count]) => `${count} ${formatItemName(type)}`)
+          .join(', ');
+        info(
+          `${stats.count}/${stats.maxCreatures} creature(s)${counts ? ` — ${counts}` : ''}; ` +
+            `spawning ${stats.spawningEnabled ? 'on' : 'off'}.`,
+        );
+        creatures
+          .list()
+          .sort((a, b) => (a.distance ?? 0) - (b.distance ?? 0))
+          .slice(0, 8)
+          .forEach((creature) => {
+            const { x, y, z } = creature.position;
+            commandConsole.log(
+              `  #${creature.id} ${creature.type} ${creature.state} ` +
+                `hp ${creature.health.toFixed(1)} at (${x.toFixed(1)}, ${y.toFixed(1)}, ${z.toFixed(1)})`,
+            );
+          });
+        commandConsole.log(`  Types: ${creatures.listDefinitions().join(', ')}`);
+        return;
+      }
+      if (mode === 'spawn') {
+        if (args.length < 2) {
+          throw new Error('Usage: /creatures spawn <id> [count]');
+        }
+        const count = args.length > 2 ? Number.parseInt(args[2], 10) : 1;
+        if (!Number.isFinite(count) || count < 1 || count > 16) {
+          throw new Error('Count must be an integer between 1 and 16.');
+        }
+        const placed = creatures.spawn(args[1].toLowerCase(), playerControls.getPosition(), count);
+        if (placed < count) {
+          warn(`Spawned ${placed} of ${count} ${args[1]} — no room for the rest here.`);
+          return;
+        }
+        success(`Spawned ${placed} ${args[1]}.`);
+        return;
+      }
+      if (mode === 'clear') {
+        success(`Removed ${creatures.clear()} creature(s).`);
+        return;
+      }
+      if (mode === 'spawning') {
+        const value = (args[1] ?? '').toLowerCase();
+        if (value !== 'on' && value !== 'off') {
+          throw new Error('Usage: /creatures spawning on|off');
+        }
+        creatures.setSpawningEnabled(value === 'on');
+        success(`Creature spawning ${value === 'on' ? 'enabled' : 'disabled'}.`);
+        return;
+      }
+      throw new Error('Usage: /creatures [list|spawn <id> [count]|clear|spawning on|off]');
+    },
+  });
+
+  const pathState = {
+    overlay: null,
+    handle: null,
+  };
+
+  const clearPathDebug = () => {
+    pathState.handle?.cancel();
+    pathState.handle?.release();
+    pathState.handle = null;
+    pathState.overlay?.hide();
+  };
+
+  // Draws the route once the time-sliced search finishes, and searches again
+  // from the same start whenever a block change breaks it.
+  const requestDebugPath = (start, goal, { info, warn }) => {
+    pathState.handle?.cancel();
+    pathState.handle?.release();
+    if (!pathState.overlay) {
+      pathState.overlay = createPathOverlay({ THREE, scene });
+    }
+    const handle = pathfinder.findPath({
+      start,
+      goal,
+      onInvalidated: (stale) => {
+        if (pathState.handle !== handle) {
+          return;
+        }
+        pathState.overlay.show({ ...stale, status: 'invalidated' });
+        warn('A block changed along the path; searching again.');
+        requestDebugPath(start, goal, { info, warn });
+      },
+    });
+    pathState.handle = handle;
+    handle.promise.then((result) => {
+      if (pathState.handle !== handle || result.status === 'cancelled') {
+        return;
+      }
+      if (result.status === 'unreachable') {
+        pathState.overlay.hide();
+        warn(`No path found (${result.expanded ?? 0} nodes searched).`);
+        return;
+      }
+      pathState.overlay.show(result);
+      const report =
+        `${result.waypoints.length} waypoint(s) from ${result.nodes.length} node(s), ` +
+        `cost ${result.cost.toFixed(1)}, ${result.expanded} expanded in ${result.elapsedMs.toFixed(1)} ms`;
+      if (result.status === 'partial') {
+        warn(`Goal unreachable; drew the closest approach: ${report}.`);
+      } else {
+        info(`Path found: ${report}.`);
+      }
+    });
+  };
+
+  registerCommand({
+    name: 'path',
+    description: 'Find and draw a walking path from the player to a block position.',
+    usage: '/path <x> <y> <z> | /path clear',
+    handler: ({ args, info, success, warn }) => {
+      if (!pathfinder) {
+        throw new Error('Pathfinding is not available.');
+      }
+      if (args.length === 1 && args[0].toLowerCase() === 'clear') {
+        clearPathDebug();
+        success('Path cleared.');
+        return;
+      }
+      if (args.length !== 3) {
+        throw new Error('Usage: /path <x> <y> <z> | /path clear');
+      }
+      const goal = {
+        x: parseCoordinate(args[0], 'X coordinate'),
+        y: parseCoordinate(args[1], 'Y coordinate'),
+        z: parseCoordinate(args[2], 'Z coordinate'),
+      };
+      const start = playerControls.getFeetPosition();
+      requestDebugPath({ x: start.x, y: start.y + 0.5, z: start.z }, goal, { info, warn });
+      info(`Searching for a path to (${goal.x}, ${goal.y}, ${goal.z})…`);
+    },
+  });
+
+  const EDITOR_USAGE =
+    '/editor [info|open <id>|new <id> [voxelScale] [category]|close|tool add|remove|paint|' +
+    'brush <type> [#tint|none] [size]|set <field> <json>|node <id> <x> <y> <z> [parent]|' +
+    'node remove <id>|link|unlink <from> <to>|nano <node> <id|none> [count] [radius]|' +
+    'decorations on|off|zoom <n|auto>|undo|redo|export]';
+
+  // Plate centre four blocks ahead of the player, on the surface they stand on.
+  const resolveEditorOrigin = () => {
+    const feet = playerControls.getFeetPosition();
+    const { yaw } = playerControls.getYawPitch();
+    return {
+      x: Math.round(feet.x - Math.sin(yaw) * 4),
+      y: Math.round(feet.y - 0.5) + 0.5,
+      z: Math.round(feet.z - Math.cos(yaw) * 4),
+    };
+  };
+
+  const parseEditorValue = (raw) => {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return raw;
+    }
+  };
+
+  const parseBrushSize = (raw) => {
+    const components = String(raw).split(',').map((value) => parseCoordinate(value, 'Brush size'));
+    if (components.length !== 1 && components.length !== 3) {
+      throw new Error('Brush size must be one number or x,y,z.');
+    }
+    return components.length === 1 ? components[0] : components;
+  };
+
+  const downloadJson = (fileName, json) => {
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const describeEditor = (info) => {
+    const state = voxelEditor.getState();
+    const { brush } = state;
+    const brushText =
+      `${brush.type}${brush.tint ? ` ${brush.tint}` : ''} ` +
+      `${brush.size.x}×${brush.size.y}×${brush.size.z}`;
+    if (!state.open) {
+      info(`Editor closed. Brush: ${brushText}.`);
+      return;
+    }
+    info(
+      `Editing ${state.id} (${state.path}${state.dirty ? ', unsaved changes' : ''}) at ` +
+        `voxelScale ${state.voxelScale}, shown ×${state.magnification}.`,
+    );
+    commandConsole.log(
+      `  ${state.voxels} voxel(s), ${state.generatedVoxels} generated, ` +
+        `${state.decorations} decoration(s)${state.showDecorations ? '' : ' (hidden)'}; ` +
+        `${state.nodes} node(s), ${state.segments} segment(s).`,
+    );
+    commandConsole.log(
+      `  Tool ${state.tool}, brush ${brushText}; undo ${state.undo}, redo ${state.redo}.`,
+    );
+    if (state.skippedTypes.length > 0) {
+      commandConsole.log(`  Not previewed (no material): ${state.skippedTypes.join(', ')}.`);
+    }
+  };
+
+  registerCommand({
+    name: 'editor',
+    description: 'Open a voxel object on a build plate to edit, preview and export its JSON.',
+    usage: EDITOR_USAGE,
+    handler: ({ args, info, success, warn }) => {
+      if (!voxelEditor) {
+        throw new Error('The voxel object editor is not available.');
+      }
+      const mode = (args[0] ?? 'info').toLowerCase();
+      if (mode === 'info') {
+        describeEditor(info);
+        return;
+      }
+      if (mode === 'open') {
+        if (args.length < 2) {
+          const ids = getAllVoxelObjects().map((object) => object.id).sort();
+          info(`Usage: /editor open <id>. Objects: ${ids.join(', ')}`);
+          return;
+        }
+        const object = voxelEditor.open(args[1], { origin: resolveEditorOrigin() });
+        success(`Opened ${object.id} (${object.voxels.length} voxel(s)).`);
+        commandConsole.log(
+          '  Left click applies the tool, right click removes, middle click picks the brush.',
+        );
+        return;
+      }
+      if (mode === 'new') {
+        if (args.length < 2) {
+          throw new Error('Usage: /editor new <id> [voxelScale] [category]');
+        }
+        const voxelScale = args.length > 2 ? parseCoordinate(args[2], 'voxelScale') : undefined;
+        voxelEditor.create(args[1], {
+          voxelScale,
+          category: args[3],
+          origin: resolveEditorOrigin(),
+        });
+        success(`Started a new object ${args[1]}.`);
+        return;
+      }
+      if (mode === 'close') {
+        const { dirty } = voxelEditor.getState();
+        voxelEditor.close();
+        if (dirty) {
+          warn('Editor closed with unexported changes.');
+          return;
+        }
+        success('Editor closed.');
+        return;
+      }
+      if (mode === 'tool') {
+        voxelEditor.setTool((args[1] ?? '').toLowerCase());
+        success(`Editor tool: ${args[1].toLowerCase()}.`);
+        return;
+      }
+      if (mode === 'brush') {
+        if (args.length < 2) {
+          throw new Error('Usage: /editor brush <type> [#tint|none] [size]');
+        }
+        const tint = args[2] === undefined ? undefined : args[2] === 'none' ? null : args[2];
+        const brush = voxelEditor.setBrush({
+          type: args[1].toLowerCase(),
+          tint,
+          size: args[3] === undefined ? undefined : parseBrushSize(args[3]),
+        });
+        success(`Brush: ${brush.type}${brush.tint ? ` ${brush.tint}` : ''}.`);
+        return;
+      }
+      if (mode === 'set') {
+        if (args.length < 3) {
+          throw new Error('Usage: /editor set <field> <json value|null>');
+        }
+        const value = parseEditorValue(args.slice(2).join(' '));
+        voxelEditor.setField(args[1], value);
+        success(`Set ${args[1]} to ${value === null ? 'its default' : JSON.stringify(value)}.`);
+        return;
+      }
+      if (mode === 'node') {
+        if (args[1]?.toLowerCase() === 'remove' && args.length === 3) {
+          voxelEditor.removeNode(args[2]);
+          success(`Removed node ${args[2]} and its segments.`);
+          return;
+        }
+        if (args.length < 5) {
+          throw new Error('Usage: /editor node <id> <x> <y> <z> [parent] | /editor node remove <id>');
+        }
+        const position = [
+          parseCoordinate(args[2], 'X coordinate'),
+          parseCoordinate(args[3], 'Y coordinate'),
+          parseCoordinate(args[4], 'Z coordinate'),
+        ];
+        voxelEditor.setNode(args[1], position, { parent: args[5] ?? null });
+        success(`Node ${args[1]} at (${position.join(', ')}).`);
+        return;
+      }
+      if (mode === 'link' || mode === 'unlink') {
+        if (args.length !== 3) {
+          throw new Error(`Usage: /editor ${mode} <from> <to>`);
+        }
+        voxelEditor.setSegment(args[1], args[2], mode === 'link');
+        success(`${mode === 'link' ? 'Linked' : 'Unlinked'} ${args[1]} and ${args[2]}.`);
+        return;
+      }
+      if (mode === 'nano') {
+        if (args.length < 3) {
+          throw new Error('Usage: /editor nano <node> <nanovoxel|none> [count] [radius]');
+        }
+        const nanovoxelId = args[2].toLowerCase() === 'none' ? null : args[2];
+        const options = {};
+        if (args[3] !== undefined) {
+          options.count = parseCoordinate(args[3], 'Count');
+        }
+        if (args[4] !== undefined) {
+          options.radius = parseCoordinate(args[4], 'Radius');
+        }
+        voxelEditor.setNodeNanovoxels(args[1], nanovoxelId, options);
+        success(
+          nanovoxelId
+            ? `Node ${args[1]} grows ${nanovoxelId}.`
+            : `Cleared nanovoxels on node ${args[1]}.`,
+        );
+        return;
+      }
+      if (mode === 'decorations') {
+        const value = (args[1] ?? '').toLowerCase();
+        if (value !== 'on' && value !== 'off') {
+          throw new Error('Usage: /editor decorations on|off');
+        }
+        voxelEditor.setDecorationsVisible(value === 'on');
+        success(`Decoration preview ${value === 'on' ? 'shown' : 'hidden'}.`);
+        return;
+      }
+      if (mode === 'zoom') {
+        const value = (args[1] ?? '').toLowerCase();
+        if (!value) {
+          throw new Error('Usage: /editor zoom <n|auto>');
+        }
+        const magnification = voxelEditor.setMagnification(
+          value === 'auto' ? null : parseCoordinate(value, 'Zoom'),
+        );
+        success(`Preview magnified ×${magnification}.`);
+        return;
+      }
+      if (mode === 'undo' || mode === 'redo') {
+        const label = mode === 'undo' ? voxelEditor.undo() : voxelEditor.redo();
+        if (!label) {
+          warn(`Nothing to ${mode}.`);
+          return;
+        }
+        success(`${mode === 'undo' ? 'Undid' : 'Redid'} ${label}.`);
+        return;
+      }
+      if (mode === 'export') {
+        const { id, path, json } = voxelEditor.exportJson();
+        downloadJson(`${id}.json`, json);
+        navigator.clipboard?.writeText(json).catch(() => {});
+        console.info(json);
+        success(`Exported ${id}.json (${json.length} bytes); save it as src/world/${path}.`);
+        return;
+      }
+      throw new Error(`Usage: ${EDITOR_USAGE}`);
+    },
+  });
+
+  const VOX_USAGE =
+    '/vox [info|open <n>|scale <n>|category <name>|block <type>|split scene|models|frames|' +
+    'frame <n>|merge on|off]';
+
+  // The last dropped file stays parsed so option changes can re-convert it.
+  const voxState = {
+    loader: null,
+    vox: null,
+    fileName: null,
+    definitions: [],
+  };
+
+  const openImportedDefinition = (index) => {
+    const definition = voxState.definitions[index];
+    if (!definition) {
+      throw new Error(
+        `No imported definition #${index}; ${voxState.definitions.length} available.`,
+      );
+    }
+    voxelEditor.open(definition, { origin: resolveEditorOrigin() });
+    return definition;
+  };
+
+  const showImportedDefinitions = () => {
+    const definition = openImportedDefinition(0);
+    commandConsole.log(
+      `Converted ${voxState.fileName} into ${voxState.definitions.length} definition(s); ` +
+        `editing ${definition.id} (${definition.voxels.length} voxel(s)). /editor export saves it.`,
+      'success',
+    );
+    if (voxState.definitions.length > 1) {
+      const choices = voxState.definitions.map((entry, index) => `${index} ${entry.id}`);
+      commandConsole.log(`  /vox open <n>: ${choices.join(', ')}`);
+    }
+  };
+
+  if (voxelEditor && typeof window !== 'undefined') {
+    voxState.loader = createVoxDropLoader({
+      target: window,
+      onLoad: ({ file, vox, definitions }) => {
+        voxState.vox = vox;
+        voxState.fileName = file.name;
+        voxState.definitions = definitions;
+        showImportedDefinitions();
+      },
+      onError: (error, file) => {
+        const message = error instanceof Error ? error.message : String(error);
+        const name = file?.name ?? 'the dropped file';
+        commandConsole.log(`Could not import ${name}: ${message}`, 'error');
+      },
+    });
+  }
+
+  const VOX_OPTION_PARSERS = {
+    scale: (value) => {
+      const voxelScale = parseCoordinate(value, 'Scale');
+      if (voxelScale <= 0) {
+        throw new Error('Scale must be positive.');
+      }
+      return { voxelScale };
+    },
+    category: (value) => ({ category: value }),
+    block: (value) => ({ blockType: value.toLowerCase() }),
+    split: (value) => {
+      const split = value.toLowerCase();
+      if (!['scene', 'models', 'frames'].includes(split)) {
+        throw new Error('Usage: /vox split scene|models|frames');
+      }
+      return { split };
+    },
+    frame: (value) => ({ frame: parseCoordinate(value, 'Frame') }),
+    merge: (value) => {
+      if (value !== 'on' && value !== 'off') {
+        throw new Error('Usage: /vox merge on|off');
+      }
+      return { mergeRuns: value === 'on' };
+    },
+  };
+
+  registerCommand({
+    name: 'vox',
+    description: 'Set how dropped MagicaVoxel .vox files convert, or reopen a converted model.',
+    usage: VOX_USAGE,
+    handler: ({ args, info, success }) => {
+      if (!voxState.loader) {
+        throw new Error('Dropping .vox files needs the voxel object editor.');
+      }
+      const mode = (args[0] ?? 'info').toLowerCase();
+      if (mode === 'info') {
+        const options = voxState.loader.getOptions();
+        const settings = Object.entries(options)
+          .map(([key, value]) => `${key} ${value}`)
+          .join(', ');
+        info(`Drop a .vox file on the page to convert it${settings ? ` (${settings})` : ''}.`);
+        if (voxState.fileName) {
+          commandConsole.log(
+            `  Last import: ${voxState.fileName} → ` +
+              voxState.definitions.map((entry, index) => `${index} ${entry.id}`).join(', '),
+          );
+        }
+        return;
+      }
+      if (mode === 'open') {
+        const index = Number.parseInt(args[1] ?? '', 10);
+        if (!Number.isInteger(index)) {
+          throw new Error('Usage: /vox open <n>');
+        }
+        const definition = openImportedDefinition(index);
+        success(`Editing ${definition.id}.`);
+        return;
+      }
+      const parseOption = VOX_OPTION_PARSERS[mode];
+      if (!parseOption || args.length !== 2) {
+        throw new Error(`Usage: ${VOX_USAGE}`);
+      }
+      const nextOptions = { ...voxState.loader.getOptions(), ...parseOption(args[1]) };
+      // Convert first so a bad option never sticks.
+      const definitions = voxState.vox
+        ? convertVoxToVoxelObjects(voxState.vox, { ...nextOptions, sourceName: voxState.fileName })
+        : null;
+      voxState.loader.setOptions(nextOptions);
+      if (!definitions) {
+        success(`Dropped .vox files will convert with ${mode} ${args[1]}.`);
+        return;
+      }
+      voxState.definitions = definitions;
+      showImportedDefinitions();
+    },
+  });
 }
@@ -0,0 +1,174 @@
+const DEFAULT_SLOT_COUNT = 36;
+const DEFAULT_HOTBAR_SIZE = 9;
+const DEFAULT_STACK_LIMIT = 64;
+
+// Per-item overrides of the stack limit.
+const STACK_LIMITS = {
+  crystal_ore: 16,
+  gold_ore: 32,
+};
+
+export function formatItemName(type) {
+  return String(type ?? '').replace(/_/g, ' ');
+}
+
+// Slots are either null or { type, count }. The first `hotbarSize` slots form
+// the hotbar; new items top up existing stacks before taking empty slots, and
+// both searches start at the hotbar.
+export function createInventory({
+  slotCount = DEFAULT_SLOT_COUNT,
+  hotbarSize = DEFAULT_HOTBAR_SIZE,
+  stackLimits = {},
+  onChange = () => {},
+} = {}) {
+  if (!Number.isInteger(slotCount) || slotCount < 1) {
+    throw new Error('createInventory requires a positive integer slotCount');
+  }
+  if (!Number.isInteger(hotbarSize) || hotbarSize < 1 || hotbarSize > slotCount) {
+    throw new Error('createInventory requires a hotbarSize between 1 and slotCount');
+  }
+
+  const limits = { ...STACK_LIMITS, ...stackLimits };
+  const slots = new Array(slotCount).fill(null);
+  let selectedSlot = 0;
+
+  function notify() {
+    onChange(getState());
+  }
+
+  function getStackLimit(type) {
+    const limit = limits[type];
+    return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_STACK_LIMIT;
+  }
+
+  function normalizeCount(count) {
+    const numeric = Math.floor(Number(count));
+    return Number.isFinite(numeric) ? Math.max(0, numeric) : 0;
+  }
+
+  // Returns how many items fit; the rest are left out.
+  function addItem(type, count = 1) {
+    if (typeof type !== 'string' || type.length === 0) {
+      throw new Error('Inventory items require a type.');
+    }
+    let remaining = normalizeCount(count);
+    const requested = remaining;
+    const limit = getStackLimit(type);
+
+    for (let index = 0; index < slots.length && remaining > 0; index++) {
+      const slot = slots[index];
+      if (!slot || slot.type !== type || slot.count >= limit) {
+        continue;
+      }
+      const moved = Math.min(remaining, limit - slot.count);
+      slot.count += moved;
+      remaining -= moved;
+    }
+    for (let index = 0; index < slots.length && remaining > 0; index++) {
+      if (slots[index]) {
+        continue;
+      }
+      const moved = Math.min(remaining, limit);
+      slots[index] = { type, count: moved };
+      remaining -= moved;
+    }
+
+    const added = requested - remaining;
+    if (added > 0) {
+      notify();
+    }
+    return added;
+  }
+
+  function removeFromSlot(index, count = 1) {
+    const slot = slots[index];
+    if (!slot) {
+      return 0;
+    }
+    const removed = Math.min(slot.count, normalizeCount(count));
+    slot.count -= removed;
+    if (slot.count <= 0) {
+      slots[index] = null;
+    }
+    if (removed > 0) {
+      notify();
+    }
+    return removed;
+  }
+
+  function countItem(type) {
+    return slots.reduce((total, slot) => (slot?.type === type ? total + slot.count : total), 0);
+  }
+
+  // Removes every item, or only those of `type`. Returns the number removed.
+  function clear(type = null) {
+    let removed = 0;
+    slots.forEach((slot, index) => {
+      if (!slot || (type && slot.type !== type)) {
+        return;
+      }
+      removed += slot.count;
+      slots[index] = null;
+    });
+    if (removed > 0) {
+      notify();
+    }
+    return removed;
+  }
+
+  function selectSlot(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= hotbarSize) {
+      throw new Error(`Hotbar slot must be between 1 and ${hotbarSize}.`);
+    }
+    if (selectedSlot !== index) {
+      selectedSlot = index;
+      notify();
+    }
+    return selectedSlot;
+  }
+
+  function cycleSelection(step) {
+    const offset = Math.sign(step);
+    if (offset === 0) {
+      return selectedSlot;
+    }
+    return selectSlot((selectedSlot + offset + hotbarSize) % hotbarSize);
+  }
+
+  // Selects the first hotbar slot holding `type`; returns false if none does.
+  function selectItem(type) {
+    const index = slots.slice(0, hotbarSize).findIndex((slot) => slot?.type === type);
+    if (index < 0) {
+      return false;
+    }
+    selectSlot(index);
+    return true;
+  }
+
+  function getSelectedItem() {
+    const slot = slots[selectedSlot];
+    return slot ? { ...slot } : null;
+  }
+
+  function getState() {
+    return {
+      slots: slots.map((slot) => (slot ? { ...slot } : null)),
+      hotbarSize,
+      selectedSlot,
+    };
+  }
+
+  return {
+    addItem,
+    removeFromSlot,
+    countItem,
+    clear,
+    selectSlot,
+    cycleSelection,
+    selectItem,
+    getSelectedItem,
+    getSelectedSlot: () => selectedSlot,
+    getStackLimit,
+    getState,
+  };
+}
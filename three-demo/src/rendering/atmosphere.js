@@ -0,0 +1,218 @@
+const SAMPLE_RING_RADII = [24, 56];
+const SAMPLE_RING_STEPS = 8;
+const RESAMPLE_DISTANCE = 3;
+const RESAMPLE_INTERVAL = 0.75;
+const DEFAULT_TRANSITION_SECONDS = 2.5;
+
+// Spatial footprint of one atmosphere sample: the player column weighted most,
+// then two rings so a border is felt a few dozen blocks before it is crossed.
+function buildSampleOffsets() {
+  const offsets = [{ x: 0, z: 0, weight: 4 }];
+  SAMPLE_RING_RADII.forEach((radius, ringIndex) => {
+    const weight = ringIndex === 0 ? 1 : 0.5;
+    for (let step = 0; step < SAMPLE_RING_STEPS; step++) {
+      const angle = (step / SAMPLE_RING_STEPS) * Math.PI * 2 + ringIndex * 0.39;
+      offsets.push({ x: Math.cos(angle) * radius, z: Math.sin(angle) * radius, weight });
+    }
+  });
+  return offsets;
+}
+
+// Blends fog, sky and hemisphere light between the biomes around the player.
+// Targets come from a weighted ring of biome samples; the applied values ease
+// toward them over time so crossing a border never snaps the scene.
+export function createAtmosphereController({
+  THREE,
+  scene,
+  hemisphereLight = null,
+  sampleBiomeAt,
+  getSkyTint = null,
+  transitionSeconds = DEFAULT_TRANSITION_SECONDS,
+}) {
+  if (!THREE || !scene) {
+    throw new Error('createAtmosphereController requires THREE and a scene');
+  }
+  if (typeof sampleBiomeAt !== 'function') {
+    throw new Error('createAtmosphereController requires a sampleBiomeAt function');
+  }
+
+  if (!(scene.background instanceof THREE.Color)) {
+    scene.background = new THREE.Color(0xa9d6ff);
+  }
+  if (!scene.fog) {
+    scene.fog = new THREE.Fog(scene.background.getHex(), 60, 320);
+  }
+
+  const sampleOffsets = buildSampleOffsets();
+  const createValues = () => ({
+    fogColor: new THREE.Color(),
+    skyColor: new THREE.Color(),
+    hemisphereSky: new THREE.Color(),
+    hemisphereGround: new THREE.Color(),
+    fogNear: 0,
+    fogFar: 0,
+  });
+  const current = createValues();
+  const target = createValues();
+  let weights = [];
+  let lastSamplePosition = null;
+  let timeSinceSample = Infinity;
+  let initialized = false;
+  let frozen = false;
+
+  function sampleTargets(position) {
+    const biomeWeights = new Map();
+    sampleOffsets.forEach((offset) => {
+      const sample = sampleBiomeAt(
+        Math.round(position.x + offset.x),
+        Math.round(position.z + offset.z),
+      );
+      const biome = sample?.biome;
+      if (!biome?.shader) {
+        return;
+      }
+      const entry = biomeWeights.get(biome.id);
+      if (entry) {
+        entry.weight += offset.weight;
+      } else {
+        biomeWeights.set(biome.id, { biome, weight: offset.weight });
+      }
+    });
+    if (biomeWeights.size === 0) {
+      return false;
+    }
+
+    const totalWeight = Array.from(biomeWeights.values()).reduce(
+      (sum, entry) => sum + entry.weight,
+      0,
+    );
+    target.fogColor.setRGB(0, 0, 0);
+    target.skyColor.setRGB(0, 0, 0);
+    target.hemisphereSky.setRGB(0, 0, 0);
+    target.hemisphereGround.setRGB(0, 0, 0);
+    target.fogNear = 0;
+    target.fogFar = 0;
+    weights = [];
+    biomeWeights.forEach(({ biome, weight }) => {
+      const share = weight / totalWeight;
+      const { shader } = biome;
+      target.fogColor.r += shader.fogColor.r * share;
+      target.fogColor.g += shader.fogColor.g * share;
+      target.fogColor.b += shader.fogColor.b * share;
+      target.skyColor.r += shader.skyColor.r * share;
+      target.skyColor.g += shader.skyColor.g * share;
+      target.skyColor.b += shader.skyColor.b * share;
+      target.hemisphereSky.r += shader.hemisphereSky.r * share;
+      target.hemisphereSky.g += shader.hemisphereSky.g * share;
+      target.hemisphereSky.b += shader.hemisphereSky.b * share;
+      target.hemisphereGround.r += shader.hemisphereGround.r * share;
+      target.hemisphereGround.g += shader.hemisphereGround.g * share;
+      target.hemisphereGround.b += shader.hemisphereGround.b * share;
+      target.fogNear += shader.fogNear * share;
+      target.fogFar += shader.fogFar * share;
+      weights.push({ id: biome.id, label: biome.label, share });
+    });
+    weights.sort((a, b) => b.share - a.share);
+    return true;
+  }
+
+  function copyValues(from, to) {
+    to.fogColor.copy(from.fogColor);
+    to.skyColor.copy(from.skyColor);
+    to.hemisphereSky.copy(from.hemisphereSky);
+    to.hemisphereGround.copy(from.hemisphereGround);
+    to.fogNear = from.fogNear;
+    to.fogFar = from.fogFar;
+  }
+
+  // The optional sky tint (the day–night cycle) scales the blended fog and
+  // sky colours on the way out, so the biome blend itself stays untouched.
+  function apply() {
+    const tint = typeof getSkyTint === 'function' ? getSkyTint() : null;
+    scene.fog.color.copy(current.fogColor);
+    scene.fog.near = current.fogNear;
+    scene.fog.far = current.fogFar;
+    scene.background.copy(current.skyColor);
+    if (tint) {
+      scene.fog.color.multiply(tint);
+      scene.background.multiply(tint);
+    }
+    if (hemisphereLight) {
+      hemisphereLight.color.copy(current.hemisphereSky);
+      hemisphereLight.groundColor.copy(current.hemisphereGround);
+    }
+  }
+
+  function update(position, delta = 0) {
+    if (!position) {
+      return;
+    }
+    if (frozen) {
+      if (initialized) {
+        apply();
+      }
+      return;
+    }
+    timeSinceSample += delta;
+    const moved = lastSamplePosition
+      ? Math.hypot(position.x - lastSamplePosition.x, position.z - lastSamplePosition.z)
+      : Infinity;
+    if (moved >= RESAMPLE_DISTANCE || timeSinceSample >= RESAMPLE_INTERVAL) {
+      if (sampleTargets(position)) {
+        lastSamplePosition = { x: position.x, z: position.z };
+        timeSinceSample = 0;
+      }
+    }
+    if (!lastSamplePosition) {
+      return;
+    }
+
+    // The first frame adopts the targets outright so loading into a dark
+    // biome does not fade in from the default sky.
+    if (!initialized) {
+      copyValues(target, current);
+      initialized = true;
+    } else {
+      const blend = transitionSeconds > 0 ? 1 - Math.exp(-delta / transitionSeconds) : 1;
+      current.fogColor.lerp(target.fogColor, blend);
+      current.skyColor.lerp(target.skyColor, blend);
+      current.hemisphereSky.lerp(target.hemisphereSky, blend);
+      current.hemisphereGround.lerp(target.hemisphereGround, blend);
+      current.fogNear += (target.fogNear - current.fogNear) * blend;
+      current.fogFar += (target.fogFar - current.fogFar) * blend;
+    }
+    apply();
+  }
+
+  function describe(values) {
+    return {
+      fogColor: `#${values.fogColor.getHexString()}`,
+      skyColor: `#${values.skyColor.getHexString()}`,
+      hemisphereSky: `#${values.hemisphereSky.getHexString()}`,
+      hemisphereGround: `#${values.hemisphereGround.getHexString()}`,
+      fogNear: values.fogNear,
+      fogFar: values.fogFar,
+    };
+  }
+
+  return {
+    update,
+    setFrozen(value) {
+      frozen = Boolean(value);
+    },
+    isFrozen: () => frozen,
+    getState() {
+      return {
+        frozen,
+        transitionSeconds,
+        weights: weights.map((entry) => ({ ...entry })),
+        current: describe(current),
+        target: describe(target),
+      };
+    },
+    dispose() {
+      weights = [];
+      lastSamplePosition = null;
+    },
+  };
+}
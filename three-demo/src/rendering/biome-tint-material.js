@@ -1,3 +1,41 @@
+// Floor of the sky-light curve: how much scene light still reaches a cell the
+// sky cannot see, so unlit caves read as very dark rather than black.
+const SKY_LIGHT_FLOOR = 0.07;
+const BLOCK_LIGHT_COLOR = 0xffd9a8;
+const BLOCK_LIGHT_STRENGTH = 1.1;
+const EMISSIVE_STRENGTH = 0.85;
+// How far below the water surface caustics fade out completely.
+const CAUSTIC_FADE_DEPTH = 7;
+
+// Caustics are shared by every terrain material, so one update per frame
+// animates them all (see updateVoxelCaustics).
+const causticUniforms = {
+  causticTime: { value: 0 },
+  causticStrength: { value: 0 },
+  causticSurfaceY: { value: -1e6 },
+  causticColor: { value: null },
+};
+
+// Light patterns on terrain below `surfaceY` where the sky reaches it.
+// `strength` 0 switches them off.
+export function updateVoxelCaustics({ THREE, time, strength, surfaceY, color }) {
+  if (!causticUniforms.causticColor.value) {
+    causticUniforms.causticColor.value = new THREE.Color(0xbfefff);
+  }
+  if (Number.isFinite(time)) {
+    causticUniforms.causticTime.value = time;
+  }
+  if (Number.isFinite(strength)) {
+    causticUniforms.causticStrength.value = Math.max(0, strength);
+  }
+  if (Number.isFinite(surfaceY)) {
+    causticUniforms.causticSurfaceY.value = surfaceY;
+  }
+  if (color) {
+    causticUniforms.causticColor.value.copy(color);
+  }
+}
+
 function clamp(value, min, max) {
   return Math.min(Math.max(value, min), max);
 }
@@ -30,32 +68,88 @@ export function createBiomeTintMaterial({
 
   const uniforms = {
     biomeTintStrength: { value: clamp(tintStrength, 0, 1) },
+    voxelSkyFloor: { value: SKY_LIGHT_FLOOR },
+    voxelBlockLightColor: { value: new THREE.Color(BLOCK_LIGHT_COLOR) },
+    voxelBlockLightStrength: { value: BLOCK_LIGHT_STRENGTH },
+    voxelEmissiveStrength: { value: EMISSIVE_STRENGTH },
   };
 
   material.userData.biomeTintUniforms = uniforms;
 
+  if (!causticUniforms.causticColor.value) {
+    causticUniforms.causticColor.value = new THREE.Color(0xbfefff);
+  }
+
   material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, causticUniforms);
     shader.uniforms.biomeTintStrength = uniforms.biomeTintStrength;
+    shader.uniforms.voxelSkyFloor = uniforms.voxelSkyFloor;
+    shader.uniforms.voxelBlockLightColor = uniforms.voxelBlockLightColor;
+    shader.uniforms.voxelBlockLightStrength = uniforms.voxelBlockLightStrength;
+    shader.uniforms.voxelEmissiveStrength = uniforms.voxelEmissiveStrength;
 
     shader.vertexShader = shader.vertexShader.replace(
       '#include <common>',
-      `#include <common>\nattribute vec3 biomeTint;\nvarying vec3 vBiomeTint;`,
+      `#include <common>\nattribute vec3 biomeTint;\nattribute vec3 voxelLight;\nvarying vec3 vBiomeTint;\nvarying vec3 vVoxelLight;\nvarying vec4 vCausticWorld;`,
     );
 
     shader.vertexShader = shader.vertexShader.replace(
       '#include <begin_vertex>',
-      `#include <begin_vertex>\n\tvBiomeTint = biomeTint;`,
+      `#include <begin_vertex>
+\tvBiomeTint = biomeTint;
+\tvVoxelLight = voxelLight;
+\tvCausticWorld = vec4(transformed, 1.0);
+\t#ifdef USE_INSTANCING
+\t\tvCausticWorld = instanceMatrix * vCausticWorld;
+\t#endif
+\tvCausticWorld = vec4((modelMatrix * vCausticWorld).xyz, max(normal.y, 0.35));`,
     );
 
     shader.fragmentShader = shader.fragmentShader.replace(
       '#include <common>',
-      `#include <common>\nvarying vec3 vBiomeTint;\nuniform float biomeTintStrength;`,
+      `#include <common>
+varying vec3 vBiomeTint;
+varying vec3 vVoxelLight;
+uniform float biomeTintStrength;
+uniform float voxelSkyFloor;
+uniform vec3 voxelBlockLightColor;
+uniform float voxelBlockLightStrength;
+uniform float voxelEmissiveStrength;
+varying vec4 vCausticWorld;
+uniform float causticTime;
+uniform float causticStrength;
+uniform float causticSurfaceY;
+uniform vec3 causticColor;
+
+float causticPattern(vec2 p, float t) {
+\tvec2 q = p * 0.7;
+\tfloat a = sin(q.x * 2.1 + t * 1.3 + sin(q.y * 1.7 + t));
+\tfloat b = sin(q.y * 2.6 - t * 1.1 + sin(q.x * 1.3 - t * 0.7));
+\treturn pow(clamp(1.0 - abs(a + b) * 0.9, 0.0, 1.0), 3.0);
+}`,
     );
 
     shader.fragmentShader = shader.fragmentShader.replace(
       '#include <map_fragment>',
       `#include <map_fragment>\n\tdiffuseColor.rgb = mix(diffuseColor.rgb, diffuseColor.rgb * vBiomeTint, biomeTintStrength);`,
     );
+
+    // voxelLight is (sky, block, own emission) per instance. Sky light scales
+    // everything the scene lights contributed; block light and emission are
+    // added on top so glowing objects and crystal ore still light caves and
+    // nights.
+    shader.fragmentShader = shader.fragmentShader.replace(
+      '#include <opaque_fragment>',
+      `outgoingLight *= mix(voxelSkyFloor, 1.0, pow(vVoxelLight.x, 1.6));
+\toutgoingLight += diffuseColor.rgb * voxelBlockLightColor * pow(vVoxelLight.y, 1.4) * voxelBlockLightStrength;
+\toutgoingLight += diffuseColor.rgb * vVoxelLight.z * voxelEmissiveStrength;
+\tif (causticStrength > 0.0 && vCausticWorld.y < causticSurfaceY) {
+\t\tfloat causticFade = 1.0 - smoothstep(0.0, ${CAUSTIC_FADE_DEPTH.toFixed(1)}, causticSurfaceY - vCausticWorld.y);
+\t\tfloat caustic = causticPattern(vCausticWorld.xz, causticTime) * causticFade * vCausticWorld.w;
+\t\toutgoingLight += diffuseColor.rgb * causticColor * caustic * causticStrength * vVoxelLight.x;
+\t}
+#include <opaque_fragment>`,
+    );
   };
 
   material.customProgramCacheKey = () => `${material.uuid}_biome_tint`;
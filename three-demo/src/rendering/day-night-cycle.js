@@ -0,0 +1,298 @@
+const DEFAULT_DAY_LENGTH_SECONDS = 1200;
+const ORBIT_TILT = 0.42;
+const ORBIT_DISTANCE = 60;
+const SKY_DOME_RADIUS = 420;
+
+const SUN_INTENSITY = 1.1;
+const MOON_INTENSITY = 0.22;
+const AMBIENT_RANGE = { night: 0.14, day: 0.5 };
+const HEMISPHERE_RANGE = { night: 0.18, day: 0.45 };
+
+// Named times accepted by setTimeOfDay (fractions of a day, 0 = midnight).
+export const TIME_PRESETS = {
+  midnight: 0,
+  dawn: 0.23,
+  sunrise: 0.25,
+  morning: 0.33,
+  day: 0.4,
+  noon: 0.5,
+  afternoon: 0.6,
+  dusk: 0.76,
+  sunset: 0.75,
+  night: 0.875,
+};
+
+const SKY_VERTEX_SHADER = `
+varying vec3 vDirection;
+
+void main() {
+  vDirection = normalize(position);
+  vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+  gl_Position = projectionMatrix * viewMatrix * worldPosition;
+  gl_Position.z = gl_Position.w;
+}
+`;
+
+const SKY_FRAGMENT_SHADER = `
+uniform vec3 zenithColor;
+uniform vec3 horizonColor;
+uniform vec3 sunDirection;
+uniform vec3 sunColor;
+uniform vec3 moonDirection;
+uniform float starVisibility;
+uniform float time;
+
+varying vec3 vDirection;
+
+float hash(vec3 p) {
+  p = fract(p * 0.3183099 + 0.1);
+  p *= 17.0;
+  return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+}
+
+void main() {
+  vec3 direction = normalize(vDirection);
+  float elevation = clamp(direction.y, -1.0, 1.0);
+  float gradient = pow(clamp(elevation, 0.0, 1.0), 0.55);
+  vec3 color = mix(horizonColor, zenithColor, gradient);
+
+  float sunAmount = max(dot(direction, sunDirection), 0.0);
+  color += sunColor * (pow(sunAmount, 900.0) * 4.0 + pow(sunAmount, 12.0) * 0.18);
+
+  float moonAmount = max(dot(direction, moonDirection), 0.0);
+  color += vec3(0.78, 0.84, 1.0) * smoothstep(0.9993, 0.9996, moonAmount) * (0.35 + starVisibility);
+
+  if (starVisibility > 0.0 && elevation > 0.0) {
+    vec3 cell = floor(direction * 220.0);
+    float star = step(0.9975, hash(cell));
+    float twinkle = 0.65 + 0.35 * sin(time * 2.3 + hash(cell + 7.0) * 40.0);
+    color += vec3(star * twinkle * starVisibility * smoothstep(0.0, 0.18, elevation));
+  }
+
+  gl_FragColor = vec4(color, 1.0);
+  #include <tonemapping_fragment>
+  #include <colorspace_fragment>
+}
+`;
+
+function smoothstep(edge0, edge1, value) {
+  const t = Math.max(0, Math.min(1, (value - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
+
+function wrapTime(value) {
+  return ((value % 1) + 1) % 1;
+}
+
+export function formatTimeOfDay(timeOfDay) {
+  const totalMinutes = Math.round(wrapTime(timeOfDay) * 24 * 60) % (24 * 60);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// Accepts "HH:MM", a preset name or a day fraction in [0, 1).
+export function parseTimeOfDay(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(TIME_PRESETS, text)) {
+    return TIME_PRESETS[text];
+  }
+  const clock = text.match(/^(\d{1,2}):(\d{2})$/);
+  if (clock) {
+    const hours = Number.parseInt(clock[1], 10);
+    const minutes = Number.parseInt(clock[2], 10);
+    if (hours < 24 && minutes < 60) {
+      return (hours * 60 + minutes) / (24 * 60);
+    }
+    return null;
+  }
+  const fraction = Number.parseFloat(text);
+  if (Number.isFinite(fraction) && fraction >= 0 && fraction < 1 && /^[\d.]+$/.test(text)) {
+    return fraction;
+  }
+  return null;
+}
+
+// Time of day runs from 0 (midnight) through 0.25 (sunrise), 0.5 (noon) and
+// 0.75 (sunset). The sun orbits on a tilted circle, the moon sits opposite
+// it, and light intensities, the sky dome and the atmosphere tint all follow
+// the sun's height above the horizon.
+export function createDayNightCycle({
+  THREE,
+  scene,
+  sun,
+  ambientLight = null,
+  hemisphereLight = null,
+  dayLengthSeconds = DEFAULT_DAY_LENGTH_SECONDS,
+  startTime = TIME_PRESETS.morning,
+}) {
+  if (!THREE || !scene) {
+    throw new Error('createDayNightCycle requires THREE and a scene');
+  }
+  if (!sun?.isDirectionalLight) {
+    throw new Error('createDayNightCycle requires a directional sun light');
+  }
+
+  let timeOfDay = wrapTime(startTime);
+  let speed = 1;
+  let elapsed = 0;
+
+  const sunDirection = new THREE.Vector3();
+  const moonDirection = new THREE.Vector3();
+  const sunColor = new THREE.Color();
+  const skyTint = new THREE.Color(1, 1, 1);
+  const daySunColor = new THREE.Color(0xfff4e0);
+  const lowSunColor = new THREE.Color(0xff9a55);
+  const dayTint = new THREE.Color(1, 1, 1);
+  const twilightTint = new THREE.Color(1.0, 0.66, 0.5);
+  const nightTint = new THREE.Color(0.1, 0.12, 0.24);
+
+  const moon = new THREE.DirectionalLight(0x9fb6ff, 0);
+  moon.name = 'moon_light';
+  scene.add(moon);
+
+  const skyUniforms = {
+    zenithColor: { value: new THREE.Color(0xa9d6ff) },
+    horizonColor: { value: new THREE.Color(0xa9d6ff) },
+    sunDirection: { value: sunDirection },
+    sunColor: { value: sunColor },
+    moonDirection: { value: moonDirection },
+    starVisibility: { value: 0 },
+    time: { value: 0 },
+  };
+  const skyMaterial = new THREE.ShaderMaterial({
+    name: 'sky_dome',
+    uniforms: skyUniforms,
+    vertexShader: SKY_VERTEX_SHADER,
+    fragmentShader: SKY_FRAGMENT_SHADER,
+    side: THREE.BackSide,
+    depthWrite: false,
+    fog: false,
+  });
+  const skyGeometry = new THREE.SphereGeometry(SKY_DOME_RADIUS, 32, 16);
+  const skyDome = new THREE.Mesh(skyGeometry, skyMaterial);
+  skyDome.name = 'sky_dome';
+  skyDome.frustumCulled = false;
+  skyDome.renderOrder = -1;
+  // The atmosphere and underwater effects update after this cycle, so the
+  // dome reads their colours at draw time: the fog colour at the horizon
+  // fading into the sky colour above.
+  skyDome.onBeforeRender = () => {
+    if (scene.fog?.color) {
+      skyUniforms.horizonColor.value.copy(scene.fog.color);
+    }
+    if (scene.background?.isColor) {
+      skyUniforms.zenithColor.value.copy(scene.background);
+    }
+  };
+  scene.add(skyDome);
+
+  let sunElevation = 0;
+  let daylight = 1;
+
+  function computeSunDirection(time, target) {
+    const angle = (time - 0.25) * Math.PI * 2;
+    return target
+      .set(Math.cos(angle), Math.sin(angle) * Math.cos(ORBIT_TILT), Math.sin(angle) * Math.sin(ORBIT_TILT))
+      .normalize();
+  }
+
+  function applyLighting() {
+    computeSunDirection(timeOfDay, sunDirection);
+    moonDirection.copy(sunDirection).negate();
+    sunElevation = sunDirection.y;
+    daylight = smoothstep(-0.1, 0.2, sunElevation);
+    const twilight = 1 - smoothstep(0.0, 0.3, Math.abs(sunElevation + 0.02));
+    const moonlight = smoothstep(-0.05, 0.15, moonDirection.y);
+
+    sunColor.copy(lowSunColor).lerp(daySunColor, smoothstep(0.0, 0.35, sunElevation));
+    sun.color.copy(sunColor);
+    sun.intensity = SUN_INTENSITY * smoothstep(-0.04, 0.12, sunElevation);
+    sun.position.copy(sunDirection).multiplyScalar(ORBIT_DISTANCE);
+
+    moon.intensity = MOON_INTENSITY * moonlight;
+    moon.position.copy(moonDirection).multiplyScalar(ORBIT_DISTANCE);
+
+    if (ambientLight) {
+      ambientLight.intensity = THREE.MathUtils.lerp(AMBIENT_RANGE.night, AMBIENT_RANGE.day, daylight);
+    }
+    if (hemisphereLight) {
+      hemisphereLight.intensity = THREE.MathUtils.lerp(
+        HEMISPHERE_RANGE.night,
+        HEMISPHERE_RANGE.day,
+        daylight,
+      );
+    }
+
+    skyTint.copy(nightTint).lerp(dayTint, daylight).lerp(twilightTint, twilight * 0.55);
+    skyUniforms.starVisibility.value = 1 - smoothstep(-0.15, 0.05, sunElevation);
+  }
+
+  function update(delta = 0, camera = null) {
+    elapsed += delta;
+    if (dayLengthSeconds > 0 && speed !== 0) {
+      timeOfDay = wrapTime(timeOfDay + (delta * speed) / dayLengthSeconds);
+    }
+    applyLighting();
+    skyUniforms.time.value = elapsed;
+    if (camera) {
+      skyDome.position.copy(camera.position);
+    }
+  }
+
+  function getPhase() {
+    if (sunElevation > 0.2) {
+      return 'day';
+    }
+    if (sunElevation < -0.1) {
+      return 'night';
+    }
+    return timeOfDay < 0.5 ? 'dawn' : 'dusk';
+  }
+
+  applyLighting();
+
+  return {
+    update,
+    getTimeOfDay: () => timeOfDay,
+    setTimeOfDay(value) {
+      timeOfDay = wrapTime(value);
+      applyLighting();
+      return timeOfDay;
+    },
+    addTime(fraction) {
+      timeOfDay = wrapTime(timeOfDay + fraction);
+      applyLighting();
+      return timeOfDay;
+    },
+    getSpeed: () => speed,
+    setSpeed(value) {
+      speed = Math.max(0, Number(value) || 0);
+      return speed;
+    },
+    getDayLengthSeconds: () => dayLengthSeconds,
+    getDaylight: () => daylight,
+    getSunDirection: () => sunDirection,
+    getSkyTint: () => skyTint,
+    isNight: () => getPhase() === 'night',
+    getState() {
+      return {
+        timeOfDay,
+        clock: formatTimeOfDay(timeOfDay),
+        phase: getPhase(),
+        speed,
+        dayLengthSeconds,
+        daylight,
+        sunElevation,
+        starVisibility: skyUniforms.starVisibility.value,
+      };
+    },
+    dispose() {
+      scene.remove(skyDome);
+      scene.remove(moon);
+      skyGeometry.dispose();
+      skyMaterial.dispose();
+      moon.dispose();
+    },
+  };
+}
@@ -0,0 +1,300 @@
+import { CSM } from 'three/examples/jsm/csm/CSM.js';
+
+// Single-map presets size the shadow box around the player; cascaded presets
+// split the camera frustum out to the loaded chunk radius instead.
+export const SHADOW_PRESETS = {
+  off: { label: 'Off', mapSize: 0, extent: 0, cascades: 0 },
+  low: { label: 'Low', mapSize: 1024, extent: 40, cascades: 0 },
+  medium: { label: 'Medium', mapSize: 2048, extent: 64, cascades: 0 },
+  high: { label: 'High', mapSize: 4096, extent: 96, cascades: 0 },
+  cascaded: { label: 'Cascaded (2)', mapSize: 2048, extent: 0, cascades: 2 },
+  'cascaded-high': { label: 'Cascaded (3)', mapSize: 2048, extent: 0, cascades: 3 },
+};
+export const DEFAULT_SHADOW_PRESET = 'medium';
+
+const LIGHT_DISTANCE_MARGIN = 80;
+const SHADOW_BIAS = -0.0005;
+const SHADOW_NORMAL_BIAS = 0.03;
+const CASCADE_LIGHT_MARGIN = 120;
+const MATERIAL_SWEEP_INTERVAL = 1;
+// The sun only re-aims once it has moved this far (radians). Between steps the
+// shadow box keeps one orientation, so snapping to texels stays exact.
+const DIRECTION_STEP = 0.0035;
+
+function isLitMaterial(material) {
+  return Boolean(
+    material?.isMeshStandardMaterial ||
+      material?.isMeshLambertMaterial ||
+      material?.isMeshPhongMaterial,
+  );
+}
+
+// Keeps the sun's shadows centred on the player. A single shadow map is
+// snapped to its own texel grid in light space so shadow edges do not shimmer
+// as the player moves; the cascaded presets hand the sun over to three's CSM,
+// whose lights take the sun's colour and intensity every frame.
+export function createShadowRig({
+  THREE,
+  scene,
+  camera,
+  renderer,
+  sun,
+  getLightDirection,
+  getCoverageRadius = () => 120,
+  preset = DEFAULT_SHADOW_PRESET,
+}) {
+  if (!THREE || !scene || !camera || !renderer) {
+    throw new Error('createShadowRig requires THREE, a scene, a camera and a renderer');
+  }
+  if (!sun?.isDirectionalLight) {
+    throw new Error('createShadowRig requires a directional sun light');
+  }
+  if (typeof getLightDirection !== 'function') {
+    throw new Error('createShadowRig requires a getLightDirection function');
+  }
+
+  const lightDirection = new THREE.Vector3(0, 1, 0);
+  const lightRotation = new THREE.Matrix4();
+  const lightRotationInverse = new THREE.Matrix4();
+  const lightSpaceCenter = new THREE.Vector3();
+  const worldCenter = new THREE.Vector3();
+  const zero = new THREE.Vector3();
+  const up = new THREE.Vector3(0, 1, 0);
+  const fallbackUp = new THREE.Vector3(0, 0, 1);
+
+  let hasDirection = false;
+  let activePresetId = null;
+  let activePreset = SHADOW_PRESETS.off;
+  let csm = null;
+  let csmCoverage = 0;
+  let csmAspect = camera.aspect;
+  const csmMaterials = new Map();
+  let sweepTimer = 0;
+
+  if (!sun.target.parent) {
+    scene.add(sun.target);
+  }
+
+  function refreshLightDirection() {
+    const direction = getLightDirection();
+    if (!direction || direction.lengthSq() === 0) {
+      return;
+    }
+    if (hasDirection && lightDirection.angleTo(direction) < DIRECTION_STEP) {
+      return;
+    }
+    hasDirection = true;
+    lightDirection.copy(direction).normalize();
+    lightRotation.lookAt(lightDirection, zero, Math.abs(lightDirection.y) > 0.999 ? fallbackUp : up);
+    lightRotationInverse.copy(lightRotation).invert();
+  }
+
+  function resetShadowMap(light) {
+    if (light.shadow.map) {
+      light.shadow.map.dispose();
+      light.shadow.map = null;
+    }
+  }
+
+  function configureSingleMap({ mapSize, extent }) {
+    resetShadowMap(sun);
+    sun.shadow.mapSize.set(mapSize, mapSize);
+    const shadowCamera = sun.shadow.camera;
+    shadowCamera.left = -extent;
+    shadowCamera.right = extent;
+    shadowCamera.top = extent;
+    shadowCamera.bottom = -extent;
+    shadowCamera.near = 1;
+    shadowCamera.far = extent * 2 + LIGHT_DISTANCE_MARGIN * 2;
+    shadowCamera.updateProjectionMatrix();
+    sun.shadow.bias = SHADOW_BIAS;
+    sun.shadow.normalBias = SHADOW_NORMAL_BIAS;
+  }
+
+  // CSM installs its own onBeforeCompile; chain it after any hook the material
+  // already had (biome tint, water waves) so neither patch is lost.
+  function attachCascadeMaterial(material) {
+    if (!csm || csmMaterials.has(material) || !isLitMaterial(material)) {
+      return;
+    }
+    const previousHook = Object.prototype.hasOwnProperty.call(material, 'onBeforeCompile')
+      ? material.onBeforeCompile
+      : null;
+    csm.setupMaterial(material);
+    const cascadeHook = material.onBeforeCompile;
+    material.onBeforeCompile = (shader, activeRenderer) => {
+      previousHook?.(shader, activeRenderer);
+      cascadeHook(shader, activeRenderer);
+    };
+    csmMaterials.set(material, previousHook);
+    material.needsUpdate = true;
+  }
+
+  function sweepCascadeMaterials() {
+    scene.traverse((object) => {
+      if (!object.isMesh) {
+        return;
+      }
+      if (Array.isArray(object.material)) {
+        object.material.forEach(attachCascadeMaterial);
+      } else {
+        attachCascadeMaterial(object.material);
+      }
+    });
+  }
+
+  function disposeCascades() {
+    if (!csm) {
+      return;
+    }
+    csm.remove();
+    csm.lights.forEach((light) => {
+      resetShadowMap(light);
+      light.dispose();
+    });
+    csm.dispose();
+    csmMaterials.forEach((previousHook, material) => {
+      if (previousHook) {
+        material.onBeforeCompile = previousHook;
+      }
+      material.needsUpdate = true;
+    });
+    csmMaterials.clear();
+    csm = null;
+  }
+
+  function createCascades({ mapSize, cascades }) {
+    csmCoverage = getCoverageRadius();
+    csmAspect = camera.aspect;
+    csm = new CSM({
+      camera,
+      parent: scene,
+      cascades,
+      maxFar: csmCoverage,
+      mode: 'practical',
+      shadowMapSize: mapSize,
+      shadowBias: -0.0002,
+      lightDirection: lightDirection.clone().negate(),
+      lightIntensity: Math.max(sun.intensity, 0.0001),
+      lightNear: 1,
+      lightFar: csmCoverage * 2 + CASCADE_LIGHT_MARGIN * 2,
+      lightMargin: CASCADE_LIGHT_MARGIN,
+    });
+    csm.fade = true;
+    csm.lights.forEach((light) => {
+      light.shadow.normalBias = SHADOW_NORMAL_BIAS;
+    });
+    sweepCascadeMaterials();
+    csm.updateFrustums();
+  }
+
+  function setPreset(id) {
+    const next = SHADOW_PRESETS[id];
+    if (!next) {
+      throw new Error(
+        `Unknown shadow preset "${id}". Expected one of: ${Object.keys(SHADOW_PRESETS).join(', ')}.`,
+      );
+    }
+    if (id === activePresetId) {
+      return activePresetId;
+    }
+
+    disposeCascades();
+    activePresetId = id;
+    activePreset = next;
+    refreshLightDirection();
+
+    if (next.cascades > 0) {
+      renderer.shadowMap.enabled = true;
+      sun.castShadow = false;
+      sun.visible = false;
+      resetShadowMap(sun);
+      createCascades(next);
+    } else if (next.mapSize > 0) {
+      renderer.shadowMap.enabled = true;
+      sun.castShadow = true;
+      sun.visible = true;
+      configureSingleMap(next);
+    } else {
+      sun.castShadow = false;
+      sun.visible = true;
+      resetShadowMap(sun);
+    }
+    return activePresetId;
+  }
+
+  function updateSingleMap(focus) {
+    // Move the focus into light space, round it to whole shadow texels and move
+    // it back: the shadow camera then only ever slides by exact texel steps.
+    const texelSize = (activePreset.extent * 2) / activePreset.mapSize;
+    lightSpaceCenter.copy(focus).applyMatrix4(lightRotationInverse);
+    lightSpaceCenter.x = Math.round(lightSpaceCenter.x / texelSize) * texelSize;
+    lightSpaceCenter.y = Math.round(lightSpaceCenter.y / texelSize) * texelSize;
+    worldCenter.copy(lightSpaceCenter).applyMatrix4(lightRotation);
+
+    sun.target.position.copy(worldCenter);
+    sun.position
+      .copy(lightDirection)
+      .multiplyScalar(activePreset.extent + LIGHT_DISTANCE_MARGIN)
+      .add(worldCenter);
+    sun.shadow.autoUpdate = sun.intensity > 0;
+  }
+
+  function updateCascades(delta) {
+    const coverage = getCoverageRadius();
+    if (coverage !== csmCoverage || camera.aspect !== csmAspect) {
+      csmCoverage = coverage;
+      csmAspect = camera.aspect;
+      csm.maxFar = coverage;
+      csm.updateFrustums();
+    }
+    sweepTimer += delta;
+    if (sweepTimer >= MATERIAL_SWEEP_INTERVAL) {
+      sweepTimer = 0;
+      sweepCascadeMaterials();
+    }
+    csm.lightDirection.copy(lightDirection).negate();
+    csm.lights.forEach((light) => {
+      light.color.copy(sun.color);
+      light.intensity = sun.intensity;
+      light.shadow.autoUpdate = sun.intensity > 0;
+    });
+    csm.update();
+  }
+
+  function update(focus, delta = 0) {
+    if (!focus || activePreset.mapSize === 0) {
+      return;
+    }
+    refreshLightDirection();
+    if (csm) {
+      updateCascades(delta);
+    } else {
+      updateSingleMap(focus);
+    }
+  }
+
+  setPreset(SHADOW_PRESETS[preset] ? preset : DEFAULT_SHADOW_PRESET);
+
+  return {
+    update,
+    setPreset,
+    getPreset: () => activePresetId,
+    getState() {
+      return {
+        preset: activePresetId,
+        label: activePreset.label,
+        mapSize: activePreset.mapSize,
+        extent: activePreset.extent,
+        cascades: activePreset.cascades,
+        coverage: csm ? csmCoverage : activePreset.extent,
+        breaks: csm ? csm.breaks.map((value) => value * csmCoverage) : [],
+        cascadeMaterials: csmMaterials.size,
+      };
+    },
+    dispose() {
+      disposeCascades();
+      resetShadowMap(sun);
+    },
+  };
+}
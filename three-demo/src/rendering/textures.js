@@ -7,6 +7,42 @@ export function createBlockMaterials({ THREE, seed = 1337 } = {}) {
   }
   const engine = new TextureEngine({ THREE, seed });
 
+  // Ores share the stone matrix and differ in the colour and shape of the
+  // mineral flecks set into it.
+  const createOreTexture = (name, { fleck, glint, density, scale }) =>
+    engine.createTexture(name, {
+      size: 128,
+      generator: ({ noise, ridge, worley, color, mix, darken, lighten }) => {
+        const base = color('#8c8c8c');
+        const shadow = darken(base, 0.4);
+        const mineral = color(fleck);
+        const sparkle = lighten(color(glint), 0.1);
+
+        const striations = ridge({
+          scale: 9,
+          octaves: 4,
+          persistence: 0.55,
+          sharpness: 1.4,
+          variant: 'striations',
+        });
+        const micro = noise({ scale: 20, octaves: 2, persistence: 0.6, variant: 'micro' });
+        const flecks = 1 - worley({
+          scale,
+          jitter: 0.85,
+          distancePower: 1.3,
+          variant: `${name}:flecks`,
+        });
+        const fleckMask = Math.min(1, Math.max(0, (flecks - (1 - density)) / density) * 1.6);
+        const highlight = noise({ scale: 26, octaves: 2, persistence: 0.5, variant: `${name}:glint` });
+
+        let shade = mix(base, shadow, striations * 0.7 + micro * 0.2);
+        shade = mix(shade, mineral, fleckMask);
+        shade = mix(shade, sparkle, fleckMask * Math.pow(highlight, 3) * 0.8);
+
+        return { ...shade, a: 1 };
+      },
+    });
+
   const textures = {
     grass: engine.createTexture('grass', {
       size: 128,
@@ -198,6 +234,36 @@ export function createBlockMaterials({ THREE, seed = 1337 } = {}) {
         return { ...shade, a: 1 };
       },
     }),
+    coal_ore: createOreTexture('coal_ore', {
+      fleck: '#1d1d21',
+      glint: '#4a4a55',
+      density: 0.45,
+      scale: 7,
+    }),
+    copper_ore: createOreTexture('copper_ore', {
+      fleck: '#c8703d',
+      glint: '#5fc7a0',
+      density: 0.38,
+      scale: 8,
+    }),
+    iron_ore: createOreTexture('iron_ore', {
+      fleck: '#c49a7a',
+      glint: '#efd8c4',
+      density: 0.35,
+      scale: 9,
+    }),
+    gold_ore: createOreTexture('gold_ore', {
+      fleck: '#e8b923',
+      glint: '#fff3a8',
+      density: 0.3,
+      scale: 10,
+    }),
+    crystal_ore: createOreTexture('crystal_ore', {
+      fleck: '#9b6bff',
+      glint: '#e6dcff',
+      density: 0.5,
+      scale: 5,
+    }),
     cloud: engine.createTexture('cloud', {
       size: 128,
       generator: ({ noise, worley, color, mix, lighten, darken }) => {
@@ -323,6 +389,29 @@ export function createBlockMaterials({ THREE, seed = 1337 } = {}) {
       tintStrength: 0.75,
       name: 'LogBiomeMaterial',
     }),
+    coal_ore: createStandardBlockMaterial(textures.coal_ore, { roughness: 0.8 }, {
+      name: 'CoalOreBiomeMaterial',
+    }),
+    copper_ore: createStandardBlockMaterial(
+      textures.copper_ore,
+      { roughness: 0.6, metalness: 0.2 },
+      { tintStrength: 0.6, name: 'CopperOreBiomeMaterial' },
+    ),
+    iron_ore: createStandardBlockMaterial(
+      textures.iron_ore,
+      { roughness: 0.6, metalness: 0.2 },
+      { tintStrength: 0.6, name: 'IronOreBiomeMaterial' },
+    ),
+    gold_ore: createStandardBlockMaterial(
+      textures.gold_ore,
+      { roughness: 0.45, metalness: 0.35 },
+      { tintStrength: 0.5, name: 'GoldOreBiomeMaterial' },
+    ),
+    crystal_ore: createStandardBlockMaterial(
+      textures.crystal_ore,
+      { roughness: 0.35, metalness: 0.1, emissive: 0x2a1450, emissiveIntensity: 0.6 },
+      { tintStrength: 0.4, name: 'CrystalOreBiomeMaterial' },
+    ),
     cloud: createStandardBlockMaterial(
       textures.cloud,
       {
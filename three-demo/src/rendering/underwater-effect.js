@@ -0,0 +1,230 @@
+import { updateVoxelCaustics } from './biome-tint-material.js';
+
+const DEFAULT_FADE_SECONDS = 0.35;
+// Depth band (in blocks) over which the view crosses from above to below the
+// surface, so bobbing at the waterline blends instead of flickering.
+const SURFACE_BAND = { above: 0.06, below: 0.22 };
+const UNDERWATER_FOG = { near: 0.5, far: 22, darken: 0.55 };
+const CAUSTIC_STRENGTH = { surface: 0.28, submerged: 0.65 };
+const DISTORTION_STRENGTH = 0.0035;
+const DEFAULT_WATER_COLOR = '#3a79c5';
+
+const PASS_VERTEX_SHADER = `
+varying vec2 vUv;
+
+void main() {
+  vUv = uv;
+  gl_Position = vec4(position.xy, 0.0, 1.0);
+}
+`;
+
+const PASS_FRAGMENT_SHADER = `
+uniform sampler2D sceneTexture;
+uniform float amount;
+uniform float time;
+uniform float distortion;
+uniform vec3 tint;
+
+varying vec2 vUv;
+
+void main() {
+  vec2 offset = vec2(
+    sin(vUv.y * 24.0 + time * 1.7) + sin(vUv.y * 57.0 - time * 2.3) * 0.35,
+    cos(vUv.x * 19.0 + time * 1.3) + cos(vUv.x * 43.0 + time * 1.9) * 0.35
+  ) * distortion * amount;
+  vec4 color = texture2D(sceneTexture, clamp(vUv + offset, vec2(0.001), vec2(0.999)));
+  float vignette = smoothstep(0.95, 0.25, distance(vUv, vec2(0.5)));
+  color.rgb = mix(color.rgb, color.rgb * tint, amount * 0.35);
+  color.rgb *= mix(1.0, vignette, amount * 0.45);
+  gl_FragColor = color;
+  #include <tonemapping_fragment>
+  #include <colorspace_fragment>
+}
+`;
+
+function smoothstep(edge0, edge1, value) {
+  const t = Math.max(0, Math.min(1, (value - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
+
+// Underwater treatment for whatever fluid the camera is in: dense fog tinted
+// by the local biome's water colour (or the fluid's own colour), a wobbling
+// screen pass and stronger caustics on the terrain below the surface. The
+// blend amount follows the camera's depth below the surface and eases over
+// `fadeSeconds`, and `onAmountChange` lets the music fade with it.
+export function createUnderwaterEffect({
+  THREE,
+  scene,
+  renderer,
+  getHeadSubmersion,
+  sampleBiomeAt,
+  getFluidColor = () => null,
+  causticSurfaceY,
+  onAmountChange = null,
+  fadeSeconds = DEFAULT_FADE_SECONDS,
+}) {
+  if (!THREE || !scene || !renderer) {
+    throw new Error('createUnderwaterEffect requires THREE, a scene and a renderer');
+  }
+  if (typeof getHeadSubmersion !== 'function') {
+    throw new Error('createUnderwaterEffect requires a getHeadSubmersion function');
+  }
+  if (typeof sampleBiomeAt !== 'function') {
+    throw new Error('createUnderwaterEffect requires a sampleBiomeAt function');
+  }
+
+  let amount = 0;
+  let reportedAmount = 0;
+  let elapsed = 0;
+  let fluidType = null;
+  let enabled = true;
+  const waterColor = new THREE.Color(DEFAULT_WATER_COLOR);
+  const fogColor = new THREE.Color();
+  const causticColor = new THREE.Color();
+  const white = new THREE.Color(1, 1, 1);
+
+  const passUniforms = {
+    sceneTexture: { value: null },
+    amount: { value: 0 },
+    time: { value: 0 },
+    distortion: { value: DISTORTION_STRENGTH },
+    tint: { value: new THREE.Color(1, 1, 1) },
+  };
+  const passMaterial = new THREE.ShaderMaterial({
+    name: 'underwater_pass',
+    uniforms: passUniforms,
+    vertexShader: PASS_VERTEX_SHADER,
+    fragmentShader: PASS_FRAGMENT_SHADER,
+    depthTest: false,
+    depthWrite: false,
+  });
+  const passGeometry = new THREE.PlaneGeometry(2, 2);
+  const passMesh = new THREE.Mesh(passGeometry, passMaterial);
+  passMesh.frustumCulled = false;
+  const passScene = new THREE.Scene();
+  passScene.add(passMesh);
+  const passCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+  const drawingBufferSize = new THREE.Vector2();
+  let renderTarget = null;
+
+  function resolveWaterColor(position, type) {
+    const biome = sampleBiomeAt(Math.round(position.x), Math.round(position.z))?.biome;
+    const color =
+      biome?.palette?.[type] ??
+      getFluidColor(type) ??
+      biome?.palette?.water ??
+      DEFAULT_WATER_COLOR;
+    waterColor.set(color);
+  }
+
+  function update(position, delta = 0) {
+    elapsed += delta;
+    const submersion = getHeadSubmersion();
+    const depth = submersion?.depth;
+    let target = 0;
+    if (enabled && Number.isFinite(depth)) {
+      target = smoothstep(-SURFACE_BAND.above, SURFACE_BAND.below, depth);
+    }
+    if (target > 0 && position) {
+      fluidType = submersion.fluidType;
+      resolveWaterColor(position, fluidType);
+    }
+    const blend = fadeSeconds > 0 ? 1 - Math.exp(-delta / fadeSeconds) : 1;
+    amount += (target - amount) * blend;
+    if (amount < 0.001 && target === 0) {
+      amount = 0;
+    }
+
+    // The atmosphere re-applies the biome fog every frame, so blending on top
+    // of it here never accumulates.
+    if (amount > 0 && scene.fog) {
+      fogColor.copy(waterColor).multiplyScalar(UNDERWATER_FOG.darken);
+      scene.fog.color.lerp(fogColor, amount);
+      scene.fog.near += (UNDERWATER_FOG.near - scene.fog.near) * amount;
+      scene.fog.far += (UNDERWATER_FOG.far - scene.fog.far) * amount;
+      if (scene.background?.isColor) {
+        scene.background.lerp(fogColor, amount);
+      }
+    }
+
+    causticColor.copy(white).lerp(waterColor, 0.35);
+    updateVoxelCaustics({
+      THREE,
+      time: elapsed,
+      strength: enabled
+        ? THREE.MathUtils.lerp(CAUSTIC_STRENGTH.surface, CAUSTIC_STRENGTH.submerged, amount)
+        : 0,
+      surfaceY: causticSurfaceY,
+      color: causticColor,
+    });
+
+    passUniforms.amount.value = amount;
+    passUniforms.time.value = elapsed;
+    passUniforms.tint.value.copy(white).lerp(waterColor, 0.6);
+
+    const amountChanged =
+      Math.abs(amount - reportedAmount) > 0.01 || (amount === 0 && reportedAmount !== 0);
+    if (typeof onAmountChange === 'function' && amountChanged) {
+      reportedAmount = amount;
+      onAmountChange(amount);
+    }
+  }
+
+  function ensureRenderTarget() {
+    renderer.getDrawingBufferSize(drawingBufferSize);
+    const width = Math.max(1, drawingBufferSize.x);
+    const height = Math.max(1, drawingBufferSize.y);
+    if (!renderTarget) {
+      renderTarget = new THREE.WebGLRenderTarget(width, height, {
+        type: THREE.HalfFloatType,
+        depthBuffer: true,
+      });
+    } else if (renderTarget.width !== width || renderTarget.height !== height) {
+      renderTarget.setSize(width, height);
+    }
+    return renderTarget;
+  }
+
+  // Draws the frame: straight to the screen above water, through the
+  // distortion pass once the camera is (partly) under the surface.
+  function render(targetScene, camera) {
+    if (amount <= 0) {
+      renderer.render(targetScene, camera);
+      return;
+    }
+    const target = ensureRenderTarget();
+    const previousTarget = renderer.getRenderTarget();
+    renderer.setRenderTarget(target);
+    renderer.render(targetScene, camera);
+    renderer.setRenderTarget(previousTarget);
+    passUniforms.sceneTexture.value = target.texture;
+    renderer.render(passScene, passCamera);
+  }
+
+  return {
+    update,
+    render,
+    setEnabled(value) {
+      enabled = Boolean(value);
+      return enabled;
+    },
+    isEnabled: () => enabled,
+    getAmount: () => amount,
+    getState() {
+      return {
+        enabled,
+        amount,
+        fluidType: amount > 0 ? fluidType : null,
+        waterColor: `#${waterColor.getHexString()}`,
+        renderTargetSize: renderTarget ? [renderTarget.width, renderTarget.height] : null,
+      };
+    },
+    dispose() {
+      renderTarget?.dispose();
+      renderTarget = null;
+      passGeometry.dispose();
+      passMaterial.dispose();
+      updateVoxelCaustics({ THREE, strength: 0 });
+    },
+  };
+}
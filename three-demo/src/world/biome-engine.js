@@ -1,4 +1,6 @@
 import { ValueNoise2D } from './noise.js';
+import { normalizeOreVeins } from './ore-veins.js';
+import { normalizeCreatureSpawns } from './creatures/creature-spawns.js';
 
 import temperate from './biomes/temperate.json' with { type: 'json' };
 import desert from './biomes/desert.json' with { type: 'json' };
@@ -84,8 +86,10 @@ export function createBiomeEngine({ THREE, seed = 1337 } = {}) {
 
     const terrainDefinition = definition.terrain ?? {};
     const treeHeight = terrainDefinition.treeHeight ?? {};
+    const caveDefinition = terrainDefinition.caves ?? {};
 
     const shaderDefinition = definition.shader ?? {};
+    const fogNear = Math.max(0, shaderDefinition.fogNear ?? 60);
 
     return {
       id: definition.id ?? `biome_${index}`,
@@ -110,6 +114,7 @@ export function createBiomeEngine({ THREE, seed = 1337 } = {}) {
         shrubChance: clamp01(terrainDefinition.shrubChance ?? 0.02),
         flowerChance: clamp01(terrainDefinition.flowerChance ?? 0.01),
         rockChance: clamp01(terrainDefinition.rockChance ?? 0),
+        mineralChance: clamp01(terrainDefinition.mineralChance ?? 0),
         fungiChance: clamp01(terrainDefinition.fungiChance ?? 0),
         waterPlantChance: clamp01(terrainDefinition.waterPlantChance ?? 0),
         structureChance: clamp01(terrainDefinition.structureChance ?? 0),
@@ -118,11 +123,30 @@ export function createBiomeEngine({ THREE, seed = 1337 } = {}) {
           max: Math.max(Math.floor(treeHeight.max ?? 6), Math.floor(treeHeight.min ?? 3)),
         },
         heightOffset: terrainDefinition.heightOffset ?? 0,
+        lowlandFluid:
+          typeof terrainDefinition.lowlandFluid === 'string' ? terrainDefinition.lowlandFluid : 'water',
+        caves: {
+          frequency: clamp01(caveDefinition.frequency ?? 0.35),
+          flooded: Boolean(caveDefinition.flooded),
+          floodFluid: typeof caveDefinition.floodFluid === 'string' ? caveDefinition.floodFluid : null,
+          floodLevel: Number.isFinite(caveDefinition.floodLevel)
+            ? Math.floor(caveDefinition.floodLevel)
+            : null,
+        },
+        ores: normalizeOreVeins(terrainDefinition.ores),
       },
+      creatures: normalizeCreatureSpawns(definition.creatures),
       shader: {
         fogColor: new THREE.Color(shaderDefinition.fogColor ?? '#a9d6ff'),
         tintColor: new THREE.Color(shaderDefinition.tintColor ?? '#ffffff'),
         tintStrength: clamp01(shaderDefinition.tintStrength ?? 0),
+        skyColor: new THREE.Color(
+          shaderDefinition.skyColor ?? shaderDefinition.fogColor ?? '#a9d6ff',
+        ),
+        fogNear,
+        fogFar: Math.max(fogNear + 1, shaderDefinition.fogFar ?? 320),
+        hemisphereSky: new THREE.Color(shaderDefinition.hemisphereSky ?? '#bcdfff'),
+        hemisphereGround: new THREE.Color(shaderDefinition.hemisphereGround ?? '#5a4833'),
       },
     };
   });
@@ -0,0 +1,201 @@
+import { ALL_FACES_HIDDEN } from './face-culling.js';
+import { writeVoxelLightAttribute } from './voxel-light.js';
+
+// The blocks of one type in one chunk, drawn as a single merged geometry that
+// holds only the faces no opaque neighbour covers. Bits of an entry's
+// `hiddenFaces` mask follow BoxGeometry's face order (+x, -x, +y, -y, +z, -z),
+// so every visible face is copied from a unit box and moved by the entry's
+// matrix. Tint and light become per-vertex `biomeTint` / `voxelLight`
+// attributes, which the biome tint material reads like the instanced ones.
+
+const FACE_COUNT = 6;
+const VERTICES_PER_FACE = 4;
+const INDICES_PER_FACE = 6;
+
+let faceTemplates = null;
+
+function ensureFaceTemplates(THREE) {
+  if (faceTemplates) {
+    return faceTemplates;
+  }
+  const box = new THREE.BoxGeometry(1, 1, 1);
+  const positions = box.getAttribute('position').array;
+  const normals = box.getAttribute('normal').array;
+  const uvs = box.getAttribute('uv').array;
+  const indices = box.getIndex().array;
+  faceTemplates = Array.from({ length: FACE_COUNT }, (_, face) => ({
+    positions: Array.from(positions.slice(face * 12, face * 12 + 12)),
+    normal: Array.from(normals.slice(face * 12, face * 12 + 3)),
+    uvs: Array.from(uvs.slice(face * 8, face * 8 + 8)),
+    indices: Array.from(
+      indices.slice(face * INDICES_PER_FACE, (face + 1) * INDICES_PER_FACE),
+      (value) => value - face * VERTICES_PER_FACE,
+    ),
+  }));
+  box.dispose();
+  return faceTemplates;
+}
+
+function visibleFaceMask(entry) {
+  return ~(entry.hiddenFaces ?? 0) & ALL_FACES_HIDDEN;
+}
+
+function countFaces(mask) {
+  let count = 0;
+  for (let bits = mask; bits; bits &= bits - 1) {
+    count += 1;
+  }
+  return count;
+}
+
+export function createBlockFaceMesh({ THREE, material, type, entries = [] }) {
+  if (!THREE || !material) {
+    throw new Error('createBlockFaceMesh requires a THREE instance and a material');
+  }
+  const templates = ensureFaceTemplates(THREE);
+  const mesh = new THREE.Mesh(new THREE.BufferGeometry(), material);
+  mesh.castShadow = !['cloud', 'water'].includes(type);
+  mesh.receiveShadow = type !== 'cloud';
+  mesh.frustumCulled = false;
+  mesh.userData.type = type;
+  mesh.userData.blockFaces = true;
+
+  // faceEntries[i] owns face i (triangles 2i and 2i + 1) of the last build.
+  let faceEntries = [];
+  let dirty = true;
+
+  function rebuild() {
+    let faceCount = 0;
+    entries.forEach((entry, index) => {
+      entry.index = index;
+      faceCount += countFaces(visibleFaceMask(entry));
+    });
+
+    const vertexCount = faceCount * VERTICES_PER_FACE;
+    const positions = new Float32Array(vertexCount * 3);
+    const normals = new Float32Array(vertexCount * 3);
+    const uvs = new Float32Array(vertexCount * 2);
+    const tints = new Float32Array(vertexCount * 3);
+    const IndexArray = vertexCount > 65535 ? Uint32Array : Uint16Array;
+    const indices = new IndexArray(faceCount * INDICES_PER_FACE);
+    const lightAttribute = new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3);
+    faceEntries = new Array(faceCount);
+
+    const lights = lightAttribute.array;
+    let face = 0;
+    entries.forEach((entry) => {
+      const mask = visibleFaceMask(entry);
+      entry.faceStart = face;
+      if (!mask) {
+        entry.faceCount = 0;
+        return;
+      }
+      const e = entry.matrix.elements;
+      const tint = entry.tintColor;
+      const tintR = tint ? tint.r : 1;
+      const tintG = tint ? tint.g : 1;
+      const tintB = tint ? tint.b : 1;
+      // Every vertex of a block shares its light; write it once and copy.
+      writeVoxelLightAttribute(lightAttribute, face * VERTICES_PER_FACE, entry);
+      const lightOffset = face * VERTICES_PER_FACE * 3;
+      const sky = lights[lightOffset];
+      const block = lights[lightOffset + 1];
+      const emission = lights[lightOffset + 2];
+      for (let side = 0; side < FACE_COUNT; side += 1) {
+        if (!(mask & (1 << side))) {
+          continue;
+        }
+        const template = templates[side];
+        const [nx, ny, nz] = template.normal;
+        // Box faces are axis aligned, so the matrix alone orients the normal
+        // correctly under rotation and non-uniform scale.
+        const tx = e[0] * nx + e[4] * ny + e[8] * nz;
+        const ty = e[1] * nx + e[5] * ny + e[9] * nz;
+        const tz = e[2] * nx + e[6] * ny + e[10] * nz;
+        const length = Math.hypot(tx, ty, tz) || 1;
+        const firstVertex = face * VERTICES_PER_FACE;
+        for (let corner = 0; corner < VERTICES_PER_FACE; corner += 1) {
+          const vertex = firstVertex + corner;
+          const x = template.positions[corner * 3];
+          const y = template.positions[corner * 3 + 1];
+          const z = template.positions[corner * 3 + 2];
+          const offset = vertex * 3;
+          positions[offset] = e[0] * x + e[4] * y + e[8] * z + e[12];
+          positions[offset + 1] = e[1] * x + e[5] * y + e[9] * z + e[13];
+          positions[offset + 2] = e[2] * x + e[6] * y + e[10] * z + e[14];
+          normals[offset] = tx / length;
+          normals[offset + 1] = ty / length;
+          normals[offset + 2] = tz / length;
+          tints[offset] = tintR;
+          tints[offset + 1] = tintG;
+          tints[offset + 2] = tintB;
+          lights[offset] = sky;
+          lights[offset + 1] = block;
+          lights[offset + 2] = emission;
+          uvs[vertex * 2] = template.uvs[corner * 2];
+          uvs[vertex * 2 + 1] = template.uvs[corner * 2 + 1];
+        }
+        for (let i = 0; i < INDICES_PER_FACE; i += 1) {
+          indices[face * INDICES_PER_FACE + i] = firstVertex + template.indices[i];
+        }
+        faceEntries[face] = entry;
+        face += 1;
+      }
+      entry.faceCount = face - entry.faceStart;
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    geometry.setAttribute('biomeTint', new THREE.BufferAttribute(tints, 3));
+    geometry.setAttribute('voxelLight', lightAttribute);
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    geometry.computeBoundingSphere();
+    mesh.geometry.dispose();
+    mesh.geometry = geometry;
+    dirty = false;
+  }
+
+  // Light changes often (every relit cell), so it is written in place; a
+  // pending rebuild picks the new value up anyway.
+  function writeLight(entry) {
+    if (dirty || !(entry.faceCount > 0) || faceEntries[entry.faceStart] !== entry) {
+      return;
+    }
+    const attribute = mesh.geometry.getAttribute('voxelLight');
+    const lights = attribute.array;
+    const firstVertex = entry.faceStart * VERTICES_PER_FACE;
+    const lastVertex = firstVertex + entry.faceCount * VERTICES_PER_FACE;
+    writeVoxelLightAttribute(attribute, firstVertex, entry);
+    for (let offset = (firstVertex + 1) * 3; offset < lastVertex * 3; offset += 3) {
+      lights[offset] = lights[firstVertex * 3];
+      lights[offset + 1] = lights[firstVertex * 3 + 1];
+      lights[offset + 2] = lights[firstVertex * 3 + 2];
+    }
+  }
+
+  rebuild();
+
+  return {
+    mesh,
+    entries,
+    invalidate() {
+      dirty = true;
+    },
+    isDirty: () => dirty,
+    update() {
+      if (dirty) {
+        rebuild();
+      }
+    },
+    writeLight,
+    // Raycast hits on indexed geometry report the triangle as `faceIndex`.
+    getEntryForFace: (faceIndex) => faceEntries[Math.floor(faceIndex / 2)] ?? null,
+    getFaceCount: () => faceEntries.length,
+    dispose() {
+      mesh.geometry.dispose();
+      faceEntries = [];
+    },
+  };
+}
@@ -0,0 +1,310 @@
+// Packs generated chunk entries into typed arrays so chunk data can travel
+// between the generation workers and the main thread as transferables.
+
+const COLLISION_MODES = ['none', 'solid', 'soft', 'liquid'];
+const NO_COLLISION_MODE = 255;
+const NO_BIOME = 255;
+
+const FLAG_SOLID = 1;
+const FLAG_WATER = 2;
+const FLAG_DESTRUCTIBLE = 4;
+const FLAG_DESTRUCTIBLE_UNSET = 8;
+const FLAG_DECORATION = 16;
+const FLAG_NO_PALETTE = 32;
+
+const FLUID_NEIGHBOR_KEYS = ['px', 'nx', 'pz', 'nz'];
+const FLUID_COLUMN_STRIDE = 15 + FLUID_NEIGHBOR_KEYS.length * 4;
+
+function writeVector(target, offset, vector, fallback) {
+  target[offset] = vector?.x ?? fallback;
+  target[offset + 1] = vector?.y ?? fallback;
+  target[offset + 2] = vector?.z ?? fallback;
+}
+
+export function packEntries(entries, biomeIds) {
+  const count = entries.length;
+  const positions = new Float64Array(count * 3);
+  const matrices = new Float32Array(count * 16);
+  const tints = new Float32Array(count * 3);
+  const paletteColors = new Float32Array(count * 3);
+  const scales = new Float32Array(count * 9);
+  const flags = new Uint8Array(count);
+  const hiddenFaces = new Uint8Array(count);
+  const collisionModes = new Uint8Array(count);
+  const biomeIndices = new Uint8Array(count);
+  const extras = [];
+
+  entries.forEach((entry, index) => {
+    writeVector(positions, index * 3, entry.position, 0);
+    matrices.set(entry.matrix.elements, index * 16);
+    const tint = entry.tintColor;
+    tints[index * 3] = tint?.r ?? 1;
+    tints[index * 3 + 1] = tint?.g ?? 1;
+    tints[index * 3 + 2] = tint?.b ?? 1;
+    if (entry.paletteColor) {
+      paletteColors[index * 3] = entry.paletteColor.r;
+      paletteColors[index * 3 + 1] = entry.paletteColor.g;
+      paletteColors[index * 3 + 2] = entry.paletteColor.b;
+    }
+    writeVector(scales, index * 9, entry.scale, 1);
+    writeVector(scales, index * 9 + 3, entry.visualScale, 1);
+    writeVector(scales, index * 9 + 6, entry.visualOffset, 0);
+
+    let flag = 0;
+    if (entry.isSolid) flag |= FLAG_SOLID;
+    if (entry.isWater) flag |= FLAG_WATER;
+    if (entry.destructible === true) flag |= FLAG_DESTRUCTIBLE;
+    if (typeof entry.destructible !== 'boolean') flag |= FLAG_DESTRUCTIBLE_UNSET;
+    if (entry.isDecoration) flag |= FLAG_DECORATION;
+    if (!entry.paletteColor) flag |= FLAG_NO_PALETTE;
+    flags[index] = flag;
+    hiddenFaces[index] = entry.hiddenFaces ?? 0;
+
+    const modeIndex = COLLISION_MODES.indexOf(entry.collisionMode);
+    collisionModes[index] = modeIndex >= 0 ? modeIndex : NO_COLLISION_MODE;
+
+    let biomeIndex = NO_BIOME;
+    if (entry.biomeId) {
+      biomeIndex = biomeIds.indexOf(entry.biomeId);
+      if (biomeIndex < 0) {
+        biomeIds.push(entry.biomeId);
+        biomeIndex = biomeIds.length - 1;
+      }
+    }
+    biomeIndices[index] = biomeIndex;
+
+    const extra = {};
+    let hasExtra = false;
+    if (entry.key !== entry.coordinateKey) {
+      extra.key = entry.key;
+      hasExtra = true;
+    }
+    ['sourceObjectId', 'voxelIndex', 'metadata', 'prototypeKey', 'prototypeLocalKey'].forEach(
+      (field) => {
+        if (entry[field] !== null && entry[field] !== undefined) {
+          extra[field] = entry[field];
+          hasExtra = true;
+        }
+      },
+    );
+    if (entry.tintOverride) {
+      extra.tintOverride = [entry.tintOverride.r, entry.tintOverride.g, entry.tintOverride.b];
+      hasExtra = true;
+    }
+    if (hasExtra) {
+      extra.index = index;
+      extras.push(extra);
+    }
+  });
+
+  return {
+    count,
+    positions,
+    matrices,
+    tints,
+    paletteColors,
+    scales,
+    flags,
+    hiddenFaces,
+    collisionModes,
+    biomeIndices,
+    extras,
+  };
+}
+
+export function unpackEntries(THREE, packed, biomeIds) {
+  const {
+    count,
+    positions,
+    matrices,
+    tints,
+    paletteColors,
+    scales,
+    flags,
+    hiddenFaces,
+    collisionModes,
+    biomeIndices,
+    extras,
+  } = packed;
+  const entries = new Array(count);
+  for (let index = 0; index < count; index++) {
+    const x = positions[index * 3];
+    const y = positions[index * 3 + 1];
+    const z = positions[index * 3 + 2];
+    const coordinateKey = `${x}|${y}|${z}`;
+    const flag = flags[index];
+    const scaleOffset = index * 9;
+    const entry = {
+      key: coordinateKey,
+      coordinateKey,
+      matrix: new THREE.Matrix4().fromArray(matrices, index * 16),
+      position: new THREE.Vector3(x, y, z),
+      type: packed.type,
+      biomeId: biomeIndices[index] === NO_BIOME ? null : biomeIds[biomeIndices[index]],
+      paletteColor:
+        flag & FLAG_NO_PALETTE
+          ? null
+          : new THREE.Color().fromArray(paletteColors, index * 3),
+      tintColor: new THREE.Color().fromArray(tints, index * 3),
+      scale: new THREE.Vector3().fromArray(scales, scaleOffset),
+      visualScale: new THREE.Vector3().fromArray(scales, scaleOffset + 3),
+      visualOffset: new THREE.Vector3().fromArray(scales, scaleOffset + 6),
+      destructible: flag & FLAG_DESTRUCTIBLE_UNSET ? null : Boolean(flag & FLAG_DESTRUCTIBLE),
+      sourceObjectId: null,
+      voxelIndex: null,
+      metadata: null,
+      tintOverride: null,
+      hiddenFaces: hiddenFaces[index],
+    };
+    if (flag & FLAG_DECORATION) {
+      entry.isDecoration = true;
+    } else {
+      entry.isSolid = Boolean(flag & FLAG_SOLID);
+      entry.isWater = Boolean(flag & FLAG_WATER);
+      if (collisionModes[index] !== NO_COLLISION_MODE) {
+        entry.collisionMode = COLLISION_MODES[collisionModes[index]];
+      }
+    }
+    entries[index] = entry;
+  }
+
+  extras.forEach((extra) => {
+    const entry = entries[extra.index];
+    if (!entry) {
+      return;
+    }
+    if (extra.key) {
+      entry.key = extra.key;
+    }
+    entry.sourceObjectId = extra.sourceObjectId ?? null;
+    entry.voxelIndex = extra.voxelIndex ?? null;
+    entry.metadata = extra.metadata ?? null;
+    if (extra.tintOverride) {
+      entry.tintOverride = new THREE.Color().fromArray(extra.tintOverride);
+    }
+    if (extra.prototypeKey) {
+      entry.prototypeKey = extra.prototypeKey;
+    }
+    if (extra.prototypeLocalKey) {
+      entry.prototypeLocalKey = extra.prototypeLocalKey;
+    }
+  });
+
+  return entries;
+}
+
+export function packFluidColumns(columns) {
+  const list = Array.from(columns.values());
+  const data = new Float64Array(list.length * FLUID_COLUMN_STRIDE);
+  list.forEach((column, index) => {
+    const offset = index * FLUID_COLUMN_STRIDE;
+    data[offset] = column.x;
+    data[offset + 1] = column.z;
+    data[offset + 2] = column.bottomY;
+    data[offset + 3] = column.surfaceY;
+    data[offset + 4] = column.minY;
+    data[offset + 5] = column.maxY;
+    data[offset + 6] = column.color?.r ?? 0;
+    data[offset + 7] = column.color?.g ?? 0;
+    data[offset + 8] = column.color?.b ?? 0;
+    data[offset + 9] = column.depth ?? 0;
+    data[offset + 10] = column.flowDirection?.x ?? 0;
+    data[offset + 11] = column.flowDirection?.y ?? 0;
+    data[offset + 12] = column.flowStrength ?? 0;
+    data[offset + 13] = column.foamAmount ?? 0;
+    data[offset + 14] = column.shoreline ?? 0;
+    FLUID_NEIGHBOR_KEYS.forEach((neighborKey, neighborIndex) => {
+      const neighbor = column.neighbors?.[neighborKey];
+      const neighborOffset = offset + 15 + neighborIndex * 4;
+      data[neighborOffset] = neighbor?.hasFluid ? 1 : 0;
+      data[neighborOffset + 1] = neighbor?.surfaceY ?? column.surfaceY;
+      data[neighborOffset + 2] = neighbor?.bottomY ?? column.bottomY;
+      data[neighborOffset + 3] = neighbor?.foamHint ?? 0;
+    });
+  });
+  return { count: list.length, data };
+}
+
+export function unpackFluidColumns(THREE, packed) {
+  const columns = new Map();
+  const { count, data } = packed;
+  for (let index = 0; index < count; index++) {
+    const offset = index * FLUID_COLUMN_STRIDE;
+    const x = data[offset];
+    const z = data[offset + 1];
+    const key = `${x}|${z}`;
+    const neighbors = {};
+    FLUID_NEIGHBOR_KEYS.forEach((neighborKey, neighborIndex) => {
+      const neighborOffset = offset + 15 + neighborIndex * 4;
+      neighbors[neighborKey] = {
+        hasFluid: data[neighborOffset] === 1,
+        surfaceY: data[neighborOffset + 1],
+        bottomY: data[neighborOffset + 2],
+        foamHint: data[neighborOffset + 3],
+      };
+    });
+    columns.set(key, {
+      key,
+      x,
+      z,
+      bottomY: data[offset + 2],
+      surfaceY: data[offset + 3],
+      minY: data[offset + 4],
+      maxY: data[offset + 5],
+      color: new THREE.Color(data[offset + 6], data[offset + 7], data[offset + 8]),
+      depth: data[offset + 9],
+      flowDirection: new THREE.Vector2(data[offset + 10], data[offset + 11]),
+      flowStrength: data[offset + 12],
+      foamAmount: data[offset + 13],
+      shoreline: data[offset + 14],
+      neighbors,
+    });
+  }
+  return columns;
+}
+
+export function packColumnBounds(columns) {
+  const data = new Float64Array(columns.size * 4);
+  let offset = 0;
+  columns.forEach((bounds, key) => {
+    const [x, z] = key.split('|').map(Number);
+    data[offset] = x;
+    data[offset + 1] = z;
+    data[offset + 2] = bounds?.bottomY ?? Number.NaN;
+    data[offset + 3] = bounds?.surfaceY ?? Number.NaN;
+    offset += 4;
+  });
+  return data;
+}
+
+export function unpackColumnBounds(data) {
+  const columns = new Map();
+  for (let offset = 0; offset < data.length; offset += 4) {
+    columns.set(`${data[offset]}|${data[offset + 1]}`, {
+      bottomY: data[offset + 2],
+      surfaceY: data[offset + 3],
+    });
+  }
+  return columns;
+}
+
+export function collectChunkDataTransferables(data) {
+  const buffers = new Set();
+  const collectPacked = (packed) => {
+    if (!packed) {
+      return;
+    }
+    Object.values(packed).forEach((value) => {
+      if (ArrayBuffer.isView(value)) {
+        buffers.add(value.buffer);
+      }
+    });
+  };
+  (data.blocks ?? []).forEach(collectPacked);
+  (data.decorations ?? []).forEach(collectPacked);
+  (data.fluidColumns ?? []).forEach(collectPacked);
+  if (ArrayBuffer.isView(data.waterColumns)) {
+    buffers.add(data.waterColumns.buffer);
+  }
+  return Array.from(buffers);
+}
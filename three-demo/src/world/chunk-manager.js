@@ -1,8 +1,44 @@
 import * as THREE from 'three';
 
-import { generateChunk, worldConfig } from './generation.js';
-import { createFluidSurface, disposeFluidSurface } from './fluids/fluid-registry.js';
-import { buildFluidGeometry } from './fluids/fluid-geometry.js';
+import {
+  buildChunkFromData,
+  createPlacedBlockEntry,
+  generateChunk,
+  worldConfig,
+} from './generation.js';
+import {
+  createFluidSurface,
+  disposeFluidSurface,
+  getFluidDefinition,
+  getFluidPhysics,
+  getFluidTypeByIndex,
+  getFluidTypeIndex,
+} from './fluids/fluid-registry.js';
+import {
+  FACE_DIRECTIONS,
+  computeHiddenFaces,
+  isOccludingEntry,
+  isUnitCubeEntry,
+} from './face-culling.js';
+import { applyFluidColumnFlow, buildFluidGeometry } from './fluids/fluid-geometry.js';
+import { createFluidSimulation, getFluidCellType } from './fluids/fluid-simulation.js';
+import {
+  VOXEL_FLAG_OCCLUDER,
+  collisionModeFromState,
+  computeEntryBox,
+  createChunkVoxelGrid,
+  getVoxelTypeId,
+  getVoxelTypeName,
+} from './voxel-grid.js';
+import {
+  createVoxelLightEngine,
+  forEachEmitterCell,
+  resolveEntryEmission,
+  writeVoxelLightAttribute,
+} from './voxel-light.js';
+import { ORE_BLOCK_TYPES } from './ore-veins.js';
+import { createBlockFaceMesh } from './block-face-mesh.js';
+import { intersectRayBox, traceVoxelRay } from './voxel-raycast.js';
 
 function chunkKey(x, z) {
   return `${x}|${z}`;
@@ -13,6 +49,13 @@ function worldToChunk(value) {
   return Math.floor((value + halfSize) / worldConfig.chunkSize);
 }
 
+function getFluidCellEmission(value) {
+  if (!(value > 0)) {
+    return 0;
+  }
+  return getFluidPhysics(getFluidTypeByIndex(getFluidCellType(value)))?.lightLevel ?? 0;
+}
+
 function normalizeDistance(value, fallback = 0) {
   if (value === Number.POSITIVE_INFINITY) {
     return Number.POSITIVE_INFINITY;
@@ -121,6 +164,9 @@ function normalizeWaterColumnBounds(bounds) {
 }
 
 
+const MAX_CONSECUTIVE_WORKER_FAILURES = 3;
+const LIGHT_REFRESH_OFFSETS = [{ dx: 0, dy: 0, dz: 0 }, ...FACE_DIRECTIONS];
+
 const fluidNeighborOffsets = [
   { key: 'px', dx: 1, dz: 0, opposite: 'nx' },
   { key: 'nx', dx: -1, dz: 0, opposite: 'px' },
@@ -135,14 +181,22 @@ export function createChunkManager({
   viewDistance = 1,
   retainDistance: initialRetainDistance,
   maxPreloadPerUpdate = 2,
+  editStore = null,
+  generationWorkers = null,
 }) {
   const loadedChunks = new Map();
-  const solidBlocks = new Set();
-  const softBlocks = new Set();
-  const waterColumns = new Map();
+  // Voxel grids of loaded chunks keyed by a packed integer so the hot lookups
+  // (collision, spawn search, water checks) never build string keys.
+  const voxelGrids = new Map();
+  let cachedVoxelGrid = null;
+  let voxelLookups = 0;
   const decorationGroupsByKey = new Map();
   const decorationOwnersIndex = new Map();
   const prototypeRemovalGuards = new Set();
+  const placementGuards = new Set();
+  const chunkUnloadListeners = new Set();
+  const blockChangeListeners = new Set();
+  let replayingEdits = false;
   const isDevBuild = Boolean(import.meta.env && import.meta.env.DEV);
   let lastCenterKey = null;
   let currentViewDistance = normalizeDistance(viewDistance, 1);
@@ -153,6 +207,36 @@ export function createChunkManager({
   const preloadQueue = [];
   const pendingPreloadKeys = new Set();
   let queueDirty = false;
+  // Worker-generated chunk data: requests in flight and results waiting to be
+  // turned into meshes on the main thread.
+  const pendingGeneration = new Map();
+  const dirtyFaceMeshes = new Set();
+  const completedChunkData = new Map();
+  const maxPendingGeneration = generationWorkers ? generationWorkers.size * 2 : 0;
+  // Chunks a worker failed on are generated on the main thread instead. Only
+  // a run of consecutive failures turns the pool off for the session.
+  const workerFailedKeys = new Set();
+  let consecutiveWorkerFailures = 0;
+  let totalWorkerFailures = 0;
+  let workerGenerationEnabled = Boolean(generationWorkers);
+  let workerDisabledReason = generationWorkers ? null : 'no worker pool';
+  let lastCenterChunkX = 0;
+  let lastCenterChunkZ = 0;
+
+  const lightEngine = createVoxelLightEngine({
+    chunkSize: worldConfig.chunkSize,
+    resolveVoxelGrid,
+    getCellEmission,
+  });
+  const fluidSimulation = createFluidSimulation({
+    resolveVoxelGrid,
+    isBlocked: isSolid,
+    onCellChanged: (x, y, z, previous, next) => {
+      if (getFluidCellEmission(previous) > 0 || getFluidCellEmission(next) > 0) {
+        lightEngine.markDirty(x, y, z);
+      }
+    },
+  });
 
   const chunkCullFrustum = new THREE.Frustum();
   const chunkCullMatrix = new THREE.Matrix4();
@@ -182,9 +266,25 @@ export function createChunkManager({
     if (!(chunk.fluidColumnsByType instanceof Map)) {
       return false;
     }
+    if (!Array.isArray(chunk.fluidSurfaces)) {
+      chunk.fluidSurfaces = [];
+    }
+    const surface = chunk.fluidSurfaces.find(
+      (mesh) => mesh?.userData?.fluidType === type,
+    );
+    const removeSurface = () => {
+      if (surface) {
+        chunk.group?.remove(surface);
+        chunk.fluidSurfaces.splice(chunk.fluidSurfaces.indexOf(surface), 1);
+        surface.geometry?.dispose?.();
+        disposeFluidSurface(surface);
+      }
+      return false;
+    };
+
     const columns = chunk.fluidColumnsByType.get(type);
     if (!(columns instanceof Map) || columns.size === 0) {
-      return false;
+      return removeSurface();
     }
 
     const geometry = buildFluidGeometry({
@@ -194,16 +294,9 @@ export function createChunkManager({
     const positionAttribute = geometry.getAttribute('position');
     if (!positionAttribute || positionAttribute.count === 0) {
       geometry.dispose();
-      return false;
-    }
-
-    if (!Array.isArray(chunk.fluidSurfaces)) {
-      chunk.fluidSurfaces = [];
+      return removeSurface();
     }
 
-    const surface = chunk.fluidSurfaces.find(
-      (mesh) => mesh?.userData?.fluidType === type,
-    );
     if (!surface) {
       const mesh = createFluidSurface({ type, geometry });
       mesh.userData = mesh.userData || {};
@@ -222,122 +315,158 @@ export function createChunkManager({
     return true;
   }
 
-  function settleFluidColumn(chunk, columnKey) {
-    if (!chunk || !columnKey) {
-      return false;
-    }
-    if (!(chunk.waterColumns instanceof Map)) {
-      return false;
-    }
-    let metadata = chunk.waterColumns.get(columnKey);
-
-    const coordinates = parseColumnCoordinates(columnKey);
-    if (!coordinates) {
-      return false;
-    }
-
-    const columnsByType =
-      chunk.fluidColumnsByType instanceof Map ? chunk.fluidColumnsByType : null;
-    const waterColumnStore = columnsByType?.get('water');
-    const column = waterColumnStore instanceof Map ? waterColumnStore.get(columnKey) : null;
+  function findFluidColumn(x, z, type) {
+    const chunk = loadedChunks.get(chunkKey(worldToChunk(x), worldToChunk(z)));
+    return chunk?.fluidColumnsByType?.get(type)?.get(`${x}|${z}`) ?? null;
+  }
 
-    if (!metadata) {
-      if (!column) {
-        return false;
+  // Neighbour descriptions for the surface mesh: columns of the same fluid
+  // report their own bounds, open ground (or another fluid) beside the column
+  // closes the edge with a side face down to the column bottom and banks (or
+  // unloaded chunks) hide it.
+  function refreshFluidColumnFlow(column, type) {
+    const neighbors = {};
+    const topY = Math.ceil(column.surfaceY - 0.5);
+    fluidNeighborOffsets.forEach((offset) => {
+      const nx = column.x + offset.dx;
+      const nz = column.z + offset.dz;
+      const neighborColumn = findFluidColumn(nx, nz, type);
+      let surfaceY;
+      let bottomY = column.bottomY;
+      if (neighborColumn) {
+        surfaceY = neighborColumn.surfaceY;
+        bottomY = neighborColumn.bottomY;
+      } else if (resolveVoxelGrid(nx, nz) && !isSolid(nx, topY, nz)) {
+        surfaceY = column.bottomY;
+      } else {
+        surfaceY = Math.max(column.surfaceY, topY + 0.5);
       }
-      metadata = {
-        bottomY: Number.isFinite(column.bottomY) ? column.bottomY : column.surfaceY,
-        surfaceY: Number.isFinite(column.surfaceY) ? column.surfaceY : column.bottomY,
+      neighbors[offset.key] = {
+        hasFluid: Boolean(neighborColumn),
+        surfaceY,
+        bottomY,
+        foamHint: Math.max(0, column.surfaceY - surfaceY),
       };
-      chunk.waterColumns.set(columnKey, metadata);
-      waterColumns.set(columnKey, metadata);
-    }
-
-    const surfaceY = Number.isFinite(metadata.surfaceY)
-      ? metadata.surfaceY
-      : Number.isFinite(column?.surfaceY)
-      ? column.surfaceY
-      : worldConfig.waterLevel + 0.5;
-    const currentBottom = Number.isFinite(metadata.bottomY)
-      ? metadata.bottomY
-      : Number.isFinite(column?.bottomY)
-      ? column.bottomY
-      : surfaceY;
-
-    if (!Number.isFinite(surfaceY) || !Number.isFinite(currentBottom)) {
-      return false;
-    }
+    });
+    applyFluidColumnFlow(THREE, column, neighbors);
+  }
 
-    const startY = Math.floor(currentBottom - 0.5);
-    const minYLimit = Number.isFinite(chunk.bounds?.minY)
-      ? Math.floor(chunk.bounds.minY - 1)
-      : -64;
-    let supportTop = null;
-    for (let y = startY; y >= minYLimit; y -= 1) {
-      const candidateKey = `${coordinates.x}|${y}|${coordinates.z}`;
-      if (solidBlocks.has(candidateKey)) {
-        supportTop = y + 0.5;
-        break;
+  // Mirrors one column of simulated fluid into the chunk's fluid column
+  // metadata (swimming, breath and damage read it through the voxel grid) and
+  // into the column list the surface mesh of its type is built from. Returns
+  // the fluid types whose column lists changed.
+  function syncFluidColumn(chunk, x, z) {
+    const columnKey = `${x}|${z}`;
+    const bounds = fluidSimulation.measureColumn(x, z);
+    const type = bounds ? getFluidTypeByIndex(bounds.typeIndex) ?? 'water' : null;
+    const touchedTypes = new Set();
+    chunk.fluidColumnsByType.forEach((columns, columnType) => {
+      if (columnType !== type && columns.delete(columnKey)) {
+        touchedTypes.add(columnType);
       }
+    });
+    if (!bounds) {
+      chunk.waterColumns.delete(columnKey);
+      chunk.waterColumnKeys.delete(columnKey);
+      chunk.voxels.clearWaterColumn(x, z);
+      return touchedTypes;
     }
+    chunk.waterColumns.set(columnKey, bounds);
+    chunk.waterColumnKeys.add(columnKey);
+    chunk.voxels.setWaterColumn(x, z, bounds);
 
-    if (supportTop === null) {
-      supportTop = minYLimit + 0.5;
-    }
-
-    if (!(supportTop < currentBottom - 1e-4)) {
-      return false;
-    }
-
-    metadata.bottomY = supportTop;
-    metadata.surfaceY = surfaceY;
-    chunk.waterColumns.set(columnKey, metadata);
-    waterColumns.set(columnKey, metadata);
-    if (chunk.waterColumnKeys instanceof Set) {
-      chunk.waterColumnKeys.add(columnKey);
+    if (!(chunk.fluidColumnsByType.get(type) instanceof Map)) {
+      chunk.fluidColumnsByType.set(type, new Map());
     }
+    const columns = chunk.fluidColumnsByType.get(type);
+    let column = columns.get(columnKey);
+    if (!column) {
+      const donor = fluidNeighborOffsets
+        .map((offset) => findFluidColumn(x + offset.dx, z + offset.dz, type))
+        .find(Boolean);
+      column = {
+        key: columnKey,
+        x,
+        z,
+        color: donor?.color
+          ? donor.color.clone()
+          : new THREE.Color(getFluidDefinition(type)?.color ?? '#3a79c5'),
+      };
+      columns.set(columnKey, column);
+    }
+    column.bottomY = bounds.bottomY;
+    column.minY = bounds.bottomY;
+    column.surfaceY = bounds.surfaceY;
+    column.maxY = bounds.surfaceY;
+    column.depth = Math.max(0.05, column.surfaceY - column.bottomY);
+    touchedTypes.add(type);
+    return touchedTypes;
+  }
 
-    if (column) {
-      column.bottomY = supportTop;
-      column.minY = Math.min(column.minY ?? supportTop, supportTop);
-      column.surfaceY = surfaceY;
-      column.maxY = Math.max(column.maxY ?? surfaceY, surfaceY);
-      column.depth = Math.max(0.05, column.surfaceY - column.bottomY);
-      if (!column.neighbors) {
-        column.neighbors = {};
+  function applyFluidColumnChanges(columnKeys) {
+    const refreshKeys = new Set();
+    const touched = new Map();
+    const touch = (chunk, type) => {
+      if (!touched.has(chunk)) {
+        touched.set(chunk, new Set());
       }
+      touched.get(chunk).add(type);
+    };
+    columnKeys.forEach((columnKey) => {
+      const coordinates = parseColumnCoordinates(columnKey);
+      const chunk = coordinates
+        ? loadedChunks.get(chunkKey(worldToChunk(coordinates.x), worldToChunk(coordinates.z)))
+        : null;
+      if (!chunk?.voxels) {
+        return;
+      }
+      syncFluidColumn(chunk, coordinates.x, coordinates.z).forEach((type) => touch(chunk, type));
+      refreshKeys.add(columnKey);
       fluidNeighborOffsets.forEach((offset) => {
-        const neighborKey = `${column.x + offset.dx}|${column.z + offset.dz}`;
-        const neighborColumn = waterColumnStore?.get(neighborKey) ?? null;
-        if (neighborColumn) {
-          if (!neighborColumn.neighbors) {
-            neighborColumn.neighbors = {};
-          }
-          neighborColumn.neighbors[offset.opposite] = {
-            hasFluid: true,
-            surfaceY: column.surfaceY,
-            bottomY: column.bottomY,
-            foamHint: Math.max(0, neighborColumn.surfaceY - column.surfaceY),
-          };
-          column.neighbors[offset.key] = {
-            hasFluid: true,
-            surfaceY: neighborColumn.surfaceY,
-            bottomY: neighborColumn.bottomY,
-            foamHint: Math.max(0, column.surfaceY - neighborColumn.surfaceY),
-          };
-        } else {
-          column.neighbors[offset.key] = {
-            hasFluid: false,
-            surfaceY,
-            bottomY: supportTop,
-            foamHint: 0,
-          };
+        refreshKeys.add(`${coordinates.x + offset.dx}|${coordinates.z + offset.dz}`);
+      });
+    });
+    refreshKeys.forEach((columnKey) => {
+      const coordinates = parseColumnCoordinates(columnKey);
+      const chunk = loadedChunks.get(
+        chunkKey(worldToChunk(coordinates.x), worldToChunk(coordinates.z)),
+      );
+      chunk?.fluidColumnsByType?.forEach((columns, type) => {
+        const column = columns.get(columnKey);
+        if (column) {
+          refreshFluidColumnFlow(column, type);
+          touch(chunk, type);
         }
       });
-    }
+    });
+    touched.forEach((types, chunk) => {
+      types.forEach((type) => rebuildFluidSurface(chunk, type));
+    });
+  }
 
-    rebuildFluidSurface(chunk, 'water');
-    return true;
+  // Generated columns of every fluid type become source cells of that type;
+  // their bounds are mirrored into the grid so the player controller can tell
+  // which fluid a column holds before the simulation ever touches it.
+  function seedChunkFluids(chunk) {
+    chunk.fluidColumnsByType.forEach((columns, type) => {
+      const typeIndex = getFluidTypeIndex(type);
+      if (typeIndex < 0) {
+        return;
+      }
+      columns.forEach((column, columnKey) => {
+        const coordinates = parseColumnCoordinates(columnKey);
+        const bottomY = column?.bottomY ?? column?.minY;
+        const surfaceY = column?.surfaceY ?? column?.maxY;
+        if (!coordinates || !Number.isFinite(bottomY) || !Number.isFinite(surfaceY)) {
+          return;
+        }
+        fluidSimulation.seedColumn(coordinates.x, coordinates.z, bottomY, surfaceY, typeIndex);
+        const bounds = { bottomY, surfaceY, typeIndex };
+        chunk.waterColumns.set(columnKey, bounds);
+        chunk.waterColumnKeys.add(columnKey);
+        chunk.voxels.setWaterColumn(coordinates.x, coordinates.z, bounds);
+      });
+    });
   }
 
   function applyChunkBounds(chunk) {
@@ -483,11 +612,17 @@ export function createChunkManager({
     if (loadedChunks.has(key)) {
       return;
     }
-    const chunk = generateChunk(blockMaterials, chunkX, chunkZ);
+    const data = completedChunkData.get(key);
+    completedChunkData.delete(key);
+    workerFailedKeys.delete(key);
+    cancelChunkGeneration(key);
+    const chunk = data
+      ? buildChunkFromData(blockMaterials, data)
+      : generateChunk(blockMaterials, chunkX, chunkZ);
     chunk.group.frustumCulled = false;
     applyChunkBounds(chunk);
     chunk.group.children.forEach((child) => {
-      if (!child.isInstancedMesh) {
+      if (!child.isInstancedMesh && !child.userData.blockFaces) {
         return;
       }
       const { type } = child.userData;
@@ -501,8 +636,14 @@ export function createChunkManager({
       surface.userData.chunkKey = key;
     });
     scene.add(chunk.group);
-    (chunk.solidBlockKeys ?? []).forEach((block) => solidBlocks.add(block));
-    (chunk.softBlockKeys ?? []).forEach((block) => softBlocks.add(block));
+    if (!chunk.voxels) {
+      chunk.voxels = createChunkVoxelGrid({
+        chunkX,
+        chunkZ,
+        chunkSize: worldConfig.chunkSize,
+      });
+    }
+    voxelGrids.set(voxelGridKey(chunkX, chunkZ), chunk.voxels);
     const chunkWaterColumnSource =
       chunk.waterColumns ?? chunk.waterColumnKeys ?? null;
     const chunkWaterColumns = ensureWaterColumnMap(chunkWaterColumnSource);
@@ -512,7 +653,10 @@ export function createChunkManager({
         ? null
         : normalizeWaterColumnBounds(bounds);
       normalizedWaterColumns.set(columnKey, normalized);
-      waterColumns.set(columnKey, normalized);
+      const coordinates = parseColumnCoordinates(columnKey);
+      if (coordinates) {
+        chunk.voxels.setWaterColumn(coordinates.x, coordinates.z, normalized);
+      }
     });
     chunk.waterColumns = normalizedWaterColumns;
     chunk.waterColumnKeys = new Set(normalizedWaterColumns.keys());
@@ -580,7 +724,91 @@ export function createChunkManager({
     chunk.decorationGroups.forEach((group) => {
       registerDecorationGroup(key, group, chunk);
     });
+    if (!(chunk.buriedEntries instanceof Map)) {
+      chunk.buriedEntries = new Map();
+    }
+    seedChunkFluids(chunk);
     loadedChunks.set(key, chunk);
+    replayChunkEdits(chunk);
+    reconcileChunkBorders(chunk);
+    lightLoadedChunk(chunk);
+    fluidSimulation.wakeChunkBorders(chunk.voxels, worldConfig.chunkSize);
+  }
+
+  function recordRemovalEdit(chunk, entry, kind = 'block') {
+    if (!editStore || replayingEdits || !chunk || !entry?.key) {
+      return;
+    }
+    editStore.recordRemoval(chunkKey(chunk.chunkX, chunk.chunkZ), {
+      key: entry.key,
+      kind,
+      type: entry.type ?? null,
+      x: entry.position?.x ?? 0,
+      y: entry.position?.y ?? 0,
+      z: entry.position?.z ?? 0,
+    });
+  }
+
+  function resolveEntryIndex(chunk, entry) {
+    const entries = chunk.typeData?.get(entry.type)?.entries;
+    if (!Array.isArray(entries)) {
+      return -1;
+    }
+    if (Number.isInteger(entry.index) && entries[entry.index] === entry) {
+      return entry.index;
+    }
+    return entries.indexOf(entry);
+  }
+
+  function replayChunkEdits(chunk) {
+    if (!editStore || !chunk) {
+      return;
+    }
+    const edits = editStore.getChunkEdits(chunkKey(chunk.chunkX, chunk.chunkZ));
+    if (!edits) {
+      return;
+    }
+    replayingEdits = true;
+    try {
+      edits.removed.forEach((removal) => {
+        if (removal.kind === 'decoration-group') {
+          removeDecorationGroup(removal.key);
+          return;
+        }
+        const entry = chunk.blockLookup?.get(removal.key);
+        if (!entry || entry.key !== removal.key) {
+          return;
+        }
+        if (entry.isDecoration) {
+          removeDecorationInstance({ chunk, type: entry.type, entry });
+          return;
+        }
+        revealBuriedEntry(chunk, entry);
+        const instanceId = resolveEntryIndex(chunk, entry);
+        if (instanceId >= 0) {
+          removeBlockInstance({ chunk, type: entry.type, instanceId });
+        }
+      });
+      edits.added.forEach((addition) => {
+        if (!canPlaceBlockType(addition.type)) {
+          return;
+        }
+        const coordinateKey = `${addition.x}|${addition.y}|${addition.z}`;
+        if (chunk.blockLookup?.has(coordinateKey)) {
+          return;
+        }
+        const entry = createPlacedBlockEntry(
+          addition.type,
+          addition.x,
+          addition.y,
+          addition.z,
+          addition.options ?? {},
+        );
+        insertPlacedEntry(chunk, entry);
+      });
+    } finally {
+      replayingEdits = false;
+    }
   }
 
   function disposeChunk(key) {
@@ -590,16 +818,19 @@ export function createChunkManager({
     }
 
     scene.remove(chunk.group);
+    chunk.typeData?.forEach(({ faces }) => {
+      if (faces) {
+        dirtyFaceMeshes.delete(faces);
+        faces.dispose();
+      }
+    });
     (chunk.fluidSurfaces ?? []).forEach((surface) => {
       surface.geometry?.dispose?.();
       disposeFluidSurface(surface);
     });
-    (chunk.solidBlockKeys ?? []).forEach((block) => solidBlocks.delete(block));
-    (chunk.softBlockKeys ?? []).forEach((block) => softBlocks.delete(block));
-    if (chunk.waterColumns instanceof Map) {
-      chunk.waterColumns.forEach((_, columnKey) => waterColumns.delete(columnKey));
-    } else if (chunk.waterColumnKeys instanceof Set) {
-      chunk.waterColumnKeys.forEach((columnKey) => waterColumns.delete(columnKey));
+    voxelGrids.delete(voxelGridKey(chunk.chunkX, chunk.chunkZ));
+    if (cachedVoxelGrid === chunk.voxels) {
+      cachedVoxelGrid = null;
     }
     if (chunk.decorationGroups) {
       Array.from(chunk.decorationGroups.values()).forEach((group) => {
@@ -610,11 +841,115 @@ export function createChunkManager({
       chunk.boundsBox.makeEmpty?.();
     }
     loadedChunks.delete(key);
+    chunkUnloadListeners.forEach((listener) => {
+      listener({ key, chunkX: chunk.chunkX, chunkZ: chunk.chunkZ });
+    });
+  }
+
+  function getGenerationStats() {
+    return {
+      workersEnabled: workerGenerationEnabled,
+      disabledReason: workerDisabledReason,
+      failures: totalWorkerFailures,
+      mainThreadFallbacks: workerFailedKeys.size,
+      pending: pendingGeneration.size,
+      ready: completedChunkData.size,
+      ...(generationWorkers ? { pool: generationWorkers.getStats() } : {}),
+    };
+  }
+
+  function requestChunkGeneration(chunkX, chunkZ) {
+    const key = chunkKey(chunkX, chunkZ);
+    if (
+      loadedChunks.has(key) ||
+      pendingGeneration.has(key) ||
+      completedChunkData.has(key)
+    ) {
+      return true;
+    }
+    if (!workerGenerationEnabled || workerFailedKeys.has(key)) {
+      return false;
+    }
+    const request = generationWorkers.generate(chunkX, chunkZ);
+    pendingGeneration.set(key, request);
+    request.promise
+      .then((data) => {
+        if (pendingGeneration.get(key) !== request) {
+          return;
+        }
+        pendingGeneration.delete(key);
+        completedChunkData.set(key, data);
+        consecutiveWorkerFailures = 0;
+      })
+      .catch((error) => {
+        if (pendingGeneration.get(key) === request) {
+          pendingGeneration.delete(key);
+        }
+        if (error?.cancelled) {
+          return;
+        }
+        // Fall back to main-thread generation for this chunk rather than
+        // leaving a hole; the next update picks it up again.
+        workerFailedKeys.add(key);
+        consecutiveWorkerFailures += 1;
+        totalWorkerFailures += 1;
+        lastCenterKey = null;
+        if (
+          workerGenerationEnabled &&
+          consecutiveWorkerFailures >= MAX_CONSECUTIVE_WORKER_FAILURES
+        ) {
+          workerGenerationEnabled = false;
+          workerDisabledReason = `${consecutiveWorkerFailures} consecutive worker failures (${error?.message ?? error})`;
+          console.warn(
+            'Chunk generation workers keep failing; generating on the main thread.',
+            error,
+          );
+          return;
+        }
+        console.warn(
+          `Chunk generation worker failed for ${key}; generating it on the main thread.`,
+          error,
+        );
+      });
+    return true;
+  }
+
+  function cancelChunkGeneration(key) {
+    const request = pendingGeneration.get(key);
+    if (!request) {
+      return;
+    }
+    pendingGeneration.delete(key);
+    request.cancel();
+  }
+
+  function buildCompletedChunks(limit) {
+    if (completedChunkData.size === 0 || limit <= 0) {
+      return 0;
+    }
+    const ready = Array.from(completedChunkData.values()).sort((a, b) => {
+      const distanceA =
+        (a.chunkX - lastCenterChunkX) ** 2 + (a.chunkZ - lastCenterChunkZ) ** 2;
+      const distanceB =
+        (b.chunkX - lastCenterChunkX) ** 2 + (b.chunkZ - lastCenterChunkZ) ** 2;
+      return distanceA - distanceB;
+    });
+    let built = 0;
+    for (let i = 0; i < ready.length && built < limit; i += 1) {
+      ensureChunk(ready[i].chunkX, ready[i].chunkZ);
+      built += 1;
+    }
+    return built;
   }
 
   function schedulePreload(chunkX, chunkZ, centerChunkX, centerChunkZ) {
     const key = chunkKey(chunkX, chunkZ);
-    if (loadedChunks.has(key) || pendingPreloadKeys.has(key)) {
+    if (
+      loadedChunks.has(key) ||
+      pendingPreloadKeys.has(key) ||
+      pendingGeneration.has(key) ||
+      completedChunkData.has(key)
+    ) {
       return;
     }
     const dx = chunkX - centerChunkX;
@@ -652,13 +987,13 @@ export function createChunkManager({
   }
 
   function processPreloadQueue(limit) {
-    if (preloadQueue.length === 0) {
+    if (preloadQueue.length === 0 && completedChunkData.size === 0) {
       return 0;
     }
 
     let budget = limit;
     if (!Number.isFinite(budget)) {
-      budget = preloadQueue.length;
+      budget = preloadQueue.length + completedChunkData.size;
     } else {
       budget = Math.max(0, Math.floor(budget));
     }
@@ -672,7 +1007,28 @@ export function createChunkManager({
       queueDirty = false;
     }
 
-    let processed = 0;
+    if (workerGenerationEnabled) {
+      // Chunks the workers failed on are built here, but only within the
+      // frame's budget; the rest stay queued, in order, for later frames.
+      let fallbackBuilt = 0;
+      const deferred = [];
+      while (preloadQueue.length > 0 && pendingGeneration.size < maxPendingGeneration) {
+        const next = preloadQueue.shift();
+        if (requestChunkGeneration(next.chunkX, next.chunkZ)) {
+          pendingPreloadKeys.delete(next.key);
+        } else if (fallbackBuilt < budget) {
+          pendingPreloadKeys.delete(next.key);
+          ensureChunk(next.chunkX, next.chunkZ);
+          fallbackBuilt += 1;
+        } else {
+          deferred.push(next);
+        }
+      }
+      preloadQueue.unshift(...deferred);
+      return fallbackBuilt + buildCompletedChunks(budget - fallbackBuilt);
+    }
+
+    let processed = buildCompletedChunks(budget);
     while (preloadQueue.length > 0 && processed < budget) {
       const next = preloadQueue.shift();
       pendingPreloadKeys.delete(next.key);
@@ -687,10 +1043,24 @@ export function createChunkManager({
   }
 
   function update(position, options = {}) {
+    updateChunks(position, options);
+    flushFaceMeshes();
+  }
+
+  function updateChunks(position, options) {
     if (!position) {
       return;
     }
 
+    const relitCells = lightEngine.flush();
+    if (relitCells) {
+      refreshLightAround(relitCells);
+    }
+    const fluidColumns = fluidSimulation.update(options.delta ?? 0);
+    if (fluidColumns) {
+      applyFluidColumnChanges(fluidColumns);
+    }
+
     const centerChunkX = worldToChunk(position.x);
     const centerChunkZ = worldToChunk(position.z);
     const centerKey = chunkKey(centerChunkX, centerChunkZ);
@@ -719,7 +1089,7 @@ export function createChunkManager({
     const centerChanged = centerKey !== lastCenterKey;
     const viewChanged = desiredViewDistance !== currentViewDistance;
     const retentionChanged = desiredRetention !== retentionDistance;
-    const queueHasWork = preloadQueue.length > 0;
+    const queueHasWork = preloadQueue.length > 0 || completedChunkData.size > 0;
 
     if (
       !force &&
@@ -747,11 +1117,21 @@ export function createChunkManager({
       : finiteView;
 
     prunePreloadQueue(centerChunkX, centerChunkZ, finiteRetention);
+    lastCenterChunkX = centerChunkX;
+    lastCenterChunkZ = centerChunkZ;
 
+    // The chunks around the player are generated synchronously so there is
+    // always ground underfoot; the rest of the view ring comes from workers.
     for (let dx = -finiteView; dx <= finiteView; dx += 1) {
       for (let dz = -finiteView; dz <= finiteView; dz += 1) {
-        ensureChunk(centerChunkX + dx, centerChunkZ + dz);
-
+        const isNear = Math.max(Math.abs(dx), Math.abs(dz)) <= 1;
+        if (
+          isNear ||
+          completedChunkData.has(chunkKey(centerChunkX + dx, centerChunkZ + dz)) ||
+          !requestChunkGeneration(centerChunkX + dx, centerChunkZ + dz)
+        ) {
+          ensureChunk(centerChunkX + dx, centerChunkZ + dz);
+        }
       }
     }
 
@@ -789,6 +1169,29 @@ export function createChunkManager({
       }
     });
 
+    const isOutsideRetention = (key) => {
+      const [chunkX, chunkZ] = key.split('|').map(Number);
+      return (
+        Math.abs(chunkX - centerChunkX) > finiteRetention ||
+        Math.abs(chunkZ - centerChunkZ) > finiteRetention
+      );
+    };
+    Array.from(pendingGeneration.keys()).forEach((key) => {
+      if (isOutsideRetention(key)) {
+        cancelChunkGeneration(key);
+      }
+    });
+    Array.from(completedChunkData.keys()).forEach((key) => {
+      if (isOutsideRetention(key)) {
+        completedChunkData.delete(key);
+      }
+    });
+    Array.from(workerFailedKeys).forEach((key) => {
+      if (isOutsideRetention(key)) {
+        workerFailedKeys.delete(key);
+      }
+    });
+
     lastCenterKey = centerKey;
 
     if (preloadBudget === Number.POSITIVE_INFINITY) {
@@ -824,7 +1227,12 @@ export function createChunkManager({
   }
 
   function dispose() {
+    detachEditStore?.();
     Array.from(loadedChunks.keys()).forEach((key) => disposeChunk(key));
+    dirtyFaceMeshes.clear();
+    Array.from(pendingGeneration.keys()).forEach((key) => cancelChunkGeneration(key));
+    completedChunkData.clear();
+    workerFailedKeys.clear();
     preloadQueue.length = 0;
     pendingPreloadKeys.clear();
     queueDirty = false;
@@ -857,6 +1265,300 @@ export function createChunkManager({
     return retentionDistance;
   }
 
+  function voxelGridKey(chunkX, chunkZ) {
+    return (chunkX + 0x8000) * 0x10000 + (chunkZ + 0x8000);
+  }
+
+  function resolveVoxelGrid(x, z) {
+    const chunkX = worldToChunk(x);
+    const chunkZ = worldToChunk(z);
+    if (
+      cachedVoxelGrid &&
+      cachedVoxelGrid.chunkX === chunkX &&
+      cachedVoxelGrid.chunkZ === chunkZ
+    ) {
+      return cachedVoxelGrid;
+    }
+    const grid = voxelGrids.get(voxelGridKey(chunkX, chunkZ)) ?? null;
+    if (grid) {
+      cachedVoxelGrid = grid;
+    }
+    return grid;
+  }
+
+  function readVoxelState(x, y, z) {
+    const grid = resolveVoxelGrid(x, z);
+    return grid ? grid.getState(x, y, z) : -1;
+  }
+
+  function getVoxel(x, y, z) {
+    voxelLookups += 1;
+    return resolveVoxelGrid(x, z)?.getVoxel(x, y, z) ?? null;
+  }
+
+  function getCollisionMode(x, y, z) {
+    voxelLookups += 1;
+    const state = readVoxelState(x, y, z);
+    return state >= 0 ? collisionModeFromState(state) : null;
+  }
+
+  function isSolid(x, y, z) {
+    return getCollisionMode(x, y, z) === 'solid';
+  }
+
+  function getWaterColumn(x, z) {
+    voxelLookups += 1;
+    return resolveVoxelGrid(x, z)?.getWaterColumn(x, z) ?? null;
+  }
+
+  // The fluid column at (x, z) with its type id and physical properties,
+  // whatever the fluid is.
+  function getFluidColumn(x, z) {
+    const column = getWaterColumn(x, z);
+    if (!column) {
+      return null;
+    }
+    const type = getFluidTypeByIndex(column.typeIndex) ?? 'water';
+    return { ...column, type, physics: getFluidPhysics(type) };
+  }
+
+  // Several entries can share a cell (an object voxel over terrain); when one
+  // goes away the cell falls back to whatever is still registered there.
+  function syncVoxelAfterRemoval(chunk, entry) {
+    if (!chunk.voxels || !entry?.position) {
+      return;
+    }
+    lightEngine.markEntryDirty(entry);
+    if (chunk.voxels.removeSubVoxelEntry(entry)) {
+      return;
+    }
+    const remaining = chunk.blockLookup?.get(entry.coordinateKey ?? entry.key);
+    if (remaining && remaining !== entry) {
+      chunk.voxels.setFromEntry(remaining);
+      return;
+    }
+    const { x, y, z } = entry.position;
+    chunk.voxels.clearVoxel(x, y, z);
+  }
+
+  // Brightest emitter registered in a cell: the block on the grid there, any
+  // decorations or off-grid object voxels bucketed over it and glowing fluid.
+  function getCellEmission(x, y, z) {
+    const grid = resolveVoxelGrid(x, z);
+    if (!grid) {
+      return 0;
+    }
+    const chunk = loadedChunks.get(chunkKey(grid.chunkX, grid.chunkZ));
+    const entry = chunk?.blockLookup?.get(`${x}|${y}|${z}`);
+    let level = entry && !entry.isDecoration ? resolveEntryEmission(entry) : 0;
+    level = Math.max(level, getFluidCellEmission(grid.getFluid(x, y, z)));
+    grid.getSubVoxelEntries(x, y, z)?.forEach((candidate) => {
+      level = Math.max(level, resolveEntryEmission(candidate));
+    });
+    return level;
+  }
+
+  function refreshEntryLight(chunk, entry) {
+    if (!entry?.position) {
+      return;
+    }
+    resolveEntryEmission(entry);
+    const light = lightEngine.sampleEntryLight(entry);
+    if (light === entry.light) {
+      return;
+    }
+    entry.light = light;
+    if (entry.buried) {
+      return;
+    }
+    if (entry.isDecoration) {
+      if (entry.mesh && Number.isInteger(entry.index) && entry.index >= 0) {
+        writeVoxelLight(entry.mesh, entry.index, entry);
+      }
+      return;
+    }
+    chunk.typeData.get(entry.type)?.faces?.writeLight(entry);
+  }
+
+  // Entries draw with the light of their own cell or of the cells around
+  // them, so every entry in or beside a relit cell is refreshed.
+  function refreshLightAround(cellKeys, skipChunk = null) {
+    const refreshed = new Set();
+    cellKeys.forEach((key) => {
+      const [x, y, z] = key.split('|').map(Number);
+      LIGHT_REFRESH_OFFSETS.forEach(({ dx, dy, dz }) => {
+        const cellX = x + dx;
+        const cellY = y + dy;
+        const cellZ = z + dz;
+        const grid = resolveVoxelGrid(cellX, cellZ);
+        const chunk = grid ? loadedChunks.get(chunkKey(grid.chunkX, grid.chunkZ)) : null;
+        if (!chunk || chunk === skipChunk) {
+          return;
+        }
+        const visit = (entry) => {
+          if (!refreshed.has(entry)) {
+            refreshed.add(entry);
+            refreshEntryLight(chunk, entry);
+          }
+        };
+        const entry = chunk.blockLookup?.get(`${cellX}|${cellY}|${cellZ}`);
+        if (entry) {
+          visit(entry);
+        }
+        grid.getSubVoxelEntries(cellX, cellY, cellZ)?.forEach(visit);
+      });
+    });
+  }
+
+  function lightLoadedChunk(chunk) {
+    const entries = new Set(chunk.blockLookup?.values() ?? []);
+    const emitters = [];
+    entries.forEach((entry) => {
+      const level = resolveEntryEmission(entry);
+      if (level > 0 && entry.position) {
+        forEachEmitterCell(entry, (x, y, z) => emitters.push({ x, y, z, level }));
+      }
+    });
+    chunk.fluidColumnsByType?.forEach((columns, type) => {
+      if (!(getFluidPhysics(type)?.lightLevel > 0)) {
+        return;
+      }
+      columns.forEach(({ x, z, bottomY, surfaceY }) => {
+        for (let y = Math.round(bottomY + 0.5); y <= Math.round(surfaceY - 0.5); y += 1) {
+          const level = getFluidCellEmission(chunk.voxels.getFluid(x, y, z));
+          if (level > 0) {
+            emitters.push({ x, y, z, level });
+          }
+        }
+      });
+    });
+    lightEngine.lightChunk(chunk.voxels, emitters);
+    const stitched = lightEngine.stitchChunk(chunk.voxels);
+    entries.forEach((entry) => refreshEntryLight(chunk, entry));
+    refreshLightAround(stitched, chunk);
+  }
+
+  function getLightAt(x, y, z) {
+    const packed = lightEngine.sampleLight(Math.round(x), Math.round(y), Math.round(z));
+    return {
+      sky: packed >> 4,
+      block: packed & 15,
+      emission: getCellEmission(Math.round(x), Math.round(y), Math.round(z)),
+    };
+  }
+
+  function getVoxelStats({ benchmarkSamples = 20000 } = {}) {
+    const totals = {
+      chunks: voxelGrids.size,
+      sections: 0,
+      bytes: 0,
+      voxels: 0,
+      solid: 0,
+      soft: 0,
+      liquid: 0,
+      waterColumns: 0,
+      overflow: 0,
+      subVoxels: 0,
+    };
+    voxelGrids.forEach((grid) => {
+      const stats = grid.getStats();
+      Object.keys(totals).forEach((field) => {
+        if (field !== 'chunks') {
+          totals[field] += stats[field] ?? 0;
+        }
+      });
+    });
+
+    // Lookups rotate across chunks so the single-grid cache misses every
+    // time; this is the slow path collision sweeps hit at chunk borders.
+    let benchmark = null;
+    if (benchmarkSamples > 0 && voxelGrids.size > 0) {
+      const grids = Array.from(voxelGrids.values());
+      const { chunkSize, maxHeight } = worldConfig;
+      let solidHits = 0;
+      const start = performance.now();
+      for (let i = 0; i < benchmarkSamples; i += 1) {
+        const grid = grids[i % grids.length];
+        const x = grid.minX + ((i * 7) % chunkSize);
+        const z = grid.minZ + ((i * 13) % chunkSize);
+        const y = (i * 3) % (maxHeight + 8);
+        const state = readVoxelState(x, y, z);
+        if (state >= 0 && collisionModeFromState(state) === 'solid') {
+          solidHits += 1;
+        }
+      }
+      const elapsedMs = performance.now() - start;
+      benchmark = {
+        samples: benchmarkSamples,
+        elapsedMs: Number(elapsedMs.toFixed(3)),
+        nsPerLookup: Number(((elapsedMs * 1e6) / benchmarkSamples).toFixed(1)),
+        solidHitRate: Number((solidHits / benchmarkSamples).toFixed(3)),
+      };
+    }
+
+    return {
+      ...totals,
+      megabytes: Number((totals.bytes / (1024 * 1024)).toFixed(2)),
+      lookups: voxelLookups,
+      benchmark,
+    };
+  }
+
+  // Veins recorded at generation time for one loaded chunk, plus how much of
+  // each ore is still in the ground according to the voxel grid.
+  function getOreVeinStats(chunkX, chunkZ) {
+    const chunk = loadedChunks.get(chunkKey(chunkX, chunkZ));
+    if (!chunk?.voxels) {
+      return null;
+    }
+    const oreByTypeId = new Map(ORE_BLOCK_TYPES.map((type) => [getVoxelTypeId(type), type]));
+    const remaining = Object.fromEntries(ORE_BLOCK_TYPES.map((type) => [type, 0]));
+    const { chunkSize, maxHeight } = worldConfig;
+    const grid = chunk.voxels;
+    for (let x = grid.minX; x < grid.minX + chunkSize; x += 1) {
+      for (let z = grid.minZ; z < grid.minZ + chunkSize; z += 1) {
+        for (let y = 0; y <= maxHeight; y += 1) {
+          const type = oreByTypeId.get(grid.getTypeId(x, y, z));
+          if (type) {
+            remaining[type] += 1;
+          }
+        }
+      }
+    }
+    const generated = {};
+    (chunk.oreVeins ?? []).forEach((vein) => {
+      const summary = generated[vein.type] ?? { veins: 0, blocks: 0 };
+      summary.veins += 1;
+      summary.blocks += vein.blockCount;
+      generated[vein.type] = summary;
+    });
+    return {
+      chunkX,
+      chunkZ,
+      veins: chunk.oreVeins ?? [],
+      generated,
+      remaining,
+    };
+  }
+
+  // Sector placement outcomes recorded by the loaded chunks' generation
+  // passes. Placements whose column lies in an unloaded chunk are absent.
+  function getSectorPlacementOutcomes(sectorKey) {
+    const outcomes = new Map();
+    loadedChunks.forEach((chunk) => {
+      chunk.sectorPlacements?.forEach((outcome) => {
+        if (outcome.sectorKey === sectorKey) {
+          outcomes.set(outcome.placementId, outcome);
+        }
+      });
+    });
+    return outcomes;
+  }
+
+  function hasChunk(chunkX, chunkZ) {
+    return loadedChunks.has(chunkKey(chunkX, chunkZ));
+  }
+
   function preloadAround(position, distance, options = {}) {
     if (!position) {
       return;
@@ -909,15 +1611,19 @@ export function createChunkManager({
         const chunks = [];
         let totalBlocks = 0;
 
+        let totalFaces = 0;
+
         loadedChunks.forEach((chunk, key) => {
           const blocks = [];
+          let faceCount = 0;
 
           if (chunk?.typeData) {
             chunk.typeData.forEach((typeData, type) => {
               if (!typeData) {
                 return;
               }
-              const { mesh, entries } = typeData;
+              const { mesh, entries, faces } = typeData;
+              faceCount += faces?.getFaceCount() ?? 0;
               const meshVisible = mesh?.visible !== false;
               const materialVisible = computeMaterialVisibility(mesh?.material);
 
@@ -944,11 +1650,14 @@ export function createChunkManager({
           }
 
           totalBlocks += blocks.length;
+          totalFaces += faceCount;
           chunks.push({
             key,
             chunkX: chunk.chunkX,
             chunkZ: chunk.chunkZ,
             blockCount: blocks.length,
+            buriedBlockCount: chunk.buriedEntries?.size ?? 0,
+            faceCount,
             blocks,
           });
         });
@@ -957,12 +1666,15 @@ export function createChunkManager({
           generatedAt: Date.now(),
           chunkCount: chunks.length,
           totalBlocks,
+          totalFaces,
+          generation: getGenerationStats(),
+          voxels: getVoxelStats(),
           chunks,
         };
       };
 
   function getChunkForMesh(mesh) {
-    if (!mesh?.isInstancedMesh) {
+    if (!mesh?.isInstancedMesh && !mesh?.userData?.blockFaces) {
       return null;
     }
     const key = mesh.userData?.chunkKey;
@@ -973,13 +1685,7 @@ export function createChunkManager({
   }
 
   function getBlockFromIntersection(intersection) {
-    if (!intersection || typeof intersection.instanceId !== 'number') {
-      return null;
-    }
-    const mesh = intersection.object;
-    if (!mesh?.isInstancedMesh) {
-      return null;
-    }
+    const mesh = intersection?.object;
     const chunk = getChunkForMesh(mesh);
     if (!chunk) {
       return null;
@@ -989,19 +1695,27 @@ export function createChunkManager({
       return null;
     }
     const typeData = chunk.typeData?.get(type);
-    if (typeData) {
-      const entry = typeData.entries[intersection.instanceId];
-      if (!entry) {
+    if (typeData?.mesh === mesh) {
+      // Block face meshes map the hit triangle back to the block that owns it.
+      if (typeof intersection.faceIndex !== 'number') {
+        return null;
+      }
+      const entry = typeData.faces.getEntryForFace(intersection.faceIndex);
+      const instanceId = entry ? resolveEntryIndex(chunk, entry) : -1;
+      if (instanceId < 0) {
         return null;
       }
       return {
         chunk,
         type,
-        instanceId: intersection.instanceId,
+        instanceId,
         entry,
         isDecoration: false,
       };
     }
+    if (typeof intersection.instanceId !== 'number') {
+      return null;
+    }
     const decorationRecord = chunk.decorationData?.get(type);
     if (!decorationRecord || !Array.isArray(decorationRecord.entries)) {
       return null;
@@ -1019,23 +1733,212 @@ export function createChunkManager({
     };
   }
 
+  function resolveBlockHit(chunk, entry) {
+    if (entry.isDecoration) {
+      const record = chunk.decorationData?.get(entry.type);
+      const entries = record?.entries ?? [];
+      const instanceId =
+        Number.isInteger(entry.index) && entries[entry.index] === entry
+          ? entry.index
+          : entries.indexOf(entry);
+      return {
+        chunk,
+        type: entry.type,
+        instanceId,
+        entry,
+        isDecoration: true,
+        object: record?.mesh ?? null,
+      };
+    }
+    // A ray that starts inside terrain can reach a buried block; give it an
+    // instance so it can be outlined and mined like any other.
+    revealBuriedEntry(chunk, entry);
+    const typeData = chunk.typeData?.get(entry.type);
+    return {
+      chunk,
+      type: entry.type,
+      instanceId: resolveEntryIndex(chunk, entry),
+      entry,
+      isDecoration: false,
+      object: typeData?.mesh ?? null,
+    };
+  }
+
+  // Decorations register under their cell's coordinate key too, so a
+  // lookup can shadow the block that fills the cell; fall back to the
+  // block's own instance list in that case.
+  function findBlockEntryAt(chunk, grid, x, y, z) {
+    const entry = chunk?.blockLookup?.get(`${x}|${y}|${z}`) ?? null;
+    if (!entry?.isDecoration) {
+      return entry;
+    }
+    const entries = chunk.typeData?.get(getVoxelTypeName(grid.getTypeId(x, y, z)))?.entries;
+    return (
+      entries?.find(
+        (candidate) =>
+          candidate.position.x === x && candidate.position.y === y && candidate.position.z === z,
+      ) ?? entry
+    );
+  }
+
+  const decorationRaycaster = new THREE.Raycaster();
+  const decorationProbe = new THREE.Mesh();
+  const decorationHits = [];
+  const raycastOrigin = new THREE.Vector3();
+  const raycastDirection = new THREE.Vector3();
+
+  // Decorations are arbitrary meshes, so once their box is hit the exact
+  // answer comes from raycasting that one instance's geometry.
+  function intersectDecorationEntry(entry, maxDistance) {
+    const mesh = entry.mesh;
+    if (!mesh?.geometry) {
+      return null;
+    }
+    decorationProbe.geometry = mesh.geometry;
+    decorationProbe.material = mesh.material;
+    decorationProbe.matrixWorld.multiplyMatrices(mesh.matrixWorld, entry.matrix);
+    decorationRaycaster.set(raycastOrigin, raycastDirection);
+    decorationRaycaster.far = maxDistance;
+    decorationHits.length = 0;
+    decorationProbe.raycast(decorationRaycaster, decorationHits);
+    if (decorationHits.length === 0) {
+      return null;
+    }
+    decorationHits.sort((a, b) => a.distance - b.distance);
+    const [closest] = decorationHits;
+    const normal = closest.face?.normal ?? { x: 0, y: 1, z: 0 };
+    const axis = ['x', 'y', 'z'].reduce((best, key) =>
+      Math.abs(normal[key]) > Math.abs(normal[best]) ? key : best,
+    );
+    const faceNormal = { x: 0, y: 0, z: 0 };
+    faceNormal[axis] = Math.sign(normal[axis]) || 1;
+    return { distance: closest.distance, normal: faceNormal };
+  }
+
+  // Block targeting for mining, placement and /scan. Walks the voxel grids
+  // cell by cell and tests the sub-voxel entries bucketed in each visited
+  // cell; decorations get an exact mesh test once their box is hit. The
+  // filter sees candidate hits and can return false to look past one.
+  function raycast({ origin, direction, maxDistance = 8, filter = null } = {}) {
+    if (!origin || !direction) {
+      throw new Error('raycast requires an origin and a direction');
+    }
+    raycastOrigin.set(origin.x, origin.y, origin.z);
+    raycastDirection.set(direction.x, direction.y, direction.z);
+    if (raycastDirection.lengthSq() === 0) {
+      return null;
+    }
+    raycastDirection.normalize();
+    const accepts = (hit) => typeof filter !== 'function' || filter(hit) !== false;
+
+    const buildHit = (info, distance, normal, cell = null) => {
+      const point = raycastOrigin.clone().addScaledVector(raycastDirection, distance);
+      const hitCell = cell ?? {
+        x: Math.round(point.x - normal.x * 0.01),
+        y: Math.round(point.y - normal.y * 0.01),
+        z: Math.round(point.z - normal.z * 0.01),
+      };
+      return {
+        ...info,
+        distance,
+        point,
+        normal: new THREE.Vector3(normal.x, normal.y, normal.z),
+        cell: hitCell,
+        adjacent: {
+          x: hitCell.x + normal.x,
+          y: hitCell.y + normal.y,
+          z: hitCell.z + normal.z,
+        },
+      };
+    };
+
+    const originX = Math.round(raycastOrigin.x);
+    const originY = Math.round(raycastOrigin.y);
+    const originZ = Math.round(raycastOrigin.z);
+    let bestSubVoxel = null;
+    const testedSubVoxels = new Set();
+
+    const testSubVoxel = (chunk, entry) => {
+      if (testedSubVoxels.has(entry)) {
+        return;
+      }
+      testedSubVoxels.add(entry);
+      const box = computeEntryBox(entry);
+      let hit = intersectRayBox(raycastOrigin, raycastDirection, box.min, box.max);
+      if (!hit || hit.distance > maxDistance) {
+        return;
+      }
+      if (bestSubVoxel && bestSubVoxel.distance <= hit.distance) {
+        return;
+      }
+      if (entry.isDecoration) {
+        hit = intersectDecorationEntry(entry, maxDistance);
+        if (!hit || (bestSubVoxel && bestSubVoxel.distance <= hit.distance)) {
+          return;
+        }
+      }
+      const candidate = buildHit(resolveBlockHit(chunk, entry), hit.distance, hit.normal);
+      if (accepts(candidate)) {
+        bestSubVoxel = candidate;
+      }
+    };
+
+    return (
+      traceVoxelRay({
+        origin: raycastOrigin,
+        direction: raycastDirection,
+        maxDistance,
+        visit: (x, y, z, enter, exit, normal) => {
+          const grid = resolveVoxelGrid(x, z);
+          if (grid) {
+            const chunk = loadedChunks.get(chunkKey(grid.chunkX, grid.chunkZ));
+            grid.getSubVoxelEntries(x, y, z)?.forEach((entry) => testSubVoxel(chunk, entry));
+            const isOriginCell = x === originX && y === originY && z === originZ;
+            if (!isOriginCell && grid.getTypeId(x, y, z) !== 0) {
+              if (bestSubVoxel && bestSubVoxel.distance <= enter) {
+                return bestSubVoxel;
+              }
+              const entry = findBlockEntryAt(chunk, grid, x, y, z);
+              if (entry) {
+                const candidate = buildHit(resolveBlockHit(chunk, entry), enter, normal, {
+                  x,
+                  y,
+                  z,
+                });
+                if (accepts(candidate)) {
+                  return candidate;
+                }
+              }
+            }
+          }
+          return bestSubVoxel && bestSubVoxel.distance <= exit ? bestSubVoxel : null;
+        },
+      }) ?? bestSubVoxel
+    );
+  }
+
   function removeBlockInstancesBulk({ chunk, type, entries: removalEntries }) {
     if (!chunk || !chunk.typeData) {
       return [];
     }
+    (Array.isArray(removalEntries) ? removalEntries : []).forEach((candidate) => {
+      const entry = candidate?.entry ?? candidate;
+      if (entry?.type === type) {
+        revealBuriedEntry(chunk, entry);
+      }
+    });
     const typeData = chunk.typeData.get(type);
     if (!typeData) {
       return [];
     }
-    const { entries, mesh, tintAttribute } = typeData;
-    if (!mesh?.isInstancedMesh || !Array.isArray(entries) || entries.length === 0) {
+    const { entries, faces } = typeData;
+    if (!faces || !Array.isArray(entries) || entries.length === 0) {
       return [];
     }
 
     const candidates = Array.isArray(removalEntries) ? removalEntries : [];
     const indices = [];
     const seen = new Set();
-    const settleColumnKeys = new Set();
 
     candidates.forEach((candidate) => {
       if (!candidate) {
@@ -1082,20 +1985,6 @@ export function createChunkManager({
     const removedEntries = [];
     const prototypeRefs = [];
 
-    const writeTint = (index, tintColor) => {
-      if (!tintAttribute) {
-        return;
-      }
-      const tint = tintColor ?? mesh.userData?.defaultTint;
-      if (!tint) {
-        return;
-      }
-      const offset = index * 3;
-      tintAttribute.array[offset] = tint.r;
-      tintAttribute.array[offset + 1] = tint.g;
-      tintAttribute.array[offset + 2] = tint.b;
-    };
-
     let writeIndex = 0;
     const totalEntries = entries.length;
     for (let readIndex = 0; readIndex < totalEntries; readIndex += 1) {
@@ -1114,19 +2003,14 @@ export function createChunkManager({
             chunk.blockLookup.delete(entry.coordinateKey);
           }
         }
-        if (entry.isSolid) {
-          const coordinateKey = entry.coordinateKey ?? entry.key;
-          chunk.solidBlockKeys.delete(coordinateKey);
-          solidBlocks.delete(coordinateKey);
-          if (entry.position) {
-            const settleKey = `${Math.round(entry.position.x)}|${Math.round(entry.position.z)}`;
-            settleColumnKeys.add(settleKey);
-          }
-        }
-        if (entry.collisionMode === 'soft') {
-          const coordinateKey = entry.coordinateKey ?? entry.key;
-          chunk.softBlockKeys.delete(coordinateKey);
-          softBlocks.delete(coordinateKey);
+        syncVoxelAfterRemoval(chunk, entry);
+        notifyBlockChange(entry.position);
+        if (entry.isSolid && entry.position) {
+          fluidSimulation.notifyBlockChanged(
+            Math.round(entry.position.x),
+            Math.round(entry.position.y),
+            Math.round(entry.position.z),
+          );
         }
         if (entry.isWater) {
           const columnKey = `${entry.position.x}|${entry.position.z}`;
@@ -1134,7 +2018,7 @@ export function createChunkManager({
           if (chunk.waterColumnKeys instanceof Set) {
             chunk.waterColumnKeys.delete(columnKey);
           }
-          waterColumns.delete(columnKey);
+          chunk.voxels?.clearWaterColumn(entry.position.x, entry.position.z);
         }
         entry.index = -1;
         continue;
@@ -1142,8 +2026,6 @@ export function createChunkManager({
 
       if (writeIndex !== readIndex) {
         entries[writeIndex] = entry;
-        mesh.setMatrixAt(writeIndex, entry.matrix);
-        writeTint(writeIndex, entry.tintColor);
       }
       entry.index = writeIndex;
       if (chunk.blockLookup) {
@@ -1166,23 +2048,18 @@ export function createChunkManager({
     while (entries.length > writeIndex) {
       entries.pop();
     }
+    invalidateFaces(faces);
 
-    mesh.count = entries.length;
-    mesh.instanceMatrix.needsUpdate = true;
-    if (tintAttribute) {
-      tintAttribute.needsUpdate = true;
-    }
+    removedEntries.forEach((entry) => {
+      if (isOccludingEntry(entry)) {
+        updateNeighborFaces(entry.position, false);
+      }
+    });
 
     prototypeRefs.forEach(({ prototypeKey, entryKey }) => {
       removePrototypePlacement(chunk, prototypeKey, entryKey);
     });
 
-    settleColumnKeys.forEach((columnKey) => {
-      if (columnKey) {
-        settleFluidColumn(chunk, columnKey);
-      }
-    });
-
     return removedEntries;
   }
 
@@ -1224,6 +2101,7 @@ export function createChunkManager({
     const summaries = uniqueGroups.length > 0
       ? removeDecorationGroupsBulk({ chunk, type, groups: uniqueGroups })
       : [];
+    recordRemovalEdit(chunk, targetEntry, 'decoration');
     if (targetEntry.prototypeKey) {
       removePrototypePlacement(chunk, targetEntry.prototypeKey, targetEntry.key);
     }
@@ -1239,8 +2117,8 @@ export function createChunkManager({
     if (!typeData) {
       return null;
     }
-    const { entries, mesh, tintAttribute } = typeData;
-    if (!mesh || !mesh.isInstancedMesh) {
+    const { entries, faces } = typeData;
+    if (!faces) {
       return null;
     }
     if (instanceId < 0 || instanceId >= entries.length) {
@@ -1254,26 +2132,9 @@ export function createChunkManager({
       return null;
     }
 
-    const writeTint = (index, tintColor) => {
-      if (!tintAttribute) {
-        return;
-      }
-      const tint = tintColor ?? mesh.userData?.defaultTint;
-      if (!tint) {
-        return;
-      }
-      const offset = index * 3;
-      tintAttribute.array[offset] = tint.r;
-      tintAttribute.array[offset + 1] = tint.g;
-      tintAttribute.array[offset + 2] = tint.b;
-    };
-
     if (instanceId !== lastIndex) {
       const swapped = entries[lastIndex];
       entries[instanceId] = swapped;
-      mesh.setMatrixAt(instanceId, swapped.matrix);
-      writeTint(instanceId, swapped.tintColor);
-      mesh.instanceMatrix.needsUpdate = true;
       if (chunk.blockLookup) {
         const swappedInfo = chunk.blockLookup.get(swapped.key);
         if (swappedInfo) {
@@ -1284,11 +2145,8 @@ export function createChunkManager({
     }
 
     entries.pop();
-    mesh.count = entries.length;
-    mesh.instanceMatrix.needsUpdate = true;
-    if (tintAttribute) {
-      tintAttribute.needsUpdate = true;
-    }
+    removed.index = -1;
+    invalidateFaces(faces);
 
     if (chunk.blockLookup) {
       chunk.blockLookup.delete(removed.key);
@@ -1296,23 +2154,21 @@ export function createChunkManager({
         chunk.blockLookup.delete(removed.coordinateKey);
       }
     }
-    if (removed.isSolid) {
-      const coordinateKey = removed.coordinateKey ?? removed.key;
-      chunk.solidBlockKeys.delete(coordinateKey);
-      solidBlocks.delete(coordinateKey);
-    }
-    if (removed.collisionMode === 'soft') {
-      const coordinateKey = removed.coordinateKey ?? removed.key;
-      chunk.softBlockKeys.delete(coordinateKey);
-      softBlocks.delete(coordinateKey);
-    }
+    syncVoxelAfterRemoval(chunk, removed);
+    notifyBlockChange(removed.position);
     if (removed.isWater) {
       const columnKey = `${removed.position.x}|${removed.position.z}`;
       chunk.waterColumns?.delete?.(columnKey);
       if (chunk.waterColumnKeys instanceof Set) {
         chunk.waterColumnKeys.delete(columnKey);
       }
-      waterColumns.delete(columnKey);
+      chunk.voxels?.clearWaterColumn(removed.position.x, removed.position.z);
+    }
+
+    recordRemovalEdit(chunk, removed);
+
+    if (isOccludingEntry(removed)) {
+      updateNeighborFaces(removed.position, false);
     }
 
     if (removed.prototypeKey) {
@@ -1320,13 +2176,350 @@ export function createChunkManager({
     }
 
     if (removed.isSolid && removed.position) {
-      const columnKey = `${Math.round(removed.position.x)}|${Math.round(removed.position.z)}`;
-      settleFluidColumn(chunk, columnKey);
+      fluidSimulation.notifyBlockChanged(
+        Math.round(removed.position.x),
+        Math.round(removed.position.y),
+        Math.round(removed.position.z),
+      );
     }
 
     return removed;
   }
 
+  // What breaking `entry` takes out of the world, as block volumes summed by
+  // type: the whole object for prototype-mode voxel objects, one unit for a
+  // loose decoration and just the block otherwise. Call it before the
+  // removal, while the prototype record still lists its members.
+  function getRemovalYield({ chunk, entry }) {
+    const volumes = new Map();
+    const addVolume = (type, volume) => {
+      if (type) {
+        volumes.set(type, (volumes.get(type) ?? 0) + volume);
+      }
+    };
+    const entryVolume = (target) => {
+      const scale = target?.scale;
+      return scale ? Math.abs(scale.x * scale.y * scale.z) : 1;
+    };
+
+    const record = entry?.prototypeKey
+      ? chunk?.prototypeInstances?.get(entry.prototypeKey)
+      : null;
+    if (record) {
+      (record.blockEntries ?? []).forEach(({ type, entry: member }) => {
+        addVolume(type, entryVolume(member));
+      });
+      (record.decorationKeys ?? []).forEach((key) => {
+        const member = chunk.blockLookup?.get(key);
+        addVolume(member?.type ?? chunk.decorationGroups?.get(key)?.type, entryVolume(member));
+      });
+    } else if (entry?.isDecoration) {
+      addVolume(entry.type, 1);
+    } else if (entry) {
+      addVolume(entry.type, entryVolume(entry));
+    }
+
+    return Array.from(volumes, ([type, volume]) => ({ type, volume }));
+  }
+
+  function addPlacementGuard(guard) {
+    if (typeof guard !== 'function') {
+      throw new Error('addPlacementGuard requires a guard function');
+    }
+    placementGuards.add(guard);
+    return () => {
+      placementGuards.delete(guard);
+    };
+  }
+
+  // Cells whose contents changed through mining, placement or decoration
+  // removal, for consumers that cache what the world looked like.
+  function notifyBlockChange(position) {
+    if (!position || blockChangeListeners.size === 0) {
+      return;
+    }
+    const change = {
+      x: Math.round(position.x),
+      y: Math.round(position.y),
+      z: Math.round(position.z),
+    };
+    blockChangeListeners.forEach((listener) => {
+      listener(change);
+    });
+  }
+
+  function onBlockChanged(listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('onBlockChanged requires a listener function');
+    }
+    blockChangeListeners.add(listener);
+    return () => {
+      blockChangeListeners.delete(listener);
+    };
+  }
+
+  function onChunkUnloaded(listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('onChunkUnloaded requires a listener function');
+    }
+    chunkUnloadListeners.add(listener);
+    return () => {
+      chunkUnloadListeners.delete(listener);
+    };
+  }
+
+  function canPlaceBlockType(type) {
+    return typeof type === 'string' && Boolean(blockMaterials?.[type]);
+  }
+
+  function expandChunkBounds(chunk, position) {
+    const bounds = chunk.bounds ?? {};
+    const halfExtent = 0.5;
+    bounds.minX = Math.min(bounds.minX ?? position.x, position.x - halfExtent);
+    bounds.maxX = Math.max(bounds.maxX ?? position.x, position.x + halfExtent);
+    bounds.minY = Math.min(bounds.minY ?? position.y, position.y - halfExtent);
+    bounds.maxY = Math.max(bounds.maxY ?? position.y, position.y + halfExtent);
+    bounds.minZ = Math.min(bounds.minZ ?? position.z, position.z - halfExtent);
+    bounds.maxZ = Math.max(bounds.maxZ ?? position.z, position.z + halfExtent);
+    chunk.bounds = bounds;
+    applyChunkBounds(chunk);
+  }
+
+  function ensureTypeData(chunk, type) {
+    const existing = chunk.typeData.get(type);
+    if (existing) {
+      return existing;
+    }
+    const entries = [];
+    const faces = createBlockFaceMesh({
+      THREE,
+      material: blockMaterials[type],
+      type,
+      entries,
+    });
+    faces.mesh.userData.chunkKey = chunkKey(chunk.chunkX, chunk.chunkZ);
+    chunk.group.add(faces.mesh);
+    const typeData = { entries, mesh: faces.mesh, faces };
+    chunk.typeData.set(type, typeData);
+    return typeData;
+  }
+
+  function writeVoxelLight(mesh, index, entry) {
+    writeVoxelLightAttribute(mesh?.userData?.voxelLightAttribute, index, entry);
+  }
+
+  // Face meshes are rebuilt once per batch of edits rather than per change;
+  // see flushFaceMeshes.
+  function invalidateFaces(faces) {
+    if (faces) {
+      faces.invalidate();
+      dirtyFaceMeshes.add(faces);
+    }
+  }
+
+  function flushFaceMeshes() {
+    dirtyFaceMeshes.forEach((faces) => faces.update());
+    dirtyFaceMeshes.clear();
+  }
+
+  // Public edits rebuild the face meshes they touched before returning, so
+  // the removed or placed block shows up in the frame that made the change.
+  function withFaceFlush(operation) {
+    return (...args) => {
+      const result = operation(...args);
+      flushFaceMeshes();
+      return result;
+    };
+  }
+
+  function appendInstance(chunk, entry) {
+    const { entries, faces } = ensureTypeData(chunk, entry.type);
+    const index = entries.length;
+    entries.push(entry);
+    entry.index = index;
+    invalidateFaces(faces);
+    return index;
+  }
+
+  function revealBuriedEntry(chunk, entry) {
+    if (!chunk || !entry?.buried) {
+      return;
+    }
+    entry.buried = false;
+    chunk.buriedEntries?.delete(entry.key);
+    appendInstance(chunk, entry);
+  }
+
+  function isOccluderAt(x, y, z) {
+    if (y < 0) {
+      return true;
+    }
+    const state = readVoxelState(x, y, z);
+    return state >= 0 && (state & VOXEL_FLAG_OCCLUDER) !== 0;
+  }
+
+  function setEntryFaceHidden(chunk, entry, bit, hidden) {
+    const current = entry.hiddenFaces ?? 0;
+    const next = hidden ? current | bit : current & ~bit;
+    if (next === current) {
+      return;
+    }
+    entry.hiddenFaces = next;
+    if (entry.buried) {
+      revealBuriedEntry(chunk, entry);
+      return;
+    }
+    if (resolveEntryIndex(chunk, entry) >= 0) {
+      invalidateFaces(chunk.typeData.get(entry.type)?.faces);
+    }
+  }
+
+  // Updates the faces of the six neighbours that touch the given cell, which
+  // may live in other loaded chunks.
+  function updateNeighborFaces(position, hidden) {
+    if (!position) {
+      return;
+    }
+    FACE_DIRECTIONS.forEach(({ dx, dy, dz, oppositeBit }) => {
+      const x = position.x + dx;
+      const y = position.y + dy;
+      const z = position.z + dz;
+      const chunk = loadedChunks.get(chunkKey(worldToChunk(x), worldToChunk(z)));
+      const entry = chunk?.blockLookup?.get(`${x}|${y}|${z}`);
+      if (!isUnitCubeEntry(entry)) {
+        return;
+      }
+      setEntryFaceHidden(chunk, entry, oppositeBit, hidden);
+    });
+  }
+
+  function collectBorderEntries(chunk) {
+    const { chunkSize } = worldConfig;
+    const minX = chunk.chunkX * chunkSize - chunkSize / 2;
+    const minZ = chunk.chunkZ * chunkSize - chunkSize / 2;
+    const maxX = minX + chunkSize - 1;
+    const maxZ = minZ + chunkSize - 1;
+    const borders = new Map([[1, []], [2, []], [16, []], [32, []]]);
+    new Set(chunk.blockLookup?.values() ?? []).forEach((entry) => {
+      if (!isUnitCubeEntry(entry)) {
+        return;
+      }
+      const { x, z } = entry.position;
+      if (x === maxX) borders.get(1).push(entry);
+      if (x === minX) borders.get(2).push(entry);
+      if (z === maxZ) borders.get(16).push(entry);
+      if (z === minZ) borders.get(32).push(entry);
+    });
+    return borders;
+  }
+
+  // Generation only knows the neighbouring terrain heightmap, so faces on a
+  // chunk border are re-checked against the real neighbour once both exist.
+  function exposeBorderFaces(chunk, direction) {
+    if (!chunk.borderEntries) {
+      chunk.borderEntries = collectBorderEntries(chunk);
+    }
+    const { bit, dx, dz } = direction;
+    chunk.borderEntries.get(bit).forEach((entry) => {
+      if (!((entry.hiddenFaces ?? 0) & bit)) {
+        return;
+      }
+      if (chunk.blockLookup?.get(entry.key) !== entry) {
+        return;
+      }
+      const { x, y, z } = entry.position;
+      if (!isOccluderAt(x + dx, y, z + dz)) {
+        setEntryFaceHidden(chunk, entry, bit, false);
+      }
+    });
+  }
+
+  function reconcileChunkBorders(chunk) {
+    FACE_DIRECTIONS.forEach((direction) => {
+      if (direction.dy !== 0) {
+        return;
+      }
+      const neighbor = loadedChunks.get(
+        chunkKey(chunk.chunkX + direction.dx, chunk.chunkZ + direction.dz),
+      );
+      if (!neighbor) {
+        return;
+      }
+      exposeBorderFaces(chunk, direction);
+      exposeBorderFaces(
+        neighbor,
+        FACE_DIRECTIONS.find(({ bit }) => bit === direction.oppositeBit),
+      );
+    });
+  }
+
+  function insertPlacedEntry(chunk, entry) {
+    const { coordinateKey } = entry;
+    entry.isPlaced = true;
+    entry.hiddenFaces = computeHiddenFaces(entry, isOccluderAt);
+    appendInstance(chunk, entry);
+
+    if (!chunk.blockLookup) {
+      chunk.blockLookup = new Map();
+    }
+    chunk.blockLookup.set(entry.key, entry);
+    if (entry.key !== coordinateKey) {
+      chunk.blockLookup.set(coordinateKey, entry);
+    }
+    chunk.voxels?.setFromEntry(entry);
+    lightEngine.markEntryDirty(entry);
+    refreshEntryLight(chunk, entry);
+    notifyBlockChange(entry.position);
+    if (entry.isSolid) {
+      fluidSimulation.notifyBlockChanged(entry.position.x, entry.position.y, entry.position.z);
+    }
+
+    if (isOccludingEntry(entry)) {
+      updateNeighborFaces(entry.position, true);
+    }
+
+    expandChunkBounds(chunk, entry.position);
+    return entry;
+  }
+
+  function placeBlock({ type, x, y, z, options = {} } = {}) {
+    if (!canPlaceBlockType(type)) {
+      throw new Error(`Cannot place unknown block type "${type}"`);
+    }
+    const position = { x: Math.round(x), y: Math.round(y), z: Math.round(z) };
+    if (!Number.isFinite(position.x) || !Number.isFinite(position.y) || !Number.isFinite(position.z)) {
+      return null;
+    }
+
+    const chunk = loadedChunks.get(chunkKey(worldToChunk(position.x), worldToChunk(position.z)));
+    if (!chunk || !chunk.typeData) {
+      return null;
+    }
+
+    const coordinateKey = `${position.x}|${position.y}|${position.z}`;
+    if (chunk.blockLookup?.has(coordinateKey)) {
+      return null;
+    }
+
+    const entry = createPlacedBlockEntry(type, position.x, position.y, position.z, options);
+    const request = { type, ...position, collisionMode: entry.collisionMode, chunk };
+    for (const guard of placementGuards) {
+      if (guard(request)) {
+        return null;
+      }
+    }
+
+    insertPlacedEntry(chunk, entry);
+    if (editStore && !replayingEdits) {
+      editStore.recordPlacement(chunkKey(chunk.chunkX, chunk.chunkZ), {
+        type,
+        ...position,
+        options: Object.keys(options).length > 0 ? options : null,
+      });
+    }
+    return entry;
+  }
+
   function removeDecorationGroupsBulk({ chunk, type, groups }) {
     if (!chunk || !type) {
       return [];
@@ -1463,6 +2656,9 @@ export function createChunkManager({
       if (entry.coordinateKey && entry.coordinateKey !== entry.key) {
         chunk.blockLookup.delete(entry.coordinateKey);
       }
+      chunk.voxels?.removeSubVoxelEntry(entry);
+      lightEngine.markEntryDirty(entry);
+      notifyBlockChange(entry.position);
     });
 
     const adjustIndex = (index) => {
@@ -1496,6 +2692,7 @@ export function createChunkManager({
       const entry = entries[index];
       mesh.setMatrixAt(index, entry.matrix);
       entry.index = index;
+      writeVoxelLight(mesh, index, entry);
       if (tintAttribute) {
         const tint = entry.tintColor ?? mesh.userData?.defaultTint;
         if (tint) {
@@ -1569,11 +2766,14 @@ export function createChunkManager({
       type: group.type,
       groups: [group],
     });
-    return (
+    const summary =
       summaries.find(
-        (summary) => summary.groupKey === group.key && summary.removedCount > 0,
-      ) ?? null
-    );
+        (candidate) => candidate.groupKey === group.key && candidate.removedCount > 0,
+      ) ?? null;
+    if (summary && prototypeRemovalGuards.size === 0) {
+      recordRemovalEdit(chunk, { key: group.key, type: group.type }, 'decoration-group');
+    }
+    return summary;
   }
 
   function removePrototypePlacement(chunk, prototypeKey, skipEntryKey = null) {
@@ -1606,6 +2806,7 @@ export function createChunkManager({
         if (skipEntryKey && entry.key === skipEntryKey) {
           return;
         }
+        revealBuriedEntry(chunk, entry);
         const typeData = chunk.typeData?.get(type);
         if (!typeData || !Array.isArray(typeData.entries) || typeData.entries.length === 0) {
           return;
@@ -1679,21 +2880,49 @@ export function createChunkManager({
     }
   }
 
+  // Edits recorded before the store finished loading are already applied, so
+  // replaying is idempotent for chunks generated while the database opened.
+  const detachEditStore = editStore?.onReady(() => {
+    loadedChunks.forEach((chunk) => replayChunkEdits(chunk));
+    flushFaceMeshes();
+  });
+
   return {
     update,
     dispose,
-    solidBlocks,
-    softBlocks,
-    waterColumns,
+    getVoxel,
+    isSolid,
+    getCollisionMode,
+    getWaterColumn,
+    getFluidColumn,
+    getVoxelStats,
+    getGenerationStats,
+    getLightAt,
+    getLightStats: () => lightEngine.getStats(),
+    getFluidAt: (x, y, z) =>
+      fluidSimulation.getFluidAt(Math.round(x), Math.round(y), Math.round(z)),
+    getFluidStats: () => fluidSimulation.getStats(),
+    setFluidSimulationPaused: (value) => fluidSimulation.setPaused(value),
+    stepFluidSimulation: (count) => fluidSimulation.step(count),
+    getOreVeinStats,
+    getSectorPlacementOutcomes,
+    raycast: withFaceFlush(raycast),
     getBlockFromIntersection,
-    removeBlockInstance,
-    removeDecorationInstance,
-    removeDecorationGroup,
+    removeBlockInstance: withFaceFlush(removeBlockInstance),
+    removeDecorationInstance: withFaceFlush(removeDecorationInstance),
+    removeDecorationGroup: withFaceFlush(removeDecorationGroup),
+    getRemovalYield,
+    placeBlock: withFaceFlush(placeBlock),
+    canPlaceBlockType,
+    addPlacementGuard,
+    onChunkUnloaded,
+    onBlockChanged,
     preloadAround,
     setViewDistance,
     setRetentionDistance,
     getViewDistance,
     getRetentionDistance,
+    hasChunk,
     ...(debugSnapshot ? { debugSnapshot } : {}),
   };
 }
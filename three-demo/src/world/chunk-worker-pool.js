@@ -0,0 +1,159 @@
+const DEFAULT_MAX_WORKERS = 3;
+
+function createCancelledError() {
+  const error = new Error('Chunk generation request was cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+// Runs generateChunkData on a small pool of module workers. Every worker is
+// initialized with the same seed, so the data for a chunk does not depend on
+// which worker produced it.
+export function createChunkWorkerPool({ seed, size } = {}) {
+  if (typeof Worker === 'undefined') {
+    return null;
+  }
+  const hardwareThreads = globalThis.navigator?.hardwareConcurrency ?? 2;
+  const workerCount = Math.max(
+    1,
+    Math.floor(size ?? Math.min(DEFAULT_MAX_WORKERS, hardwareThreads - 1)),
+  );
+  const slots = [];
+  const queue = [];
+  let nextJobId = 1;
+  let disposed = false;
+
+  function settle(job, callback) {
+    if (job.settled) {
+      return;
+    }
+    job.settled = true;
+    callback();
+  }
+
+  function dispatch() {
+    slots.forEach((slot) => {
+      if (slot.job || queue.length === 0) {
+        return;
+      }
+      const job = queue.shift();
+      slot.job = job;
+      slot.worker.postMessage({
+        type: 'generate',
+        id: job.id,
+        chunkX: job.chunkX,
+        chunkZ: job.chunkZ,
+      });
+    });
+  }
+
+  function handleMessage(slot, message) {
+    const job = slot.job;
+    if (!job || message?.id !== job.id) {
+      return;
+    }
+    slot.job = null;
+    if (message.type === 'chunk') {
+      settle(job, () => job.resolve(message.data));
+    } else {
+      settle(job, () => job.reject(new Error(message.message ?? 'Chunk generation failed')));
+    }
+    dispatch();
+  }
+
+  function rejectQueued(error) {
+    queue.splice(0).forEach((job) => settle(job, () => job.reject(error)));
+  }
+
+  // A worker that raises an `error` event (a crash or a failed module load)
+  // is not trusted with further jobs: it is terminated and dropped from the
+  // pool. Once no worker is left, queued and future jobs fail straight away so
+  // callers fall back to the main thread instead of waiting forever.
+  function handleError(slot, event) {
+    event.preventDefault?.();
+    const error = new Error(event.message || 'Chunk generation worker crashed');
+    const job = slot.job;
+    slot.job = null;
+    slot.worker.terminate();
+    const index = slots.indexOf(slot);
+    if (index >= 0) {
+      slots.splice(index, 1);
+    }
+    if (job) {
+      settle(job, () => job.reject(error));
+    }
+    if (slots.length === 0) {
+      rejectQueued(new Error(`No chunk generation workers left: ${error.message}`));
+      return;
+    }
+    dispatch();
+  }
+
+  for (let i = 0; i < workerCount; i += 1) {
+    const worker = new Worker(new URL('./workers/chunk-generation.worker.js', import.meta.url), {
+      type: 'module',
+      name: `chunk-generation-${i}`,
+    });
+    const slot = { worker, job: null };
+    worker.addEventListener('message', (event) => handleMessage(slot, event.data));
+    worker.addEventListener('error', (event) => handleError(slot, event));
+    worker.postMessage({ type: 'init', seed });
+    slots.push(slot);
+  }
+
+  function generate(chunkX, chunkZ) {
+    if (disposed) {
+      throw new Error('Chunk worker pool has been disposed');
+    }
+    const job = { id: nextJobId++, chunkX, chunkZ, settled: false };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    if (slots.length === 0) {
+      settle(job, () => job.reject(new Error('No chunk generation workers left')));
+    } else {
+      queue.push(job);
+      dispatch();
+    }
+    return {
+      promise: job.promise,
+      cancel: () => {
+        const queuedIndex = queue.indexOf(job);
+        if (queuedIndex >= 0) {
+          queue.splice(queuedIndex, 1);
+        }
+        // A running job cannot be interrupted; its result is dropped on arrival.
+        settle(job, () => job.reject(createCancelledError()));
+      },
+    };
+  }
+
+  function getStats() {
+    return {
+      workers: slots.length,
+      running: slots.filter((slot) => slot.job).length,
+      queued: queue.length,
+    };
+  }
+
+  function dispose() {
+    disposed = true;
+    rejectQueued(createCancelledError());
+    slots.forEach((slot) => {
+      if (slot.job) {
+        const job = slot.job;
+        settle(job, () => job.reject(createCancelledError()));
+      }
+      slot.worker.terminate();
+    });
+    slots.length = 0;
+  }
+
+  return {
+    size: workerCount,
+    generate,
+    getStats,
+    dispose,
+  };
+}
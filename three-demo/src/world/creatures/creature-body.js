@@ -0,0 +1,179 @@
+const DEFAULT_VOXEL_COLOR = '#c8c8c8';
+// Voxels at or above this light level render unlit so they read as glowing.
+const GLOW_EMISSIVE_THRESHOLD = 4;
+
+// Merges one part's voxels into a single box-soup geometry with vertex
+// colours, positioned relative to the part's pivot. Library voxels are
+// centred in x/z and sit on their y position.
+function buildPartGeometry(THREE, voxels, pivot, scale) {
+  if (voxels.length === 0) {
+    return null;
+  }
+  const positions = [];
+  const normals = [];
+  const colors = [];
+  const indices = [];
+  const color = new THREE.Color();
+
+  voxels.forEach((voxel) => {
+    const box = new THREE.BoxGeometry(
+      voxel.size.x * scale,
+      voxel.size.y * scale,
+      voxel.size.z * scale,
+    );
+    box.translate(
+      (voxel.position.x - pivot.x) * scale,
+      (voxel.position.y + voxel.size.y / 2 - pivot.y) * scale,
+      (voxel.position.z - pivot.z) * scale,
+    );
+    color.set(voxel.tint ?? DEFAULT_VOXEL_COLOR).convertSRGBToLinear();
+    const vertexOffset = positions.length / 3;
+    const boxPositions = box.getAttribute('position');
+    const boxNormals = box.getAttribute('normal');
+    for (let i = 0; i < boxPositions.count; i++) {
+      positions.push(boxPositions.getX(i), boxPositions.getY(i), boxPositions.getZ(i));
+      normals.push(boxNormals.getX(i), boxNormals.getY(i), boxNormals.getZ(i));
+      colors.push(color.r, color.g, color.b);
+    }
+    box.index.array.forEach((index) => indices.push(index + vertexOffset));
+    box.dispose();
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+  geometry.setIndex(indices);
+  geometry.computeBoundingSphere();
+  return geometry;
+}
+
+// Shared geometry and materials for every creature body. Geometry is built
+// once per definition; each spawned creature only gets its own part groups.
+export function createCreatureBodyFactory({ THREE }) {
+  if (!THREE) {
+    throw new Error('createCreatureBodyFactory requires a THREE instance');
+  }
+
+  const litMaterial = new THREE.MeshStandardMaterial({
+    vertexColors: true,
+    roughness: 0.85,
+    metalness: 0,
+  });
+  const glowMaterial = new THREE.MeshBasicMaterial({ vertexColors: true });
+  const templates = new Map();
+
+  function getTemplate(definition) {
+    if (templates.has(definition.id)) {
+      return templates.get(definition.id);
+    }
+    const objectEmissive = definition.object.emissive ?? 0;
+    const parts = Array.from(definition.parts.values()).map((part) => {
+      const partVoxels = definition.object.voxels.filter(
+        (voxel) => (voxel.part ?? 'body') === part.name,
+      );
+      const isGlowing = (voxel) =>
+        (voxel.emissive ?? objectEmissive) >= GLOW_EMISSIVE_THRESHOLD;
+      return {
+        ...part,
+        geometry: buildPartGeometry(
+          THREE,
+          partVoxels.filter((voxel) => !isGlowing(voxel)),
+          part.pivot,
+          definition.voxelScale,
+        ),
+        glowGeometry: buildPartGeometry(
+          THREE,
+          partVoxels.filter(isGlowing),
+          part.pivot,
+          definition.voxelScale,
+        ),
+      };
+    });
+    const template = { parts };
+    templates.set(definition.id, template);
+    return template;
+  }
+
+  function createBody(definition) {
+    const template = getTemplate(definition);
+    const root = new THREE.Group();
+    root.name = `creature:${definition.id}`;
+    const partGroups = new Map();
+    const scale = definition.voxelScale;
+
+    template.parts.forEach((part) => {
+      const group = new THREE.Group();
+      group.name = part.name;
+      if (part.geometry) {
+        const mesh = new THREE.Mesh(part.geometry, litMaterial);
+        mesh.castShadow = true;
+        group.add(mesh);
+      }
+      if (part.glowGeometry) {
+        group.add(new THREE.Mesh(part.glowGeometry, glowMaterial));
+      }
+      partGroups.set(part.name, group);
+    });
+
+    template.parts.forEach((part) => {
+      const group = partGroups.get(part.name);
+      const parent = part.parent ? definition.parts.get(part.parent) : null;
+      const origin = parent?.pivot ?? { x: 0, y: 0, z: 0 };
+      group.position.set(
+        (part.pivot.x - origin.x) * scale,
+        (part.pivot.y - origin.y) * scale,
+        (part.pivot.z - origin.z) * scale,
+      );
+      group.userData.restPosition = group.position.clone();
+      (parent ? partGroups.get(parent.name) : root).add(group);
+    });
+
+    return { root, parts: partGroups };
+  }
+
+  // Poses a body for `time` seconds into its animations, blending from idle
+  // (walkBlend 0) to walk (walkBlend 1). Position tracks are in voxel units.
+  function animateBody(body, definition, time, walkBlend) {
+    body.parts.forEach((group) => {
+      group.position.copy(group.userData.restPosition);
+      group.rotation.set(0, 0, 0);
+    });
+    const applyTracks = (tracks, weight) => {
+      if (weight <= 0) {
+        return;
+      }
+      tracks.forEach((track) => {
+        const group = body.parts.get(track.part);
+        if (!group) {
+          return;
+        }
+        const value =
+          track.speed !== 0
+            ? track.speed * time + track.offset
+            : Math.sin(time * track.frequency * Math.PI * 2 + track.phase) * track.amplitude +
+              track.offset;
+        const scaled = track.property === 'position' ? value * definition.voxelScale : value;
+        group[track.property][track.axis] += scaled * weight;
+      });
+    };
+    applyTracks(definition.animations.idle, 1 - walkBlend);
+    applyTracks(definition.animations.walk, walkBlend);
+  }
+
+  return {
+    createBody,
+    animateBody,
+    dispose() {
+      templates.forEach((template) => {
+        template.parts.forEach((part) => {
+          part.geometry?.dispose();
+          part.glowGeometry?.dispose();
+        });
+      });
+      templates.clear();
+      litMaterial.dispose();
+      glowMaterial.dispose();
+    },
+  };
+}
@@ -0,0 +1,158 @@
+import { getVoxelObjectsByCategory } from '../voxel-object-library.js';
+
+const CREATURE_CATEGORY = 'creatures';
+const ROOT_PART = 'body';
+const MOVEMENT_MODES = new Set(['ground', 'flying']);
+const ANIMATION_CHANNELS = new Set([
+  'position.x',
+  'position.y',
+  'position.z',
+  'rotation.x',
+  'rotation.y',
+  'rotation.z',
+]);
+
+const DEFAULT_CREATURE = {
+  health: 6,
+  movement: 'ground',
+  walkSpeed: 1.2,
+  fleeSpeed: 3,
+  fleeRadius: 4,
+  wanderRadius: 6,
+  jumpVelocity: 5.5,
+};
+
+function readNumber(value, fallback, min = 0) {
+  return typeof value === 'number' && Number.isFinite(value) ? Math.max(min, value) : fallback;
+}
+
+function readRange(value, fallback) {
+  const min = readNumber(value?.min, fallback.min);
+  return { min, max: Math.max(min, readNumber(value?.max, fallback.max)) };
+}
+
+function readVector(value, label, path) {
+  if (value === undefined) {
+    return { x: 0, y: 0, z: 0 };
+  }
+  if (!Array.isArray(value) || value.length !== 3 || value.some((c) => typeof c !== 'number')) {
+    throw new Error(`Invalid ${label} in creature definition at ${path}. Expected [x, y, z].`);
+  }
+  return { x: value[0], y: value[1], z: value[2] };
+}
+
+function normalizeParts(rawParts, voxels, path) {
+  const parts = new Map();
+  Object.entries(rawParts ?? {}).forEach(([name, part]) => {
+    parts.set(name, {
+      name,
+      pivot: readVector(part?.pivot, `pivot for part "${name}"`, path),
+      parent: typeof part?.parent === 'string' ? part.parent : null,
+    });
+  });
+  if (!parts.has(ROOT_PART)) {
+    parts.set(ROOT_PART, { name: ROOT_PART, pivot: { x: 0, y: 0, z: 0 }, parent: null });
+  }
+  voxels.forEach((voxel) => {
+    if (voxel.part && !parts.has(voxel.part)) {
+      throw new Error(`Voxel ${voxel.index} in ${path} uses undeclared part "${voxel.part}".`);
+    }
+  });
+  parts.forEach((part) => {
+    if (part.parent && !parts.has(part.parent)) {
+      throw new Error(`Part "${part.name}" in ${path} has unknown parent "${part.parent}".`);
+    }
+    let ancestor = part.parent;
+    for (let depth = 0; ancestor; depth++) {
+      if (ancestor === part.name || depth > parts.size) {
+        throw new Error(`Part "${part.name}" in ${path} is its own ancestor.`);
+      }
+      ancestor = parts.get(ancestor).parent;
+    }
+  });
+  return parts;
+}
+
+// Tracks are sine oscillators (amplitude, frequency in Hz, phase, offset) or,
+// with `speed`, a steady spin in radians per second.
+function normalizeAnimation(rawAnimation, parts, name, path) {
+  const tracks = [];
+  Object.entries(rawAnimation ?? {}).forEach(([partName, partTracks]) => {
+    if (!parts.has(partName)) {
+      throw new Error(`Animation "${name}" in ${path} targets unknown part "${partName}".`);
+    }
+    (Array.isArray(partTracks) ? partTracks : [partTracks]).forEach((track) => {
+      if (!ANIMATION_CHANNELS.has(track?.channel)) {
+        throw new Error(
+          `Animation "${name}" in ${path} uses unsupported channel "${track?.channel}".`,
+        );
+      }
+      const [property, axis] = track.channel.split('.');
+      tracks.push({
+        part: partName,
+        property,
+        axis,
+        amplitude: readNumber(track.amplitude, 0, -Infinity),
+        frequency: readNumber(track.frequency, 1),
+        phase: readNumber(track.phase, 0, -Infinity),
+        offset: readNumber(track.offset, 0, -Infinity),
+        speed: readNumber(track.speed, 0, -Infinity),
+      });
+    });
+  });
+  return tracks;
+}
+
+function normalizeCreature(object) {
+  const raw = object.raw?.creature;
+  if (!raw || typeof raw !== 'object') {
+    throw new Error(`Creature definition ${object.id} (${object.path}) is missing a creature block.`);
+  }
+  const movement = raw.movement ?? DEFAULT_CREATURE.movement;
+  if (!MOVEMENT_MODES.has(movement)) {
+    throw new Error(`Unsupported creature movement "${movement}" in ${object.path}.`);
+  }
+  const parts = normalizeParts(raw.parts, object.voxels, object.path);
+  const animations = {
+    idle: normalizeAnimation(raw.animations?.idle, parts, 'idle', object.path),
+    walk: normalizeAnimation(raw.animations?.walk, parts, 'walk', object.path),
+  };
+  const box = object.boundingBox;
+
+  return {
+    id: object.id,
+    label: object.label,
+    object,
+    voxelScale: object.voxelScale,
+    movement,
+    health: readNumber(raw.health, DEFAULT_CREATURE.health, 1),
+    walkSpeed: readNumber(raw.walkSpeed, DEFAULT_CREATURE.walkSpeed),
+    fleeSpeed: readNumber(raw.fleeSpeed, DEFAULT_CREATURE.fleeSpeed),
+    fleeRadius: readNumber(raw.fleeRadius, DEFAULT_CREATURE.fleeRadius),
+    wanderRadius: readNumber(raw.wanderRadius, DEFAULT_CREATURE.wanderRadius, 1),
+    jumpVelocity: readNumber(raw.jumpVelocity, DEFAULT_CREATURE.jumpVelocity),
+    idleSeconds: readRange(raw.idleSeconds, { min: 1, max: 4 }),
+    hoverHeight: readRange(raw.hoverHeight, { min: 1.5, max: 3 }),
+    parts,
+    animations,
+    // Collision box in blocks: feet at the creature's position, centred in x/z.
+    hitbox: {
+      radius: box ? Math.min(0.45, Math.max(0.08, Math.max(box.size.x, box.size.z) / 2)) : 0.3,
+      height: box ? Math.max(0.1, box.max.y) : 0.5,
+    },
+  };
+}
+
+const creatureDefinitions = new Map();
+
+getVoxelObjectsByCategory(CREATURE_CATEGORY).forEach((object) => {
+  creatureDefinitions.set(object.id, normalizeCreature(object));
+});
+
+export function getCreatureDefinition(id) {
+  return creatureDefinitions.get(id) ?? null;
+}
+
+export function listCreatureDefinitions() {
+  return Array.from(creatureDefinitions.values());
+}
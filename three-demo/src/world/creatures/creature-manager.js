@@ -0,0 +1,542 @@
+import { chunkIndexFromWorld } from '../chunk-manager.js';
+import { intersectRayBox } from '../voxel-raycast.js';
+import { createCreatureBodyFactory } from './creature-body.js';
+import { getCreatureDefinition, listCreatureDefinitions } from './creature-library.js';
+
+const DEFAULT_MAX_CREATURES = 18;
+const MAX_CREATURES_PER_CHUNK = 4;
+const SPAWN_INTERVAL_SECONDS = 1.2;
+// Creatures appear in a ring around the player: out of arm's reach but well
+// inside the loaded chunks, and are dropped again once they fall far behind.
+const SPAWN_RING = { min: 14, max: 40 };
+const DESPAWN_DISTANCE = 72;
+const GROUP_JITTER = 2.5;
+const GRAVITY = 18;
+const MAX_FALL_SPEED = 18;
+const SWIM_LIFT = 24;
+const STEP_HEIGHT = 1.05;
+const TURN_RATE = 8;
+const ACCELERATION = 10;
+const WANDER_TIMEOUT_SECONDS = 8;
+const HURT_FLEE_SECONDS = 4;
+const KNOCKBACK_SPEED = 4.5;
+const COLLISION_EPSILON = 1e-3;
+
+function randomBetween(min, max) {
+  return min + Math.random() * (max - min);
+}
+
+function randomInteger(min, max) {
+  return Math.floor(randomBetween(min, max + 1));
+}
+
+function pickWeighted(entries) {
+  const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  let roll = Math.random() * total;
+  for (const entry of entries) {
+    roll -= entry.weight;
+    if (roll <= 0) {
+      return entry;
+    }
+  }
+  return entries[entries.length - 1] ?? null;
+}
+
+function dampAngle(current, target, rate, delta) {
+  let difference = target - current;
+  difference = Math.atan2(Math.sin(difference), Math.cos(difference));
+  return current + difference * (1 - Math.exp(-rate * delta));
+}
+
+// Ambient creatures: spawns from the biome `creatures` tables around the
+// player, a small idle/wander/flee brain per creature, gravity and box
+// collision against the voxel world, and despawning when their chunk unloads
+// or the player leaves them behind.
+export function createCreatureManager({
+  THREE,
+  scene,
+  chunkManager,
+  sampleBiomeAt,
+  worldConfig,
+  isNight = () => false,
+  maxCreatures = DEFAULT_MAX_CREATURES,
+}) {
+  if (!THREE || !scene) {
+    throw new Error('createCreatureManager requires THREE and a scene');
+  }
+  if (!chunkManager || typeof chunkManager.isSolid !== 'function') {
+    throw new Error('createCreatureManager requires a chunk manager');
+  }
+  if (typeof sampleBiomeAt !== 'function') {
+    throw new Error('createCreatureManager requires a sampleBiomeAt function');
+  }
+
+  const bodies = createCreatureBodyFactory({ THREE });
+  const creatures = new Map();
+  let nextCreatureId = 1;
+  let spawnTimer = 0;
+  let spawningEnabled = true;
+  let lastPlayerPosition = null;
+
+  const removeUnloadListener = chunkManager.onChunkUnloaded?.(({ chunkX, chunkZ }) => {
+    creatures.forEach((creature) => {
+      if (creature.chunkX === chunkX && creature.chunkZ === chunkZ) {
+        removeCreature(creature);
+      }
+    });
+  });
+
+  function collides(definition, x, y, z) {
+    const { radius, height } = definition.hitbox;
+    const minX = Math.round(x - radius + COLLISION_EPSILON);
+    const maxX = Math.round(x + radius - COLLISION_EPSILON);
+    const minY = Math.round(y + COLLISION_EPSILON);
+    const maxY = Math.round(y + height - COLLISION_EPSILON);
+    const minZ = Math.round(z - radius + COLLISION_EPSILON);
+    const maxZ = Math.round(z + radius - COLLISION_EPSILON);
+    for (let bx = minX; bx <= maxX; bx++) {
+      for (let by = minY; by <= maxY; by++) {
+        for (let bz = minZ; bz <= maxZ; bz++) {
+          if (chunkManager.isSolid(bx, by, bz)) {
+            return true;
+          }
+        }
+      }
+    }
+    return false;
+  }
+
+  // Top of the highest solid block in the column at or below `fromY`, as the
+  // y a creature's feet would rest at.
+  function findGround(x, z, fromY = worldConfig.maxHeight + 24, depth = 96) {
+    const column = { x: Math.round(x), z: Math.round(z) };
+    const startY = Math.floor(fromY);
+    for (let y = startY; y >= startY - depth; y--) {
+      if (chunkManager.isSolid(column.x, y, column.z)) {
+        return y + 0.5;
+      }
+    }
+    return null;
+  }
+
+  function getFluidSurface(x, z) {
+    const column = chunkManager.getFluidColumn?.(Math.round(x), Math.round(z));
+    if (!column || !Number.isFinite(column.surfaceY)) {
+      return null;
+    }
+    return { surfaceY: column.surfaceY, physics: column.physics ?? null };
+  }
+
+  function updateChunkIndex(creature) {
+    const index = chunkIndexFromWorld(creature.position.x, creature.position.z);
+    creature.chunkX = index.x;
+    creature.chunkZ = index.z;
+  }
+
+  function spawnCreature(definition, position) {
+    const body = bodies.createBody(definition);
+    const creature = {
+      id: nextCreatureId++,
+      definition,
+      body,
+      position: new THREE.Vector3(position.x, position.y, position.z),
+      velocity: new THREE.Vector3(),
+      yaw: Math.random() * Math.PI * 2,
+      health: definition.health,
+      state: 'idle',
+      stateTimer: randomBetween(definition.idleSeconds.min, definition.idleSeconds.max),
+      target: null,
+      hurtTimer: 0,
+      grounded: false,
+      hoverHeight: randomBetween(definition.hoverHeight.min, definition.hoverHeight.max),
+      animationTime: Math.random() * 10,
+      walkBlend: 0,
+      chunkX: 0,
+      chunkZ: 0,
+    };
+    updateChunkIndex(creature);
+    body.root.position.copy(creature.position);
+    body.root.rotation.y = creature.yaw;
+    bodies.animateBody(body, definition, creature.animationTime, 0);
+    scene.add(body.root);
+    creatures.set(creature.id, creature);
+    return creature;
+  }
+
+  function removeCreature(creature) {
+    if (!creatures.delete(creature.id)) {
+      return;
+    }
+    scene.remove(creature.body.root);
+  }
+
+  function countInChunk(chunkX, chunkZ) {
+    let count = 0;
+    creatures.forEach((creature) => {
+      if (creature.chunkX === chunkX && creature.chunkZ === chunkZ) {
+        count += 1;
+      }
+    });
+    return count;
+  }
+
+  // Where a creature of this kind could stand (or hover) at the column, or
+  // null if the column is unloaded, blocked or flooded for a walker.
+  function resolveSpawnPosition(definition, x, z) {
+    const index = chunkIndexFromWorld(x, z);
+    if (!chunkManager.hasChunk(index.x, index.z)) {
+      return null;
+    }
+    const groundY = findGround(x, z);
+    if (groundY === null) {
+      return null;
+    }
+    const fluid = getFluidSurface(x, z);
+    const floorY = fluid && fluid.surfaceY > groundY ? fluid.surfaceY : groundY;
+    if (definition.movement === 'ground' && floorY !== groundY) {
+      return null;
+    }
+    const y =
+      definition.movement === 'flying'
+        ? floorY + randomBetween(definition.hoverHeight.min, definition.hoverHeight.max)
+        : groundY;
+    if (collides(definition, x, y, z)) {
+      return null;
+    }
+    return { x, y, z };
+  }
+
+  function trySpawnAround(playerPosition) {
+    if (creatures.size >= maxCreatures) {
+      return;
+    }
+    const angle = Math.random() * Math.PI * 2;
+    const distance = randomBetween(SPAWN_RING.min, SPAWN_RING.max);
+    const centerX = Math.round(playerPosition.x + Math.cos(angle) * distance);
+    const centerZ = Math.round(playerPosition.z + Math.sin(angle) * distance);
+    const index = chunkIndexFromWorld(centerX, centerZ);
+    if (countInChunk(index.x, index.z) >= MAX_CREATURES_PER_CHUNK) {
+      return;
+    }
+
+    const biome = sampleBiomeAt(centerX, centerZ)?.biome;
+    const night = Boolean(isNight());
+    const table = (biome?.creatures ?? []).filter(
+      (spawn) =>
+        (spawn.time === 'any' || (spawn.time === 'night') === night) &&
+        getCreatureDefinition(spawn.id),
+    );
+    const spawn = table.length > 0 ? pickWeighted(table) : null;
+    if (!spawn) {
+      return;
+    }
+    const definition = getCreatureDefinition(spawn.id);
+    const groupSize = Math.min(
+      randomInteger(spawn.group.min, spawn.group.max),
+      maxCreatures - creatures.size,
+      MAX_CREATURES_PER_CHUNK - countInChunk(index.x, index.z),
+    );
+    for (let i = 0; i < groupSize; i++) {
+      const x = centerX + (i === 0 ? 0 : randomBetween(-GROUP_JITTER, GROUP_JITTER));
+      const z = centerZ + (i === 0 ? 0 : randomBetween(-GROUP_JITTER, GROUP_JITTER));
+      const position = resolveSpawnPosition(definition, x, z);
+      if (position) {
+        spawnCreature(definition, position);
+      }
+    }
+  }
+
+  function chooseWanderTarget(creature) {
+    const angle = Math.random() * Math.PI * 2;
+    const distance = randomBetween(1.5, creature.definition.wanderRadius);
+    creature.target = {
+      x: creature.position.x + Math.cos(angle) * distance,
+      z: creature.position.z + Math.sin(angle) * distance,
+    };
+    creature.state = 'wander';
+    creature.stateTimer = WANDER_TIMEOUT_SECONDS;
+  }
+
+  function startIdle(creature) {
+    const { idleSeconds } = creature.definition;
+    creature.state = 'idle';
+    creature.target = null;
+    creature.stateTimer = randomBetween(idleSeconds.min, idleSeconds.max);
+  }
+
+  // Horizontal velocity the creature wants this frame.
+  function think(creature, playerPosition, delta, desired) {
+    const { definition, position } = creature;
+    creature.hurtTimer = Math.max(0, creature.hurtTimer - delta);
+    creature.stateTimer -= delta;
+    desired.set(0, 0, 0);
+
+    const threatened =
+      playerPosition &&
+      (creature.hurtTimer > 0 ||
+        position.distanceToSquared(playerPosition) < definition.fleeRadius ** 2);
+    if (threatened) {
+      creature.state = 'flee';
+      desired.set(position.x - playerPosition.x, 0, position.z - playerPosition.z);
+      if (desired.lengthSq() < 1e-6) {
+        desired.set(Math.sin(creature.yaw), 0, Math.cos(creature.yaw));
+      }
+      desired.normalize().multiplyScalar(definition.fleeSpeed);
+      return;
+    }
+    if (creature.state === 'flee') {
+      startIdle(creature);
+    }
+
+    if (creature.state === 'idle') {
+      if (creature.stateTimer <= 0) {
+        chooseWanderTarget(creature);
+      }
+      return;
+    }
+
+    const dx = creature.target.x - position.x;
+    const dz = creature.target.z - position.z;
+    const distance = Math.hypot(dx, dz);
+    if (distance < 0.4 || creature.stateTimer <= 0) {
+      startIdle(creature);
+      return;
+    }
+    desired.set(dx / distance, 0, dz / distance).multiplyScalar(definition.walkSpeed);
+  }
+
+  // Moves along one horizontal axis; walkers hop up single-block steps and
+  // everything else gives up on its wander target when blocked.
+  function moveHorizontal(creature, axis, amount) {
+    if (amount === 0) {
+      return;
+    }
+    const { definition, position, velocity } = creature;
+    const next = position.clone();
+    next[axis] += amount;
+    if (!collides(definition, next.x, next.y, next.z)) {
+      position[axis] = next[axis];
+      return;
+    }
+    const canStep =
+      definition.movement === 'ground' &&
+      creature.grounded &&
+      !collides(definition, next.x, next.y + STEP_HEIGHT, next.z);
+    if (canStep) {
+      velocity.y = definition.jumpVelocity;
+      creature.grounded = false;
+    } else if (creature.state === 'wander') {
+      startIdle(creature);
+    }
+    velocity[axis] = 0;
+  }
+
+  function moveVertical(creature, amount) {
+    const { definition, position, velocity } = creature;
+    const nextY = position.y + amount;
+    creature.grounded = false;
+    if (!collides(definition, position.x, nextY, position.z)) {
+      position.y = nextY;
+      return;
+    }
+    if (amount < 0) {
+      // Rest on top of the block the feet sank into.
+      const restY = Math.round(nextY) + 0.5;
+      position.y = collides(definition, position.x, restY, position.z) ? position.y : restY;
+      creature.grounded = true;
+    }
+    velocity.y = 0;
+  }
+
+  function updatePhysics(creature, desired, delta) {
+    const { definition, position, velocity } = creature;
+    const blend = 1 - Math.exp(-ACCELERATION * delta);
+    velocity.x += (desired.x - velocity.x) * blend;
+    velocity.z += (desired.z - velocity.z) * blend;
+
+    const fluid = getFluidSurface(position.x, position.z);
+    const submerged = fluid && position.y < fluid.surfaceY;
+
+    if (definition.movement === 'flying') {
+      const groundY = findGround(position.x, position.z, position.y + 1, 32);
+      const floorY = Math.max(
+        groundY ?? position.y - creature.hoverHeight,
+        fluid?.surfaceY ?? -Infinity,
+      );
+      const targetY = floorY + creature.hoverHeight;
+      velocity.y += ((targetY - position.y) * 2 - velocity.y) * blend;
+    } else if (submerged) {
+      const viscosity = fluid.physics?.viscosity ?? 0.58;
+      velocity.y += (SWIM_LIFT * (fluid.surfaceY - position.y) - GRAVITY * 0.35) * delta;
+      velocity.multiplyScalar(Math.max(0, 1 - viscosity * delta * 2));
+      const damage = fluid.physics?.damagePerSecond ?? 0;
+      if (damage > 0) {
+        damageCreature(creature, damage * delta, { knockback: false });
+      }
+    } else {
+      velocity.y = Math.max(-MAX_FALL_SPEED, velocity.y - GRAVITY * delta);
+    }
+
+    moveHorizontal(creature, 'x', velocity.x * delta);
+    moveHorizontal(creature, 'z', velocity.z * delta);
+    moveVertical(creature, velocity.y * delta);
+    updateChunkIndex(creature);
+  }
+
+  function updateCreature(creature, playerPosition, delta, desired) {
+    think(creature, playerPosition, delta, desired);
+    updatePhysics(creature, desired, delta);
+    if (!creatures.has(creature.id)) {
+      return;
+    }
+
+    const { body, definition, velocity } = creature;
+    const speed = Math.hypot(velocity.x, velocity.z);
+    if (speed > 0.15) {
+      creature.yaw = dampAngle(creature.yaw, Math.atan2(velocity.x, velocity.z), TURN_RATE, delta);
+    }
+    const walking = speed > 0.15 || (definition.movement === 'flying' && creature.state !== 'idle');
+    creature.walkBlend += ((walking ? 1 : 0) - creature.walkBlend) * (1 - Math.exp(-6 * delta));
+    creature.animationTime += delta;
+
+    body.root.position.copy(creature.position);
+    body.root.rotation.y = creature.yaw;
+    bodies.animateBody(body, definition, creature.animationTime, creature.walkBlend);
+  }
+
+  const desiredVelocity = new THREE.Vector3();
+
+  function update(playerPosition, delta = 0) {
+    if (playerPosition) {
+      lastPlayerPosition = playerPosition.clone();
+    }
+    if (spawningEnabled && playerPosition) {
+      spawnTimer -= delta;
+      if (spawnTimer <= 0) {
+        spawnTimer = SPAWN_INTERVAL_SECONDS;
+        trySpawnAround(playerPosition);
+      }
+    }
+    creatures.forEach((creature) => {
+      const tooFar =
+        playerPosition &&
+        Math.hypot(creature.position.x - playerPosition.x, creature.position.z - playerPosition.z) >
+          DESPAWN_DISTANCE;
+      if (tooFar || !chunkManager.hasChunk(creature.chunkX, creature.chunkZ)) {
+        removeCreature(creature);
+        return;
+      }
+      updateCreature(creature, playerPosition, delta, desiredVelocity);
+    });
+  }
+
+  // Nearest creature whose hitbox the ray crosses within `maxDistance`.
+  function raycast(origin, direction, maxDistance = 8) {
+    let closest = null;
+    const min = new THREE.Vector3();
+    const max = new THREE.Vector3();
+    creatures.forEach((creature) => {
+      const { radius, height } = creature.definition.hitbox;
+      const { x, y, z } = creature.position;
+      min.set(x - radius, y, z - radius);
+      max.set(x + radius, y + height, z + radius);
+      const hit = intersectRayBox(origin, direction, min, max);
+      if (!hit || hit.distance > maxDistance || (closest && hit.distance >= closest.distance)) {
+        return;
+      }
+      closest = { creature, distance: hit.distance, normal: hit.normal };
+    });
+    return closest;
+  }
+
+  // Returns true if the hit killed the creature.
+  function damageCreature(creature, amount, { from = null, knockback = true } = {}) {
+    if (!creatures.has(creature.id) || !(amount > 0)) {
+      return false;
+    }
+    creature.health = Math.max(0, creature.health - amount);
+    creature.hurtTimer = HURT_FLEE_SECONDS;
+    if (knockback && from) {
+      const push = new THREE.Vector3(creature.position.x - from.x, 0, creature.position.z - from.z);
+      if (push.lengthSq() > 1e-6) {
+        push.normalize().multiplyScalar(KNOCKBACK_SPEED);
+        creature.velocity.x = push.x;
+        creature.velocity.z = push.z;
+      }
+      if (creature.grounded) {
+        creature.velocity.y = creature.definition.jumpVelocity * 0.6;
+      }
+    }
+    if (creature.health <= 0) {
+      removeCreature(creature);
+      return true;
+    }
+    return false;
+  }
+
+  // Spawns `count` creatures of `id` scattered around `position`. Returns the
+  // number placed.
+  function spawn(id, position, count = 1) {
+    const definition = getCreatureDefinition(id);
+    if (!definition) {
+      throw new Error(`Unknown creature "${id}".`);
+    }
+    let placed = 0;
+    for (let i = 0; i < count; i++) {
+      const x = position.x + (i === 0 ? 0 : randomBetween(-GROUP_JITTER, GROUP_JITTER));
+      const z = position.z + (i === 0 ? 0 : randomBetween(-GROUP_JITTER, GROUP_JITTER));
+      const spawnPosition = resolveSpawnPosition(definition, x, z);
+      if (spawnPosition) {
+        spawnCreature(definition, spawnPosition);
+        placed += 1;
+      }
+    }
+    return placed;
+  }
+
+  function clear() {
+    const removed = creatures.size;
+    Array.from(creatures.values()).forEach(removeCreature);
+    return removed;
+  }
+
+  function list() {
+    return Array.from(creatures.values()).map((creature) => ({
+      id: creature.id,
+      type: creature.definition.id,
+      state: creature.state,
+      health: creature.health,
+      position: creature.position.clone(),
+      distance: lastPlayerPosition ? creature.position.distanceTo(lastPlayerPosition) : null,
+    }));
+  }
+
+  function getStats() {
+    const byType = {};
+    creatures.forEach((creature) => {
+      byType[creature.definition.id] = (byType[creature.definition.id] ?? 0) + 1;
+    });
+    return { count: creatures.size, maxCreatures, spawningEnabled, byType };
+  }
+
+  return {
+    update,
+    raycast,
+    damage: damageCreature,
+    spawn,
+    clear,
+    list,
+    getStats,
+    listDefinitions: () => listCreatureDefinitions().map((definition) => definition.id),
+    setSpawningEnabled(value) {
+      spawningEnabled = Boolean(value);
+      return spawningEnabled;
+    },
+    isSpawningEnabled: () => spawningEnabled,
+    dispose() {
+      clear();
+      removeUnloadListener?.();
+      bodies.dispose();
+    },
+  };
+}
@@ -0,0 +1,25 @@
+const SPAWN_TIMES = new Set(['any', 'day', 'night']);
+
+// Normalizes a biome's `creatures` spawn table: which creature ids appear,
+// how often relative to each other, in groups of what size and at what time
+// of day.
+export function normalizeCreatureSpawns(definitions) {
+  if (!Array.isArray(definitions)) {
+    return [];
+  }
+  return definitions
+    .filter((spawn) => typeof spawn?.id === 'string' && spawn.id.trim().length > 0)
+    .map((spawn) => {
+      const minGroup = Math.max(1, Math.floor(spawn.group?.min ?? 1));
+      return {
+        id: spawn.id.trim(),
+        weight: Math.max(0, Number(spawn.weight ?? 1) || 0),
+        group: {
+          min: minGroup,
+          max: Math.max(minGroup, Math.floor(spawn.group?.max ?? minGroup)),
+        },
+        time: SPAWN_TIMES.has(spawn.time) ? spawn.time : 'any',
+      };
+    })
+    .filter((spawn) => spawn.weight > 0);
+}
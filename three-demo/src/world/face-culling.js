@@ -0,0 +1,64 @@
+// Hidden-face bookkeeping for unit-cube blocks. Each block carries a 6-bit
+// mask of faces covered by an opaque neighbour; the biome tint material
+// collapses those faces and blocks with every face covered are left out of the
+// chunk's InstancedMesh entirely until an edit exposes them.
+
+export const FACE_DIRECTIONS = [
+  { bit: 1, dx: 1, dy: 0, dz: 0, oppositeBit: 2 },
+  { bit: 2, dx: -1, dy: 0, dz: 0, oppositeBit: 1 },
+  { bit: 4, dx: 0, dy: 1, dz: 0, oppositeBit: 8 },
+  { bit: 8, dx: 0, dy: -1, dz: 0, oppositeBit: 4 },
+  { bit: 16, dx: 0, dy: 0, dz: 1, oppositeBit: 32 },
+  { bit: 32, dx: 0, dy: 0, dz: -1, oppositeBit: 16 },
+];
+
+export const ALL_FACES_HIDDEN = 63;
+
+const EPSILON = 1e-4;
+const translucentTypes = new Set(['water', 'cloud']);
+
+function isNear(value, target) {
+  return Math.abs((value ?? target) - target) < EPSILON;
+}
+
+function isUnitVector(vector, target) {
+  return !vector || (isNear(vector.x, target) && isNear(vector.y, target) && isNear(vector.z, target));
+}
+
+export function isUnitCubeEntry(entry) {
+  if (!entry || entry.isDecoration || !entry.position) {
+    return false;
+  }
+  const { x, y, z } = entry.position;
+  return (
+    Number.isInteger(x) &&
+    Number.isInteger(y) &&
+    Number.isInteger(z) &&
+    isUnitVector(entry.scale, 1) &&
+    isUnitVector(entry.visualScale, 1) &&
+    isUnitVector(entry.visualOffset, 0)
+  );
+}
+
+export function isOccludingEntry(entry) {
+  return (
+    Boolean(entry) &&
+    entry.collisionMode === 'solid' &&
+    !translucentTypes.has(entry.type) &&
+    isUnitCubeEntry(entry)
+  );
+}
+
+export function computeHiddenFaces(entry, isOccludedAt) {
+  if (!isUnitCubeEntry(entry)) {
+    return 0;
+  }
+  const { x, y, z } = entry.position;
+  let mask = 0;
+  FACE_DIRECTIONS.forEach(({ bit, dx, dy, dz }) => {
+    if (isOccludedAt(x + dx, y + dy, z + dz)) {
+      mask |= bit;
+    }
+  });
+  return mask;
+}
@@ -11,6 +11,41 @@ const FACE_DIRECTIONS = [
   { key: 'nz', dx: 0, dz: -1, normal: [0, 0, -1] },
 ];
 
+// Derives the flow, foam and shoreline attributes of one column from its four
+// neighbour descriptions ({ hasFluid, surfaceY, bottomY, foamHint }).
+export function applyFluidColumnFlow(THREE, column, neighbors) {
+  const centerSurface = column.surfaceY;
+  const drops = {};
+  let foamExposure = 0;
+  let neighborFluidCount = 0;
+  FACE_DIRECTIONS.forEach(({ key }) => {
+    const neighbor = neighbors[key];
+    drops[key] = Math.max(0, centerSurface - (neighbor?.surfaceY ?? centerSurface));
+    foamExposure = Math.max(foamExposure, neighbor?.foamHint ?? 0);
+    neighborFluidCount += neighbor?.hasFluid ? 1 : 0;
+  });
+
+  const flowVector = new THREE.Vector2(drops.px - drops.nx, drops.pz - drops.nz);
+  const flowStrength = Math.min(1, flowVector.length() * 0.6);
+  if (flowStrength > 0.001) {
+    flowVector.normalize();
+  } else {
+    flowVector.set(0, 0);
+  }
+
+  column.neighbors = neighbors;
+  column.flowDirection = flowVector;
+  column.flowStrength = flowStrength;
+  column.foamAmount = Math.min(1, foamExposure * 0.18 + flowStrength * 0.4);
+  const dropMax = Math.max(drops.px, drops.nx, drops.pz, drops.nz);
+  column.shoreline = Math.min(
+    1,
+    dropMax * 0.75 + (1 - neighborFluidCount / FACE_DIRECTIONS.length) * 0.45 +
+      column.foamAmount * 0.5,
+  );
+  return column;
+}
+
 export function buildFluidGeometry({ THREE, columns }) {
   const positions = [];
   const normals = [];
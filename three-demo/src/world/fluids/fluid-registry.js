@@ -1,27 +1,54 @@
+import { createGlowFluidMaterial } from './glow-fluid-material.js';
 import { createHydraWaterMaterial } from './water-material.js';
 
 let THREERef = null;
 
-// Developer toggle to inspect fluid geometry using a plain material.
-const DEV_USE_BASIC_FLUID_MATERIAL = (() => {
+function readDeveloperToggle(queryParam, storageKey, storageValue) {
   if (typeof window === 'undefined') {
     return false;
   }
   const params = new URLSearchParams(window.location.search);
-  if (params.has('fluidBasic')) {
+  if (params.has(queryParam)) {
     return true;
   }
   try {
-    return window.localStorage?.getItem('fluidMaterial') === 'basic';
+    return window.localStorage?.getItem(storageKey) === storageValue;
   } catch (error) {
     return false;
   }
-})();
+}
+
+// Developer toggle to inspect fluid geometry using a plain material.
+const DEV_USE_BASIC_FLUID_MATERIAL = readDeveloperToggle('fluidBasic', 'fluidMaterial', 'basic');
+
+// Developer toggle to animate water waves with the CPU mesh morpher instead of
+// the vertex shader. The plain material has no wave shader, so it implies this.
+const DEV_USE_CPU_FLUID_WAVES =
+  DEV_USE_BASIC_FLUID_MATERIAL || readDeveloperToggle('fluidCpuWaves', 'fluidWaves', 'cpu');
 
 let debugBasicMaterial = null;
 
+// Fluid cells keep their type in two bits of the voxel grid's fluid byte.
+export const MAX_FLUID_TYPES = 4;
+
+// Physical properties read by the simulation and the player controller.
+// viscosity slows movement through the fluid (0 = none, 1 = stuck),
+// buoyancy lifts the player per second while submerged, and spreadDistance
+// is how many blocks a flow travels from its source.
+const DEFAULT_FLUID_PHYSICS = {
+  viscosity: 0.58,
+  buoyancy: 0,
+  damagePerSecond: 0,
+  damageMessage: null,
+  breathable: false,
+  renewable: true,
+  spreadDistance: 7,
+  lightLevel: 0,
+};
+
 const fluidDefinitions = new Map();
 const fluidRuntime = new Map();
+const fluidTypesByIndex = [];
 
 export function initializeFluidRegistry({ THREE }) {
   if (!THREE) {
@@ -30,33 +57,74 @@ export function initializeFluidRegistry({ THREE }) {
   THREERef = THREE;
   fluidDefinitions.clear();
   fluidRuntime.clear();
+  fluidTypesByIndex.length = 0;
 
   registerFluidType('water', {
     label: 'Water',
     createMaterial: (context) => createHydraWaterMaterial(context),
-    presenceResolver: ({
-      x,
-      z,
-      sampleColumnHeight,
-      worldConfig,
-    }) => {
-      const groundHeight = sampleColumnHeight(x, z);
-      if (groundHeight < worldConfig.waterLevel) {
-        const surfaceY = worldConfig.waterLevel + 0.5;
-        return {
-          hasFluid: true,
-          surfaceY,
-          bottomY: groundHeight + 0.5,
-        };
-      }
-      const surfaceY = groundHeight + 0.5;
-      return {
-        hasFluid: false,
-        surfaceY,
-        bottomY: surfaceY,
-      };
+    presenceResolver: resolveLowlandPresence,
+  });
+
+  registerFluidType('lava', {
+    label: 'Lava',
+    color: '#ff5a1f',
+    createMaterial: (context) => createGlowFluidMaterial(context),
+    presenceResolver: resolveLowlandPresence,
+    appearance: {
+      color: '#ff6a1f',
+      emissive: '#ff3b0a',
+      shimmerColor: '#ffc247',
+      emissiveIntensity: 1.4,
+      opacity: 0.97,
     },
+    viscosity: 0.86,
+    damagePerSecond: 12,
+    damageMessage: 'You are burning!',
+    breathable: false,
+    renewable: false,
+    spreadDistance: 3,
+    lightLevel: 14,
   });
+
+  registerFluidType('liquid_aurora', {
+    label: 'Liquid Aurora',
+    color: '#7dffcf',
+    createMaterial: (context) => createGlowFluidMaterial(context),
+    presenceResolver: resolveLowlandPresence,
+    appearance: {
+      color: '#6fe8d0',
+      emissive: '#2fb7a8',
+      shimmerColor: '#c58bff',
+      emissiveIntensity: 0.7,
+      opacity: 0.72,
+      roughness: 0.25,
+      churnScale: 0.22,
+      churnSpeed: 0.6,
+    },
+    viscosity: 0.3,
+    buoyancy: 1.6,
+    breathable: true,
+    lightLevel: 7,
+  });
+}
+
+// Lowland fluids fill every column whose ground sits below the water level.
+function resolveLowlandPresence({ x, z, sampleColumnHeight, worldConfig }) {
+  const groundHeight = sampleColumnHeight(x, z);
+  if (groundHeight < worldConfig.waterLevel) {
+    const surfaceY = worldConfig.waterLevel + 0.5;
+    return {
+      hasFluid: true,
+      surfaceY,
+      bottomY: groundHeight + 0.5,
+    };
+  }
+  const surfaceY = groundHeight + 0.5;
+  return {
+    hasFluid: false,
+    surfaceY,
+    bottomY: surfaceY,
+  };
 }
 
 export function registerFluidType(id, definition) {
@@ -68,13 +136,30 @@ export function registerFluidType(id, definition) {
   if (!id) {
     throw new Error('registerFluidType requires a string identifier');
   }
+  const existing = fluidDefinitions.get(id);
+  if (!existing && fluidTypesByIndex.length >= MAX_FLUID_TYPES) {
+    throw new Error(`Fluid type table is full (${MAX_FLUID_TYPES} types); cannot register "${id}"`);
+  }
+  const index = existing ? existing.index : fluidTypesByIndex.length;
+  const physics = {};
+  Object.keys(DEFAULT_FLUID_PHYSICS).forEach((key) => {
+    physics[key] = definition?.[key] ?? DEFAULT_FLUID_PHYSICS[key];
+  });
+  physics.viscosity = Math.min(Math.max(Number(physics.viscosity) || 0, 0), 0.95);
+  physics.spreadDistance = Math.min(Math.max(Math.round(physics.spreadDistance), 1), 7);
   const normalized = {
+    id,
+    index,
     label: definition?.label ?? id,
+    color: definition?.color ?? null,
     createMaterial: definition?.createMaterial,
     presenceResolver: definition?.presenceResolver ?? null,
     waveProfile: definition?.waveProfile ?? null,
+    appearance: definition?.appearance ?? null,
+    physics,
   };
   fluidDefinitions.set(id, normalized);
+  fluidTypesByIndex[index] = id;
   fluidRuntime.delete(id);
 }
 
@@ -86,6 +171,22 @@ export function getFluidDefinition(id) {
   return fluidDefinitions.get(id) ?? null;
 }
 
+export function getFluidPhysics(id) {
+  return fluidDefinitions.get(id)?.physics ?? null;
+}
+
+export function getFluidTypeIndex(id) {
+  return fluidDefinitions.get(id)?.index ?? -1;
+}
+
+export function getFluidTypeByIndex(index) {
+  return fluidTypesByIndex[index] ?? null;
+}
+
+export function listFluidTypes() {
+  return fluidTypesByIndex.slice();
+}
+
 function ensureRuntime(id) {
   if (!THREERef) {
     throw new Error('Fluid registry not initialized. Call initializeFluidRegistry first.');
@@ -105,6 +206,7 @@ function ensureRuntime(id) {
   const { material, update, onSurfaceCreated, onSurfaceDisposed } = materialFactory({
     THREE: THREERef,
     definition,
+    cpuWaves: DEV_USE_CPU_FLUID_WAVES,
   });
   material.depthWrite = false;
   material.transparent = true;
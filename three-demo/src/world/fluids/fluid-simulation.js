@@ -0,0 +1,374 @@
+import { getFluidPhysics, getFluidTypeByIndex } from './fluid-registry.js';
+
+// Fluid cells are stored as one byte in the voxel grid: the low nibble holds
+// the level (1–8, 8 being a full block), FLUID_SOURCE marks cells that never
+// drain (generated lakes, sea and flooded caves), FLUID_FALLING marks full
+// cells fed from the cell above and the top two bits hold the fluid type's
+// registry index (water being 0).
+export const FLUID_LEVEL_MASK = 15;
+export const FLUID_FULL_LEVEL = 8;
+export const FLUID_SOURCE = 16;
+export const FLUID_FALLING = 32;
+const FLUID_TYPE_SHIFT = 6;
+
+const SOURCE_CELL = FLUID_SOURCE | FLUID_FULL_LEVEL;
+const FALLING_CELL = FLUID_FALLING | FLUID_FULL_LEVEL;
+
+const DEFAULT_TICK_SECONDS = 0.25;
+const DEFAULT_CELL_BUDGET = 640;
+
+const HORIZONTAL_OFFSETS = [
+  { dx: 1, dz: 0 },
+  { dx: -1, dz: 0 },
+  { dx: 0, dz: 1 },
+  { dx: 0, dz: -1 },
+];
+
+const NEIGHBOR_OFFSETS = [
+  { dx: 0, dy: 0, dz: 0 },
+  { dx: 1, dy: 0, dz: 0 },
+  { dx: -1, dy: 0, dz: 0 },
+  { dx: 0, dy: 1, dz: 0 },
+  { dx: 0, dy: -1, dz: 0 },
+  { dx: 0, dy: 0, dz: 1 },
+  { dx: 0, dy: 0, dz: -1 },
+];
+
+export function getFluidLevel(value) {
+  if (!(value > 0)) {
+    return 0;
+  }
+  return value & (FLUID_SOURCE | FLUID_FALLING) ? FLUID_FULL_LEVEL : value & FLUID_LEVEL_MASK;
+}
+
+export function getFluidCellType(value) {
+  return value > 0 ? value >> FLUID_TYPE_SHIFT : -1;
+}
+
+export function encodeFluidCell(typeIndex, state) {
+  return state > 0 ? state | (typeIndex << FLUID_TYPE_SHIFT) : 0;
+}
+
+// Levels lost per block of sideways flow, so a fluid with spreadDistance 3
+// reaches three blocks from its source and water (7) reaches seven.
+function resolveLevelDrop(physics) {
+  return Math.max(1, Math.floor((FLUID_FULL_LEVEL - 1) / (physics?.spreadDistance ?? 7)));
+}
+
+// World-space height of the fluid surface inside cell y.
+export function getFluidSurfaceHeight(y, value) {
+  return y - 0.5 + getFluidLevel(value) / FLUID_FULL_LEVEL;
+}
+
+// Cellular water over the loaded voxel grids. Nothing is simulated until a
+// cell is woken (a block next to fluid changed, a chunk loaded next to moving
+// water); each tick re-evaluates at most `cellBudget` woken cells and wakes the
+// neighbours of every cell that changed, so flows settle over a few ticks and
+// an idle world costs nothing. Fluid falls into open cells below, spreads
+// sideways from supported cells (losing levels per block by its type's
+// spreadDistance), and an open cell between two sources of a renewable fluid
+// on solid ground becomes a source itself. A flowing cell takes the type of
+// whichever neighbour feeds it best.
+export function createFluidSimulation({
+  resolveVoxelGrid,
+  isBlocked,
+  onCellChanged = null,
+  tickSeconds = DEFAULT_TICK_SECONDS,
+  cellBudget = DEFAULT_CELL_BUDGET,
+}) {
+  if (typeof resolveVoxelGrid !== 'function') {
+    throw new Error('createFluidSimulation requires a resolveVoxelGrid function');
+  }
+  if (typeof isBlocked !== 'function') {
+    throw new Error('createFluidSimulation requires an isBlocked function');
+  }
+
+  let active = new Map();
+  let pending = new Map();
+  let dirtyColumns = new Set();
+  let accumulator = 0;
+  let paused = false;
+  const stats = { ticks: 0, evaluated: 0, changed: 0, lastTickCells: 0 };
+
+  function readFluid(x, y, z) {
+    const grid = resolveVoxelGrid(x, z);
+    return grid ? grid.getFluid(x, y, z) : -1;
+  }
+
+  function writeFluid(grid, x, y, z, value) {
+    const previous = grid.getFluid(x, y, z);
+    if (grid.setFluid(x, y, z, value)) {
+      dirtyColumns.add(`${x}|${z}`);
+      onCellChanged?.(x, y, z, previous, value);
+    }
+  }
+
+  function resolveTypePhysics(typeIndex) {
+    return getFluidPhysics(getFluidTypeByIndex(typeIndex));
+  }
+
+  function wake(x, y, z) {
+    const key = `${x}|${y}|${z}`;
+    if (active.has(key) || pending.has(key)) {
+      return;
+    }
+    pending.set(key, { x, y, z });
+  }
+
+  function wakeAround(x, y, z) {
+    NEIGHBOR_OFFSETS.forEach(({ dx, dy, dz }) => {
+      wake(x + dx, y + dy, z + dz);
+    });
+  }
+
+  function isSupported(x, y, z) {
+    return isBlocked(x, y - 1, z) || (readFluid(x, y - 1, z) & FLUID_SOURCE) !== 0;
+  }
+
+  // The state an open, non-source cell should hold given its neighbours.
+  function resolveCellState(x, y, z) {
+    const above = readFluid(x, y + 1, z);
+    if (above > 0) {
+      return encodeFluidCell(getFluidCellType(above), FALLING_CELL);
+    }
+    let best = 0;
+    let bestType = 0;
+    const sources = new Map();
+    HORIZONTAL_OFFSETS.forEach(({ dx, dz }) => {
+      const nx = x + dx;
+      const nz = z + dz;
+      const neighbor = readFluid(nx, y, nz);
+      if (!(neighbor > 0)) {
+        return;
+      }
+      const typeIndex = getFluidCellType(neighbor);
+      if (neighbor & FLUID_SOURCE) {
+        sources.set(typeIndex, (sources.get(typeIndex) ?? 0) + 1);
+      }
+      if (!isSupported(nx, y, nz)) {
+        return;
+      }
+      const level = getFluidLevel(neighbor) - resolveLevelDrop(resolveTypePhysics(typeIndex));
+      if (level > best) {
+        best = level;
+        bestType = typeIndex;
+      }
+    });
+    for (const [typeIndex, count] of sources) {
+      if (count >= 2 && resolveTypePhysics(typeIndex)?.renewable && isSupported(x, y, z)) {
+        return encodeFluidCell(typeIndex, SOURCE_CELL);
+      }
+    }
+    return encodeFluidCell(bestType, best);
+  }
+
+  // Cells woken for this tick are all resolved against the state the tick
+  // started from and written afterwards, so fluid advances one cell per tick.
+  function resolveNextState(x, y, z) {
+    const grid = resolveVoxelGrid(x, z);
+    if (!grid) {
+      return null;
+    }
+    const current = grid.getFluid(x, y, z);
+    if (current < 0) {
+      return null;
+    }
+    stats.evaluated += 1;
+    let next;
+    if (isBlocked(x, y, z)) {
+      next = 0;
+    } else if (current & FLUID_SOURCE) {
+      return null;
+    } else {
+      next = resolveCellState(x, y, z);
+    }
+    return next === current ? null : { grid, x, y, z, next };
+  }
+
+  function tick() {
+    if (active.size === 0) {
+      active = pending;
+      pending = new Map();
+    }
+    const changes = [];
+    let processed = 0;
+    for (const [key, cell] of active) {
+      if (processed >= cellBudget) {
+        break;
+      }
+      active.delete(key);
+      const change = resolveNextState(cell.x, cell.y, cell.z);
+      if (change) {
+        changes.push(change);
+      }
+      processed += 1;
+    }
+    changes.forEach(({ grid, x, y, z, next }) => {
+      writeFluid(grid, x, y, z, next);
+      wakeAround(x, y, z);
+    });
+    stats.changed += changes.length;
+    stats.ticks += 1;
+    stats.lastTickCells = processed;
+  }
+
+  // Returns the "x|z" keys of columns whose fluid changed since the last call,
+  // or null when nothing moved.
+  function update(delta = 0) {
+    if (!paused && (active.size > 0 || pending.size > 0)) {
+      accumulator = Math.min(accumulator + delta, tickSeconds * 2);
+      if (accumulator >= tickSeconds) {
+        accumulator -= tickSeconds;
+        tick();
+      }
+    } else {
+      accumulator = 0;
+    }
+    if (dirtyColumns.size === 0) {
+      return null;
+    }
+    const changed = dirtyColumns;
+    dirtyColumns = new Set();
+    return changed;
+  }
+
+  function step(count = 1) {
+    for (let index = 0; index < count; index += 1) {
+      tick();
+    }
+  }
+
+  // Fills every open cell of a generated column span with source fluid.
+  function seedColumn(x, z, bottomY, surfaceY, typeIndex = 0) {
+    const grid = resolveVoxelGrid(x, z);
+    if (!grid || !Number.isFinite(bottomY) || !Number.isFinite(surfaceY)) {
+      return 0;
+    }
+    let seeded = 0;
+    const top = Math.round(surfaceY - 0.5);
+    for (let y = Math.round(bottomY + 0.5); y <= top; y += 1) {
+      if (!isBlocked(x, y, z) && grid.setFluid(x, y, z, encodeFluidCell(typeIndex, SOURCE_CELL))) {
+        seeded += 1;
+      }
+    }
+    return seeded;
+  }
+
+  // A block appeared or vanished at (x, y, z): a newly blocked cell loses its
+  // fluid straight away and the cell plus its neighbours are re-evaluated.
+  function notifyBlockChanged(x, y, z) {
+    const grid = resolveVoxelGrid(x, z);
+    if (grid && grid.getFluid(x, y, z) > 0 && isBlocked(x, y, z)) {
+      writeFluid(grid, x, y, z, 0);
+    }
+    wakeAround(x, y, z);
+  }
+
+  // After a chunk loads, fluid on either side of its border may have been
+  // held back by the missing neighbour; wherever the border cells disagree,
+  // wake the side that could receive fluid.
+  function wakeChunkBorders(grid, chunkSize) {
+    const range = grid.getFluidRange();
+    const { minX, minZ } = grid;
+    const maxX = minX + chunkSize - 1;
+    const maxZ = minZ + chunkSize - 1;
+    const borderCells = [];
+    for (let offset = 0; offset < chunkSize; offset += 1) {
+      borderCells.push(
+        { x: minX, z: minZ + offset, dx: -1, dz: 0 },
+        { x: maxX, z: minZ + offset, dx: 1, dz: 0 },
+        { x: minX + offset, z: minZ, dx: 0, dz: -1 },
+        { x: minX + offset, z: maxZ, dx: 0, dz: 1 },
+      );
+    }
+    borderCells.forEach(({ x, z, dx, dz }) => {
+      const outside = resolveVoxelGrid(x + dx, z + dz);
+      if (!outside) {
+        return;
+      }
+      const outsideRange = outside.getFluidRange();
+      if (!range && !outsideRange) {
+        return;
+      }
+      const minY = Math.min(range?.minY ?? Infinity, outsideRange?.minY ?? Infinity);
+      const maxY = Math.max(range?.maxY ?? -Infinity, outsideRange?.maxY ?? -Infinity);
+      for (let y = minY; y <= maxY; y += 1) {
+        const inner = grid.getFluid(x, y, z);
+        const outer = outside.getFluid(x + dx, y, z + dz);
+        if (inner === outer) {
+          continue;
+        }
+        if (outer > 0) {
+          wake(x, y, z);
+        } else if (inner > 0) {
+          wake(x + dx, y, z + dz);
+        }
+      }
+    });
+  }
+
+  // Top surface and lowest fluid cell of a column, or null when it holds none.
+  // The column is reported as the type of its top cell.
+  function measureColumn(x, z) {
+    const grid = resolveVoxelGrid(x, z);
+    const range = grid?.getFluidRange();
+    if (!range) {
+      return null;
+    }
+    let surfaceY = null;
+    let bottomY = null;
+    let typeIndex = 0;
+    for (let y = range.maxY; y >= range.minY; y -= 1) {
+      const value = grid.getFluid(x, y, z);
+      if (!(value > 0)) {
+        continue;
+      }
+      if (surfaceY === null) {
+        surfaceY = getFluidSurfaceHeight(y, value);
+        typeIndex = getFluidCellType(value);
+      }
+      bottomY = y - 0.5;
+    }
+    if (surfaceY === null) {
+      return null;
+    }
+    return { bottomY, surfaceY, typeIndex };
+  }
+
+  return {
+    update,
+    step,
+    seedColumn,
+    notifyBlockChanged,
+    wakeChunkBorders,
+    measureColumn,
+    getFluidAt(x, y, z) {
+      const value = readFluid(x, y, z);
+      if (!(value > 0)) {
+        return null;
+      }
+      return {
+        type: getFluidTypeByIndex(getFluidCellType(value)),
+        level: getFluidLevel(value),
+        source: Boolean(value & FLUID_SOURCE),
+        falling: Boolean(value & FLUID_FALLING),
+        surfaceY: getFluidSurfaceHeight(y, value),
+      };
+    },
+    setPaused(value) {
+      paused = Boolean(value);
+      return paused;
+    },
+    isPaused: () => paused,
+    hasPendingUpdates: () => active.size > 0 || pending.size > 0,
+    getStats() {
+      return {
+        ...stats,
+        paused,
+        scheduled: active.size + pending.size,
+        tickSeconds,
+        cellBudget,
+      };
+    },
+  };
+}
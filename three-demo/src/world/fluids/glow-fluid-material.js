@@ -0,0 +1,89 @@
+// Self-lit fluids (lava, liquid aurora). Surfaces stay flat; instead the
+// emissive colour churns with a slow noise field in world space so the pool
+// reads as moving without the CPU wave morpher the water surfaces use.
+const DEFAULT_APPEARANCE = {
+  color: '#ff5a1f',
+  emissive: '#ff3b0a',
+  emissiveIntensity: 1.2,
+  opacity: 0.95,
+  roughness: 0.8,
+  churnScale: 0.35,
+  churnSpeed: 0.25,
+  churnContrast: 0.6,
+  shimmerColor: null,
+};
+
+export function createGlowFluidMaterial({ THREE, definition }) {
+  const appearance = { ...DEFAULT_APPEARANCE, ...(definition?.appearance ?? {}) };
+  const material = new THREE.MeshStandardMaterial({
+    color: new THREE.Color(appearance.color),
+    emissive: new THREE.Color(appearance.emissive),
+    emissiveIntensity: appearance.emissiveIntensity,
+    roughness: appearance.roughness,
+    metalness: 0,
+    transparent: true,
+    opacity: appearance.opacity,
+    vertexColors: true,
+  });
+  material.side = THREE.DoubleSide;
+  material.depthWrite = false;
+
+  const uniforms = {
+    fluidTime: { value: 0 },
+    churnScale: { value: appearance.churnScale },
+    churnSpeed: { value: appearance.churnSpeed },
+    churnContrast: { value: appearance.churnContrast },
+    shimmerColor: {
+      value: new THREE.Color(appearance.shimmerColor ?? appearance.emissive).multiplyScalar(
+        appearance.emissiveIntensity,
+      ),
+    },
+  };
+
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', '#include <common>\nvarying vec3 vFluidWorld;')
+      .replace(
+        '#include <worldpos_vertex>',
+        '#include <worldpos_vertex>\nvFluidWorld = (modelMatrix * vec4(transformed, 1.0)).xyz;',
+      );
+
+    shader.fragmentShader = shader.fragmentShader
+      .replace(
+        '#include <common>',
+        `#include <common>
+varying vec3 vFluidWorld;
+uniform float fluidTime;
+uniform float churnScale;
+uniform float churnSpeed;
+uniform float churnContrast;
+uniform vec3 shimmerColor;
+
+float fluidChurn(vec3 p) {
+  vec2 q = p.xz * churnScale + vec2(p.y * 0.37);
+  float t = fluidTime * churnSpeed;
+  float a = sin(q.x * 1.7 + t) * cos(q.y * 1.3 - t * 0.8);
+  float b = sin((q.x + q.y) * 2.9 - t * 1.6) * 0.5;
+  float c = cos(q.x * 4.3 - q.y * 3.7 + t * 2.1) * 0.25;
+  return clamp((a + b + c) * 0.5 + 0.5, 0.0, 1.0);
+}`,
+      )
+      .replace(
+        '#include <emissivemap_fragment>',
+        `#include <emissivemap_fragment>
+float churn = fluidChurn(vFluidWorld);
+totalEmissiveRadiance = mix(totalEmissiveRadiance * (1.0 - churnContrast), shimmerColor, churn * churn);`,
+      );
+  };
+
+  material.customProgramCacheKey = () => 'glow-fluid-churn-v1';
+
+  return {
+    material,
+    update: (delta) => {
+      uniforms.fluidTime.value += delta;
+    },
+  };
+}
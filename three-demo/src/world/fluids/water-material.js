@@ -32,6 +32,75 @@ const getWavePadding = () => {
   return (mainAmplitude + rippleAmplitude + detailAmplitude) * 1.2;
 };
 
+function glslFloat(value) {
+  return Number.isInteger(value) ? `${value}.0` : `${value}`;
+}
+
+// GLSL port of sampleWave below, evaluated per vertex in object space so both
+// paths place every crest in the same spot. Returns (height, d/dx, d/dz).
+const WAVE_SHADER_CHUNK = `
+uniform float waveTime;
+attribute float surfaceRole;
+attribute vec2 flowDirection;
+attribute float flowStrength;
+
+vec3 sampleWave(vec2 p, float time, vec2 flow, float strength) {
+  const float mainAmplitude = ${glslFloat(WAVE_SETTINGS.mainAmplitude)};
+  const float baseFrequency = ${glslFloat(WAVE_SETTINGS.baseFrequency)};
+  const float baseSpeed = ${glslFloat(WAVE_SETTINGS.baseSpeed)};
+  const float crossFrequency = ${glslFloat(WAVE_SETTINGS.crossFrequency)};
+  const float crossSpeed = ${glslFloat(WAVE_SETTINGS.crossSpeed)};
+  const float flowFrequency = ${glslFloat(WAVE_SETTINGS.flowFrequency)};
+  const float flowSpeed = ${glslFloat(WAVE_SETTINGS.flowSpeed)};
+  const float rippleAmplitude = ${glslFloat(WAVE_SETTINGS.rippleAmplitude)};
+  const float rippleFrequency = ${glslFloat(WAVE_SETTINGS.rippleFrequency)};
+  const float rippleSpeed = ${glslFloat(WAVE_SETTINGS.rippleSpeed)};
+  const float rippleSkew = ${glslFloat(WAVE_SETTINGS.rippleSkew)};
+  const float rippleDrift = ${glslFloat(WAVE_SETTINGS.rippleDrift)};
+  const float detailAmplitude = ${glslFloat(WAVE_SETTINGS.detailAmplitude)};
+  const float detailFrequency = ${glslFloat(WAVE_SETTINGS.detailFrequency)};
+  const float detailSpeed = ${glslFloat(WAVE_SETTINGS.detailSpeed)};
+
+  float primaryPhase = p.x * baseFrequency + time * baseSpeed;
+  float secondaryPhase = p.y * (baseFrequency * 0.85) + time * (baseSpeed * 0.92);
+  float crossPhase = (p.x + p.y) * crossFrequency + time * crossSpeed;
+
+  float value = mainAmplitude * 0.6 * sin(primaryPhase);
+  float derivativeX = mainAmplitude * 0.6 * cos(primaryPhase) * baseFrequency;
+  value += mainAmplitude * 0.4 * cos(secondaryPhase);
+  float derivativeZ = mainAmplitude * -0.4 * sin(secondaryPhase) * (baseFrequency * 0.85);
+
+  value += mainAmplitude * 0.35 * sin(crossPhase);
+  float crossDerivative = cos(crossPhase) * crossFrequency * 0.35 * mainAmplitude;
+  derivativeX += crossDerivative;
+  derivativeZ += crossDerivative;
+
+  if (strength > 0.001) {
+    float flowPhase = dot(flow, p) * flowFrequency + time * flowSpeed;
+    float flowAmplitude = mainAmplitude * strength * 0.5;
+    value += flowAmplitude * sin(flowPhase);
+    float flowDerivative = cos(flowPhase) * flowFrequency * flowAmplitude;
+    derivativeX += flowDerivative * flow.x;
+    derivativeZ += flowDerivative * flow.y;
+  }
+
+  float ripplePhaseX = p.x * rippleFrequency + time * rippleSpeed;
+  float ripplePhaseZ = p.y * (rippleFrequency * rippleSkew) + time * (rippleSpeed * rippleDrift);
+  value += rippleAmplitude * sin(ripplePhaseX) * cos(ripplePhaseZ);
+  derivativeX += rippleAmplitude * cos(ripplePhaseX) * rippleFrequency * cos(ripplePhaseZ);
+  derivativeZ +=
+    rippleAmplitude * sin(ripplePhaseX) * -sin(ripplePhaseZ) * (rippleFrequency * rippleSkew);
+
+  float detailPhase = (p.x - p.y) * detailFrequency + time * detailSpeed;
+  float detailCos = cos(detailPhase);
+  value += detailAmplitude * sin(detailPhase);
+  derivativeX += detailAmplitude * detailCos * detailFrequency;
+  derivativeZ += detailAmplitude * detailCos * -detailFrequency;
+
+  return vec3(value, derivativeX, derivativeZ);
+}
+`;
+
 function sampleWave({ x, z, time, flowX, flowZ, flowStrength }) {
   const {
     mainAmplitude,
@@ -114,7 +183,11 @@ function sampleWave({ x, z, time, flowX, flowZ, flowStrength }) {
   };
 }
 
-export function createHydraWaterMaterial({ THREE }) {
+// Waves run in the vertex shader by default: surface vertices (SURFACE_ROLES)
+// are lifted by sampleWave and take its analytic normal, top edges of side
+// faces follow the surface and bottom edges stay put. With `cpuWaves` the
+// original CPU morpher rewrites the position and normal attributes instead.
+export function createHydraWaterMaterial({ THREE, cpuWaves = false }) {
   const material = new THREE.MeshPhysicalMaterial({
     color: new THREE.Color('#1f5fbf'),
     roughness: 0.38,
@@ -136,6 +209,10 @@ export function createHydraWaterMaterial({ THREE }) {
   material.depthWrite = false;
 
 
+  const waveUniforms = {
+    waveTime: { value: 0 },
+  };
+
   material.onBeforeCompile = (shader) => {
     shader.uniforms.edgeSaturationBoost = { value: EDGE_TINT_SETTINGS.saturationBoost };
     shader.uniforms.edgeMinOpacity = { value: EDGE_TINT_SETTINGS.minOpacity };
@@ -150,6 +227,27 @@ export function createHydraWaterMaterial({ THREE }) {
       `#include <begin_vertex>\nvSurfaceType = surfaceType;`,
     );
 
+    if (!cpuWaves) {
+      shader.uniforms.waveTime = waveUniforms.waveTime;
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>\n${WAVE_SHADER_CHUNK}`)
+        .replace(
+          '#include <beginnormal_vertex>',
+          `#include <beginnormal_vertex>
+vec3 waveSample = sampleWave(position.xz, waveTime, flowDirection, flowStrength);
+if (surfaceRole < ${glslFloat(SURFACE_ROLES.SURFACE + 0.5)}) {
+  objectNormal = normalize(vec3(-waveSample.y, 1.0, -waveSample.z));
+}`,
+        )
+        .replace(
+          '#include <begin_vertex>',
+          `#include <begin_vertex>
+if (surfaceRole < ${glslFloat(SURFACE_ROLES.EDGE_TOP + 0.5)}) {
+  transformed.y += waveSample.x;
+}`,
+        );
+    }
+
     shader.fragmentShader = shader.fragmentShader.replace(
       '#include <common>',
       `#include <common>\nvarying float vSurfaceType;\nuniform float edgeSaturationBoost;\nuniform float edgeMinOpacity;`,
@@ -162,7 +260,8 @@ export function createHydraWaterMaterial({ THREE }) {
   };
 
   material.customProgramCacheKey = () =>
-    `hydra-water-edge-tint-${EDGE_TINT_SETTINGS.saturationBoost}-${EDGE_TINT_SETTINGS.minOpacity}`;
+    `hydra-water-edge-tint-${EDGE_TINT_SETTINGS.saturationBoost}-${EDGE_TINT_SETTINGS.minOpacity}` +
+    `-${cpuWaves ? 'cpu' : 'gpu'}-waves`;
 
 
   const morpher = createMeshMorpher({ THREE });
@@ -195,6 +294,10 @@ export function createHydraWaterMaterial({ THREE }) {
   };
 
   const registerSurface = (mesh) => {
+    if (!cpuWaves) {
+      ensureSurfaceBounds(mesh);
+      return;
+    }
     if (morpher.hasMesh(mesh)) {
       return;
     }
@@ -289,14 +392,19 @@ export function createHydraWaterMaterial({ THREE }) {
   };
 
 
-  material.userData.hydraWaterVersion = 'layered-wave-undulation-v1';
+  material.userData.hydraWaterVersion = cpuWaves
+    ? 'layered-wave-undulation-v1'
+    : 'layered-wave-undulation-gpu-v1';
 
 
   return {
     material,
     update: (delta) => {
       elapsedTime += delta;
-      morpher.update(delta, { elapsedTime });
+      waveUniforms.waveTime.value = elapsedTime;
+      if (cpuWaves) {
+        morpher.update(delta, { elapsedTime });
+      }
     },
     onSurfaceCreated: registerSurface,
     onSurfaceDisposed: disposeSurface,
@@ -1,15 +1,43 @@
 import { createTerrainEngine } from './terrain-engine.js';
-import { populateColumnWithVoxelObjects } from './voxel-object-placement.js';
+import {
+  populateColumnWithVoxelObjects,
+  setObjectPlacementSeed,
+} from './voxel-object-placement.js';
+import { createSectorPlacementPass, setSectorPlannerSeed } from './sector-object-planner.js';
+import {
+  DEFAULT_WORLD_SEED,
+  deriveSeed,
+  hashInts,
+  normalizeWorldSeed,
+} from './world-seed.js';
 import {
   createFluidSurface,
+  getFluidDefinition,
   isFluidType,
   resolveFluidPresence,
 } from './fluids/fluid-registry.js';
-import { buildFluidGeometry } from './fluids/fluid-geometry.js';
+import { applyFluidColumnFlow, buildFluidGeometry } from './fluids/fluid-geometry.js';
+import {
+  ALL_FACES_HIDDEN,
+  computeHiddenFaces,
+  isOccludingEntry,
+} from './face-culling.js';
+import { createChunkVoxelGrid } from './voxel-grid.js';
+import { createBlockFaceMesh } from './block-face-mesh.js';
+import { writeVoxelLightAttribute } from './voxel-light.js';
+import { ORE_BLOCK_TYPES, planOreVeins } from './ore-veins.js';
 import {
   initializeFluidDebug,
   logFluidDebug,
 } from './fluids/fluid-debug.js';
+import {
+  packColumnBounds,
+  packEntries,
+  packFluidColumns,
+  unpackColumnBounds,
+  unpackEntries,
+  unpackFluidColumns,
+} from './chunk-data-codec.js';
 import {
   cloneDecorationOptions,
   createDecorationMeshBatches,
@@ -24,6 +52,8 @@ function clamp(value, min, max) {
 let THREERef = null;
 let blockGeometry = null;
 let terrainEngine = null;
+let worldSeed = DEFAULT_WORLD_SEED;
+let coordinateSeed = deriveSeed(DEFAULT_WORLD_SEED, 'coordinates');
 
 function ensureThree() {
   if (!THREERef) {
@@ -39,13 +69,21 @@ function ensureTerrainEngine() {
   return terrainEngine;
 }
 
-export function initializeWorldGeneration({ THREE }) {
+export function initializeWorldGeneration({ THREE, seed = DEFAULT_WORLD_SEED }) {
   if (!THREE) {
     throw new Error('initializeWorldGeneration requires a THREE instance');
   }
   THREERef = THREE;
+  worldSeed = normalizeWorldSeed(seed) ?? DEFAULT_WORLD_SEED;
+  coordinateSeed = deriveSeed(worldSeed, 'coordinates');
   blockGeometry = new THREE.BoxGeometry(1, 1, 1);
-  terrainEngine = createTerrainEngine({ THREE, seed: 1337, worldConfig });
+  terrainEngine = createTerrainEngine({ THREE, seed: worldSeed, worldConfig });
+  setObjectPlacementSeed(worldSeed);
+  setSectorPlannerSeed(worldSeed);
+}
+
+export function getWorldSeed() {
+  return worldSeed;
 }
 
 export const worldConfig = {
@@ -66,28 +104,230 @@ export function sampleBiomeAt(x, z) {
   return engine.getBiomeAt(x, z);
 }
 
-function hashCoordinate(x, z, offset = 0) {
-  let h = Math.imul(x | 0, 374761393);
-  h = Math.imul(h + Math.imul(z | 0, 668265263), 1274126177);
-  h ^= h >>> 15;
-  h = Math.imul(h + Math.imul(offset | 0, 1597334677), 2246822519);
-  h ^= h >>> 13;
-  h = Math.imul(h, 3266489917);
-  h ^= h >>> 16;
-  return h >>> 0;
+// Cheap column summary for far-field LOD meshes: the surface height and the
+// palette colour of whatever the player would see on top of the column.
+export function sampleSurfaceColumn(x, z) {
+  const engine = ensureTerrainEngine();
+  const sample = engine.sampleColumn(x, z);
+  const height = Math.floor(clamp(sample.height, 2, worldConfig.maxHeight));
+  const biome = sample.biome;
+  const isUnderwater = height < worldConfig.waterLevel;
+  const surfaceType = isUnderwater
+    ? biome?.terrain?.shoreBlock ?? 'sand'
+    : biome?.terrain?.surfaceBlock ?? 'grass';
+  return {
+    height,
+    biome,
+    isUnderwater,
+    surfaceType,
+    color: engine.getBlockColor(biome, isUnderwater ? 'water' : surfaceType),
+  };
 }
 
 export function randomAt(x, z, offset = 0) {
-  const hashed = hashCoordinate(Math.floor(x), Math.floor(z), Math.floor(offset));
+  const hashed = hashInts(coordinateSeed, Math.floor(x), Math.floor(z), Math.floor(offset));
   return hashed / 4294967296;
 }
 
-const solidTypes = new Set(['grass', 'dirt', 'stone', 'sand', 'leaf', 'log']);
+const solidTypes = new Set(['grass', 'dirt', 'stone', 'sand', 'leaf', 'log', ...ORE_BLOCK_TYPES]);
+
+const OCCLUDER_GRID_MIN_Y = -16;
+const OCCLUDER_GRID_HEIGHT = 128;
+const CAVE_FLOOR_Y = 1;
+const CAVE_TAPER_DEPTH = 4;
 
 function blockKey(x, y, z) {
   return `${x}|${y}|${z}`;
 }
 
+// Biomes name the fluid filling their low ground and flooded caves; unknown
+// ids fall back so a typo never leaves a basin dry.
+function resolveBiomeFluid(id, fallback) {
+  return typeof id === 'string' && isFluidType(id) ? id : fallback;
+}
+
+function resolveFluidColor(type, biome) {
+  return (
+    biome?.palette?.[type] ??
+    getFluidDefinition(type)?.color ??
+    biome?.palette?.cloud ??
+    '#3a79c5'
+  );
+}
+
+export function resolveBlockCollisionMode(type, options = {}) {
+  if (options.collisionMode) {
+    return options.collisionMode;
+  }
+  if (isFluidType(type)) {
+    return 'liquid';
+  }
+  if (typeof options.isSolid === 'boolean') {
+    return options.isSolid ? 'solid' : 'none';
+  }
+  return solidTypes.has(type) ? 'solid' : 'none';
+}
+
+export function resolveBlockDestructible(type, options = {}) {
+  if (typeof options.destructible === 'boolean') {
+    return options.destructible;
+  }
+  return !isFluidType(type) && type !== 'cloud';
+}
+
+function parseTintOverride(THREE, value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  try {
+    return new THREE.Color(value);
+  } catch (error) {
+    console.warn('Invalid tint override provided for block placement:', value, error);
+    return null;
+  }
+}
+
+function computeBlockTint(engine, type, y, biome, options = {}) {
+  const THREE = ensureThree();
+  const { waterLevel } = worldConfig;
+  const paletteColor = engine.getBlockColor(biome, type);
+  const tintStrength = clamp(biome?.shader?.tintStrength ?? 1, 0, 1);
+  const tintOverride = parseTintOverride(THREE, options.tint);
+  const ignoreBiomeTint = options.ignoreBiomeTint === true;
+
+  const paletteBlend = new THREE.Color(1, 1, 1);
+  if (!ignoreBiomeTint) {
+    if (paletteColor) {
+      paletteBlend.lerp(paletteColor, tintStrength);
+    }
+
+    if (biome?.shader?.tintColor) {
+      const biomeTintBlend = new THREE.Color(1, 1, 1);
+      biomeTintBlend.lerp(biome.shader.tintColor, tintStrength * 0.65);
+      paletteBlend.multiply(biomeTintBlend);
+    }
+
+    if (biome?.climate) {
+      const dryness = clamp(1 - biome.climate.moisture, 0, 1);
+      const climateBlend = new THREE.Color(1, 1, 1);
+      climateBlend.lerp(new THREE.Color(1.02, 0.98, 0.92), dryness * 0.35);
+      paletteBlend.multiply(climateBlend);
+    }
+
+    const altitudeRange = Math.max(1, worldConfig.maxHeight - waterLevel + 6);
+    const altitude = clamp((y - waterLevel + 2) / altitudeRange, -0.25, 1);
+    const altitudeBlend = new THREE.Color(1, 1, 1);
+    if (altitude > 0) {
+      altitudeBlend.lerp(new THREE.Color(0.95, 0.98, 1.04), altitude * 0.3);
+    } else if (altitude < 0) {
+      altitudeBlend.lerp(new THREE.Color(1.04, 1.01, 0.94), Math.abs(altitude) * 0.25);
+    }
+    paletteBlend.multiply(altitudeBlend);
+
+    if (tintOverride) {
+      paletteBlend.multiply(tintOverride);
+    }
+  } else if (tintOverride) {
+    paletteBlend.copy(tintOverride);
+  } else if (paletteColor) {
+    paletteBlend.copy(paletteColor);
+  }
+
+  return { paletteColor, tintColor: paletteBlend, tintOverride };
+}
+
+export function createBlockInstancedMesh(blockMaterials, entries, type, capacity = entries.length) {
+  const THREE = ensureThree();
+  if (!blockGeometry) {
+    blockGeometry = new THREE.BoxGeometry(1, 1, 1);
+  }
+  const instanceCapacity = Math.max(capacity, entries.length);
+  const geometry = blockGeometry.clone();
+  const mesh = new THREE.InstancedMesh(
+    geometry,
+    blockMaterials[type],
+    instanceCapacity,
+  );
+  mesh.userData.defaultTint = new THREE.Color(1, 1, 1);
+
+  const tintArray = new Float32Array(instanceCapacity * 3);
+  const tintAttribute = new THREE.InstancedBufferAttribute(tintArray, 3);
+  tintAttribute.setUsage(THREE.DynamicDrawUsage);
+  mesh.geometry.setAttribute('biomeTint', tintAttribute);
+
+  const voxelLightAttribute = new THREE.InstancedBufferAttribute(
+    new Float32Array(instanceCapacity * 3),
+    3,
+  );
+  voxelLightAttribute.setUsage(THREE.DynamicDrawUsage);
+  mesh.geometry.setAttribute('voxelLight', voxelLightAttribute);
+
+  entries.forEach((entry, index) => {
+    mesh.setMatrixAt(index, entry.matrix);
+    entry.index = index;
+    const tint = entry.tintColor ?? mesh.userData.defaultTint;
+    const offset = index * 3;
+    tintAttribute.array[offset] = tint.r;
+    tintAttribute.array[offset + 1] = tint.g;
+    tintAttribute.array[offset + 2] = tint.b;
+    writeVoxelLightAttribute(voxelLightAttribute, index, entry);
+  });
+
+  mesh.count = entries.length;
+  mesh.instanceMatrix.needsUpdate = true;
+  tintAttribute.needsUpdate = true;
+  mesh.castShadow = ['cloud', 'water'].includes(type) ? false : true;
+  mesh.receiveShadow = type !== 'cloud';
+  mesh.frustumCulled = false;
+  mesh.userData.type = type;
+  mesh.userData.biomePalette = true;
+  mesh.userData.biomeTintAttribute = tintAttribute;
+  mesh.userData.voxelLightAttribute = voxelLightAttribute;
+
+  return { mesh, tintAttribute };
+}
+
+// Builds a standalone full-size block entry for blocks placed after generation.
+// Mirrors the tinting applied during chunk generation so placed blocks blend in.
+export function createPlacedBlockEntry(type, x, y, z, options = {}) {
+  const THREE = ensureThree();
+  const engine = ensureTerrainEngine();
+  const biome = engine.getBiomeAt(x, z);
+  const { paletteColor, tintColor, tintOverride } = computeBlockTint(
+    engine,
+    type,
+    y,
+    biome,
+    options,
+  );
+  const coordinateKey = blockKey(x, y, z);
+  const position = new THREE.Vector3(x, y, z);
+  const scale = new THREE.Vector3(1, 1, 1);
+  const collisionMode = resolveBlockCollisionMode(type, options);
+
+  return {
+    key: options.key ?? coordinateKey,
+    coordinateKey,
+    matrix: new THREE.Matrix4().compose(position, new THREE.Quaternion(), scale),
+    position,
+    type,
+    biomeId: biome?.id ?? null,
+    paletteColor,
+    tintColor,
+    scale,
+    visualScale: scale.clone(),
+    visualOffset: new THREE.Vector3(0, 0, 0),
+    destructible: resolveBlockDestructible(type, options),
+    sourceObjectId: options.sourceObjectId ?? null,
+    voxelIndex: null,
+    metadata: options.metadata ?? null,
+    tintOverride,
+    isSolid: collisionMode === 'solid',
+    isWater: type === 'water',
+    collisionMode,
+  };
+}
+
 function addCloud(addBlock, x, y, z) {
   const blocks = [
     [0, 0, 0],
@@ -110,23 +350,17 @@ function chunkWorldBounds(chunkX, chunkZ) {
   };
 }
 
-export function generateChunk(blockMaterials, chunkX, chunkZ) {
+// Pure data phase of chunk generation. Everything returned is plain data or
+// typed arrays so the result can be posted from a generation worker; the
+// meshes are built on the main thread by buildChunkFromData.
+export function generateChunkData(chunkX, chunkZ) {
   const THREE = ensureThree();
   const engine = ensureTerrainEngine();
-  if (!blockGeometry) {
-    blockGeometry = new THREE.BoxGeometry(1, 1, 1);
-  }
   const instancedData = new Map();
   const decorationInstancedData = new Map();
-  const decorationData = new Map();
-  const decorationGroups = new Map();
-  const decorationOwnerIndex = new Map();
-  const decorationTypeIndex = new Map();
-  const solidBlockKeys = new Set();
-  const softBlockKeys = new Set();
+  const orderedBlockEntries = [];
   const waterColumnMetadata = new Map();
   const fluidColumnsByType = new Map();
-  const fluidSurfaces = [];
   let minBoundX = Number.POSITIVE_INFINITY;
   let minBoundY = Number.POSITIVE_INFINITY;
   let minBoundZ = Number.POSITIVE_INFINITY;
@@ -137,8 +371,6 @@ export function generateChunk(blockMaterials, chunkX, chunkZ) {
   const matrix = new THREE.Matrix4();
   const defaultQuaternion = new THREE.Quaternion();
   const reusablePosition = new THREE.Vector3();
-  const blockLookup = new Map();
-  const typeData = new Map();
   const biomePresence = new Map();
   const prototypeInstances = new Map();
   let prototypeInstanceCounter = 0;
@@ -187,6 +419,33 @@ export function generateChunk(blockMaterials, chunkX, chunkZ) {
     return clamp(maxDifference / 6, 0, 1);
   };
 
+  // Density pass that carves caves, tunnels and overhangs out of the
+  // heightfield. Carving thins out towards the surface so most caves keep a
+  // roof; on steep ground the taper relaxes and caves break out sideways.
+  // Seabeds keep two blocks of rock so oceans never drain into the caves.
+  const isCaveCell = (x, y, z) => {
+    const caves = sampleColumnCached(x, z).biome?.terrain?.caves;
+    if (!caves || caves.frequency <= 0 || y < CAVE_FLOOR_Y) {
+      return false;
+    }
+    const height = getColumnHeight(x, z);
+    const roof = height < waterLevel ? height - 2 : height - 1;
+    if (y > roof) {
+      return false;
+    }
+    const density = engine.sampleCaveDensity(x, y, z);
+    const threshold = 1 - caves.frequency * 0.7;
+    if (density <= threshold) {
+      return false;
+    }
+    const depth = height - y;
+    if (depth >= CAVE_TAPER_DEPTH) {
+      return true;
+    }
+    const taper = (CAVE_TAPER_DEPTH - depth) * 0.08 * (1 - computeSlope(x, z, height));
+    return density > threshold + taper;
+  };
+
   const computeWaterDistance = (x, z, baseHeight, searchRadius = 4) => {
     if (baseHeight < waterLevel) {
       return 0;
@@ -281,18 +540,6 @@ export function generateChunk(blockMaterials, chunkX, chunkZ) {
     return new THREE.Vector3(0, 0, 0);
   };
 
-  const parseTintOverride = (value) => {
-    if (typeof value !== 'string') {
-      return null;
-    }
-    try {
-      return new THREE.Color(value);
-    } catch (error) {
-      console.warn('Invalid tint override provided for block placement:', value, error);
-      return null;
-    }
-  };
-
   const updateBoundsFromVisual = (visualPosition, visualScaleVector) => {
     const halfScaleX = Math.max(0.01, Math.abs(visualScaleVector.x) * 0.5);
     const halfScaleY = Math.max(0.01, Math.abs(visualScaleVector.y) * 0.5);
@@ -322,48 +569,13 @@ export function generateChunk(blockMaterials, chunkX, chunkZ) {
     const coordinateKey = blockKey(x, y, z);
     const key = options.key ?? coordinateKey;
 
-    const paletteColor = engine.getBlockColor(biome, type);
-    const tintStrength = clamp(biome?.shader?.tintStrength ?? 1, 0, 1);
-    const tintOverride = parseTintOverride(options.tint);
-    const ignoreBiomeTint = options.ignoreBiomeTint === true;
-
-    const paletteBlend = new THREE.Color(1, 1, 1);
-    if (!ignoreBiomeTint) {
-      if (paletteColor) {
-        paletteBlend.lerp(paletteColor, tintStrength);
-      }
-
-      if (biome?.shader?.tintColor) {
-        const biomeTintBlend = new THREE.Color(1, 1, 1);
-        biomeTintBlend.lerp(biome.shader.tintColor, tintStrength * 0.65);
-        paletteBlend.multiply(biomeTintBlend);
-      }
-
-      if (biome?.climate) {
-        const dryness = clamp(1 - biome.climate.moisture, 0, 1);
-        const climateBlend = new THREE.Color(1, 1, 1);
-        climateBlend.lerp(new THREE.Color(1.02, 0.98, 0.92), dryness * 0.35);
-        paletteBlend.multiply(climateBlend);
-      }
-
-      const altitudeRange = Math.max(1, worldConfig.maxHeight - waterLevel + 6);
-      const altitude = clamp((y - waterLevel + 2) / altitudeRange, -0.25, 1);
-      const altitudeBlend = new THREE.Color(1, 1, 1);
-      if (altitude > 0) {
-        altitudeBlend.lerp(new THREE.Color(0.95, 0.98, 1.04), altitude * 0.3);
-      } else if (altitude < 0) {
-        altitudeBlend.lerp(new THREE.Color(1.04, 1.01, 0.94), Math.abs(altitude) * 0.25);
-      }
-      paletteBlend.multiply(altitudeBlend);
-
-      if (tintOverride) {
-        paletteBlend.multiply(tintOverride);
-      }
-    } else if (tintOverride) {
-      paletteBlend.copy(tintOverride);
-    } else if (paletteColor) {
-      paletteBlend.copy(paletteColor);
-    }
+    const { paletteColor, tintColor, tintOverride } = computeBlockTint(
+      engine,
+      type,
+      y,
+      biome,
+      options,
+    );
 
     return {
       key,
@@ -373,7 +585,7 @@ export function generateChunk(blockMaterials, chunkX, chunkZ) {
       type,
       biomeId: biome?.id ?? null,
       paletteColor,
-      tintColor: paletteBlend,
+      tintColor,
       scale: scaleVector.clone(),
       visualScale: visualScaleVector.clone(),
       visualOffset: visualOffsetVector.clone(),
@@ -393,30 +605,11 @@ export function generateChunk(blockMaterials, chunkX, chunkZ) {
       instancedData.set(type, []);
     }
 
-    const coordinateKey = entry.coordinateKey;
-    const key = entry.key;
-
     const isWater = type === 'water';
     const isFluid = isFluidType(type);
-    let collisionMode = options.collisionMode;
-    if (!collisionMode) {
-      if (isFluid) {
-        collisionMode = 'liquid';
-      } else if (typeof options.isSolid === 'boolean') {
-        collisionMode = options.isSolid ? 'solid' : 'none';
-      } else if (solidTypes.has(type)) {
-        collisionMode = 'solid';
-      } else {
-        collisionMode = 'none';
-      }
-    }
+    const collisionMode = resolveBlockCollisionMode(type, options);
     const isSolid = collisionMode === 'solid';
-    const isSoft = collisionMode === 'soft';
-
-    const destructible =
-      typeof options.destructible === 'boolean'
-        ? options.destructible
-        : !isFluid && type !== 'cloud';
+    const destructible = resolveBlockDestructible(type, options);
 
     if (isFluid) {
       if (!fluidColumnsByType.has(type)) {
@@ -434,17 +627,15 @@ export function generateChunk(blockMaterials, chunkX, chunkZ) {
           z,
           minY: blockBottom,
           maxY: blockTop,
-          color: new THREE.Color(
-            biome?.palette?.water ?? biome?.palette?.cloud ?? '#3a79c5',
-          ),
+          color: new THREE.Color(resolveFluidColor(type, biome)),
           biome,
         };
         columns.set(columnKey, column);
       } else {
         column.minY = Math.min(column.minY, blockBottom);
         column.maxY = Math.max(column.maxY, blockTop);
-        if (biome?.palette?.water) {
-          column.color = new THREE.Color(biome.palette.water);
+        if (biome?.palette?.[type]) {
+          column.color = new THREE.Color(biome.palette[type]);
         }
       }
       if (isWater) {
@@ -477,17 +668,10 @@ export function generateChunk(blockMaterials, chunkX, chunkZ) {
     entry.destructible = destructible;
     entry.collisionMode = collisionMode;
 
-    instancedData.get(type).push(entry);
-    blockLookup.set(key, entry);
-    if (key !== coordinateKey) {
-      blockLookup.set(coordinateKey, entry);
-    }
-    if (isSolid) {
-      solidBlockKeys.add(coordinateKey);
-    }
-    if (isSoft) {
-      softBlockKeys.add(coordinateKey);
-    }
+    const entries = instancedData.get(type);
+    entry.index = entries.length;
+    entries.push(entry);
+    orderedBlockEntries.push(entry);
     return entry;
   };
 
@@ -705,119 +889,15 @@ export function generateChunk(blockMaterials, chunkX, chunkZ) {
     return instanceKey;
   };
 
-  const buildInstancedMesh = (entries, type) => {
-    const geometry = blockGeometry.clone();
-    const mesh = new THREE.InstancedMesh(
-      geometry,
-      blockMaterials[type],
-      entries.length,
-    );
-    mesh.userData.defaultTint = new THREE.Color(1, 1, 1);
-
-    const tintArray = new Float32Array(entries.length * 3);
-    const tintAttribute = new THREE.InstancedBufferAttribute(tintArray, 3);
-    tintAttribute.setUsage(THREE.DynamicDrawUsage);
-    mesh.geometry.setAttribute('biomeTint', tintAttribute);
-
-    entries.forEach((entry, index) => {
-      mesh.setMatrixAt(index, entry.matrix);
-      entry.index = index;
-      const tint = entry.tintColor ?? mesh.userData.defaultTint;
-      const offset = index * 3;
-      tintAttribute.array[offset] = tint.r;
-      tintAttribute.array[offset + 1] = tint.g;
-      tintAttribute.array[offset + 2] = tint.b;
-    });
-
-    mesh.count = entries.length;
-    mesh.instanceMatrix.needsUpdate = true;
-    tintAttribute.needsUpdate = true;
-    mesh.castShadow = ['cloud', 'water'].includes(type) ? false : true;
-    mesh.receiveShadow = type !== 'cloud';
-    mesh.frustumCulled = false;
-    mesh.userData.type = type;
-    mesh.userData.biomePalette = true;
-    mesh.userData.biomeTintAttribute = tintAttribute;
-
-    return { mesh, tintAttribute };
-  };
-
-  const addMeshesFromMap = (targetGroup, map) => {
-    map.forEach((entries, type) => {
-      if (isFluidType(type)) {
-        return;
-      }
-      if (!entries || entries.length === 0) {
-        return;
-      }
-      const { mesh, tintAttribute } = buildInstancedMesh(entries, type);
-      typeData.set(type, { entries, mesh, tintAttribute });
-      targetGroup.add(mesh);
-    });
-  };
-
-  const addDecorationMesh = (targetGroup, type, entries) => {
-    if (!entries || entries.length === 0) {
-      return;
-    }
-    const { mesh, tintAttribute } = buildInstancedMesh(entries, type);
-    mesh.userData.decoration = true;
-    decorationData.set(type, { entries, mesh, tintAttribute });
-
-    const { groups: metadataGroups } = createDecorationMeshBatches(entries);
-
-    metadataGroups.forEach((groupInfo) => {
-      const instanceIndices = groupInfo.entryIndices.slice();
-      const metadata = {
-        key: groupInfo.key,
-        owner: groupInfo.owner ?? null,
-        destructible:
-          typeof groupInfo.destructible === 'boolean' ? groupInfo.destructible : true,
-        type,
-        mesh,
-        tintAttribute,
-        instanceIndices,
-      };
-      decorationGroups.set(metadata.key, metadata);
-      const owner = metadata.owner;
-      if (owner !== null && owner !== undefined) {
-        let ownerGroups = decorationOwnerIndex.get(owner);
-        if (!ownerGroups) {
-          ownerGroups = new Map();
-          decorationOwnerIndex.set(owner, ownerGroups);
-        }
-        ownerGroups.set(metadata.key, metadata);
-      }
-
-      let typeGroup = decorationTypeIndex.get(type);
-      if (!typeGroup) {
-        typeGroup = new Set();
-        decorationTypeIndex.set(type, typeGroup);
-      }
-      typeGroup.add(metadata);
-
-      metadata.instanceIndices.forEach((instanceIndex) => {
-        const entry = entries[instanceIndex];
-        if (!entry) {
-          return;
-        }
-        entry.decorationGroup = metadata;
-        entry.decorationGroupKey = metadata.key;
-        entry.mesh = mesh;
-        entry.tintAttribute = tintAttribute;
-        entry.isDecoration = true;
-        entry.destructible = typeof entry.destructible === 'boolean'
-          ? entry.destructible
-          : metadata.destructible;
-        blockLookup.set(entry.key, entry);
-        if (entry.coordinateKey && entry.coordinateKey !== entry.key) {
-          blockLookup.set(entry.coordinateKey, entry);
-        }
-      });
-    });
-
-    targetGroup.add(mesh);
-  };
+  const orePlan = planOreVeins({
+    minX,
+    minZ,
+    chunkSize,
+    random: (offset) => randomAt(chunkX, chunkZ, offset),
+    sampleBiome: (x, z) => sampleColumnCached(x, z).biome,
+  });
+  const placedOreBlocks = new Map();
+  const sectorPass = createSectorPlacementPass();
 
   for (let lx = 0; lx < chunkSize; lx++) {
     const worldX = minX + lx;
@@ -848,19 +928,36 @@ export function generateChunk(blockMaterials, chunkX, chunkZ) {
       const deepBlock = biome?.terrain?.deepBlock ?? 'stone';
       const subSurfaceDepth = Math.max(1, biome?.terrain?.subSurfaceDepth ?? 4);
 
+      const floodsCaves = Boolean(biome?.terrain?.caves?.flooded);
+      const lowlandFluid = resolveBiomeFluid(biome?.terrain?.lowlandFluid, 'water');
+      const caveFluid = resolveBiomeFluid(biome?.terrain?.caves?.floodFluid, lowlandFluid);
+      const caveFloodLevel = Math.min(biome?.terrain?.caves?.floodLevel ?? waterLevel, waterLevel);
+
       for (let y = 0; y <= height; y++) {
+        if (isCaveCell(worldX, y, worldZ)) {
+          if (floodsCaves && y <= caveFloodLevel) {
+            addBlock(caveFluid, worldX, y, worldZ, biome);
+          }
+          continue;
+        }
         if (y === height) {
           addBlock(surfaceBlock, worldX, y, worldZ, biome);
         } else if (y >= height - subSurfaceDepth) {
           addBlock(subSurfaceBlock, worldX, y, worldZ, biome);
         } else {
-          addBlock(deepBlock, worldX, y, worldZ, biome);
+          const vein = orePlan.cells.get(blockKey(worldX, y, worldZ));
+          if (vein) {
+            placedOreBlocks.set(vein, (placedOreBlocks.get(vein) ?? 0) + 1);
+            addBlock(vein.type, worldX, y, worldZ, biome);
+          } else {
+            addBlock(deepBlock, worldX, y, worldZ, biome);
+          }
         }
       }
 
       if (height < waterLevel) {
         for (let y = height + 1; y <= waterLevel; y++) {
-          addBlock('water', worldX, y, worldZ, biome);
+          addBlock(lowlandFluid, worldX, y, worldZ, biome);
         }
       }
 
@@ -880,6 +977,7 @@ export function generateChunk(blockMaterials, chunkX, chunkZ) {
         waterLevel,
         distanceToWater,
         randomSource: (offset) => randomAt(worldX, worldZ, offset),
+        sectorPass,
       });
     }
   }
@@ -938,7 +1036,6 @@ export function generateChunk(blockMaterials, chunkX, chunkZ) {
 
     columns.forEach((column) => {
       const neighbors = {};
-      let foamExposure = 0;
       const centerSurface = column.surfaceY;
 
       neighborOffsets.forEach((offset) => {
@@ -970,54 +1067,10 @@ export function generateChunk(blockMaterials, chunkX, chunkZ) {
           };
         }
         neighbors[offset.key] = neighborInfo;
-        foamExposure = Math.max(foamExposure, neighborInfo.foamHint ?? 0);
       });
 
-      const dropPx = Math.max(0, centerSurface - (neighbors.px?.surfaceY ?? centerSurface));
-      const dropNx = Math.max(0, centerSurface - (neighbors.nx?.surfaceY ?? centerSurface));
-      const dropPz = Math.max(0, centerSurface - (neighbors.pz?.surfaceY ?? centerSurface));
-      const dropNz = Math.max(0, centerSurface - (neighbors.nz?.surfaceY ?? centerSurface));
-
-      const flowVector = new THREE.Vector2(dropPx - dropNx, dropPz - dropNz);
-      const flowStrength = Math.min(1, flowVector.length() * 0.6);
-      if (flowStrength > 0.001) {
-        flowVector.normalize();
-      } else {
-        flowVector.set(0, 0);
-      }
-
-      column.neighbors = neighbors;
-      column.flowDirection = flowVector;
-      column.flowStrength = flowStrength;
-      column.foamAmount = Math.min(1, foamExposure * 0.18 + flowStrength * 0.4);
-      const dropMax = Math.max(dropPx, dropNx, dropPz, dropNz);
-      const neighborFluidCount = neighborOffsets.reduce((acc, offset) => {
-        return acc + (neighbors[offset.key]?.hasFluid ? 1 : 0);
-      }, 0);
-      const shoreline = Math.min(
-        1,
-        dropMax * 0.75 + (1 - neighborFluidCount / neighborOffsets.length) * 0.45 +
-          (column.foamAmount ?? 0) * 0.5,
-      );
-      column.shoreline = shoreline;
-    });
-
-    const geometry = buildFluidGeometry({
-      THREE,
-      columns: Array.from(columns.values()),
+      applyFluidColumnFlow(THREE, column, neighbors);
     });
-    if (!geometry.getAttribute('position') || geometry.getAttribute('position').count === 0) {
-      if (type === 'water') {
-        logFluidDebug('water geometry has no vertices');
-      }
-      return;
-    }
-    const surface = createFluidSurface({ type, geometry });
-    if (type === 'water') {
-      logFluidDebug('created water surface', surface?.uuid);
-    }
-    surface.userData.type = `fluid:${type}`;
-    fluidSurfaces.push(surface);
   });
 
   const cloudAttempts = 2 + Math.floor(randomAt(chunkX, chunkZ, 12) * 3);
@@ -1030,21 +1083,89 @@ export function generateChunk(blockMaterials, chunkX, chunkZ) {
     addCloud(addBlock, Math.round(worldX), Math.round(worldY), Math.round(worldZ));
   }
 
-  const group = new THREE.Group();
-  addMeshesFromMap(group, instancedData);
+  // Cells outside this chunk fall back to the terrain density; the chunk
+  // manager re-exposes border faces once the real neighbour chunk is loaded.
+  const occluderGrid = new Uint8Array(chunkSize * chunkSize * OCCLUDER_GRID_HEIGHT);
+  const occluderIndex = (x, y, z) => {
+    const layer = y - OCCLUDER_GRID_MIN_Y;
+    if (layer < 0 || layer >= OCCLUDER_GRID_HEIGHT) {
+      return -1;
+    }
+    return ((x - minX) * chunkSize + (z - minZ)) * OCCLUDER_GRID_HEIGHT + layer;
+  };
+  orderedBlockEntries.forEach((entry) => {
+    if (!isOccludingEntry(entry)) {
+      return;
+    }
+    const index = occluderIndex(entry.position.x, entry.position.y, entry.position.z);
+    if (index >= 0) {
+      occluderGrid[index] = 1;
+    }
+  });
+  const isOccludedAt = (x, y, z) => {
+    if (y < 0) {
+      return true;
+    }
+    if (x < minX || x >= minX + chunkSize || z < minZ || z >= minZ + chunkSize) {
+      return y <= getColumnHeight(x, z) && !isCaveCell(x, y, z);
+    }
+    const index = occluderIndex(x, y, z);
+    return index >= 0 && occluderGrid[index] === 1;
+  };
+  orderedBlockEntries.forEach((entry) => {
+    entry.hiddenFaces = computeHiddenFaces(entry, isOccludedAt);
+  });
+
+  const biomeIds = [];
+  const blocks = [];
+  const blockSlots = new Map();
+  instancedData.forEach((entries, type) => {
+    if (isFluidType(type) || entries.length === 0) {
+      return;
+    }
+    blockSlots.set(type, blocks.length);
+    blocks.push({ type, ...packEntries(entries, biomeIds) });
+  });
+  const blockOrder = new Uint32Array(orderedBlockEntries.length * 2);
+  orderedBlockEntries.forEach((entry, order) => {
+    blockOrder[order * 2] = blockSlots.get(entry.type);
+    blockOrder[order * 2 + 1] = entry.index;
+  });
+
+  const decorations = [];
   decorationInstancedData.forEach((entries, type) => {
-    addDecorationMesh(group, type, entries);
+    if (entries.length === 0) {
+      return;
+    }
+    decorations.push({ type, ...packEntries(entries, biomeIds) });
   });
 
-  logFluidDebug('fluid surfaces count before group add', fluidSurfaces.length);
-  fluidSurfaces.forEach((surface) => {
-    if (surface.userData?.type === 'fluid:water') {
-      logFluidDebug('adding water surface to group', surface.uuid);
+  const fluidColumns = [];
+  fluidColumnsByType.forEach((columns, type) => {
+    if (columns.size > 0) {
+      fluidColumns.push({ type, ...packFluidColumns(columns) });
     }
-    group.add(surface);
   });
 
-  group.name = `chunk_${chunkX}_${chunkZ}`;
+  const prototypes = Array.from(prototypeInstances.values()).map((record) => ({
+    key: record.key,
+    prototypeId: record.prototypeId,
+    blocks: record.blockEntries.map(({ type, entry }) => ({ type, key: entry.key })),
+    decorationKeys: record.decorationKeys.slice(),
+  }));
+
+  const oreVeins = [];
+  placedOreBlocks.forEach((blockCount, vein) => {
+    oreVeins.push({
+      type: vein.type,
+      shape: vein.shape,
+      x: vein.origin.x,
+      y: vein.origin.y,
+      z: vein.origin.z,
+      blockCount,
+    });
+  });
+
   const totalSamples = chunkSize * chunkSize;
   const biomes = Array.from(biomePresence.values()).map(({ biome, samples }) => ({
     id: biome.id,
@@ -1057,25 +1178,19 @@ export function generateChunk(blockMaterials, chunkX, chunkZ) {
     },
   }));
 
-  group.userData.biomes = biomes;
-
   return {
     chunkX,
     chunkZ,
-    group,
-    solidBlockKeys,
-    softBlockKeys,
-    waterColumns: waterColumnMetadata,
-    fluidColumnsByType,
-    fluidSurfaces,
-    blockLookup,
-    typeData,
-    decorationData,
-    decorationGroups,
-    decorationOwnerIndex,
-    decorationTypeIndex,
+    biomeIds,
+    blocks,
+    blockOrder,
+    decorations,
+    fluidColumns,
+    waterColumns: packColumnBounds(waterColumnMetadata),
+    prototypes,
     biomes,
-    prototypeInstances,
+    oreVeins,
+    sectorPlacements: sectorPass.getOutcomes(),
     bounds: (() => {
       if (!hasBoundData) {
         const halfSize = chunkSize / 2;
@@ -1100,11 +1215,218 @@ export function generateChunk(blockMaterials, chunkX, chunkZ) {
   };
 }
 
+// Main-thread phase: turns generated chunk data into exposed-face block
+// meshes, decoration InstancedMeshes, fluid surfaces and the lookup tables the
+// chunk manager works with.
+export function buildChunkFromData(blockMaterials, data) {
+  const THREE = ensureThree();
+  const { chunkX, chunkZ, biomeIds } = data;
+  const decorationData = new Map();
+  const decorationGroups = new Map();
+  const decorationOwnerIndex = new Map();
+  const decorationTypeIndex = new Map();
+  const voxels = createChunkVoxelGrid({ chunkX, chunkZ, chunkSize: worldConfig.chunkSize });
+  const fluidSurfaces = [];
+  const blockLookup = new Map();
+  const typeData = new Map();
+  const buriedEntries = new Map();
+
+  const blockLists = data.blocks.map((packed) => unpackEntries(THREE, packed, biomeIds));
+  for (let order = 0; order < data.blockOrder.length; order += 2) {
+    const entry = blockLists[data.blockOrder[order]][data.blockOrder[order + 1]];
+    blockLookup.set(entry.key, entry);
+    if (entry.key !== entry.coordinateKey) {
+      blockLookup.set(entry.coordinateKey, entry);
+    }
+    if (!voxels.setFromEntry(entry)) {
+      voxels.addSubVoxelEntry(entry);
+    }
+  }
+
+  // Blocks with every face covered stay in the lookups but are left out of
+  // the face meshes until an edit exposes them.
+  const blockData = new Map();
+  blockLists.forEach((entries, slot) => {
+    const visible = [];
+    entries.forEach((entry) => {
+      if (entry.hiddenFaces === ALL_FACES_HIDDEN) {
+        entry.buried = true;
+        entry.index = -1;
+        buriedEntries.set(entry.key, entry);
+      } else {
+        visible.push(entry);
+      }
+    });
+    blockData.set(data.blocks[slot].type, visible);
+  });
+
+  const buildInstancedMesh = (entries, type) =>
+    createBlockInstancedMesh(blockMaterials, entries, type);
+
+  const addFaceMeshes = (targetGroup, map) => {
+    map.forEach((entries, type) => {
+      if (isFluidType(type)) {
+        return;
+      }
+      if (!entries || entries.length === 0) {
+        return;
+      }
+      const faces = createBlockFaceMesh({ THREE, material: blockMaterials[type], type, entries });
+      typeData.set(type, { entries, mesh: faces.mesh, faces });
+      targetGroup.add(faces.mesh);
+    });
+  };
+
+  const addDecorationMesh = (targetGroup, type, entries) => {
+    if (!entries || entries.length === 0) {
+      return;
+    }
+    const { mesh, tintAttribute } = buildInstancedMesh(entries, type);
+    mesh.userData.decoration = true;
+    decorationData.set(type, { entries, mesh, tintAttribute });
+
+    const { groups: metadataGroups } = createDecorationMeshBatches(entries);
+
+    metadataGroups.forEach((groupInfo) => {
+      const instanceIndices = groupInfo.entryIndices.slice();
+      const metadata = {
+        key: groupInfo.key,
+        owner: groupInfo.owner ?? null,
+        destructible:
+          typeof groupInfo.destructible === 'boolean' ? groupInfo.destructible : true,
+        type,
+        mesh,
+        tintAttribute,
+        instanceIndices,
+      };
+      decorationGroups.set(metadata.key, metadata);
+      const owner = metadata.owner;
+      if (owner !== null && owner !== undefined) {
+        let ownerGroups = decorationOwnerIndex.get(owner);
+        if (!ownerGroups) {
+          ownerGroups = new Map();
+          decorationOwnerIndex.set(owner, ownerGroups);
+        }
+        ownerGroups.set(metadata.key, metadata);
+      }
+
+      let typeGroup = decorationTypeIndex.get(type);
+      if (!typeGroup) {
+        typeGroup = new Set();
+        decorationTypeIndex.set(type, typeGroup);
+      }
+      typeGroup.add(metadata);
+
+      metadata.instanceIndices.forEach((instanceIndex) => {
+        const entry = entries[instanceIndex];
+        if (!entry) {
+          return;
+        }
+        entry.decorationGroup = metadata;
+        entry.decorationGroupKey = metadata.key;
+        entry.mesh = mesh;
+        entry.tintAttribute = tintAttribute;
+        entry.isDecoration = true;
+        entry.destructible = typeof entry.destructible === 'boolean'
+          ? entry.destructible
+          : metadata.destructible;
+        blockLookup.set(entry.key, entry);
+        if (entry.coordinateKey && entry.coordinateKey !== entry.key) {
+          blockLookup.set(entry.coordinateKey, entry);
+        }
+      });
+    });
+
+    targetGroup.add(mesh);
+  };
+
+  const group = new THREE.Group();
+  addFaceMeshes(group, blockData);
+  data.decorations.forEach((packed) => {
+    addDecorationMesh(group, packed.type, unpackEntries(THREE, packed, biomeIds));
+  });
+  decorationData.forEach(({ entries }) => {
+    entries.forEach((entry) => voxels.addSubVoxelEntry(entry));
+  });
+
+  const fluidColumnsByType = new Map();
+  data.fluidColumns.forEach((packed) => {
+    const { type } = packed;
+    const columns = unpackFluidColumns(THREE, packed);
+    fluidColumnsByType.set(type, columns);
+    const geometry = buildFluidGeometry({
+      THREE,
+      columns: Array.from(columns.values()),
+    });
+    if (!geometry.getAttribute('position') || geometry.getAttribute('position').count === 0) {
+      if (type === 'water') {
+        logFluidDebug('water geometry has no vertices');
+      }
+      return;
+    }
+    const surface = createFluidSurface({ type, geometry });
+    if (type === 'water') {
+      logFluidDebug('created water surface', surface?.uuid);
+    }
+    surface.userData.type = `fluid:${type}`;
+    fluidSurfaces.push(surface);
+  });
+
+  logFluidDebug('fluid surfaces count before group add', fluidSurfaces.length);
+  fluidSurfaces.forEach((surface) => {
+    if (surface.userData?.type === 'fluid:water') {
+      logFluidDebug('adding water surface to group', surface.uuid);
+    }
+    group.add(surface);
+  });
+
+  const prototypeInstances = new Map();
+  data.prototypes.forEach((prototype) => {
+    prototypeInstances.set(prototype.key, {
+      key: prototype.key,
+      prototypeId: prototype.prototypeId,
+      blockEntries: prototype.blocks
+        .map(({ type, key }) => ({ type, entry: blockLookup.get(key) }))
+        .filter(({ entry }) => Boolean(entry)),
+      decorationKeys: prototype.decorationKeys,
+    });
+  });
+
+  group.name = `chunk_${chunkX}_${chunkZ}`;
+  group.userData.biomes = data.biomes;
+
+  return {
+    chunkX,
+    chunkZ,
+    group,
+    voxels,
+    waterColumns: unpackColumnBounds(data.waterColumns),
+    fluidColumnsByType,
+    fluidSurfaces,
+    blockLookup,
+    typeData,
+    buriedEntries,
+    decorationData,
+    decorationGroups,
+    decorationOwnerIndex,
+    decorationTypeIndex,
+    biomes: data.biomes,
+    oreVeins: data.oreVeins ?? [],
+    sectorPlacements: data.sectorPlacements ?? [],
+    prototypeInstances,
+    bounds: data.bounds,
+  };
+}
+
+export function generateChunk(blockMaterials, chunkX, chunkZ) {
+  return buildChunkFromData(blockMaterials, generateChunkData(chunkX, chunkZ));
+}
+
 export function generateWorld(blockMaterials) {
   const chunk = generateChunk(blockMaterials, 0, 0);
   return {
     meshes: [...chunk.group.children],
-    solidBlocks: new Set(chunk.solidBlockKeys),
+    voxels: chunk.voxels,
     waterColumns: new Map(chunk.waterColumns ?? []),
     biomes: chunk.biomes,
   };
@@ -0,0 +1,266 @@
+import * as THREE from 'three';
+
+import { sampleSurfaceColumn, worldConfig } from './generation.js';
+
+const SKIRT_DEPTH = 6;
+
+function chunkKey(x, z) {
+  return `${x}|${z}`;
+}
+
+function worldToChunk(value) {
+  const halfSize = worldConfig.chunkSize / 2;
+  return Math.floor((value + halfSize) / worldConfig.chunkSize);
+}
+
+// Downsampled heightmap for one chunk footprint. Vertices sit on block edges
+// so the LOD surface lines up with the tops of the full-detail blocks, and a
+// skirt hangs off every edge to hide cracks between neighbouring resolutions.
+function buildLodGeometry(chunkX, chunkZ, step) {
+  const { chunkSize, waterLevel } = worldConfig;
+  const segments = Math.max(1, Math.round(chunkSize / step));
+  const cellSize = chunkSize / segments;
+  const originX = chunkX * chunkSize - chunkSize / 2 - 0.5;
+  const originZ = chunkZ * chunkSize - chunkSize / 2 - 0.5;
+  const positions = [];
+  const colors = [];
+  const indices = [];
+
+  const vertexCount = segments + 1;
+  for (let i = 0; i < vertexCount; i += 1) {
+    for (let j = 0; j < vertexCount; j += 1) {
+      const x = originX + i * cellSize;
+      const z = originZ + j * cellSize;
+      const column = sampleSurfaceColumn(Math.round(x), Math.round(z));
+      const top = column.isUnderwater ? waterLevel + 0.5 : column.height + 0.5;
+      positions.push(x, top, z);
+      colors.push(column.color.r, column.color.g, column.color.b);
+    }
+  }
+  const gridIndex = (i, j) => i * vertexCount + j;
+  for (let i = 0; i < segments; i += 1) {
+    for (let j = 0; j < segments; j += 1) {
+      const a = gridIndex(i, j);
+      const b = gridIndex(i + 1, j);
+      const c = gridIndex(i, j + 1);
+      const d = gridIndex(i + 1, j + 1);
+      indices.push(a, c, b, b, c, d);
+    }
+  }
+
+  const edges = [
+    Array.from({ length: vertexCount }, (_, j) => gridIndex(0, j)),
+    Array.from({ length: vertexCount }, (_, j) => gridIndex(segments, j)),
+    Array.from({ length: vertexCount }, (_, i) => gridIndex(i, 0)),
+    Array.from({ length: vertexCount }, (_, i) => gridIndex(i, segments)),
+  ];
+  edges.forEach((edge) => {
+    const skirtStart = positions.length / 3;
+    edge.forEach((index) => {
+      positions.push(
+        positions[index * 3],
+        positions[index * 3 + 1] - SKIRT_DEPTH,
+        positions[index * 3 + 2],
+      );
+      colors.push(colors[index * 3], colors[index * 3 + 1], colors[index * 3 + 2]);
+    });
+    for (let k = 0; k < edge.length - 1; k += 1) {
+      const top0 = edge[k];
+      const top1 = edge[k + 1];
+      const bottom0 = skirtStart + k;
+      const bottom1 = skirtStart + k + 1;
+      indices.push(top0, bottom0, top1, top1, bottom0, bottom1);
+    }
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  geometry.computeBoundingSphere();
+  return geometry;
+}
+
+export function createLodTerrain({
+  scene,
+  chunkManager,
+  lodDistance = 6,
+  nearStep = 4,
+  farStep = 8,
+  nearRingWidth = 2,
+  maxBuildsPerUpdate = 2,
+}) {
+  if (!scene) {
+    throw new Error('createLodTerrain requires a scene');
+  }
+  if (!chunkManager) {
+    throw new Error('createLodTerrain requires a chunk manager');
+  }
+
+  const material = new THREE.MeshStandardMaterial({
+    vertexColors: true,
+    flatShading: true,
+    roughness: 0.9,
+    metalness: 0,
+    side: THREE.DoubleSide,
+  });
+  const group = new THREE.Group();
+  group.name = 'lod_terrain';
+  scene.add(group);
+
+  const lodChunks = new Map();
+  const buildQueue = [];
+  let currentLodDistance = Math.max(0, Math.floor(lodDistance));
+  let lastCenterKey = null;
+  let lastCenterChunkX = 0;
+  let lastCenterChunkZ = 0;
+  let lastViewDistance = null;
+
+  // buildQueued skips chunks that are loaded at the time, so a chunk that
+  // unloads inside the LOD range (after a view distance change or eviction)
+  // needs a fresh plan or its tile would stay missing until the player moves.
+  const removeUnloadListener = chunkManager.onChunkUnloaded?.(({ chunkX, chunkZ }) => {
+    const ring = Math.max(
+      Math.abs(chunkX - lastCenterChunkX),
+      Math.abs(chunkZ - lastCenterChunkZ),
+    );
+    if (lastCenterKey !== null && ring <= currentLodDistance) {
+      lastCenterKey = null;
+    }
+  });
+
+  function disposeLodChunk(key) {
+    const lodChunk = lodChunks.get(key);
+    if (!lodChunk) {
+      return;
+    }
+    group.remove(lodChunk.mesh);
+    lodChunk.mesh.geometry.dispose();
+    lodChunks.delete(key);
+  }
+
+  function resolveStep(ring, viewDistance) {
+    return ring <= viewDistance + nearRingWidth ? nearStep : farStep;
+  }
+
+  function planRings(centerChunkX, centerChunkZ) {
+    const viewDistance = chunkManager.getViewDistance();
+    const desired = new Map();
+    for (let dx = -currentLodDistance; dx <= currentLodDistance; dx += 1) {
+      for (let dz = -currentLodDistance; dz <= currentLodDistance; dz += 1) {
+        const ring = Math.max(Math.abs(dx), Math.abs(dz));
+        const chunkX = centerChunkX + dx;
+        const chunkZ = centerChunkZ + dz;
+        // Inside the full-detail radius a LOD chunk only stands in while the
+        // real chunk is still being generated.
+        if (ring <= viewDistance && (ring <= 1 || chunkManager.hasChunk(chunkX, chunkZ))) {
+          continue;
+        }
+        desired.set(chunkKey(chunkX, chunkZ), {
+          chunkX,
+          chunkZ,
+          ring,
+          step: resolveStep(ring, viewDistance),
+        });
+      }
+    }
+
+    Array.from(lodChunks.keys()).forEach((key) => {
+      const plan = desired.get(key);
+      if (!plan || plan.step !== lodChunks.get(key).step) {
+        disposeLodChunk(key);
+      }
+    });
+
+    buildQueue.length = 0;
+    desired.forEach((plan, key) => {
+      if (!lodChunks.has(key)) {
+        buildQueue.push({ key, ...plan });
+      }
+    });
+    buildQueue.sort((a, b) => a.ring - b.ring);
+    lastViewDistance = viewDistance;
+  }
+
+  function buildQueued(limit) {
+    let built = 0;
+    while (buildQueue.length > 0 && built < limit) {
+      const { key, chunkX, chunkZ, step } = buildQueue.shift();
+      if (lodChunks.has(key) || chunkManager.hasChunk(chunkX, chunkZ)) {
+        continue;
+      }
+      const mesh = new THREE.Mesh(buildLodGeometry(chunkX, chunkZ, step), material);
+      mesh.name = `lod_${chunkX}_${chunkZ}`;
+      mesh.userData.lod = true;
+      mesh.receiveShadow = false;
+      mesh.castShadow = false;
+      group.add(mesh);
+      lodChunks.set(key, { chunkX, chunkZ, step, mesh });
+      built += 1;
+    }
+  }
+
+  function update(position) {
+    if (!position) {
+      return;
+    }
+    const centerChunkX = worldToChunk(position.x);
+    const centerChunkZ = worldToChunk(position.z);
+    const centerKey = chunkKey(centerChunkX, centerChunkZ);
+    if (centerKey !== lastCenterKey || chunkManager.getViewDistance() !== lastViewDistance) {
+      planRings(centerChunkX, centerChunkZ);
+      lastCenterKey = centerKey;
+      lastCenterChunkX = centerChunkX;
+      lastCenterChunkZ = centerChunkZ;
+    }
+
+    buildQueued(maxBuildsPerUpdate);
+
+    // Swap to the full chunk as soon as it exists.
+    lodChunks.forEach((lodChunk, key) => {
+      if (chunkManager.hasChunk(lodChunk.chunkX, lodChunk.chunkZ)) {
+        disposeLodChunk(key);
+      }
+    });
+  }
+
+  function setLodDistance(distance) {
+    const numeric = Number(distance);
+    if (!Number.isFinite(numeric)) {
+      return currentLodDistance;
+    }
+    currentLodDistance = Math.max(0, Math.floor(numeric));
+    lastCenterKey = null;
+    return currentLodDistance;
+  }
+
+  function getStats() {
+    let vertices = 0;
+    lodChunks.forEach(({ mesh }) => {
+      vertices += mesh.geometry.getAttribute('position').count;
+    });
+    return {
+      lodDistance: currentLodDistance,
+      chunks: lodChunks.size,
+      queued: buildQueue.length,
+      vertices,
+    };
+  }
+
+  function dispose() {
+    removeUnloadListener?.();
+    Array.from(lodChunks.keys()).forEach((key) => disposeLodChunk(key));
+    buildQueue.length = 0;
+    scene.remove(group);
+    material.dispose();
+  }
+
+  return {
+    update,
+    setLodDistance,
+    getLodDistance: () => currentLodDistance,
+    getStats,
+    dispose,
+  };
+}
@@ -0,0 +1,633 @@
+import { chunkIndexFromWorld } from '../chunk-manager.js';
+import { getFluidPhysics } from '../fluids/fluid-registry.js';
+
+const DEFAULT_BUDGET_MS = 2;
+const DEFAULT_MAX_NODES = 8000;
+const DEFAULT_MAX_DISTANCE = 96;
+const EXPANSIONS_PER_CLOCK_CHECK = 32;
+
+const DEFAULT_AGENT = {
+  height: 1.8,
+  radius: 0.3,
+  stepHeight: 1,
+  maxDrop: 3,
+  maxJumpGap: 1,
+  canSwim: true,
+};
+
+// Move costs on top of the horizontal distance travelled.
+const STEP_COST = 0.5;
+const DROP_COST = 0.5;
+const JUMP_COST = 1.5;
+const SWIM_COST_FACTOR = 2;
+const SOFT_COST = 0.5;
+
+const CELL_BLOCKED = 0;
+const CELL_SOLID = 1;
+const CELL_OPEN = 2;
+const CELL_SOFT = 3;
+const CELL_WATER = 4;
+const CELL_HAZARD = 5;
+
+const HORIZONTAL_DIRECTIONS = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1],
+  [1, 1],
+  [1, -1],
+  [-1, 1],
+  [-1, -1],
+];
+
+function cellKey(x, y, z) {
+  return `${x}|${y}|${z}`;
+}
+
+// Binary min-heap of [priority, key] pairs for the open set.
+function createMinHeap() {
+  const items = [];
+
+  function push(priority, key) {
+    items.push([priority, key]);
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (items[parent][0] <= items[index][0]) {
+        break;
+      }
+      [items[parent], items[index]] = [items[index], items[parent]];
+      index = parent;
+    }
+  }
+
+  function pop() {
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+        if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+        if (smallest === index) {
+          break;
+        }
+        [items[smallest], items[index]] = [items[index], items[smallest]];
+        index = smallest;
+      }
+    }
+    return top?.[1] ?? null;
+  }
+
+  return { push, pop, size: () => items.length };
+}
+
+function octile(dx, dz) {
+  const ax = Math.abs(dx);
+  const az = Math.abs(dz);
+  return Math.max(ax, az) + (Math.SQRT2 - 1) * Math.min(ax, az);
+}
+
+// A* over the voxel grid for an agent `height` blocks tall. Nodes are the
+// cells an agent's feet can occupy: open cells over solid ground or, for
+// swimmers, water cells. Moves cover walking (diagonals never cut corners),
+// stepping up to `stepHeight` blocks, dropping up to `maxDrop`, jumping gaps
+// up to `maxJumpGap` wide and swimming. Searches run a few milliseconds per
+// `update` so long routes never stall a frame. Searches restart, and finished
+// paths are invalidated, when a block changes near them.
+export function createVoxelPathfinder({
+  chunkManager,
+  budgetMs = DEFAULT_BUDGET_MS,
+  maxNodes = DEFAULT_MAX_NODES,
+}) {
+  if (!chunkManager || typeof chunkManager.getCollisionMode !== 'function') {
+    throw new Error('createVoxelPathfinder requires a chunk manager');
+  }
+
+  const pending = [];
+  const livePaths = new Set();
+  let nextRequestId = 1;
+  const stats = {
+    searches: 0,
+    restarts: 0,
+    invalidated: 0,
+    expanded: 0,
+    lastSearch: null,
+  };
+
+  function isColumnLoaded(x, z) {
+    const index = chunkIndexFromWorld(x, z);
+    return chunkManager.hasChunk(index.x, index.z);
+  }
+
+  function classifyCell(x, y, z) {
+    if (!isColumnLoaded(x, z)) {
+      return CELL_BLOCKED;
+    }
+    const mode = chunkManager.getCollisionMode(x, y, z);
+    if (mode === 'solid') {
+      return CELL_SOLID;
+    }
+    const fluid = chunkManager.getFluidAt?.(x, y, z) ?? null;
+    if (fluid || mode === 'liquid') {
+      const physics = getFluidPhysics(fluid?.type ?? 'water');
+      return physics?.damagePerSecond > 0 ? CELL_HAZARD : CELL_WATER;
+    }
+    return mode === 'soft' ? CELL_SOFT : CELL_OPEN;
+  }
+
+  function resolveAgent(agent = {}) {
+    const resolved = { ...DEFAULT_AGENT, ...agent };
+    resolved.cells = Math.max(1, Math.ceil(resolved.height - 1e-3));
+    resolved.stepHeight = Math.max(0, Math.floor(resolved.stepHeight));
+    resolved.maxDrop = Math.max(0, Math.floor(resolved.maxDrop));
+    resolved.maxJumpGap = Math.max(0, Math.floor(resolved.maxJumpGap));
+    return resolved;
+  }
+
+  // Cell queries for one search, cached until the search restarts.
+  function createGridView(agent) {
+    const cells = new Map();
+
+    function cell(x, y, z) {
+      const key = cellKey(x, y, z);
+      let value = cells.get(key);
+      if (value === undefined) {
+        value = classifyCell(x, y, z);
+        cells.set(key, value);
+      }
+      return value;
+    }
+
+    function isPassable(x, y, z) {
+      const value = cell(x, y, z);
+      return value === CELL_OPEN || value === CELL_SOFT || value === CELL_WATER;
+    }
+
+    function hasClearance(x, y, z, extra = 0) {
+      for (let i = 0; i < agent.cells + extra; i++) {
+        if (!isPassable(x, y + i, z)) {
+          return false;
+        }
+      }
+      return true;
+    }
+
+    function isWater(x, y, z) {
+      return cell(x, y, z) === CELL_WATER;
+    }
+
+    function canStand(x, y, z) {
+      if (!hasClearance(x, y, z)) {
+        return false;
+      }
+      return cell(x, y - 1, z) === CELL_SOLID || (agent.canSwim && isWater(x, y, z));
+    }
+
+    return { cell, isPassable, hasClearance, isWater, canStand, clear: () => cells.clear() };
+  }
+
+  // Calls visit(x, y, z, cost, move) for every node reachable from (x, y, z)
+  // in one move.
+  function forEachNeighbor(view, agent, x, y, z, visit) {
+    const swimming = view.isWater(x, y, z);
+
+    HORIZONTAL_DIRECTIONS.forEach(([dx, dz]) => {
+      const diagonal = dx !== 0 && dz !== 0;
+      if (diagonal && !(view.hasClearance(x + dx, y, z) && view.hasClearance(x, y, z + dz))) {
+        return;
+      }
+      const nx = x + dx;
+      const nz = z + dz;
+      const distance = diagonal ? Math.SQRT2 : 1;
+      const swimFactor = swimming || view.isWater(nx, y, nz) ? SWIM_COST_FACTOR : 1;
+      const softCost = view.cell(nx, y, nz) === CELL_SOFT ? SOFT_COST : 0;
+
+      if (view.canStand(nx, y, nz)) {
+        visit(nx, y, nz, distance * swimFactor + softCost, swimFactor > 1 ? 'swim' : 'walk');
+        return;
+      }
+
+      if (view.hasClearance(nx, y, nz)) {
+        for (let drop = 1; drop <= agent.maxDrop; drop++) {
+          if (!view.isPassable(nx, y - drop, nz)) {
+            break;
+          }
+          if (view.canStand(nx, y - drop, nz)) {
+            visit(nx, y - drop, nz, distance + drop * DROP_COST, 'drop');
+            break;
+          }
+        }
+        // Gaps are jumped straight across from solid footing, with a block of
+        // headroom for the arc.
+        if (diagonal || swimming || view.cell(x, y - 1, z) !== CELL_SOLID) {
+          return;
+        }
+        for (let gap = 1; gap <= agent.maxJumpGap; gap++) {
+          const gx = x + dx * gap;
+          const gz = z + dz * gap;
+          if (!view.hasClearance(gx, y, gz, 1) || view.canStand(gx, y, gz)) {
+            break;
+          }
+          const lx = gx + dx;
+          const lz = gz + dz;
+          if (view.canStand(lx, y, lz) && view.cell(lx, y - 1, lz) === CELL_SOLID) {
+            visit(lx, y, lz, (gap + 1) * JUMP_COST, 'jump');
+            break;
+          }
+        }
+        return;
+      }
+
+      if (diagonal) {
+        return;
+      }
+      for (let step = 1; step <= agent.stepHeight; step++) {
+        if (!view.isPassable(x, y + agent.cells + step - 1, z)) {
+          break;
+        }
+        if (view.canStand(nx, y + step, nz)) {
+          visit(nx, y + step, nz, distance + step * STEP_COST, 'step');
+          break;
+        }
+      }
+    });
+
+    if (swimming) {
+      if (view.isWater(x, y + 1, z) && view.hasClearance(x, y + 1, z)) {
+        visit(x, y + 1, z, SWIM_COST_FACTOR, 'swim');
+      }
+      if (view.isWater(x, y - 1, z) && view.hasClearance(x, y - 1, z)) {
+        visit(x, y - 1, z, SWIM_COST_FACTOR, 'swim');
+      }
+    }
+  }
+
+  // Nearest node to a world position: its cell, else the first standable
+  // cell a few blocks below or above it.
+  function snapToNode(view, agent, position) {
+    const x = Math.round(position.x);
+    const z = Math.round(position.z);
+    const y = Math.round(position.y);
+    for (let offset = 0; offset <= agent.maxDrop + 2; offset++) {
+      if (view.canStand(x, y - offset, z)) {
+        return { x, y: y - offset, z };
+      }
+      if (offset > 0 && offset <= 2 && view.canStand(x, y + offset, z)) {
+        return { x, y: y + offset, z };
+      }
+    }
+    return null;
+  }
+
+  function heuristic(node, goal) {
+    return octile(goal.x - node.x, goal.z - node.z) + Math.abs(goal.y - node.y) * 0.25;
+  }
+
+  function beginSearch(request) {
+    const { view, agent } = request;
+    view.clear();
+    request.open = createMinHeap();
+    request.nodes = new Map();
+    request.expanded = 0;
+    request.bounds = null;
+    request.startNode = snapToNode(view, agent, request.start);
+    request.goalNode =
+      snapToNode(view, agent, request.goal) ?? {
+        x: Math.round(request.goal.x),
+        y: Math.round(request.goal.y),
+        z: Math.round(request.goal.z),
+      };
+    if (!request.startNode) {
+      return false;
+    }
+    const { x, y, z } = request.startNode;
+    const key = cellKey(x, y, z);
+    request.nodes.set(key, { x, y, z, g: 0, parent: null, move: 'start', closed: false });
+    request.open.push(heuristic(request.startNode, request.goalNode), key);
+    request.best = { key, h: heuristic(request.startNode, request.goalNode) };
+    return true;
+  }
+
+  function growBounds(request, x, y, z) {
+    const bounds = request.bounds ?? (request.bounds = {
+      minX: x,
+      maxX: x,
+      minY: y,
+      maxY: y,
+      minZ: z,
+      maxZ: z,
+    });
+    bounds.minX = Math.min(bounds.minX, x);
+    bounds.maxX = Math.max(bounds.maxX, x);
+    bounds.minY = Math.min(bounds.minY, y);
+    bounds.maxY = Math.max(bounds.maxY, y);
+    bounds.minZ = Math.min(bounds.minZ, z);
+    bounds.maxZ = Math.max(bounds.maxZ, z);
+  }
+
+  // Expands one node; returns true once the search has an outcome.
+  function expandNext(request) {
+    const { open, nodes, goalNode, agent, view } = request;
+    let key = open.pop();
+    while (key !== null && nodes.get(key).closed) {
+      key = open.pop();
+    }
+    if (key === null) {
+      return true;
+    }
+    const node = nodes.get(key);
+    node.closed = true;
+    request.expanded += 1;
+    stats.expanded += 1;
+    growBounds(request, node.x, node.y, node.z);
+
+    const h = heuristic(node, goalNode);
+    if (h < request.best.h) {
+      request.best = { key, h };
+    }
+    if (node.x === goalNode.x && node.y === goalNode.y && node.z === goalNode.z) {
+      request.best = { key, h: 0 };
+      return true;
+    }
+    if (request.expanded >= request.maxNodes) {
+      return true;
+    }
+
+    forEachNeighbor(view, agent, node.x, node.y, node.z, (nx, ny, nz, cost, move) => {
+      if (octile(nx - request.startNode.x, nz - request.startNode.z) > request.maxDistance) {
+        return;
+      }
+      const neighborKey = cellKey(nx, ny, nz);
+      const g = node.g + cost;
+      const existing = nodes.get(neighborKey);
+      if (existing && (existing.closed || existing.g <= g)) {
+        return;
+      }
+      nodes.set(neighborKey, { x: nx, y: ny, z: nz, g, parent: key, move, closed: false });
+      // A hair of extra heuristic weight breaks ties toward the goal.
+      open.push(g + heuristic({ x: nx, y: ny, z: nz }, goalNode) * 1.001, neighborKey);
+    });
+    return false;
+  }
+
+  // Can the agent walk straight from node a to node b on flat ground?
+  function canWalkStraight(view, agent, a, b) {
+    if (a.y !== b.y) {
+      return false;
+    }
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const steps = Math.ceil(Math.hypot(dx, dz) * 4);
+    const r = Math.min(agent.radius, 0.49);
+    for (let i = 1; i < steps; i++) {
+      const t = i / steps;
+      const px = a.x + dx * t;
+      const pz = a.z + dz * t;
+      for (const [ox, oz] of [[-r, -r], [r, -r], [-r, r], [r, r]]) {
+        const cx = Math.round(px + ox);
+        const cz = Math.round(pz + oz);
+        if (!view.canStand(cx, a.y, cz) || view.isWater(cx, a.y, cz)) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  // String-pulls runs of flat walking so agents head straight across open
+  // ground instead of zig-zagging cell by cell. Steps, drops, jumps and
+  // swimming keep every node.
+  function smoothPath(view, agent, raw) {
+    if (raw.length <= 2) {
+      return raw.slice();
+    }
+    const smoothed = [raw[0]];
+    let anchor = 0;
+    while (anchor < raw.length - 1) {
+      let runEnd = anchor;
+      while (
+        runEnd + 1 < raw.length &&
+        raw[runEnd + 1].move === 'walk' &&
+        raw[runEnd + 1].y === raw[anchor].y
+      ) {
+        runEnd += 1;
+      }
+      let next = anchor + 1;
+      for (let candidate = runEnd; candidate > anchor + 1; candidate--) {
+        if (canWalkStraight(view, agent, raw[anchor], raw[candidate])) {
+          next = candidate;
+          break;
+        }
+      }
+      smoothed.push(raw[next]);
+      anchor = next;
+    }
+    return smoothed;
+  }
+
+  // Waypoints stand at the centre of each cell, level with the floor.
+  function toWaypoint(node) {
+    return { x: node.x, y: node.y - 0.5, z: node.z, move: node.move };
+  }
+
+  function finishSearch(request) {
+    const reachedGoal = request.best.h === 0;
+    const raw = [];
+    let key = request.best.key;
+    while (key) {
+      const node = request.nodes.get(key);
+      raw.unshift(node);
+      key = node.parent;
+    }
+    let status = reachedGoal ? 'found' : 'partial';
+    if (!reachedGoal && (!request.allowPartial || raw.length <= 1)) {
+      status = 'unreachable';
+    }
+    const smoothed = status === 'unreachable' ? [] : smoothPath(request.view, request.agent, raw);
+    const result = {
+      status,
+      waypoints: smoothed.map(toWaypoint),
+      nodes: status === 'unreachable' ? [] : raw.map(toWaypoint),
+      cost: status === 'unreachable' ? null : raw[raw.length - 1].g,
+      expanded: request.expanded,
+      elapsedMs: request.elapsedMs,
+    };
+    settle(request, status, result);
+    if (status !== 'unreachable') {
+      request.pathNodes = raw.map(({ x, y, z }) => ({ x, y, z }));
+      livePaths.add(request);
+    }
+  }
+
+  function settle(request, status, result = null) {
+    request.status = status;
+    request.result = result;
+    request.view.clear();
+    request.open = null;
+    request.nodes = null;
+    stats.lastSearch = {
+      id: request.id,
+      status,
+      expanded: request.expanded ?? 0,
+      elapsedMs: request.elapsedMs,
+    };
+    request.resolve(result ?? { status, waypoints: [], nodes: [], cost: null });
+  }
+
+  function removePending(request) {
+    const index = pending.indexOf(request);
+    if (index >= 0) {
+      pending.splice(index, 1);
+    }
+  }
+
+  // Queues a search from `start` to `goal` (feet positions). The returned
+  // handle's promise resolves with the result once the search finishes;
+  // `onInvalidated(result)` fires with the stale result if a block change
+  // later breaks the path.
+  function findPath({
+    start,
+    goal,
+    agent = {},
+    allowPartial = true,
+    maxDistance = DEFAULT_MAX_DISTANCE,
+    onInvalidated = null,
+  } = {}) {
+    if (!start || !goal) {
+      throw new Error('findPath requires a start and a goal');
+    }
+    const resolvedAgent = resolveAgent(agent);
+    const request = {
+      id: nextRequestId++,
+      start: { x: start.x, y: start.y, z: start.z },
+      goal: { x: goal.x, y: goal.y, z: goal.z },
+      agent: resolvedAgent,
+      view: createGridView(resolvedAgent),
+      allowPartial,
+      maxDistance,
+      maxNodes,
+      onInvalidated,
+      status: 'pending',
+      result: null,
+      elapsedMs: 0,
+      restarts: 0,
+      started: false,
+      resolve: null,
+    };
+    const promise = new Promise((resolve) => {
+      request.resolve = resolve;
+    });
+    pending.push(request);
+    stats.searches += 1;
+
+    return {
+      id: request.id,
+      promise,
+      getStatus: () => request.status,
+      getResult: () => request.result,
+      cancel() {
+        if (request.status === 'pending') {
+          removePending(request);
+          settle(request, 'cancelled');
+        }
+      },
+      // Stops tracking a finished path for invalidation.
+      release() {
+        livePaths.delete(request);
+      },
+    };
+  }
+
+  function update(frameBudgetMs = budgetMs) {
+    if (pending.length === 0) {
+      return;
+    }
+    const deadline = performance.now() + frameBudgetMs;
+    while (pending.length > 0 && performance.now() < deadline) {
+      const request = pending[0];
+      const sliceStart = performance.now();
+      let done = false;
+      if (!request.started) {
+        request.started = true;
+        if (!beginSearch(request)) {
+          pending.shift();
+          settle(request, 'unreachable');
+          continue;
+        }
+      }
+      while (!done && performance.now() < deadline) {
+        for (let i = 0; i < EXPANSIONS_PER_CLOCK_CHECK && !done; i++) {
+          done = expandNext(request);
+        }
+      }
+      request.elapsedMs += performance.now() - sliceStart;
+      if (done) {
+        pending.shift();
+        finishSearch(request);
+      }
+    }
+  }
+
+  function touchesChange(bounds, change, margin) {
+    return (
+      change.x >= bounds.minX - margin &&
+      change.x <= bounds.maxX + margin &&
+      change.y >= bounds.minY - margin &&
+      change.y <= bounds.maxY + margin &&
+      change.z >= bounds.minZ - margin &&
+      change.z <= bounds.maxZ + margin
+    );
+  }
+
+  // A finished path breaks if the change lands in or under the space the
+  // agent sweeps through at any of its nodes.
+  function pathTouchesChange(request, change) {
+    const { agent, pathNodes } = request;
+    return pathNodes.some(
+      (node) =>
+        Math.abs(change.x - node.x) <= 1 &&
+        Math.abs(change.z - node.z) <= 1 &&
+        change.y >= node.y - agent.maxDrop - 1 &&
+        change.y <= node.y + agent.cells,
+    );
+  }
+
+  const removeBlockListener = chunkManager.onBlockChanged?.((change) => {
+    pending.forEach((request) => {
+      if (request.started && request.bounds && touchesChange(request.bounds, change, 2)) {
+        request.started = false;
+        request.restarts += 1;
+        stats.restarts += 1;
+      }
+    });
+    Array.from(livePaths).forEach((request) => {
+      if (!pathTouchesChange(request, change)) {
+        return;
+      }
+      livePaths.delete(request);
+      request.status = 'invalidated';
+      stats.invalidated += 1;
+      request.onInvalidated?.(request.result);
+    });
+  });
+
+  return {
+    findPath,
+    update,
+    getStats: () => ({
+      ...stats,
+      pending: pending.length,
+      livePaths: livePaths.size,
+    }),
+    dispose() {
+      removeBlockListener?.();
+      pending.splice(0).forEach((request) => settle(request, 'cancelled'));
+      livePaths.clear();
+    },
+  };
+}
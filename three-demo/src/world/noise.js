@@ -33,6 +33,46 @@ export class ValueNoise2D {
   }
 }
 
+export class ValueNoise3D {
+  constructor(seed = 1) {
+    this.seed = seed;
+  }
+
+  hash(x, y, z) {
+    const s = Math.sin(
+      x * 374761393 + y * 668265263 + z * 1274126177 + this.seed * 951.1357,
+    );
+    return s - Math.floor(s);
+  }
+
+  smoothstep(t) {
+    return t * t * (3 - 2 * t);
+  }
+
+  noise(x, y, z) {
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const z0 = Math.floor(z);
+    const x1 = x0 + 1;
+    const y1 = y0 + 1;
+    const z1 = z0 + 1;
+
+    const sx = this.smoothstep(x - x0);
+    const sy = this.smoothstep(y - y0);
+    const sz = this.smoothstep(z - z0);
+
+    const ix0 = lerp(this.hash(x0, y0, z0), this.hash(x1, y0, z0), sx);
+    const ix1 = lerp(this.hash(x0, y1, z0), this.hash(x1, y1, z0), sx);
+    const ix2 = lerp(this.hash(x0, y0, z1), this.hash(x1, y0, z1), sx);
+    const ix3 = lerp(this.hash(x0, y1, z1), this.hash(x1, y1, z1), sx);
+
+    const iy0 = lerp(ix0, ix1, sy);
+    const iy1 = lerp(ix2, ix3, sy);
+
+    return lerp(iy0, iy1, sz);
+  }
+}
+
 function lerp(a, b, t) {
   return a + (b - a) * t;
 }
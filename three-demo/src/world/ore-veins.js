@@ -0,0 +1,133 @@
+export const ORE_BLOCK_TYPES = ['coal_ore', 'copper_ore', 'iron_ore', 'gold_ore', 'crystal_ore'];
+
+// Used by biomes whose JSON does not list any ores.
+export const DEFAULT_ORE_VEINS = [
+  { type: 'coal_ore', veinsPerChunk: 10, minY: 2, maxY: 12, size: { min: 6, max: 12 } },
+  { type: 'iron_ore', veinsPerChunk: 5, minY: 1, maxY: 7, size: { min: 4, max: 8 } },
+];
+
+// Every chunk rolls this many anchor columns; each anchor takes the ore list
+// of the biome it lands in, so mixed chunks get a share of both lists.
+const ORE_VEIN_SLOTS = 32;
+const ORE_SHAPES = new Set(['vein', 'cluster']);
+
+const NEIGHBOR_STEPS = [
+  [1, 0, 0],
+  [-1, 0, 0],
+  [0, 1, 0],
+  [0, -1, 0],
+  [0, 0, 1],
+  [0, 0, -1],
+];
+
+export function normalizeOreVeins(definitions) {
+  if (!Array.isArray(definitions)) {
+    return DEFAULT_ORE_VEINS.map((ore) => ({ ...ore, shape: 'vein' }));
+  }
+  return definitions
+    .filter((ore) => ORE_BLOCK_TYPES.includes(ore?.type))
+    .map((ore) => {
+      const minY = Math.max(1, Math.floor(ore.minY ?? 1));
+      const minSize = Math.max(1, Math.floor(ore.size?.min ?? 4));
+      return {
+        type: ore.type,
+        veinsPerChunk: Math.max(0, Math.min(ORE_VEIN_SLOTS, Number(ore.veinsPerChunk) || 0)),
+        minY,
+        maxY: Math.max(minY, Math.floor(ore.maxY ?? minY + 8)),
+        size: {
+          min: minSize,
+          max: Math.max(minSize, Math.floor(ore.size?.max ?? minSize * 2)),
+        },
+        shape: ORE_SHAPES.has(ore.shape) ? ore.shape : 'vein',
+      };
+    });
+}
+
+// A vein wanders like a worm with a slowly turning heading; a cluster grows
+// outward from its seed cell into a compact blob.
+function growVein(start, size, random) {
+  const cells = [start];
+  let { x, y, z } = start;
+  let heading = random(0) * Math.PI * 2;
+  for (let step = 1; step < size; step++) {
+    heading += (random(step * 3) - 0.5) * 1.4;
+    const climb = random(step * 3 + 1);
+    if (climb < 0.2) {
+      y -= 1;
+    } else if (climb > 0.8) {
+      y += 1;
+    } else if (Math.abs(Math.cos(heading)) > Math.abs(Math.sin(heading))) {
+      x += Math.sign(Math.cos(heading));
+    } else {
+      z += Math.sign(Math.sin(heading));
+    }
+    cells.push({ x, y, z });
+  }
+  return cells;
+}
+
+function growCluster(start, size, random) {
+  const cells = [start];
+  const seen = new Set([`${start.x}|${start.y}|${start.z}`]);
+  for (let step = 1; cells.length < size && step < size * 4; step++) {
+    const from = cells[Math.floor(random(step * 2) * cells.length)];
+    const [dx, dy, dz] = NEIGHBOR_STEPS[Math.floor(random(step * 2 + 1) * NEIGHBOR_STEPS.length)];
+    const cell = { x: from.x + dx, y: from.y + dy, z: from.z + dz };
+    const key = `${cell.x}|${cell.y}|${cell.z}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      cells.push(cell);
+    }
+  }
+  return cells;
+}
+
+// Deterministic ore layout for one chunk. Veins are clipped to the chunk
+// footprint and their ore range; the terrain fill decides which of the
+// returned cells actually become ore (only deep rock that was not carved).
+export function planOreVeins({ minX, minZ, chunkSize, random, sampleBiome }) {
+  const cells = new Map();
+  const veins = [];
+  for (let slot = 0; slot < ORE_VEIN_SLOTS; slot++) {
+    const slotOffset = 5000 + slot * 4096;
+    const anchorX = minX + Math.floor(random(slotOffset) * chunkSize);
+    const anchorZ = minZ + Math.floor(random(slotOffset + 1) * chunkSize);
+    const ores = sampleBiome(anchorX, anchorZ)?.terrain?.ores ?? [];
+    ores.forEach((ore, oreIndex) => {
+      const oreOffset = slotOffset + 16 + oreIndex * 512;
+      if (random(oreOffset) >= ore.veinsPerChunk / ORE_VEIN_SLOTS) {
+        return;
+      }
+      const start = {
+        x: anchorX,
+        y: ore.minY + Math.floor(random(oreOffset + 1) * (ore.maxY - ore.minY + 1)),
+        z: anchorZ,
+      };
+      const size =
+        ore.size.min + Math.floor(random(oreOffset + 2) * (ore.size.max - ore.size.min + 1));
+      const grow = ore.shape === 'cluster' ? growCluster : growVein;
+      const vein = { id: veins.length, type: ore.type, shape: ore.shape, origin: start, cells: [] };
+      grow(start, size, (offset) => random(oreOffset + 3 + offset)).forEach((cell) => {
+        if (
+          cell.x < minX ||
+          cell.x >= minX + chunkSize ||
+          cell.z < minZ ||
+          cell.z >= minZ + chunkSize ||
+          cell.y < ore.minY ||
+          cell.y > ore.maxY
+        ) {
+          return;
+        }
+        const key = `${cell.x}|${cell.y}|${cell.z}`;
+        if (!cells.has(key)) {
+          cells.set(key, vein);
+          vein.cells.push(cell);
+        }
+      });
+      if (vein.cells.length > 0) {
+        veins.push(vein);
+      }
+    });
+  }
+  return { cells, veins };
+}
@@ -1,17 +1,18 @@
+import { DEFAULT_WORLD_SEED, deriveSeed, hashInts } from './world-seed.js';
+
 const SECTOR_SIZE = 32;
+// Sector layouts are pure functions of seed and coordinates, so evicting one
+// only costs a rebuild; the cap keeps long flights from growing the cache.
+const MAX_CACHED_SECTORS = 64;
+
+let plannerSeed = deriveSeed(DEFAULT_WORLD_SEED, 'sector-planner');
 
 function sectorKey(sectorX, sectorZ) {
   return `${sectorX}|${sectorZ}`;
 }
 
 function pseudoRandom(sectorX, sectorZ, offset = 0) {
-  const value = Math.sin(
-    sectorX * 157.31 +
-      sectorZ * 311.7 +
-      offset * 37.912 +
-      SECTOR_SIZE * 0.73,
-  );
-  return value - Math.floor(value);
+  return hashInts(plannerSeed, sectorX, sectorZ, offset) / 4294967296;
 }
 
 
@@ -1481,7 +1482,7 @@ function buildPlacements(sectorX, sectorZ) {
         instances: instruction.instances,
         randomSeed: 200 + index * 17 + localIndex * 13,
       };
-      placements.push(placement);
+      placements.push(Object.freeze(placement));
     });
   });
 
@@ -1498,6 +1499,12 @@ function buildPlacements(sectorX, sectorZ) {
 
   return {
     key: sectorKey(sectorX, sectorZ),
+    x: sectorX,
+    z: sectorZ,
+    center: sector.center,
+    theme: context.theme,
+    blendTags: context.blendTags,
+    metrics: context.metrics,
     schemaId: schema.id,
     rotation,
     placements,
@@ -1505,14 +1512,23 @@ function buildPlacements(sectorX, sectorZ) {
   };
 }
 
+// Least-recently-used first: Map iteration order is insertion order, so a hit
+// is moved to the back and eviction takes from the front.
 const sectorCache = new Map();
 
 function ensureSector(sectorX, sectorZ) {
   const key = sectorKey(sectorX, sectorZ);
-  if (!sectorCache.has(key)) {
-    sectorCache.set(key, buildPlacements(sectorX, sectorZ));
+  let sector = sectorCache.get(key);
+  if (sector) {
+    sectorCache.delete(key);
+  } else {
+    sector = buildPlacements(sectorX, sectorZ);
   }
-  return sectorCache.get(key);
+  sectorCache.set(key, sector);
+  if (sectorCache.size > MAX_CACHED_SECTORS) {
+    sectorCache.delete(sectorCache.keys().next().value);
+  }
+  return sector;
 }
 
 export function getSectorPlacementsForColumn(worldX, worldZ) {
@@ -1527,10 +1543,41 @@ export function getSectorPlacementsForColumn(worldX, worldZ) {
   };
 }
 
-export function markPlacementCompleted(placement) {
-  if (placement) {
-    placement.completed = true;
-  }
+export function getSectorAt(worldX, worldZ) {
+  return ensureSector(Math.floor(worldX / SECTOR_SIZE), Math.floor(worldZ / SECTOR_SIZE));
+}
+
+// Completion is tracked per generation pass instead of on the cached
+// placements, so regenerating a chunk resolves its placements again exactly
+// as the first time. Outcomes travel with the chunk data for inspection.
+export function createSectorPlacementPass() {
+  const outcomes = new Map();
+  const outcomeKey = (sector, placement) => `${sector.key}:${placement.id}`;
+  return {
+    isCompleted(sector, placement) {
+      return outcomes.has(outcomeKey(sector, placement));
+    },
+    complete(sector, placement, outcome) {
+      outcomes.set(outcomeKey(sector, placement), {
+        sectorKey: sector.key,
+        placementId: placement.id,
+        category: placement.category,
+        x: placement.column.x,
+        z: placement.column.z,
+        status: outcome.status,
+        reason: outcome.reason ?? null,
+        objectId: outcome.objectId ?? null,
+      });
+    },
+    getOutcomes() {
+      return Array.from(outcomes.values());
+    },
+  };
+}
+
+export function setSectorPlannerSeed(seed) {
+  plannerSeed = deriveSeed(seed, 'sector-planner');
+  sectorCache.clear();
 }
 
 export function sectorSize() {
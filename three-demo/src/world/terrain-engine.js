@@ -1,6 +1,10 @@
-import { ValueNoise2D } from './noise.js';
+import { ValueNoise2D, ValueNoise3D } from './noise.js';
 import { createBiomeEngine } from './biome-engine.js';
 
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
 export function createTerrainEngine({ THREE, seed = 1337, worldConfig = {} } = {}) {
   if (!THREE) {
     throw new Error('createTerrainEngine requires a THREE instance');
@@ -14,6 +18,9 @@ export function createTerrainEngine({ THREE, seed = 1337, worldConfig = {} } = {
   const elevationNoise = new ValueNoise2D(seed * 1.11 + 67);
   const detailNoise = new ValueNoise2D(seed * 1.59 + 139);
   const ridgeNoise = new ValueNoise2D(seed * 2.03 + 211);
+  const cavernNoise = new ValueNoise3D(seed * 2.37 + 401);
+  const tunnelNoiseA = new ValueNoise3D(seed * 2.71 + 523);
+  const tunnelNoiseB = new ValueNoise3D(seed * 3.13 + 617);
 
   const biomeEngine = createBiomeEngine({ THREE, seed: seed * 1.37 + 19 });
 
@@ -36,8 +43,21 @@ export function createTerrainEngine({ THREE, seed = 1337, worldConfig = {} } = {
     };
   }
 
+  // Underground openness from 0 (solid rock) to 1. Caverns are the peaks of
+  // one blobby field; tunnels run where two independent fields both sit near
+  // their midpoint, which traces long winding tubes through the rock.
+  function sampleCaveDensity(x, y, z) {
+    const cavern = cavernNoise.noise(x * 0.08, y * 0.16, z * 0.08);
+    const tunnelA = Math.abs(tunnelNoiseA.noise(x * 0.04, y * 0.09, z * 0.04) - 0.5);
+    const tunnelB = Math.abs(tunnelNoiseB.noise(x * 0.04 + 31.7, y * 0.09, z * 0.04 + 17.3) - 0.5);
+    const cavernDensity = clamp01((cavern - 0.6) / 0.35);
+    const tunnelDensity = clamp01(1 - Math.max(tunnelA, tunnelB) / 0.12);
+    return Math.max(cavernDensity, tunnelDensity);
+  }
+
   return {
     sampleColumn,
+    sampleCaveDensity,
     getBiomeAt: (x, z) => biomeEngine.getBiomeAt(x, z),
     getBlockColor: (biome, type) => biomeEngine.getBlockColor(biome, type),
     getDefaultBlockColor: () => biomeEngine.getDefaultBlockColor(),
@@ -0,0 +1,247 @@
+// Reader for MagicaVoxel .vox files (versions 150 and 200). Pure data in,
+// plain objects out, so it runs in the browser and under Node alike.
+// Format reference: https://github.com/ephtracy/voxel-model/blob/master/MagicaVoxel-file-format-vox.txt
+
+const MAGIC = 'VOX ';
+
+// MagicaVoxel's built-in palette, used when a file has no RGBA chunk: a
+// 6×6×6 colour cube (blue varying fastest, black dropped) followed by ten-step
+// red, green, blue and grey ramps. Index 0 is the empty slot.
+const CUBE_STEPS = [0xff, 0xcc, 0x99, 0x66, 0x33, 0x00];
+const RAMP_STEPS = [0xee, 0xdd, 0xbb, 0xaa, 0x88, 0x77, 0x55, 0x44, 0x22, 0x11];
+
+function toHex(r, g, b) {
+  return `#${[r, g, b].map((channel) => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+function buildDefaultPalette() {
+  const palette = ['#000000'];
+  CUBE_STEPS.forEach((r) => {
+    CUBE_STEPS.forEach((g) => {
+      CUBE_STEPS.forEach((b) => {
+        if (r || g || b) {
+          palette.push(toHex(r, g, b));
+        }
+      });
+    });
+  });
+  RAMP_STEPS.forEach((value) => palette.push(toHex(value, 0, 0)));
+  RAMP_STEPS.forEach((value) => palette.push(toHex(0, value, 0)));
+  RAMP_STEPS.forEach((value) => palette.push(toHex(0, 0, value)));
+  RAMP_STEPS.forEach((value) => palette.push(toHex(value, value, value)));
+  return palette;
+}
+
+const DEFAULT_PALETTE = buildDefaultPalette();
+const textDecoder = new TextDecoder();
+
+function createReader(view, start, end) {
+  let offset = start;
+  const ensure = (bytes) => {
+    if (offset + bytes > end) {
+      throw new Error(`Truncated .vox chunk at byte ${offset}.`);
+    }
+  };
+  const reader = {
+    get offset() {
+      return offset;
+    },
+    int32() {
+      ensure(4);
+      const value = view.getInt32(offset, true);
+      offset += 4;
+      return value;
+    },
+    uint8() {
+      ensure(1);
+      return view.getUint8(offset++);
+    },
+    id() {
+      ensure(4);
+      let value = '';
+      for (let i = 0; i < 4; i++) {
+        value += String.fromCharCode(view.getUint8(offset + i));
+      }
+      offset += 4;
+      return value;
+    },
+    string() {
+      const length = reader.int32();
+      ensure(length);
+      const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, length);
+      const value = textDecoder.decode(bytes);
+      offset += length;
+      return value;
+    },
+    dict() {
+      const entries = {};
+      const count = reader.int32();
+      for (let i = 0; i < count; i++) {
+        const key = reader.string();
+        entries[key] = reader.string();
+      }
+      return entries;
+    },
+  };
+  return reader;
+}
+
+// Frame attributes of a transform node. `_t` is "x y z", `_r` a packed
+// rotation byte and `_f` the animation keyframe index (version 200).
+function readTransformFrame(attributes) {
+  const translation = (attributes._t ?? '0 0 0').split(/\s+/).map(Number);
+  return {
+    frame: Number.parseInt(attributes._f ?? '0', 10) || 0,
+    rotation: attributes._r !== undefined ? Number.parseInt(attributes._r, 10) : null,
+    translation: [0, 1, 2].map((axis) =>
+      Number.isFinite(translation[axis]) ? translation[axis] : 0,
+    ),
+  };
+}
+
+const CHUNK_READERS = {
+  SIZE(reader, result) {
+    result.pendingSizes.push({ x: reader.int32(), y: reader.int32(), z: reader.int32() });
+  },
+  XYZI(reader, result) {
+    const size = result.pendingSizes.shift();
+    if (!size) {
+      throw new Error('XYZI chunk without a preceding SIZE chunk.');
+    }
+    const count = reader.int32();
+    const voxels = new Uint8Array(count * 4);
+    for (let i = 0; i < voxels.length; i++) {
+      voxels[i] = reader.uint8();
+    }
+    result.models.push({ size, voxels });
+  },
+  RGBA(reader, result) {
+    // Palette slot i + 1 holds the i-th colour; the 256th entry is unused.
+    const palette = ['#000000'];
+    for (let i = 0; i < 255; i++) {
+      const r = reader.uint8();
+      const g = reader.uint8();
+      const b = reader.uint8();
+      reader.uint8();
+      palette.push(toHex(r, g, b));
+    }
+    result.palette = palette;
+  },
+  MATL(reader, result) {
+    const id = reader.int32();
+    const attributes = reader.dict();
+    result.materials.set(id, {
+      type: attributes._type ?? '_diffuse',
+      emit: Number.parseFloat(attributes._emit ?? '0') || 0,
+      attributes,
+    });
+  },
+  nTRN(reader, result) {
+    const id = reader.int32();
+    const attributes = reader.dict();
+    const child = reader.int32();
+    reader.int32();
+    const layer = reader.int32();
+    const frameCount = reader.int32();
+    const frames = [];
+    for (let i = 0; i < frameCount; i++) {
+      frames.push(readTransformFrame(reader.dict()));
+    }
+    result.nodes.set(id, {
+      kind: 'transform',
+      id,
+      name: attributes._name ?? null,
+      hidden: attributes._hidden === '1',
+      child,
+      layer,
+      frames,
+    });
+  },
+  nGRP(reader, result) {
+    const id = reader.int32();
+    const attributes = reader.dict();
+    const count = reader.int32();
+    const children = [];
+    for (let i = 0; i < count; i++) {
+      children.push(reader.int32());
+    }
+    result.nodes.set(id, { kind: 'group', id, hidden: attributes._hidden === '1', children });
+  },
+  nSHP(reader, result) {
+    const id = reader.int32();
+    reader.dict();
+    const count = reader.int32();
+    const models = [];
+    for (let i = 0; i < count; i++) {
+      const model = reader.int32();
+      const attributes = reader.dict();
+      models.push({ model, frame: Number.parseInt(attributes._f ?? '0', 10) || 0 });
+    }
+    result.nodes.set(id, { kind: 'shape', id, models });
+  },
+  LAYR(reader, result) {
+    const id = reader.int32();
+    const attributes = reader.dict();
+    result.layers.set(id, {
+      id,
+      name: attributes._name ?? null,
+      hidden: attributes._hidden === '1',
+    });
+  },
+};
+
+// Parses a .vox file into { version, models, palette, materials, nodes,
+// layers }. Models keep their voxels packed as x, y, z, colour-index bytes;
+// palette entries are '#rrggbb' strings indexed by colour index (1–255).
+export function parseVox(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const header = createReader(view, 0, view.byteLength);
+  if (view.byteLength < 8 || header.id() !== MAGIC) {
+    throw new Error('Not a MagicaVoxel file: missing "VOX " header.');
+  }
+  const version = header.int32();
+  if (header.id() !== 'MAIN') {
+    throw new Error('Malformed .vox file: expected a MAIN chunk.');
+  }
+  const mainContent = header.int32();
+  const mainChildren = header.int32();
+  const end = Math.min(view.byteLength, header.offset + mainContent + mainChildren);
+
+  const result = {
+    version,
+    models: [],
+    pendingSizes: [],
+    palette: null,
+    materials: new Map(),
+    nodes: new Map(),
+    layers: new Map(),
+  };
+
+  let offset = header.offset + mainContent;
+  while (offset + 12 <= end) {
+    const chunk = createReader(view, offset, end);
+    const id = chunk.id();
+    const contentSize = chunk.int32();
+    const childrenSize = chunk.int32();
+    const contentStart = chunk.offset;
+    const contentEnd = contentStart + contentSize;
+    if (contentEnd > end) {
+      throw new Error(`Truncated .vox file: ${id} chunk runs past the end.`);
+    }
+    CHUNK_READERS[id]?.(createReader(view, contentStart, contentEnd), result);
+    offset = contentEnd + childrenSize;
+  }
+
+  if (result.models.length === 0) {
+    throw new Error('The .vox file contains no models.');
+  }
+  return {
+    version: result.version,
+    models: result.models,
+    palette: result.palette ?? DEFAULT_PALETTE.slice(),
+    materials: result.materials,
+    nodes: result.nodes,
+    layers: result.layers,
+  };
+}
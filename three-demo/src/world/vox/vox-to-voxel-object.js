@@ -0,0 +1,328 @@
+const SPLIT_MODES = new Set(['scene', 'models', 'frames']);
+const DEFAULT_OPTIONS = {
+  voxelScale: 0.1,
+  category: 'imported',
+  blockType: 'stone',
+  split: 'scene',
+  frame: 0,
+  mergeRuns: true,
+  includeHidden: false,
+};
+const IDENTITY = {
+  rotation: [
+    [1, 0, 0],
+    [0, 1, 0],
+    [0, 0, 1],
+  ],
+  translation: [0, 0, 0],
+};
+const MAX_EMISSIVE = 15;
+const MAX_NODE_DEPTH = 64;
+
+// Packed nTRN rotation: bits 0–1 and 2–3 hold the column of the non-zero
+// entry in rows one and two (row three takes the remaining column), bits 4–6
+// the sign of each row.
+function decodeRotation(packed) {
+  const first = packed & 3;
+  const second = (packed >> 2) & 3;
+  const columns = [first, second, 3 - first - second];
+  return columns.map((column, row) =>
+    [0, 1, 2].map((index) => (index === column ? ((packed >> (4 + row)) & 1 ? -1 : 1) : 0)),
+  );
+}
+
+function rotate(rotation, vector) {
+  return rotation.map((row) => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+}
+
+function compose(parent, child) {
+  const rotation = parent.rotation.map((row) =>
+    [0, 1, 2].map((column) =>
+      row.reduce((sum, value, index) => sum + value * child.rotation[index][column], 0),
+    ),
+  );
+  const offset = rotate(parent.rotation, child.translation);
+  return {
+    rotation,
+    translation: offset.map((value, axis) => value + parent.translation[axis]),
+  };
+}
+
+// Latest keyframe at or before `frame`; files without animation have one
+// keyframe at 0.
+function pickKeyframe(entries, frame) {
+  let chosen = null;
+  entries.forEach((entry) => {
+    if (entry.frame <= frame && (!chosen || entry.frame >= chosen.frame)) {
+      chosen = entry;
+    }
+  });
+  return chosen ?? entries[0] ?? null;
+}
+
+function isHidden(vox, node) {
+  return node.hidden || Boolean(vox.layers.get(node.layer)?.hidden);
+}
+
+// Walks the nTRN/nGRP/nSHP scene graph from the root transform and returns
+// every visible model with its accumulated transform. Files written before
+// the scene graph existed just list their models at the origin.
+function collectSceneInstances(vox, frame, includeHidden) {
+  if (!vox.nodes.has(0)) {
+    return vox.models.map((model) => ({ model, transform: IDENTITY }));
+  }
+  const instances = [];
+  const visit = (id, transform, depth) => {
+    const node = vox.nodes.get(id);
+    if (!node || depth > MAX_NODE_DEPTH) {
+      return;
+    }
+    if (node.kind === 'transform') {
+      if (!includeHidden && isHidden(vox, node)) {
+        return;
+      }
+      const keyframe = pickKeyframe(node.frames, frame);
+      const local = {
+        rotation: Number.isInteger(keyframe?.rotation)
+          ? decodeRotation(keyframe.rotation)
+          : IDENTITY.rotation,
+        translation: keyframe?.translation ?? IDENTITY.translation,
+      };
+      visit(node.child, compose(transform, local), depth + 1);
+    } else if (node.kind === 'group') {
+      if (!includeHidden && node.hidden) {
+        return;
+      }
+      node.children.forEach((child) => visit(child, transform, depth + 1));
+    } else if (node.kind === 'shape') {
+      const entry = pickKeyframe(node.models, frame);
+      const model = entry ? vox.models[entry.model] : null;
+      if (model) {
+        instances.push({ model, transform });
+      }
+    }
+  };
+  visit(0, IDENTITY, 0);
+  return instances;
+}
+
+function listKeyframes(vox) {
+  const frames = new Set([0]);
+  vox.nodes.forEach((node) => {
+    (node.kind === 'transform' ? node.frames : node.kind === 'shape' ? node.models : []).forEach(
+      (entry) => frames.add(entry.frame),
+    );
+  });
+  return Array.from(frames).sort((a, b) => a - b);
+}
+
+function cellKey(x, y, z) {
+  return `${x},${y},${z}`;
+}
+
+// Places model voxels in one grid. Each model is centred on its own pivot
+// (MagicaVoxel rounds size / 2 down), then transformed, and the Z-up file
+// axes become the game's Y-up axes.
+function rasterizeInstances(instances) {
+  const cells = new Map();
+  instances.forEach(({ model, transform }) => {
+    const pivot = [model.size.x, model.size.y, model.size.z].map((size) => Math.floor(size / 2));
+    const { voxels } = model;
+    for (let i = 0; i < voxels.length; i += 4) {
+      const local = [voxels[i] - pivot[0], voxels[i + 1] - pivot[1], voxels[i + 2] - pivot[2]];
+      const [x, y, z] = rotate(transform.rotation, local).map(
+        (value, axis) => value + transform.translation[axis],
+      );
+      const cell = { x, y: z, z: -y, color: voxels[i + 3] };
+      cells.set(cellKey(cell.x, cell.y, cell.z), cell);
+    }
+  });
+  return cells;
+}
+
+// Greedy merge: grow each run of one colour along x, then z, then y, into the
+// largest box the remaining cells fill. Cells are visited in y, z, x order so
+// every run starts at its minimum corner.
+function mergeColourRuns(cells, mergeRuns) {
+  const remaining = new Map(cells);
+  const sorted = Array.from(cells.values()).sort((a, b) => a.y - b.y || a.z - b.z || a.x - b.x);
+  const boxes = [];
+  const matches = (x, y, z, color) => remaining.get(cellKey(x, y, z))?.color === color;
+
+  sorted.forEach(({ x, y, z, color }) => {
+    if (!remaining.has(cellKey(x, y, z))) {
+      return;
+    }
+    let sizeX = 1;
+    let sizeZ = 1;
+    let sizeY = 1;
+    if (mergeRuns) {
+      const rowMatches = (rowY, rowZ) => {
+        for (let dx = 0; dx < sizeX; dx++) {
+          if (!matches(x + dx, rowY, rowZ, color)) {
+            return false;
+          }
+        }
+        return true;
+      };
+      while (matches(x + sizeX, y, z, color)) {
+        sizeX++;
+      }
+      while (rowMatches(y, z + sizeZ)) {
+        sizeZ++;
+      }
+      const layerMatches = (layerY) => {
+        for (let dz = 0; dz < sizeZ; dz++) {
+          if (!rowMatches(layerY, z + dz)) {
+            return false;
+          }
+        }
+        return true;
+      };
+      while (layerMatches(y + sizeY)) {
+        sizeY++;
+      }
+    }
+    for (let dy = 0; dy < sizeY; dy++) {
+      for (let dz = 0; dz < sizeZ; dz++) {
+        for (let dx = 0; dx < sizeX; dx++) {
+          remaining.delete(cellKey(x + dx, y + dy, z + dz));
+        }
+      }
+    }
+    boxes.push({ x, y, z, sizeX, sizeY, sizeZ, color });
+  });
+  return boxes;
+}
+
+function resolveEmissive(vox, color) {
+  const material = vox.materials.get(color);
+  if (material?.type !== '_emit' || material.emit <= 0) {
+    return null;
+  }
+  return Math.max(1, Math.round(Math.min(1, material.emit) * MAX_EMISSIVE));
+}
+
+// Boxes become library voxels: x/z at the box centre, y at its bottom, all
+// shifted so the model stands on y 0 centred over the origin.
+function buildDefinition(vox, cells, { id, label, description, options }) {
+  const values = Array.from(cells.values());
+  const bounds = values.reduce(
+    (box, { x, y, z }) => ({
+      minX: Math.min(box.minX, x),
+      maxX: Math.max(box.maxX, x),
+      minY: Math.min(box.minY, y),
+      minZ: Math.min(box.minZ, z),
+      maxZ: Math.max(box.maxZ, z),
+    }),
+    { minX: Infinity, maxX: -Infinity, minY: Infinity, minZ: Infinity, maxZ: -Infinity },
+  );
+  const shiftX = Math.round((bounds.minX + bounds.maxX) / 2);
+  const shiftZ = Math.round((bounds.minZ + bounds.maxZ) / 2);
+
+  const voxels = mergeColourRuns(cells, options.mergeRuns).map((box) => {
+    const emissive = resolveEmissive(vox, box.color);
+    const uniform = box.sizeX === box.sizeY && box.sizeY === box.sizeZ;
+    const size = uniform ? box.sizeX : [box.sizeX, box.sizeY, box.sizeZ];
+    return {
+      type: options.blockType,
+      position: [
+        box.x + (box.sizeX - 1) / 2 - shiftX,
+        box.y - bounds.minY,
+        box.z + (box.sizeZ - 1) / 2 - shiftZ,
+      ],
+      ...(size !== 1 ? { size } : {}),
+      tint: vox.palette[box.color] ?? '#ffffff',
+      ...(emissive ? { emissive } : {}),
+    };
+  });
+
+  return {
+    id,
+    label,
+    category: options.category,
+    author: options.author ?? 'unknown',
+    description,
+    voxelScale: options.voxelScale,
+    ignoreBiomeTint: true,
+    voxels,
+  };
+}
+
+export function voxelObjectIdFromFileName(fileName) {
+  const base = String(fileName)
+    .split(/[\\/]/)
+    .pop()
+    .replace(/\.vox$/i, '');
+  const id = base
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return id || 'imported_vox';
+}
+
+// Converts a parsed .vox file into voxel-object definitions (raw JSON form,
+// ready for voxel-objects/<category>/). `split` picks what becomes one
+// definition: the whole scene at `frame`, every model on its own, or every
+// animation keyframe of the scene. Single results keep the plain id; split
+// results get a `_<model>` or `_f<frame>` suffix.
+export function convertVoxToVoxelObjects(vox, options = {}) {
+  // Options left undefined (unset CLI flags) keep their defaults.
+  const settings = { ...DEFAULT_OPTIONS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined) {
+      settings[key] = value;
+    }
+  });
+  if (!SPLIT_MODES.has(settings.split)) {
+    throw new Error(`Unknown split mode "${settings.split}". Expected scene, models or frames.`);
+  }
+  if (typeof settings.voxelScale !== 'number' || !(settings.voxelScale > 0)) {
+    throw new Error('voxelScale must be a positive number.');
+  }
+  const id = settings.id ?? voxelObjectIdFromFileName(settings.sourceName ?? '');
+  const label = settings.label ?? id;
+  const source = settings.sourceName ? ` from ${settings.sourceName}` : '';
+
+  const groups = [];
+  if (settings.split === 'models') {
+    vox.models.forEach((model, index) => {
+      groups.push({
+        suffix: `_${index}`,
+        labelSuffix: ` (model ${index})`,
+        instances: [{ model, transform: IDENTITY }],
+      });
+    });
+  } else if (settings.split === 'frames') {
+    listKeyframes(vox).forEach((frame) => {
+      groups.push({
+        suffix: `_f${frame}`,
+        labelSuffix: ` (frame ${frame})`,
+        instances: collectSceneInstances(vox, frame, settings.includeHidden),
+      });
+    });
+  } else {
+    groups.push({
+      suffix: '',
+      labelSuffix: '',
+      instances: collectSceneInstances(vox, settings.frame, settings.includeHidden),
+    });
+  }
+
+  const single = groups.length === 1;
+  return groups
+    .map(({ suffix, labelSuffix, instances }) => ({
+      suffix: single ? '' : suffix,
+      labelSuffix: single ? '' : labelSuffix,
+      cells: rasterizeInstances(instances),
+    }))
+    .filter(({ cells }) => cells.size > 0)
+    .map(({ suffix, labelSuffix, cells }) =>
+      buildDefinition(vox, cells, {
+        id: `${id}${suffix}`,
+        label: `${label}${labelSuffix}`,
+        description: `Imported${source}${labelSuffix}.`,
+        options: settings,
+      }),
+    );
+}
@@ -0,0 +1,609 @@
+import { isOccludingEntry } from './face-culling.js';
+
+// Dense per-chunk voxel storage. Each chunk column is split into 16-block-tall
+// sections holding a block type id (Uint16) and a state byte (collision mode
+// plus flags) per cell; sections are only allocated once something is written
+// into them. Fluid column bounds (and the fluid type index, plus one, in the
+// flag table) live in flat 2D tables beside the sections.
+// Light levels sit in a parallel byte per cell (sky light in the high nibble,
+// block light in the low one); light sections above the highest lit section
+// read as open sky and sections below it as darkness. Fluid cells keep one
+// more byte (level and flow flags, see fluids/fluid-simulation.js) in
+// sections allocated only where fluid has been written.
+
+export const VOXEL_SECTION_HEIGHT = 16;
+export const VOXEL_SECTION_COUNT = 16;
+export const VOXEL_MIN_Y = -64;
+export const VOXEL_MAX_Y = VOXEL_MIN_Y + VOXEL_SECTION_HEIGHT * VOXEL_SECTION_COUNT - 1;
+
+const COLLISION_MODES = ['none', 'solid', 'soft', 'liquid'];
+const COLLISION_MASK = 3;
+
+export const VOXEL_FLAG_WATER = 4;
+export const VOXEL_FLAG_OCCLUDER = 8;
+export const VOXEL_FLAG_INDESTRUCTIBLE = 16;
+export const VOXEL_FLAG_PLACED = 32;
+export const VOXEL_FLAG_OBJECT = 64;
+
+const typeNames = [null];
+const typeIds = new Map();
+
+export function getVoxelTypeId(type) {
+  if (!type) {
+    return 0;
+  }
+  let id = typeIds.get(type);
+  if (id === undefined) {
+    id = typeNames.length;
+    if (id > 0xffff) {
+      throw new Error(`Voxel type table is full; cannot register "${type}"`);
+    }
+    typeNames.push(type);
+    typeIds.set(type, id);
+  }
+  return id;
+}
+
+export function getVoxelTypeName(id) {
+  return typeNames[id] ?? null;
+}
+
+export function collisionModeFromState(state) {
+  return COLLISION_MODES[state & COLLISION_MASK];
+}
+
+export function encodeVoxelState(entry) {
+  const modeIndex = COLLISION_MODES.indexOf(entry.collisionMode);
+  let state = modeIndex > 0 ? modeIndex : 0;
+  if (entry.isWater) state |= VOXEL_FLAG_WATER;
+  if (isOccludingEntry(entry)) state |= VOXEL_FLAG_OCCLUDER;
+  if (entry.destructible === false) state |= VOXEL_FLAG_INDESTRUCTIBLE;
+  if (entry.isPlaced) state |= VOXEL_FLAG_PLACED;
+  if (entry.sourceObjectId) state |= VOXEL_FLAG_OBJECT;
+  return state;
+}
+
+// World-space bounds of an instanced entry: its instance matrix applied to
+// the mesh geometry's box (a unit cube for plain blocks), widened to stay
+// axis-aligned when the instance is rotated.
+export function computeEntryBox(entry) {
+  const elements = entry.matrix?.elements;
+  if (!elements) {
+    const { x, y, z } = entry.position;
+    return {
+      min: { x: x - 0.5, y: y - 0.5, z: z - 0.5 },
+      max: { x: x + 0.5, y: y + 0.5, z: z + 0.5 },
+    };
+  }
+  const geometry = entry.mesh?.geometry ?? null;
+  if (geometry && !geometry.boundingBox) {
+    geometry.computeBoundingBox();
+  }
+  const bounds = geometry?.boundingBox ?? null;
+  const local = bounds
+    ? {
+        cx: (bounds.min.x + bounds.max.x) / 2,
+        cy: (bounds.min.y + bounds.max.y) / 2,
+        cz: (bounds.min.z + bounds.max.z) / 2,
+        hx: (bounds.max.x - bounds.min.x) / 2,
+        hy: (bounds.max.y - bounds.min.y) / 2,
+        hz: (bounds.max.z - bounds.min.z) / 2,
+      }
+    : { cx: 0, cy: 0, cz: 0, hx: 0.5, hy: 0.5, hz: 0.5 };
+  const e = elements;
+  const centerX = e[0] * local.cx + e[4] * local.cy + e[8] * local.cz + e[12];
+  const centerY = e[1] * local.cx + e[5] * local.cy + e[9] * local.cz + e[13];
+  const centerZ = e[2] * local.cx + e[6] * local.cy + e[10] * local.cz + e[14];
+  const halfX = Math.abs(e[0]) * local.hx + Math.abs(e[4]) * local.hy + Math.abs(e[8]) * local.hz;
+  const halfY = Math.abs(e[1]) * local.hx + Math.abs(e[5]) * local.hy + Math.abs(e[9]) * local.hz;
+  const halfZ = Math.abs(e[2]) * local.hx + Math.abs(e[6]) * local.hy + Math.abs(e[10]) * local.hz;
+  return {
+    min: { x: centerX - halfX, y: centerY - halfY, z: centerZ - halfZ },
+    max: { x: centerX + halfX, y: centerY + halfY, z: centerZ + halfZ },
+  };
+}
+
+// Calls back with every whole cell an entry's box overlaps.
+export function forEachEntryCell(entry, callback) {
+  const { min, max } = computeEntryBox(entry);
+  const fromX = Math.round(min.x);
+  const toX = Math.round(max.x);
+  const fromY = Math.round(min.y);
+  const toY = Math.round(max.y);
+  const fromZ = Math.round(min.z);
+  const toZ = Math.round(max.z);
+  for (let x = fromX; x <= toX; x += 1) {
+    for (let z = fromZ; z <= toZ; z += 1) {
+      for (let y = fromY; y <= toY; y += 1) {
+        callback(x, y, z);
+      }
+    }
+  }
+}
+
+export const OPEN_SKY_LIGHT = 0xf0;
+
+export function createChunkVoxelGrid({ chunkX, chunkZ, chunkSize }) {
+  if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+    throw new Error('createChunkVoxelGrid requires an integer chunkSize');
+  }
+  const minX = chunkX * chunkSize - chunkSize / 2;
+  const minZ = chunkZ * chunkSize - chunkSize / 2;
+  const layerSize = chunkSize * chunkSize;
+  const sectionSize = layerSize * VOXEL_SECTION_HEIGHT;
+  const sections = new Array(VOXEL_SECTION_COUNT).fill(null);
+  // Cells outside the sectioned height range (tall builds, deep digs) fall
+  // back to a small keyed map so nothing is silently dropped.
+  const overflow = new Map();
+  const waterFlags = new Uint8Array(layerSize);
+  const waterBottom = new Float32Array(layerSize);
+  const waterSurface = new Float32Array(layerSize);
+  // Entries that do not sit on the block grid (object nanovoxels, scaled
+  // parts, decorations) are bucketed under every cell their box overlaps so
+  // ray queries can test them without walking the chunk's meshes.
+  const subVoxels = new Map();
+  let subVoxelCount = 0;
+  const lightSections = new Array(VOXEL_SECTION_COUNT).fill(null);
+  // What an unallocated light section reads as: open sky until a light
+  // reset marks the sections below the lit range as dark.
+  const lightFill = new Uint8Array(VOXEL_SECTION_COUNT).fill(OPEN_SKY_LIGHT);
+  let lightBottom = -1;
+  let lightTop = -1;
+  let lightReady = false;
+  const fluidSections = new Array(VOXEL_SECTION_COUNT).fill(null);
+  const counts = {
+    voxels: 0,
+    solid: 0,
+    soft: 0,
+    liquid: 0,
+    waterColumns: 0,
+    fluidCells: 0,
+  };
+
+  function columnIndex(x, z) {
+    if (!Number.isInteger(x) || !Number.isInteger(z)) {
+      return -1;
+    }
+    const localX = x - minX;
+    const localZ = z - minZ;
+    if (localX < 0 || localX >= chunkSize || localZ < 0 || localZ >= chunkSize) {
+      return -1;
+    }
+    return localZ * chunkSize + localX;
+  }
+
+  function adjustCounts(state, delta) {
+    counts.voxels += delta;
+    const mode = state & COLLISION_MASK;
+    if (mode === 1) counts.solid += delta;
+    else if (mode === 2) counts.soft += delta;
+    else if (mode === 3) counts.liquid += delta;
+  }
+
+  function readCell(x, y, z, out) {
+    const column = columnIndex(x, z);
+    if (column < 0 || !Number.isInteger(y)) {
+      return false;
+    }
+    if (y < VOXEL_MIN_Y || y > VOXEL_MAX_Y) {
+      const cell = overflow.get(`${x}|${y}|${z}`);
+      if (!cell) {
+        return false;
+      }
+      out.id = cell.id;
+      out.state = cell.state;
+      return true;
+    }
+    const offsetY = y - VOXEL_MIN_Y;
+    const section = sections[Math.floor(offsetY / VOXEL_SECTION_HEIGHT)];
+    if (!section) {
+      return false;
+    }
+    const index = (offsetY % VOXEL_SECTION_HEIGHT) * layerSize + column;
+    if (section.ids[index] === 0) {
+      return false;
+    }
+    out.id = section.ids[index];
+    out.state = section.states[index];
+    return true;
+  }
+
+  const scratch = { id: 0, state: 0 };
+
+  function getState(x, y, z) {
+    return readCell(x, y, z, scratch) ? scratch.state : -1;
+  }
+
+  function getTypeId(x, y, z) {
+    return readCell(x, y, z, scratch) ? scratch.id : 0;
+  }
+
+  function setVoxel(x, y, z, type, state) {
+    const column = columnIndex(x, z);
+    if (column < 0 || !Number.isInteger(y)) {
+      return false;
+    }
+    const id = getVoxelTypeId(type);
+    if (id === 0) {
+      return clearVoxel(x, y, z);
+    }
+    if (y < VOXEL_MIN_Y || y > VOXEL_MAX_Y) {
+      const key = `${x}|${y}|${z}`;
+      const previous = overflow.get(key);
+      if (previous) {
+        adjustCounts(previous.state, -1);
+      }
+      overflow.set(key, { id, state });
+      adjustCounts(state, 1);
+      return true;
+    }
+    const offsetY = y - VOXEL_MIN_Y;
+    const sectionIndex = Math.floor(offsetY / VOXEL_SECTION_HEIGHT);
+    let section = sections[sectionIndex];
+    if (!section) {
+      section = {
+        ids: new Uint16Array(sectionSize),
+        states: new Uint8Array(sectionSize),
+        filled: 0,
+      };
+      sections[sectionIndex] = section;
+    }
+    const index = (offsetY % VOXEL_SECTION_HEIGHT) * layerSize + column;
+    if (section.ids[index] !== 0) {
+      adjustCounts(section.states[index], -1);
+    } else {
+      section.filled += 1;
+    }
+    section.ids[index] = id;
+    section.states[index] = state;
+    adjustCounts(state, 1);
+    return true;
+  }
+
+  function clearVoxel(x, y, z) {
+    const column = columnIndex(x, z);
+    if (column < 0 || !Number.isInteger(y)) {
+      return false;
+    }
+    if (y < VOXEL_MIN_Y || y > VOXEL_MAX_Y) {
+      const key = `${x}|${y}|${z}`;
+      const previous = overflow.get(key);
+      if (!previous) {
+        return false;
+      }
+      overflow.delete(key);
+      adjustCounts(previous.state, -1);
+      return true;
+    }
+    const offsetY = y - VOXEL_MIN_Y;
+    const sectionIndex = Math.floor(offsetY / VOXEL_SECTION_HEIGHT);
+    const section = sections[sectionIndex];
+    if (!section) {
+      return false;
+    }
+    const index = (offsetY % VOXEL_SECTION_HEIGHT) * layerSize + column;
+    if (section.ids[index] === 0) {
+      return false;
+    }
+    adjustCounts(section.states[index], -1);
+    section.ids[index] = 0;
+    section.states[index] = 0;
+    section.filled -= 1;
+    if (section.filled === 0) {
+      sections[sectionIndex] = null;
+    }
+    return true;
+  }
+
+  function setFromEntry(entry) {
+    const position = entry?.position;
+    if (!position) {
+      return false;
+    }
+    return setVoxel(position.x, position.y, position.z, entry.type, encodeVoxelState(entry));
+  }
+
+  function forEachBoxCell(entry, callback) {
+    forEachEntryCell(entry, (x, y, z) => {
+      const column = columnIndex(x, z);
+      if (column >= 0) {
+        callback((y - VOXEL_MIN_Y) * layerSize + column);
+      }
+    });
+  }
+
+  function addSubVoxelEntry(entry) {
+    if (!entry?.position) {
+      return false;
+    }
+    forEachBoxCell(entry, (cell) => {
+      let bucket = subVoxels.get(cell);
+      if (!bucket) {
+        bucket = new Set();
+        subVoxels.set(cell, bucket);
+      }
+      bucket.add(entry);
+    });
+    subVoxelCount += 1;
+    return true;
+  }
+
+  function removeSubVoxelEntry(entry) {
+    if (!entry?.position) {
+      return false;
+    }
+    let removed = false;
+    forEachBoxCell(entry, (cell) => {
+      const bucket = subVoxels.get(cell);
+      if (bucket?.delete(entry)) {
+        removed = true;
+        if (bucket.size === 0) {
+          subVoxels.delete(cell);
+        }
+      }
+    });
+    if (removed) {
+      subVoxelCount -= 1;
+    }
+    return removed;
+  }
+
+  function getSubVoxelEntries(x, y, z) {
+    const column = columnIndex(x, z);
+    if (column < 0 || !Number.isInteger(y)) {
+      return null;
+    }
+    return subVoxels.get((y - VOXEL_MIN_Y) * layerSize + column) ?? null;
+  }
+
+  function getVoxel(x, y, z) {
+    if (!readCell(x, y, z, scratch)) {
+      return null;
+    }
+    const { id, state } = scratch;
+    return {
+      type: getVoxelTypeName(id),
+      typeId: id,
+      state,
+      collisionMode: collisionModeFromState(state),
+      isSolid: (state & COLLISION_MASK) === 1,
+      isWater: Boolean(state & VOXEL_FLAG_WATER),
+      isOccluder: Boolean(state & VOXEL_FLAG_OCCLUDER),
+      destructible: !(state & VOXEL_FLAG_INDESTRUCTIBLE),
+      isPlaced: Boolean(state & VOXEL_FLAG_PLACED),
+      isObjectVoxel: Boolean(state & VOXEL_FLAG_OBJECT),
+    };
+  }
+
+  function setWaterColumn(x, z, bounds) {
+    const column = columnIndex(x, z);
+    if (column < 0) {
+      return false;
+    }
+    if (!waterFlags[column]) {
+      counts.waterColumns += 1;
+    }
+    waterFlags[column] = (bounds?.typeIndex ?? 0) + 1;
+    waterBottom[column] = Number.isFinite(bounds?.bottomY) ? bounds.bottomY : Number.NaN;
+    waterSurface[column] = Number.isFinite(bounds?.surfaceY) ? bounds.surfaceY : Number.NaN;
+    return true;
+  }
+
+  function clearWaterColumn(x, z) {
+    const column = columnIndex(x, z);
+    if (column < 0 || !waterFlags[column]) {
+      return false;
+    }
+    waterFlags[column] = 0;
+    counts.waterColumns -= 1;
+    return true;
+  }
+
+  function getWaterColumn(x, z) {
+    const column = columnIndex(x, z);
+    if (column < 0 || !waterFlags[column]) {
+      return null;
+    }
+    const bottomY = waterBottom[column];
+    const surfaceY = waterSurface[column];
+    return {
+      bottomY: Number.isNaN(bottomY) ? null : bottomY,
+      surfaceY: Number.isNaN(surfaceY) ? null : surfaceY,
+      typeIndex: waterFlags[column] - 1,
+    };
+  }
+
+  function getLight(x, y, z) {
+    const column = columnIndex(x, z);
+    if (column < 0 || !Number.isInteger(y)) {
+      return -1;
+    }
+    if (y < VOXEL_MIN_Y) {
+      return 0;
+    }
+    if (y > VOXEL_MAX_Y) {
+      return OPEN_SKY_LIGHT;
+    }
+    const offsetY = y - VOXEL_MIN_Y;
+    const sectionIndex = Math.floor(offsetY / VOXEL_SECTION_HEIGHT);
+    const section = lightSections[sectionIndex];
+    if (!section) {
+      return lightFill[sectionIndex];
+    }
+    return section[(offsetY % VOXEL_SECTION_HEIGHT) * layerSize + column];
+  }
+
+  function setLight(x, y, z, value) {
+    const column = columnIndex(x, z);
+    if (column < 0 || !Number.isInteger(y) || y < VOXEL_MIN_Y || y > VOXEL_MAX_Y) {
+      return false;
+    }
+    const offsetY = y - VOXEL_MIN_Y;
+    const sectionIndex = Math.floor(offsetY / VOXEL_SECTION_HEIGHT);
+    let section = lightSections[sectionIndex];
+    if (!section) {
+      section = new Uint8Array(sectionSize).fill(lightFill[sectionIndex]);
+      lightSections[sectionIndex] = section;
+      lightBottom = lightBottom < 0 ? sectionIndex : Math.min(lightBottom, sectionIndex);
+      lightTop = Math.max(lightTop, sectionIndex);
+    }
+    section[(offsetY % VOXEL_SECTION_HEIGHT) * layerSize + column] = value;
+    return true;
+  }
+
+  // Drops any stored light and allocates dark light sections over the block
+  // sections in use. Returns the lit height range, or null for an empty chunk.
+  function resetLight() {
+    lightSections.fill(null);
+    lightFill.fill(OPEN_SKY_LIGHT);
+    lightBottom = -1;
+    lightTop = -1;
+    lightReady = true;
+    let lowest = -1;
+    let highest = -1;
+    sections.forEach((section, index) => {
+      if (section) {
+        lowest = lowest < 0 ? index : lowest;
+        highest = index;
+      }
+    });
+    if (highest < 0) {
+      return null;
+    }
+    lightFill.fill(0, 0, lowest);
+    for (let index = lowest; index <= highest; index += 1) {
+      lightSections[index] = new Uint8Array(sectionSize);
+    }
+    lightBottom = lowest;
+    lightTop = highest;
+    return getLightRange();
+  }
+
+  function getLightRange() {
+    if (lightTop < 0) {
+      return null;
+    }
+    return {
+      minY: VOXEL_MIN_Y + lightBottom * VOXEL_SECTION_HEIGHT,
+      maxY: VOXEL_MIN_Y + (lightTop + 1) * VOXEL_SECTION_HEIGHT - 1,
+    };
+  }
+
+  function getFluid(x, y, z) {
+    const column = columnIndex(x, z);
+    if (column < 0 || !Number.isInteger(y)) {
+      return -1;
+    }
+    if (y < VOXEL_MIN_Y || y > VOXEL_MAX_Y) {
+      return 0;
+    }
+    const offsetY = y - VOXEL_MIN_Y;
+    const section = fluidSections[Math.floor(offsetY / VOXEL_SECTION_HEIGHT)];
+    if (!section) {
+      return 0;
+    }
+    return section.cells[(offsetY % VOXEL_SECTION_HEIGHT) * layerSize + column];
+  }
+
+  function setFluid(x, y, z, value) {
+    const column = columnIndex(x, z);
+    if (column < 0 || !Number.isInteger(y) || y < VOXEL_MIN_Y || y > VOXEL_MAX_Y) {
+      return false;
+    }
+    const offsetY = y - VOXEL_MIN_Y;
+    const sectionIndex = Math.floor(offsetY / VOXEL_SECTION_HEIGHT);
+    let section = fluidSections[sectionIndex];
+    if (!section) {
+      if (!value) {
+        return true;
+      }
+      section = { cells: new Uint8Array(sectionSize), filled: 0 };
+      fluidSections[sectionIndex] = section;
+    }
+    const index = (offsetY % VOXEL_SECTION_HEIGHT) * layerSize + column;
+    const previous = section.cells[index];
+    if (previous && !value) {
+      section.filled -= 1;
+      counts.fluidCells -= 1;
+    } else if (!previous && value) {
+      section.filled += 1;
+      counts.fluidCells += 1;
+    }
+    section.cells[index] = value;
+    if (section.filled === 0) {
+      fluidSections[sectionIndex] = null;
+    }
+    return true;
+  }
+
+  function getFluidRange() {
+    let lowest = -1;
+    let highest = -1;
+    fluidSections.forEach((section, index) => {
+      if (section) {
+        lowest = lowest < 0 ? index : lowest;
+        highest = index;
+      }
+    });
+    if (highest < 0) {
+      return null;
+    }
+    return {
+      minY: VOXEL_MIN_Y + lowest * VOXEL_SECTION_HEIGHT,
+      maxY: VOXEL_MIN_Y + (highest + 1) * VOXEL_SECTION_HEIGHT - 1,
+    };
+  }
+
+  function getStats() {
+    let allocatedSections = 0;
+    sections.forEach((section) => {
+      if (section) {
+        allocatedSections += 1;
+      }
+    });
+    const litSections = lightSections.filter(Boolean).length;
+    const wetSections = fluidSections.filter(Boolean).length;
+    const sectionBytes = sectionSize * (Uint16Array.BYTES_PER_ELEMENT + 1);
+    const columnBytes = layerSize * (1 + Float32Array.BYTES_PER_ELEMENT * 2);
+    return {
+      ...counts,
+      sections: allocatedSections,
+      lightSections: litSections,
+      fluidSections: wetSections,
+      overflow: overflow.size,
+      subVoxels: subVoxelCount,
+      bytes:
+        allocatedSections * sectionBytes +
+        (litSections + wetSections) * sectionSize +
+        columnBytes,
+    };
+  }
+
+  return {
+    chunkX,
+    chunkZ,
+    minX,
+    minZ,
+    getState,
+    getTypeId,
+    getVoxel,
+    setVoxel,
+    setFromEntry,
+    clearVoxel,
+    addSubVoxelEntry,
+    removeSubVoxelEntry,
+    getSubVoxelEntries,
+    setWaterColumn,
+    clearWaterColumn,
+    getWaterColumn,
+    getLight,
+    setLight,
+    resetLight,
+    getLightRange,
+    hasLight: () => lightReady,
+    getFluid,
+    setFluid,
+    getFluidRange,
+    getStats,
+  };
+}
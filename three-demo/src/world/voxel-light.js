@@ -0,0 +1,492 @@
+import { isOccludingEntry } from './face-culling.js';
+import { getVoxelObjectById } from './voxel-object-library.js';
+import { resolveVoxelObjectVoxels } from './voxel-object-processor.js';
+import {
+  OPEN_SKY_LIGHT,
+  VOXEL_FLAG_OCCLUDER,
+  VOXEL_FLAG_WATER,
+  VOXEL_MAX_Y,
+  VOXEL_MIN_Y,
+  forEachEntryCell,
+} from './voxel-grid.js';
+
+// Sky and block light are flood-filled over the voxel grid with levels 0–15.
+// Sky light falls straight down at full strength and loses a level per step
+// sideways; block light spreads from emissive blocks and object voxels. Water
+// costs two levels per cell so deep water and sea caves stay dim.
+
+export const MAX_LIGHT_LEVEL = 15;
+const SKY = 0;
+const BLOCK = 1;
+const WATER_COST = 2;
+
+const NEIGHBOR_OFFSETS = [
+  [1, 0, 0],
+  [-1, 0, 0],
+  [0, 1, 0],
+  [0, -1, 0],
+  [0, 0, 1],
+  [0, 0, -1],
+];
+
+const blockEmission = new Map([['crystal_ore', 7]]);
+const objectEmissionCache = new Map();
+
+function clampLevel(value) {
+  const numeric = Math.round(Number(value));
+  return Number.isFinite(numeric) ? Math.max(0, Math.min(MAX_LIGHT_LEVEL, numeric)) : 0;
+}
+
+export function getSkyLight(packed) {
+  return packed >> 4;
+}
+
+export function getBlockLight(packed) {
+  return packed & 15;
+}
+
+export function getBlockTypeEmission(type) {
+  return blockEmission.get(type) ?? 0;
+}
+
+// Lets other systems (fluids, placed light blocks) register a block type that
+// glows regardless of which object it belongs to.
+export function setBlockTypeEmission(type, level) {
+  const clamped = clampLevel(level);
+  if (clamped > 0) {
+    blockEmission.set(type, clamped);
+  } else {
+    blockEmission.delete(type);
+  }
+  return clamped;
+}
+
+function resolveObjectVoxelEmission(objectId, voxelIndex) {
+  let levels = objectEmissionCache.get(objectId);
+  if (levels === undefined) {
+    const object = getVoxelObjectById(objectId);
+    const fallback = object?.emissive ?? 0;
+    const voxels = object ? resolveVoxelObjectVoxels(object) : [];
+    levels = voxels.some((voxel) => (voxel.emissive ?? fallback) > 0)
+      ? voxels.map((voxel) => voxel.emissive ?? fallback)
+      : null;
+    objectEmissionCache.set(objectId, levels);
+  }
+  return levels?.[voxelIndex] ?? 0;
+}
+
+// Emission of one instanced entry, cached on the entry: the block type's own
+// level, or the object voxel's `emissive` when the entry came from an object.
+export function resolveEntryEmission(entry) {
+  if (!entry) {
+    return 0;
+  }
+  if (entry.emission === undefined) {
+    let level = getBlockTypeEmission(entry.type);
+    if (entry.sourceObjectId && Number.isInteger(entry.voxelIndex)) {
+      level = Math.max(level, resolveObjectVoxelEmission(entry.sourceObjectId, entry.voxelIndex));
+    }
+    entry.emission = level;
+  }
+  return entry.emission;
+}
+
+// Cells an emissive entry lights: its own cell for blocks on the grid, every
+// overlapped cell for decorations and off-grid object voxels (matching the
+// sub-voxel buckets the grid keeps for them).
+export function forEachEmitterCell(entry, callback) {
+  const { x, y, z } = entry.position;
+  if (!entry.isDecoration && Number.isInteger(x) && Number.isInteger(y) && Number.isInteger(z)) {
+    callback(x, y, z);
+    return;
+  }
+  forEachEntryCell(entry, callback);
+}
+
+// `voxelLight` attribute (per instance, or per vertex on block face meshes)
+// read by the biome tint material:
+// (sky, block, own emission), each scaled to 0–1.
+export function writeVoxelLightAttribute(attribute, index, entry) {
+  if (!attribute) {
+    return;
+  }
+  const packed = entry?.light ?? OPEN_SKY_LIGHT;
+  const offset = index * 3;
+  attribute.array[offset] = getSkyLight(packed) / MAX_LIGHT_LEVEL;
+  attribute.array[offset + 1] = getBlockLight(packed) / MAX_LIGHT_LEVEL;
+  attribute.array[offset + 2] = (entry?.emission ?? 0) / MAX_LIGHT_LEVEL;
+  attribute.needsUpdate = true;
+}
+
+function readChannel(packed, channel) {
+  return channel === SKY ? packed >> 4 : packed & 15;
+}
+
+function writeChannel(packed, channel, level) {
+  return channel === SKY ? (packed & 15) | (level << 4) : (packed & 0xf0) | level;
+}
+
+function isOpaque(state) {
+  return state >= 0 && (state & VOXEL_FLAG_OCCLUDER) !== 0;
+}
+
+function isWater(state) {
+  return state >= 0 && (state & VOXEL_FLAG_WATER) !== 0;
+}
+
+function containsColumn(grid, x, z, chunkSize) {
+  return x >= grid.minX && x < grid.minX + chunkSize && z >= grid.minZ && z < grid.minZ + chunkSize;
+}
+
+function cellKey(x, y, z) {
+  return `${x}|${y}|${z}`;
+}
+
+export function createVoxelLightEngine({ chunkSize, resolveVoxelGrid, getCellEmission }) {
+  if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+    throw new Error('createVoxelLightEngine requires an integer chunkSize');
+  }
+  if (typeof resolveVoxelGrid !== 'function' || typeof getCellEmission !== 'function') {
+    throw new Error('createVoxelLightEngine requires resolveVoxelGrid and getCellEmission functions');
+  }
+
+  const dirtyCells = new Set();
+  const stats = { chunksLit: 0, lastChunkMs: 0, flushes: 0, lastFlushCells: 0, lastFlushMs: 0 };
+
+  // Grids without computed light (still being built) are treated as missing
+  // so nothing spreads into them before their own pass runs.
+  function neighborGrid(grid, x, z, restricted) {
+    if (containsColumn(grid, x, z, chunkSize)) {
+      return grid;
+    }
+    if (restricted) {
+      return null;
+    }
+    const neighbor = resolveVoxelGrid(x, z);
+    return neighbor?.hasLight() ? neighbor : null;
+  }
+
+  // Breadth-first increase pass. The queue holds x, y, z triples of cells
+  // whose current level should be pushed outward.
+  function spread(queue, channel, restrictTo = null, touched = null) {
+    for (let head = 0; head < queue.length; head += 3) {
+      const x = queue[head];
+      const y = queue[head + 1];
+      const z = queue[head + 2];
+      const grid = restrictTo ?? resolveVoxelGrid(x, z);
+      if (!grid?.hasLight()) {
+        continue;
+      }
+      const level = readChannel(grid.getLight(x, y, z), channel);
+      if (level <= 1) {
+        continue;
+      }
+      for (let i = 0; i < NEIGHBOR_OFFSETS.length; i += 1) {
+        const [dx, dy, dz] = NEIGHBOR_OFFSETS[i];
+        const nx = x + dx;
+        const ny = y + dy;
+        const nz = z + dz;
+        if (ny < VOXEL_MIN_Y || ny > VOXEL_MAX_Y) {
+          continue;
+        }
+        const target = neighborGrid(grid, nx, nz, Boolean(restrictTo));
+        if (!target) {
+          continue;
+        }
+        const state = target.getState(nx, ny, nz);
+        if (isOpaque(state)) {
+          continue;
+        }
+        const water = isWater(state);
+        const next =
+          channel === SKY && dy === -1 && level === MAX_LIGHT_LEVEL && !water
+            ? MAX_LIGHT_LEVEL
+            : level - (water ? WATER_COST : 1);
+        const packed = target.getLight(nx, ny, nz);
+        if (next <= readChannel(packed, channel)) {
+          continue;
+        }
+        target.setLight(nx, ny, nz, writeChannel(packed, channel, next));
+        touched?.add(cellKey(nx, ny, nz));
+        queue.push(nx, ny, nz);
+      }
+    }
+  }
+
+  // Breadth-first removal pass over x, y, z, level quads. Cells lit only
+  // through a removed cell go dark; brighter or independent neighbours are
+  // handed to the relight queue, as are emitters caught in the dark region.
+  function unspread(queue, channel, relight, touched) {
+    for (let head = 0; head < queue.length; head += 4) {
+      const x = queue[head];
+      const y = queue[head + 1];
+      const z = queue[head + 2];
+      const level = queue[head + 3];
+      const grid = resolveVoxelGrid(x, z);
+      if (!grid) {
+        continue;
+      }
+      for (let i = 0; i < NEIGHBOR_OFFSETS.length; i += 1) {
+        const [dx, dy, dz] = NEIGHBOR_OFFSETS[i];
+        const nx = x + dx;
+        const ny = y + dy;
+        const nz = z + dz;
+        const target = neighborGrid(grid, nx, nz, false);
+        if (!target) {
+          continue;
+        }
+        const packed = target.getLight(nx, ny, nz);
+        const neighborLevel = readChannel(packed, channel);
+        if (neighborLevel === 0) {
+          continue;
+        }
+        const dependent =
+          neighborLevel < level ||
+          (channel === SKY && dy === -1 && level === MAX_LIGHT_LEVEL && neighborLevel === MAX_LIGHT_LEVEL);
+        if (!dependent) {
+          relight.push(nx, ny, nz);
+          continue;
+        }
+        const emission = channel === BLOCK ? getCellEmission(nx, ny, nz) : 0;
+        target.setLight(nx, ny, nz, writeChannel(packed, channel, emission));
+        touched.add(cellKey(nx, ny, nz));
+        queue.push(nx, ny, nz, neighborLevel);
+        if (emission > 0) {
+          relight.push(nx, ny, nz);
+        }
+      }
+    }
+  }
+
+  // Full light pass for one chunk in isolation: straight-down sky columns,
+  // sideways spill under overhangs, then block light from the emitters.
+  // Light from neighbouring chunks arrives in stitchChunk.
+  function lightChunk(grid, emitters = []) {
+    const start = performance.now();
+    const range = grid.resetLight();
+    if (!range) {
+      return;
+    }
+    const { minX, minZ } = grid;
+    const layerSize = chunkSize * chunkSize;
+    const fullFloor = new Int16Array(layerSize);
+    const litFloor = new Int16Array(layerSize);
+
+    for (let localZ = 0; localZ < chunkSize; localZ += 1) {
+      for (let localX = 0; localX < chunkSize; localX += 1) {
+        const x = minX + localX;
+        const z = minZ + localZ;
+        const column = localZ * chunkSize + localX;
+        let level = MAX_LIGHT_LEVEL;
+        fullFloor[column] = range.maxY + 1;
+        litFloor[column] = range.maxY + 1;
+        for (let y = range.maxY; y >= range.minY; y -= 1) {
+          const state = grid.getState(x, y, z);
+          if (isOpaque(state)) {
+            break;
+          }
+          if (isWater(state)) {
+            level -= WATER_COST;
+          }
+          if (level <= 0) {
+            break;
+          }
+          grid.setLight(x, y, z, level << 4);
+          litFloor[column] = y;
+          if (level === MAX_LIGHT_LEVEL) {
+            fullFloor[column] = y;
+          }
+        }
+      }
+    }
+
+    // Only cells below a neighbouring column's full-sky floor can brighten
+    // that neighbour, so those are the only sideways seeds.
+    const skyQueue = [];
+    for (let localZ = 0; localZ < chunkSize; localZ += 1) {
+      for (let localX = 0; localX < chunkSize; localX += 1) {
+        const column = localZ * chunkSize + localX;
+        let ceiling = -Infinity;
+        if (localX > 0) ceiling = Math.max(ceiling, fullFloor[column - 1]);
+        if (localX < chunkSize - 1) ceiling = Math.max(ceiling, fullFloor[column + 1]);
+        if (localZ > 0) ceiling = Math.max(ceiling, fullFloor[column - chunkSize]);
+        if (localZ < chunkSize - 1) ceiling = Math.max(ceiling, fullFloor[column + chunkSize]);
+        const top = Math.min(ceiling - 1, range.maxY);
+        for (let y = litFloor[column]; y <= top; y += 1) {
+          skyQueue.push(minX + localX, y, minZ + localZ);
+        }
+      }
+    }
+    spread(skyQueue, SKY, grid);
+
+    const blockQueue = [];
+    emitters.forEach(({ x, y, z, level }) => {
+      const packed = grid.getLight(x, y, z);
+      if (packed < 0 || getBlockLight(packed) >= level) {
+        return;
+      }
+      grid.setLight(x, y, z, writeChannel(packed, BLOCK, level));
+      blockQueue.push(x, y, z);
+    });
+    spread(blockQueue, BLOCK, grid);
+
+    stats.chunksLit += 1;
+    stats.lastChunkMs = performance.now() - start;
+  }
+
+  // Lets light cross the borders between a freshly lit chunk and its loaded
+  // neighbours in both directions. Returns the keys of every cell that
+  // brightened.
+  function stitchChunk(grid) {
+    const touched = new Set();
+    const skyQueue = [];
+    const blockQueue = [];
+    const maxX = grid.minX + chunkSize - 1;
+    const maxZ = grid.minZ + chunkSize - 1;
+    const borders = [
+      { x: maxX + 1, z: grid.minZ, stepX: 0, stepZ: 1, inward: [-1, 0] },
+      { x: grid.minX - 1, z: grid.minZ, stepX: 0, stepZ: 1, inward: [1, 0] },
+      { x: grid.minX, z: maxZ + 1, stepX: 1, stepZ: 0, inward: [0, -1] },
+      { x: grid.minX, z: grid.minZ - 1, stepX: 1, stepZ: 0, inward: [0, 1] },
+    ];
+    borders.forEach(({ x, z, stepX, stepZ, inward }) => {
+      const neighbor = resolveVoxelGrid(x, z);
+      if (!neighbor?.hasLight()) {
+        return;
+      }
+      const ownRange = grid.getLightRange();
+      const neighborRange = neighbor.getLightRange();
+      if (!ownRange && !neighborRange) {
+        return;
+      }
+      const fromY = Math.min(ownRange?.minY ?? Infinity, neighborRange?.minY ?? Infinity);
+      const toY = Math.max(ownRange?.maxY ?? -Infinity, neighborRange?.maxY ?? -Infinity);
+      for (let step = 0; step < chunkSize; step += 1) {
+        const outerX = x + stepX * step;
+        const outerZ = z + stepZ * step;
+        const innerX = outerX + inward[0];
+        const innerZ = outerZ + inward[1];
+        for (let y = fromY; y <= toY; y += 1) {
+          const outer = neighbor.getLight(outerX, y, outerZ);
+          const inner = grid.getLight(innerX, y, innerZ);
+          if (outer === inner) {
+            continue;
+          }
+          if (getSkyLight(outer) > 1) skyQueue.push(outerX, y, outerZ);
+          if (getSkyLight(inner) > 1) skyQueue.push(innerX, y, innerZ);
+          if (getBlockLight(outer) > 1) blockQueue.push(outerX, y, outerZ);
+          if (getBlockLight(inner) > 1) blockQueue.push(innerX, y, innerZ);
+        }
+      }
+    });
+    spread(skyQueue, SKY, null, touched);
+    spread(blockQueue, BLOCK, null, touched);
+    return touched;
+  }
+
+  function markDirty(x, y, z) {
+    if (resolveVoxelGrid(x, z)?.hasLight()) {
+      dirtyCells.add(cellKey(x, y, z));
+    }
+  }
+
+  // Queues the cells an entry affects: its own cell when it blocks light or
+  // slows it (water), and every cell it overlaps when it emits light.
+  function markEntryDirty(entry) {
+    if (!entry?.position) {
+      return;
+    }
+    if (resolveEntryEmission(entry) > 0) {
+      forEachEmitterCell(entry, markDirty);
+    }
+    if (isOccludingEntry(entry) || entry.isWater) {
+      const { x, y, z } = entry.position;
+      markDirty(Math.round(x), Math.round(y), Math.round(z));
+    }
+  }
+
+  // Re-lights every queued cell: darken whatever depended on the old light,
+  // then let the surviving light and any emitters flow back in. Returns the
+  // keys of every cell whose light changed, or null when nothing was queued.
+  function flush() {
+    if (dirtyCells.size === 0) {
+      return null;
+    }
+    const start = performance.now();
+    const touched = new Set();
+    const removal = [[], []];
+    const relight = [[], []];
+    dirtyCells.forEach((key) => {
+      const [x, y, z] = key.split('|').map(Number);
+      const grid = resolveVoxelGrid(x, z);
+      if (!grid?.hasLight()) {
+        return;
+      }
+      const packed = grid.getLight(x, y, z);
+      const emission = getCellEmission(x, y, z);
+      grid.setLight(x, y, z, emission);
+      touched.add(key);
+      if (getSkyLight(packed) > 0) removal[SKY].push(x, y, z, getSkyLight(packed));
+      if (getBlockLight(packed) > 0) removal[BLOCK].push(x, y, z, getBlockLight(packed));
+      if (emission > 0) relight[BLOCK].push(x, y, z);
+      NEIGHBOR_OFFSETS.forEach(([dx, dy, dz]) => {
+        relight[SKY].push(x + dx, y + dy, z + dz);
+        relight[BLOCK].push(x + dx, y + dy, z + dz);
+      });
+    });
+    stats.lastFlushCells = dirtyCells.size;
+    dirtyCells.clear();
+    unspread(removal[SKY], SKY, relight[SKY], touched);
+    unspread(removal[BLOCK], BLOCK, relight[BLOCK], touched);
+    spread(relight[SKY], SKY, null, touched);
+    spread(relight[BLOCK], BLOCK, null, touched);
+    stats.flushes += 1;
+    stats.lastFlushMs = performance.now() - start;
+    return touched;
+  }
+
+  function sampleLight(x, y, z) {
+    const packed = resolveVoxelGrid(x, z)?.getLight(x, y, z) ?? -1;
+    return packed < 0 ? OPEN_SKY_LIGHT : packed;
+  }
+
+  // Light an entry is drawn with. Opaque cubes (and anything sitting inside
+  // an opaque cell) take the brightest of the open cells around them, so a
+  // cave wall is lit by the cave rather than by the rock inside it.
+  function sampleEntryLight(entry) {
+    const x = Math.round(entry.position.x);
+    const y = Math.round(entry.position.y);
+    const z = Math.round(entry.position.z);
+    const grid = resolveVoxelGrid(x, z);
+    if (!grid?.hasLight()) {
+      return OPEN_SKY_LIGHT;
+    }
+    if (!isOccludingEntry(entry) && !isOpaque(grid.getState(x, y, z))) {
+      return grid.getLight(x, y, z);
+    }
+    let sky = 0;
+    let block = getBlockLight(grid.getLight(x, y, z));
+    NEIGHBOR_OFFSETS.forEach(([dx, dy, dz]) => {
+      const target = neighborGrid(grid, x + dx, z + dz, false);
+      if (!target) {
+        return;
+      }
+      const packed = target.getLight(x + dx, y + dy, z + dz);
+      sky = Math.max(sky, getSkyLight(packed));
+      block = Math.max(block, getBlockLight(packed));
+    });
+    return (sky << 4) | block;
+  }
+
+  return {
+    lightChunk,
+    stitchChunk,
+    markDirty,
+    markEntryDirty,
+    flush,
+    sampleLight,
+    sampleEntryLight,
+    hasPendingUpdates: () => dirtyCells.size > 0,
+    getStats: () => ({ ...stats, pendingCells: dirtyCells.size }),
+  };
+}
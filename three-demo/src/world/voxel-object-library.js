@@ -44,6 +44,20 @@ function parseSize(value, path) {
   throw new Error(`Unsupported size value in voxel object definition at ${path}.`);
 }
 
+// Light level (0–15) a voxel or whole object emits; `true` means full glow.
+function parseEmissive(value, path) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 15 : 0;
+  }
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    throw new Error(`Invalid emissive value in voxel object definition at ${path}.`);
+  }
+  return Math.max(0, Math.min(15, Math.round(value)));
+}
+
 function computeBoundingBox(voxels, voxelScale) {
   if (!voxels.length) {
     return null;
@@ -106,6 +120,9 @@ function normalizeVoxel(voxel, index, { path }) {
     typeof voxel.destructible === 'boolean' ? voxel.destructible : undefined;
   const ignoreBiomeTint =
     typeof voxel.ignoreBiomeTint === 'boolean' ? voxel.ignoreBiomeTint : undefined;
+  const emissive = parseEmissive(voxel.emissive, path);
+  // Articulated bodies (creatures) group voxels into named parts.
+  const part = typeof voxel.part === 'string' && voxel.part.trim() ? voxel.part.trim() : null;
 
   let collisionMode = null;
   if (typeof voxel.collision === 'string') {
@@ -129,6 +146,8 @@ function normalizeVoxel(voxel, index, { path }) {
     isSolid,
     destructible,
     ignoreBiomeTint,
+    emissive,
+    part,
 
     collisionMode,
 
@@ -162,6 +181,7 @@ function normalizeDefinition(path, raw) {
     typeof definition.ignoreBiomeTint === 'boolean'
       ? definition.ignoreBiomeTint
       : false;
+  const emissive = parseEmissive(definition.emissive, path) ?? 0;
 
   let destructionMode = DEFAULT_DESTRUCTION_MODE;
   if (typeof definition.destructionMode === 'string') {
@@ -277,6 +297,7 @@ function normalizeDefinition(path, raw) {
     boundingBox,
     destructionMode,
     ignoreBiomeTint,
+    emissive,
 
     collision: { mode: normalizedCollision },
 
@@ -299,6 +320,12 @@ Object.entries(voxelObjectModules).forEach(([path, module]) => {
 
 voxelObjectsByCategory.forEach((list) => list.sort((a, b) => a.id.localeCompare(b.id)));
 
+// Runs a definition that did not come from voxel-objects/ (editor drafts,
+// imported models) through the same validation as the bundled library.
+export function normalizeVoxelObjectDefinition(definition, path = '<inline>') {
+  return normalizeDefinition(path, definition);
+}
+
 export function getVoxelObjectById(id) {
   return voxelObjectLibrary.get(id) ?? null;
 }
@@ -9,17 +9,19 @@ import {
   computeVoxelObjectPlacements,
   getVoxelObjectPrototype,
 } from './voxel-object-prototypes.js';
-import {
-  getSectorPlacementsForColumn,
-  markPlacementCompleted,
-} from './sector-object-planner.js';
+import { getSectorPlacementsForColumn } from './sector-object-planner.js';
 import { ValueNoise2D } from './noise.js';
+import { deriveSeed } from './world-seed.js';
 import {
   cloneDecorationOptions,
   getDecorationMeshTemplate,
 } from './voxel-object-decoration-mesh.js';
 
-const objectDensityField = new ValueNoise2D(9103);
+let objectDensityField = new ValueNoise2D(9103);
+
+export function setObjectPlacementSeed(seed) {
+  objectDensityField = new ValueNoise2D(9103 + (deriveSeed(seed, 'object-density') % 65536));
+}
 
 function ensureRandomSource(randomSource) {
   if (typeof randomSource === 'function') {
@@ -178,6 +180,7 @@ export function populateColumnWithVoxelObjects({
   isShore = false,
   waterLevel = 0,
   distanceToWater = Infinity,
+  sectorPass = null,
 }) {
   if (!biome) {
     return;
@@ -265,64 +268,61 @@ export function populateColumnWithVoxelObjects({
   };
 
   let plannedStructurePlacements = 0;
+  const resolveSectorPlacement = (placement) => {
+    if (placement.requireUnderwater && !isUnderwater) {
+      return { status: 'skipped', reason: 'requires-underwater' };
+    }
+    if (!placement.allowUnderwater && isUnderwater) {
+      return { status: 'skipped', reason: 'underwater' };
+    }
+    if (placement.preferShore && distanceToWater > 3) {
+      return { status: 'skipped', reason: 'too-far-from-shore' };
+    }
+
+    const object = selectObject(
+      placement.category,
+      biome,
+      random,
+      placement.randomSeed,
+    );
+    if (!object) {
+      return { status: 'skipped', reason: 'no-object-for-biome' };
+    }
+    if (!canPlaceObject(object)) {
+      return { status: 'skipped', reason: 'object-placement-rules', objectId: object.id };
+    }
+
+    const baseX = placement.anchor?.x ?? worldX;
+    const baseZ = placement.anchor?.z ?? worldZ;
+    const jitterRadius =
+      placement.jitterRadius !== undefined && placement.jitterRadius !== null
+        ? placement.jitterRadius
+        : object.voxelScale < 1
+        ? 0.5
+        : 0.75;
+
+    placeObject(object, placement.randomSeed, {
+      baseX,
+      baseZ,
+      jitterRadius,
+      instances: placement.instances,
+      angleSeed: 320 + placement.randomSeed,
+      radiusSeed: 420 + placement.randomSeed,
+    });
+    return { status: 'placed', objectId: object.id };
+  };
+
   const applySectorPlacements = () => {
-    const { placements } = getSectorPlacementsForColumn(worldX, worldZ);
+    const { sector, placements } = getSectorPlacementsForColumn(worldX, worldZ);
     plannedStructurePlacements = placements.reduce((count, placement) => {
       return placement.category === 'structures' ? count + 1 : count;
     }, 0);
     placements.forEach((placement) => {
-      if (placement.completed) {
-        return;
-      }
-      if (placement.requireUnderwater && !isUnderwater) {
-        markPlacementCompleted(placement);
+      if (sectorPass?.isCompleted(sector, placement)) {
         return;
       }
-      if (!placement.allowUnderwater && isUnderwater) {
-        markPlacementCompleted(placement);
-        return;
-      }
-      if (placement.preferShore && distanceToWater > 3) {
-        markPlacementCompleted(placement);
-        return;
-      }
-
-      const object = selectObject(
-        placement.category,
-        biome,
-        random,
-        placement.randomSeed,
-      );
-      if (!object) {
-        markPlacementCompleted(placement);
-        return;
-      }
-      if (!canPlaceObject(object)) {
-        markPlacementCompleted(placement);
-        return;
-      }
-
-      const baseX = placement.anchor?.x ?? worldX;
-      const baseZ = placement.anchor?.z ?? worldZ;
-      const jitterRadius =
-        placement.jitterRadius !== undefined && placement.jitterRadius !== null
-          ? placement.jitterRadius
-          : object.voxelScale < 1
-          ? 0.5
-          : 0.75;
-
-      const placed = placeObject(object, placement.randomSeed, {
-        baseX,
-        baseZ,
-        jitterRadius,
-        instances: placement.instances,
-        angleSeed: 320 + placement.randomSeed,
-        radiusSeed: 420 + placement.randomSeed,
-      });
-
-      if (placed) {
-        markPlacementCompleted(placement);
-      }
+      const outcome = resolveSectorPlacement(placement);
+      sectorPass?.complete(sector, placement, outcome);
     });
   };
 
@@ -444,6 +444,15 @@ export function populateColumnWithVoxelObjects({
     },
   );
 
+  attemptCategory(
+    'mineral-forms',
+    Math.max(0, terrain.mineralChance ?? 0) * densityScale,
+    101,
+    {
+      allowUnderwater: false,
+    },
+  );
+
   attemptCategory('fungi', Math.max(0, terrain.fungiChance ?? 0) * densityScale, 111, {
     allowUnderwater: false,
   });
@@ -0,0 +1,108 @@
+// Amanatides–Woo grid traversal over block cells. Blocks are centred on
+// integer coordinates, so cell boundaries sit on the half-integers; the walk
+// visits every cell the ray passes through in order, with the distance at
+// which it enters and leaves each one and the face it came in through.
+
+export function traceVoxelRay({ origin, direction, maxDistance, visit }) {
+  if (typeof visit !== 'function') {
+    throw new Error('traceVoxelRay requires a visit callback');
+  }
+  const length = Math.hypot(direction.x, direction.y, direction.z);
+  if (!(length > 0) || !(maxDistance > 0)) {
+    return null;
+  }
+  const dx = direction.x / length;
+  const dy = direction.y / length;
+  const dz = direction.z / length;
+  const ox = origin.x + 0.5;
+  const oy = origin.y + 0.5;
+  const oz = origin.z + 0.5;
+
+  let x = Math.floor(ox);
+  let y = Math.floor(oy);
+  let z = Math.floor(oz);
+  const stepX = Math.sign(dx);
+  const stepY = Math.sign(dy);
+  const stepZ = Math.sign(dz);
+  const deltaX = stepX !== 0 ? Math.abs(1 / dx) : Number.POSITIVE_INFINITY;
+  const deltaY = stepY !== 0 ? Math.abs(1 / dy) : Number.POSITIVE_INFINITY;
+  const deltaZ = stepZ !== 0 ? Math.abs(1 / dz) : Number.POSITIVE_INFINITY;
+  let maxX = stepX !== 0 ? ((stepX > 0 ? x + 1 : x) - ox) / dx : Number.POSITIVE_INFINITY;
+  let maxY = stepY !== 0 ? ((stepY > 0 ? y + 1 : y) - oy) / dy : Number.POSITIVE_INFINITY;
+  let maxZ = stepZ !== 0 ? ((stepZ > 0 ? z + 1 : z) - oz) / dz : Number.POSITIVE_INFINITY;
+
+  const normal = { x: 0, y: 0, z: 0 };
+  let enter = 0;
+
+  while (enter <= maxDistance) {
+    const exit = Math.min(maxX, maxY, maxZ, maxDistance);
+    const result = visit(x, y, z, enter, exit, normal);
+    if (result) {
+      return result;
+    }
+    normal.x = 0;
+    normal.y = 0;
+    normal.z = 0;
+    if (maxX <= maxY && maxX <= maxZ) {
+      enter = maxX;
+      x += stepX;
+      maxX += deltaX;
+      normal.x = -stepX;
+    } else if (maxY <= maxZ) {
+      enter = maxY;
+      y += stepY;
+      maxY += deltaY;
+      normal.y = -stepY;
+    } else {
+      enter = maxZ;
+      z += stepZ;
+      maxZ += deltaZ;
+      normal.z = -stepZ;
+    }
+  }
+  return null;
+}
+
+// Slab test against an axis-aligned box. Returns the entry distance and the
+// face normal, or null when the ray misses, the box is behind the origin or
+// the origin is already inside it.
+export function intersectRayBox(origin, direction, min, max) {
+  let near = Number.NEGATIVE_INFINITY;
+  let far = Number.POSITIVE_INFINITY;
+  let axis = null;
+  let sign = 0;
+  for (const key of ['x', 'y', 'z']) {
+    const d = direction[key];
+    const o = origin[key];
+    if (Math.abs(d) < 1e-12) {
+      if (o < min[key] || o > max[key]) {
+        return null;
+      }
+      continue;
+    }
+    let t1 = (min[key] - o) / d;
+    let t2 = (max[key] - o) / d;
+    let faceSign = -1;
+    if (t1 > t2) {
+      const swap = t1;
+      t1 = t2;
+      t2 = swap;
+      faceSign = 1;
+    }
+    if (t1 > near) {
+      near = t1;
+      axis = key;
+      sign = faceSign;
+    }
+    far = Math.min(far, t2);
+    if (near > far) {
+      return null;
+    }
+  }
+  if (near < 0 || axis === null) {
+    return null;
+  }
+  const normal = { x: 0, y: 0, z: 0 };
+  normal[axis] = sign;
+  return { distance: near, normal };
+}
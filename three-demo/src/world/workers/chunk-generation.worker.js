@@ -0,0 +1,36 @@
+import * as THREE from 'three';
+
+import { collectChunkDataTransferables } from '../chunk-data-codec.js';
+import { generateChunkData, initializeWorldGeneration } from '../generation.js';
+import { initializeFluidRegistry } from '../fluids/fluid-registry.js';
+
+let initialized = false;
+
+self.addEventListener('message', (event) => {
+  const message = event.data ?? {};
+  if (message.type === 'init') {
+    initializeWorldGeneration({ THREE, seed: message.seed });
+    initializeFluidRegistry({ THREE });
+    initialized = true;
+    return;
+  }
+  if (message.type !== 'generate') {
+    return;
+  }
+  try {
+    if (!initialized) {
+      throw new Error('Chunk generation worker received work before initialization');
+    }
+    const data = generateChunkData(message.chunkX, message.chunkZ);
+    self.postMessage(
+      { type: 'chunk', id: message.id, data },
+      collectChunkDataTransferables(data),
+    );
+  } catch (error) {
+    self.postMessage({
+      type: 'error',
+      id: message.id,
+      message: error?.message ?? String(error),
+    });
+  }
+});
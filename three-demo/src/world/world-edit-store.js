@@ -0,0 +1,380 @@
+const DATABASE_NAME = 'voxel-world-edits';
+const DATABASE_VERSION = 1;
+const WORLD_STORE = 'worlds';
+const CHUNK_STORE = 'chunkEdits';
+const FLUSH_DELAY_MS = 400;
+const MAX_RETRY_DELAY_MS = 30000;
+
+export const DEFAULT_WORLD_NAME = 'default';
+
+export function normalizeWorldName(value) {
+  if (typeof value !== 'string') {
+    return DEFAULT_WORLD_NAME;
+  }
+  const trimmed = value.trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '-');
+  return trimmed.length > 0 ? trimmed.slice(0, 48) : DEFAULT_WORLD_NAME;
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionToPromise(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function openDatabase(indexedDB) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      if (!database.objectStoreNames.contains(WORLD_STORE)) {
+        database.createObjectStore(WORLD_STORE, { keyPath: 'name' });
+      }
+      if (!database.objectStoreNames.contains(CHUNK_STORE)) {
+        const chunkStore = database.createObjectStore(CHUNK_STORE, {
+          keyPath: ['world', 'chunkKey'],
+        });
+        chunkStore.createIndex('world', 'world', { unique: false });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function createChunkDelta() {
+  return {
+    removed: new Map(),
+    added: new Map(),
+  };
+}
+
+function serializeDelta(world, chunkKey, delta) {
+  return {
+    world,
+    chunkKey,
+    removed: Array.from(delta.removed.values()),
+    added: Array.from(delta.added.values()),
+    updatedAt: Date.now(),
+  };
+}
+
+function roundCoordinate(value) {
+  return Math.round(Number(value) * 1000) / 1000;
+}
+
+// Edits are namespaced by world name and seed so the same world name can be
+// explored under several seeds without replaying deltas onto foreign terrain.
+function createNamespace(world, seed) {
+  return seed === null || seed === undefined ? world : `${world}@${seed}`;
+}
+
+export function createWorldEditStore({
+  worldName = DEFAULT_WORLD_NAME,
+  seed = null,
+  indexedDB = globalThis.indexedDB,
+} = {}) {
+  const world = normalizeWorldName(worldName);
+  const namespace = createNamespace(world, seed);
+  const deltas = new Map();
+  const dirtyChunkKeys = new Set();
+  const readyListeners = new Set();
+  let database = null;
+  let flushTimer = null;
+  let retryDelay = FLUSH_DELAY_MS;
+  let isReady = false;
+
+  function ensureDelta(chunkKey) {
+    let delta = deltas.get(chunkKey);
+    if (!delta) {
+      delta = createChunkDelta();
+      deltas.set(chunkKey, delta);
+    }
+    return delta;
+  }
+
+  function startFlushTimer(delay) {
+    if (!database || flushTimer !== null) {
+      return;
+    }
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flush().catch((error) => {
+        console.warn('Failed to persist world edits.', error);
+      });
+    }, delay);
+  }
+
+  function scheduleFlush(chunkKey) {
+    dirtyChunkKeys.add(chunkKey);
+    startFlushTimer(FLUSH_DELAY_MS);
+  }
+
+  async function flush() {
+    if (flushTimer !== null) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    if (!database || dirtyChunkKeys.size === 0) {
+      return;
+    }
+    const pending = Array.from(dirtyChunkKeys);
+    dirtyChunkKeys.clear();
+    try {
+      const transaction = database.transaction([WORLD_STORE, CHUNK_STORE], 'readwrite');
+      const chunkStore = transaction.objectStore(CHUNK_STORE);
+      pending.forEach((chunkKey) => {
+        const delta = deltas.get(chunkKey);
+        if (!delta || (delta.removed.size === 0 && delta.added.size === 0)) {
+          chunkStore.delete([namespace, chunkKey]);
+          return;
+        }
+        chunkStore.put(serializeDelta(namespace, chunkKey, delta));
+      });
+      const worldStore = transaction.objectStore(WORLD_STORE);
+      const existing = await requestToPromise(worldStore.get(namespace));
+      const now = Date.now();
+      worldStore.put({
+        ...(existing ?? {}),
+        name: namespace,
+        world,
+        seed,
+        createdAt: existing?.createdAt ?? now,
+        updatedAt: now,
+      });
+      await transactionToPromise(transaction);
+      retryDelay = FLUSH_DELAY_MS;
+    } catch (error) {
+      // An aborted or failed write keeps its chunks dirty and retries them,
+      // backing off up to MAX_RETRY_DELAY_MS while the failures continue.
+      pending.forEach((chunkKey) => dirtyChunkKeys.add(chunkKey));
+      retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY_MS);
+      startFlushTimer(retryDelay);
+      throw error;
+    }
+  }
+
+  async function load() {
+    if (!indexedDB) {
+      console.warn('IndexedDB is unavailable; world edits will not persist between sessions.');
+      return;
+    }
+    database = await openDatabase(indexedDB);
+    const transaction = database.transaction(CHUNK_STORE, 'readonly');
+    const index = transaction.objectStore(CHUNK_STORE).index('world');
+    const records = await requestToPromise(index.getAll(namespace));
+    records.forEach((record) => {
+      const delta = ensureDelta(record.chunkKey);
+      (record.removed ?? []).forEach((removal) => {
+        if (removal?.key && !delta.removed.has(removal.key)) {
+          delta.removed.set(removal.key, removal);
+        }
+      });
+      (record.added ?? []).forEach((addition) => {
+        if (!addition?.type) {
+          return;
+        }
+        const key = `${addition.x}|${addition.y}|${addition.z}`;
+        if (!delta.added.has(key)) {
+          delta.added.set(key, addition);
+        }
+      });
+    });
+    if (dirtyChunkKeys.size > 0) {
+      dirtyChunkKeys.forEach((chunkKey) => scheduleFlush(chunkKey));
+    }
+  }
+
+  const ready = load()
+    .catch((error) => {
+      database = null;
+      console.warn('Failed to open the world edit store; edits will not persist.', error);
+    })
+    .then(() => {
+      isReady = true;
+      readyListeners.forEach((listener) => listener());
+      readyListeners.clear();
+    });
+
+  function onReady(listener) {
+    if (isReady) {
+      listener();
+      return () => {};
+    }
+    readyListeners.add(listener);
+    return () => {
+      readyListeners.delete(listener);
+    };
+  }
+
+  function getChunkEdits(chunkKey) {
+    const delta = deltas.get(chunkKey);
+    if (!delta || (delta.removed.size === 0 && delta.added.size === 0)) {
+      return null;
+    }
+    return {
+      removed: Array.from(delta.removed.values()),
+      added: Array.from(delta.added.values()),
+    };
+  }
+
+  function recordRemoval(chunkKey, { key, type, x, y, z, kind = 'block' }) {
+    if (!chunkKey || !key) {
+      return;
+    }
+    const delta = ensureDelta(chunkKey);
+    const coordinateKey = `${x}|${y}|${z}`;
+    if (kind === 'block' && delta.added.has(coordinateKey)) {
+      delta.added.delete(coordinateKey);
+    } else {
+      delta.removed.set(key, {
+        key,
+        kind,
+        type: type ?? null,
+        x: roundCoordinate(x),
+        y: roundCoordinate(y),
+        z: roundCoordinate(z),
+      });
+    }
+    scheduleFlush(chunkKey);
+  }
+
+  function recordPlacement(chunkKey, { type, x, y, z, options = null }) {
+    if (!chunkKey || !type) {
+      return;
+    }
+    const delta = ensureDelta(chunkKey);
+    delta.added.set(`${x}|${y}|${z}`, {
+      type,
+      x,
+      y,
+      z,
+      ...(options ? { options } : {}),
+    });
+    scheduleFlush(chunkKey);
+  }
+
+  async function clearWorld() {
+    const chunkKeys = Array.from(deltas.keys());
+    deltas.clear();
+    chunkKeys.forEach((chunkKey) => dirtyChunkKeys.add(chunkKey));
+    await ready;
+    await flush();
+    return chunkKeys.length;
+  }
+
+  async function listWorlds() {
+    await ready;
+    const activeSummary = {
+      name: world,
+      seed,
+      active: true,
+      createdAt: null,
+      updatedAt: null,
+      editedChunks: deltas.size,
+    };
+    if (!database) {
+      return [activeSummary];
+    }
+    const transaction = database.transaction([WORLD_STORE, CHUNK_STORE], 'readonly');
+    const worlds = await requestToPromise(transaction.objectStore(WORLD_STORE).getAll());
+    const index = transaction.objectStore(CHUNK_STORE).index('world');
+    const summaries = await Promise.all(
+      worlds.map(async (record) => ({
+        name: record.world ?? record.name,
+        seed: record.seed ?? null,
+        active: record.name === namespace,
+        createdAt: record.createdAt ?? null,
+        updatedAt: record.updatedAt ?? null,
+        editedChunks: await requestToPromise(index.count(record.name)),
+      })),
+    );
+    if (!summaries.some((summary) => summary.active)) {
+      summaries.push(activeSummary);
+    }
+    return summaries.sort(
+      (a, b) => a.name.localeCompare(b.name) || String(a.seed).localeCompare(String(b.seed)),
+    );
+  }
+
+  async function deleteWorld(name) {
+    const target = normalizeWorldName(name);
+    if (target === world) {
+      throw new Error('Cannot delete the active world; use /world reset instead');
+    }
+    await ready;
+    if (!database) {
+      return false;
+    }
+    const transaction = database.transaction([WORLD_STORE, CHUNK_STORE], 'readwrite');
+    const chunkStore = transaction.objectStore(CHUNK_STORE);
+    const worldStore = transaction.objectStore(WORLD_STORE);
+    const records = await requestToPromise(worldStore.getAll());
+    const namespaces = records
+      .filter((record) => (record.world ?? record.name) === target)
+      .map((record) => record.name);
+    for (const recordNamespace of namespaces) {
+      const keys = await requestToPromise(chunkStore.index('world').getAllKeys(recordNamespace));
+      keys.forEach((key) => chunkStore.delete(key));
+      worldStore.delete(recordNamespace);
+    }
+    await transactionToPromise(transaction);
+    return namespaces.length > 0;
+  }
+
+  function getStats() {
+    let removed = 0;
+    let added = 0;
+    deltas.forEach((delta) => {
+      removed += delta.removed.size;
+      added += delta.added.size;
+    });
+    return {
+      world,
+      seed,
+      persistent: Boolean(database),
+      editedChunks: deltas.size,
+      removed,
+      added,
+      pendingWrites: dirtyChunkKeys.size,
+    };
+  }
+
+  function dispose() {
+    if (flushTimer !== null) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    flush()
+      .catch((error) => {
+        console.warn('Failed to persist world edits during shutdown.', error);
+      })
+      .finally(() => {
+        database?.close();
+        database = null;
+      });
+  }
+
+  return {
+    ready,
+    onReady,
+    getWorldName: () => world,
+    getChunkEdits,
+    recordRemoval,
+    recordPlacement,
+    clearWorld,
+    listWorlds,
+    deleteWorld,
+    getStats,
+    flush,
+    dispose,
+  };
+}
@@ -0,0 +1,61 @@
+export const DEFAULT_WORLD_SEED = 1337;
+
+const MAX_SEED = 2147483647;
+
+function hashText(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// Numeric seeds are used verbatim while any other text is hashed, letting
+// testers share readable seeds. Coordinate, sector and object-density hashes
+// all mix in the seed, so even the default 1337 no longer reproduces the
+// worlds generated before seeds were configurable.
+export function normalizeWorldSeed(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      return null;
+    }
+    return Math.abs(Math.trunc(value)) % MAX_SEED;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return null;
+  }
+  if (/^-?\d+$/.test(trimmed)) {
+    return normalizeWorldSeed(Number(trimmed));
+  }
+  return hashText(trimmed) % MAX_SEED;
+}
+
+export function resolveWorldSeed(search = globalThis.location?.search ?? '') {
+  const param = new URLSearchParams(search).get('seed');
+  return normalizeWorldSeed(param) ?? DEFAULT_WORLD_SEED;
+}
+
+export function deriveSeed(seed, label) {
+  let hash = (seed >>> 0) ^ 0x9e3779b9;
+  for (let i = 0; i < label.length; i++) {
+    hash = Math.imul(hash ^ label.charCodeAt(i), 0x45d9f3b);
+    hash = (hash ^ (hash >>> 16)) >>> 0;
+  }
+  return hash >>> 0;
+}
+
+export function hashInts(seed, x, z, offset = 0) {
+  let h = Math.imul((x | 0) ^ seed, 0x27d4eb2d);
+  h = Math.imul(h ^ (z | 0), 0x165667b1);
+  h ^= h >>> 15;
+  h = Math.imul(h + Math.imul(offset | 0, 1597334677), 2246822519);
+  h ^= h >>> 13;
+  h = Math.imul(h, 3266489917);
+  h ^= h >>> 16;
+  return h >>> 0;
+}